@@ -15,6 +15,55 @@ export class AceBase extends acebasecore.AceBaseBase {
      */
     ready(callback?: () => void): Promise<void>;
 
+    /**
+     * Index management. Besides getting and creating indexes, indexes can be deleted, and their statistics and
+     * health checked
+     */
+    get indexes(): acebasecore.AceBaseBase['indexes'] & {
+        /**
+         * Deletes the index(es) on key at path, and their files
+         * @param path path to the container node
+         * @param key indexed key, or array of keys of a composite index
+         */
+        delete(path: string, key: string | string[]): ReturnType<acebasecore.AceBaseBase['indexes']['get']>;
+        /**
+         * Gets statistics of all indexes
+         */
+        stats(): Promise<IIndexStats[]>;
+        /**
+         * Verifies indexes by comparing their entries with the actual data. Writes to the indexed data while
+         * verifying can be reported as drift
+         * @param options.path only verify indexes on this path
+         * @param options.repair whether to rebuild indexes that drifted from the data
+         */
+        verify(options?: { path?: string, repair?: boolean }): Promise<IIndexVerifyResult[]>;
+    };
+
+    /**
+     * Compacts the database file: moves data to free space at the start of the file, makes fragmented
+     * data contiguous and shrinks the file. The database can be used while compacting.
+     * Only supported by the AceBase binary storage engine.
+     */
+    compact(): Promise<{ nodesMoved: number, pagesBefore: number, pagesAfter: number, freeRanges: number }>;
+
+    /**
+     * Creates a consistent point-in-time backup of the database and its indexes. Writes are put on hold
+     * while the files are copied, reads can continue. Only supported by the AceBase binary storage engine.
+     * @param targetPath directory to write the backup to, is created if it does not exist
+     * @param options.progress callback that is called with progress information while copying
+     */
+    backup(targetPath: string, options?: { progress?: (progress: IBackupProgress) => void }): Promise<IBackupResult>;
+
+    /**
+     * Restores a backup created with db.backup(). Overwrites the current database files, so make sure
+     * the database is not opened while restoring. Only supported by the AceBase binary storage engine.
+     * @param dbname name of the database to restore
+     * @param backupPath directory containing the backup
+     * @param options.path path the database files are stored in, same as the storage path setting. Default is '.'
+     * @param options.progress callback that is called with progress information while copying
+     */
+    static restore(dbname: string, backupPath: string, options?: { path?: string, progress?: (progress: IBackupProgress) => void }): Promise<IBackupResult>;
+
     /** 
      * Only available in browser context - Creates an AceBase database instance using IndexedDB as storage engine. Creates a dedicated IndexedDB instance.
      * @param dbname Name of the database
@@ -36,6 +85,57 @@ export class AceBase extends acebasecore.AceBaseBase {
     static WithLocalStorage(dbname: string, settings: { logLevel?: 'verbose'|'log'|'warn'|'error', temp?: boolean, provider?: any }): AceBase
 }
 
+export interface IIndexStats {
+    /** Description of the index */
+    index: string;
+    path: string;
+    key: string;
+    type: string;
+    state: string;
+    /** Number of indexed records */
+    entries: number;
+    /** Number of distinct indexed values */
+    values: number;
+    /** Size of the index file in bytes */
+    fileSize: number;
+    /** Number of levels from the root node down to the leafs */
+    depth: number;
+    /** Average percentage leafs are filled with entries */
+    fillFactor: number;
+    /** When the index was last built, null if it was built by a version that did not store it */
+    lastBuild: Date | null;
+}
+
+export interface IIndexVerifyResult {
+    /** Description of the index */
+    index: string;
+    /** Whether the index entries match the data */
+    ok: boolean;
+    entries: number;
+    /** Number of entries the index should have but doesn't */
+    missing: number;
+    /** Number of entries the index should not have */
+    unexpected: number;
+    /** Paths of the records with drifted entries (max 100) */
+    paths: string[];
+    /** Whether the index was rebuilt */
+    repaired: boolean;
+}
+
+export interface IBackupProgress {
+    /** File currently being copied */
+    file: string;
+    bytesCopied: number;
+    totalBytes: number;
+}
+
+export interface IBackupResult {
+    /** Directory the files were copied to */
+    path: string;
+    files: string[];
+    bytes: number;
+}
+
 export interface AceBaseLocalSettings {
     logLevel?: 'verbose'|'log'|'warn'|'error';
     storage?: StorageSettings;
@@ -45,12 +145,16 @@ export abstract class StorageSettings {
     maxInlineValueSize?: number;
     removeVoidProperties?: boolean;
     path?: string;
+    /** Where to store indexes: 'file' stores them in .idx files in the database directory, 'database' in the database itself if the storage backend is able to (SQLite, MSSQL, CustomStorage with indexData). Default is 'file' if a file system is available */
+    indexStorage?: 'file'|'database';
 }
 
 export class AceBaseStorageSettings extends StorageSettings {
     constructor(settings: AceBaseStorageSettings);
     recordSize?: number;
     pageSize?: number;
+    /** Whether to use a write-ahead transaction log to protect the database file from corruption by crashes and power failures. Default is true */
+    transactionLogging?: boolean;
 }
 
 export class SQLiteStorageSettings extends StorageSettings {
@@ -166,6 +270,19 @@ export class CustomStorageSettings extends StorageSettings {
      * @param target target path and mode to start transaction on
      */
     getTransaction(target: { path: string, write: boolean }): Promise<CustomStorageTransaction>
+    /** 
+     * (optional) Functions to store binary index data in your data store backend with. Enables indexes if no file system is available, or if the indexStorage setting is 'database'
+     */
+    indexData?: {
+        /** Function that gets the data stored with given key, must return null if it doesn't exist */
+        get(key: string): Promise<Uint8Array|null>;
+        /** Function that inserts or updates the data stored with given key */
+        set(key: string, data: Uint8Array): Promise<any>;
+        /** Function that removes the data stored with given key */
+        remove(key: string): Promise<any>;
+        /** Function that gets all stored keys that start with given prefix */
+        keys(prefix: string): Promise<string[]>;
+    }
 }
 
 export class CustomStorageHelpers {
@@ -213,6 +330,47 @@ export class CustomStorageHelpers {
     static readonly PathInfo: typeof acebasecore.PathInfo
 }
 
+export interface IQueryAggregate {
+    fn: 'count'|'sum'|'avg'|'min'|'max';
+    key?: string;
+}
+
+/**
+ * Aggregate functions for queries, use with db.api.query(path, query, { aggregate, groupBy })
+ * @example
+ * const { sum, count } = aggregates;
+ * const totals = await db.api.query('orders', query, { aggregate: { total: sum('amount'), orders: count() }, groupBy: 'category' });
+ */
+export namespace aggregates {
+    /** Counts matching nodes, or the nodes that have a value for given key */
+    function count(key?: string): IQueryAggregate;
+    /** Sums the numeric values of key */
+    function sum(key: string): IQueryAggregate;
+    /** Averages the numeric values of key */
+    function avg(key: string): IQueryAggregate;
+    /** Gets the lowest number, string or date value of key */
+    function min(key: string): IQueryAggregate;
+    /** Gets the highest number, string or date value of key */
+    function max(key: string): IQueryAggregate;
+}
+
+/**
+ * Error a write or index build is rejected with if it would index the same value for multiple records in a unique index
+ * @example
+ * await db.indexes.create('users', 'email', { unique: true });
+ * try { await db.ref('users').push({ email: 'taken@example.com' }); }
+ * catch (err) { if (err instanceof UniqueConstraintError) { console.log(err.paths); } }
+ */
+export class UniqueConstraintError extends Error {
+    readonly code: 'unique-constraint';
+    /** description of the index */
+    readonly index: string;
+    /** the duplicate value */
+    readonly value: any;
+    /** paths of the records that have the value */
+    readonly paths: string[];
+}
+
 export import DataSnapshot = acebasecore.DataSnapshot;
 export import DataReference = acebasecore.DataReference;
 export import EventStream = acebasecore.EventStream;
@@ -0,0 +1,42 @@
+const { aggregates } = require('../src');
+const { count, sum, max } = aggregates;
+const { createTempDB } = require('./tempdb');
+
+describe('Aggregates', () => {
+    let tempDB, db;
+    beforeAll(async () => {
+        tempDB = await createTempDB();
+        db = tempDB.db;
+        await db.ref('orders').set({
+            o1: { amount: 5 },
+            o2: { amount: 10 },
+            o3: { amount: 20 },
+            o4: { amount: { value: 40, currency: 'EUR' } }, // Can't be indexed
+            o5: { note: 'No amount' }
+        });
+        await db.indexes.create('orders', 'amount');
+    });
+    afterAll(() => {
+        tempDB.removeDB();
+    });
+
+    const query = filters => ({ filters, order: [], skip: 0, take: 0 });
+    const aggregate = (filters, aggregate) => db.api.query('orders', query(filters), { aggregate });
+
+    it('counts the same nodes as the query', async () => {
+        for (const filter of [{ op: '!=', compare: 5 }, { op: 'exists' }, { op: '>', compare: 5 }]) {
+            const filters = [Object.assign({ key: 'amount' }, filter)];
+            const results = await db.api.query('orders', query(filters), { snapshots: false });
+            expect(await aggregate(filters, { orders: count() })).toEqual({ orders: results.length });
+        }
+    });
+
+    it('counts values that are not indexed', async () => {
+        expect(await aggregate([], { orders: count('amount') })).toEqual({ orders: 4 });
+    });
+
+    it('calculates aggregates of indexed values', async () => {
+        expect(await aggregate([{ key: 'amount', op: '>', compare: 5 }], { orders: count(), total: sum('amount') })).toEqual({ orders: 2, total: 30 });
+        expect(await aggregate([], { total: sum('amount'), highest: max('amount') })).toEqual({ total: 35, highest: 20 });
+    });
+});
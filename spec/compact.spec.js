@@ -0,0 +1,83 @@
+const fs = require('fs');
+const { createTempDB } = require('./tempdb');
+
+describe('Compaction', () => {
+    let tempDB;
+    afterEach(() => {
+        tempDB.removeDB();
+    });
+
+    const createItems = (count, size) => {
+        const items = {};
+        for (let i = 0; i < count; i++) { items[`item${i}`] = { nr: i, text: `${i} `.repeat(size) }; }
+        return items;
+    };
+
+    it('moves data to free space and shrinks the file', async () => {
+        tempDB = await createTempDB();
+        const db = tempDB.db;
+        const items = createItems(1000, 60);
+        await db.ref('items').set(items);
+        for (let i = 0; i < 1000; i += 2) {
+            await db.ref(`items/item${i}`).remove();
+            delete items[`item${i}`];
+        }
+        const sizeBefore = fs.statSync(tempDB.file).size;
+
+        const result = await db.compact();
+        expect(result.nodesMoved).toBeGreaterThan(0);
+        expect(result.pagesAfter).toBeLessThan(result.pagesBefore);
+        expect(fs.statSync(tempDB.file).size).toBeLessThan(sizeBefore);
+
+        const snap = await db.ref('items').get();
+        expect(snap.val()).toEqual(items);
+    });
+
+    it('does not grow the file to defragment a node', async () => {
+        tempDB = await createTempDB();
+        const db = tempDB.db;
+        await db.ref('big').set(0); // First child of the root, so it is compacted first
+        await db.ref('items').set(createItems(400, 250));
+        for (let i = 100; i < 240; i++) { await db.ref(`items/item${i}`).remove(); }
+        // The large object does not fit in 1 free range, so it is stored fragmented
+        const big = {};
+        for (let i = 0; i < 5000; i++) { big[`prop${i}`] = `value ${i}`; }
+        await db.ref('big').set(big);
+        const sizeBefore = fs.statSync(tempDB.file).size;
+
+        // Track the number of pages during compaction
+        const FST = db.api.storage.FST;
+        let pages = FST.pages, maxPages = pages;
+        Object.defineProperty(FST, 'pages', {
+            get: () => pages,
+            set: value => { pages = value; maxPages = Math.max(maxPages, value); },
+            configurable: true
+        });
+
+        const result = await db.compact();
+        expect(maxPages).toBe(result.pagesBefore);
+        expect(result.pagesAfter).toBeLessThanOrEqual(result.pagesBefore);
+        expect(fs.statSync(tempDB.file).size).toBeLessThanOrEqual(sizeBefore);
+
+        const snap = await db.ref('big').get();
+        expect(snap.val()).toEqual(big);
+    });
+
+    it('leaves a consistent file that can be opened again', async () => {
+        tempDB = await createTempDB({}, false);
+        await tempDB.runInChild(`
+            const items = {};
+            for (let i = 0; i < 1000; i++) { items['item' + i] = { nr: i, text: 'x'.repeat(i % 100) }; }
+            await db.ref('items').set(items);
+            for (let i = 0; i < 1000; i += 2) { await db.ref('items/item' + i).remove(); }
+            await db.compact();
+        `);
+        expect(fs.statSync(`${tempDB.file}.wal`).size).toBe(0);
+
+        const db = await tempDB.reopen();
+        const snap = await db.ref('items').get();
+        const items = snap.val();
+        expect(Object.keys(items).length).toBe(500);
+        expect(items.item999).toEqual({ nr: 999, text: 'x'.repeat(99) });
+    });
+});
@@ -0,0 +1,68 @@
+const { createTempDB } = require('./tempdb');
+
+describe('Composite index', () => {
+    let tempDB, db;
+    const orders = {};
+    beforeAll(async () => {
+        tempDB = await createTempDB();
+        db = tempDB.db;
+        for (let i = 0; i < 60; i++) {
+            orders[`order${i}`] = { customer: ['ann', 'bob', 'cid'][i % 3], date: new Date(Date.UTC(2020, 0, 1 + i)), amount: i };
+        }
+        await db.ref('orders').set(orders);
+        await db.indexes.create('orders', ['customer', 'date']);
+    });
+    afterAll(() => {
+        tempDB.removeDB();
+    });
+
+    const run = (query, options) => db.api.query('orders', Object.assign({ filters: [], order: [], skip: 0, take: 0 }, query), options);
+    const queryKeys = async query => Array.from(await run(query, { snapshots: false }), path => path.slice('orders/'.length));
+    // Expected results of a query, checked on the data
+    const expectedKeys = (match, compare = (a, b) => 0, take = Infinity) => {
+        return Object.keys(orders).filter(key => match(orders[key])).sort((a, b) => compare(orders[a], orders[b])).slice(0, take);
+    };
+
+    it('executes equality and range filters in 1 step', async () => {
+        const query = {
+            filters: [
+                { key: 'customer', op: '==', compare: 'bob' },
+                { key: 'date', op: '>=', compare: new Date(Date.UTC(2020, 0, 31)) }
+            ]
+        };
+        const plan = await run(query, { explain: true });
+        expect(plan.strategy).toBe('index_filter');
+        expect(plan.indexFilters.length).toBe(1);
+        expect(plan.tableScanFilters).toEqual([]);
+        expect((await queryKeys(query)).sort()).toEqual(expectedKeys(o => o.customer === 'bob' && o.date >= query.filters[1].compare).sort());
+    });
+
+    it('takes sorted results from the index', async () => {
+        const byDate = (a, b) => b.date - a.date;
+        for (const take of [5, -5]) {
+            const query = { filters: [{ key: 'customer', op: '==', compare: 'cid' }], order: [{ key: 'date', ascending: false }], take };
+            const plan = await run(query, { explain: true });
+            expect(plan.indexFilters.length).toBe(1);
+            expect(plan.sort).toBe('sort_index');
+            const expected = expectedKeys(o => o.customer === 'cid', byDate);
+            expect(await queryKeys(query)).toEqual(take > 0 ? expected.slice(0, 5) : expected.slice(-5));
+        }
+    });
+
+    it('is not used if the first key is not filtered on', async () => {
+        const query = { filters: [{ key: 'date', op: '<', compare: new Date(Date.UTC(2020, 0, 5)) }] };
+        const plan = await run(query, { explain: true });
+        expect(plan.strategy).toBe('table_scan');
+        expect((await queryKeys(query)).sort()).toEqual(['order0', 'order1', 'order2', 'order3']);
+    });
+
+    it('is updated when records change', async () => {
+        const date = new Date(Date.UTC(2021, 0, 1));
+        await db.ref('orders/order0').update({ customer: 'bob', date });
+        orders.order0 = Object.assign({}, orders.order0, { customer: 'bob', date });
+        const query = { filters: [{ key: 'customer', op: '==', compare: 'bob' }, { key: 'date', op: '>', compare: new Date(Date.UTC(2020, 11, 1)) }] };
+        expect(await queryKeys(query)).toEqual(['order0']);
+        const ann = { filters: [{ key: 'customer', op: '==', compare: 'ann' }, { key: 'date', op: '<', compare: new Date(Date.UTC(2020, 0, 5)) }] };
+        expect(await queryKeys(ann)).toEqual(['order3']);
+    });
+});
@@ -0,0 +1,62 @@
+const { createTempDB } = require('./tempdb');
+
+describe('Computed index', () => {
+    let tempDB;
+    beforeEach(async () => {
+        tempDB = await createTempDB({}, false);
+        await tempDB.runInChild(`
+            await db.ref('users').set({ a: { name: 'Alice' }, b: { name: 'Bob' } });
+            await db.indexes.create('users', 'lname', { type: 'computed', compute: user => user.name.toLowerCase() });
+        `);
+    });
+    afterEach(() => {
+        tempDB.removeDB();
+    });
+
+    const queryKeys = async (db, key, value) => {
+        const snaps = await db.query('users').filter(key, '==', value).get();
+        return snaps.map(snap => snap.key).sort();
+    };
+
+    it('is not rebuilt when created again with the same function', async () => {
+        const db = await tempDB.reopen();
+        const [loaded] = await db.indexes.get();
+        const built = loaded.lastBuild.getTime();
+        const index = await db.indexes.create('users', 'lname', { type: 'computed', compute: user => user.name.toLowerCase() });
+        expect(index.lastBuild.getTime()).toBe(built);
+        expect(await queryKeys(db, 'lname', 'alice')).toEqual(['a']);
+    });
+
+    it('is rebuilt if records were updated before a restart', async () => {
+        // Update a record without creating the index again, then restart
+        await tempDB.runInChild(`
+            await db.ref('users/a/name').set('Carol');
+        `);
+        const db = await tempDB.reopen();
+        await db.indexes.create('users', 'lname', { type: 'computed', compute: user => user.name.toLowerCase() });
+        expect(await queryKeys(db, 'lname', 'alice')).toEqual([]);
+        expect(await queryKeys(db, 'lname', 'carol')).toEqual(['a']);
+    });
+
+    it('is rebuilt if records were updated before it was created again', async () => {
+        const db = await tempDB.reopen();
+        await db.ref('users/b/name').set('Dave');
+        await db.indexes.create('users', 'lname', { type: 'computed', compute: user => user.name.toLowerCase() });
+        expect(await queryKeys(db, 'lname', 'bob')).toEqual([]);
+        expect(await queryKeys(db, 'lname', 'dave')).toEqual(['b']);
+    });
+
+    it('is rebuilt if the compute function changed', async () => {
+        const db = await tempDB.reopen();
+        await db.indexes.create('users', 'lname', { type: 'computed', compute: user => user.name.slice(0, 2).toLowerCase() });
+        expect(await queryKeys(db, 'lname', 'al')).toEqual(['a']);
+        expect(await queryKeys(db, 'lname', 'alice')).toEqual([]);
+    });
+
+    it('is updated with the data once created again', async () => {
+        const db = await tempDB.reopen();
+        await db.indexes.create('users', 'lname', { type: 'computed', compute: user => user.name.toLowerCase() });
+        await db.ref('users/c').set({ name: 'Eve' });
+        expect(await queryKeys(db, 'lname', 'eve')).toEqual(['c']);
+    });
+});
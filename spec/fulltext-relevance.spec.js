@@ -0,0 +1,62 @@
+const { createTempDB } = require('./tempdb');
+
+describe('Fulltext relevance', () => {
+    let tempDB, db;
+    const posts = {
+        once: { text: 'the meeting is today at noon' },
+        twice: { text: 'meeting after the meeting today' },
+        long: { text: 'there is a meeting today about the new plans for the garden and the parking lot' },
+        rare: { text: 'secret plans for today' },
+        other: { text: 'nothing to see here today' }
+    };
+    beforeAll(async () => {
+        tempDB = await createTempDB({}, false);
+        await tempDB.runInChild(`
+            await db.ref('posts').set(${JSON.stringify(posts)});
+            await db.indexes.create('posts', 'text', { type: 'fulltext' });
+        `);
+        // The index is loaded from its file, with the stored totals of the indexed texts
+        db = await tempDB.reopen();
+    });
+    afterAll(() => {
+        tempDB.removeDB();
+    });
+
+    const search = async words => {
+        const query = { filters: [{ key: 'text', op: 'fulltext:contains', compare: words }], order: [{ key: '_score', ascending: false }], skip: 0, take: 0 };
+        const results = await db.api.query('posts', query, { snapshots: true });
+        return results.map(result => ({ key: result.path.slice('posts/'.length), score: result.score }));
+    };
+
+    it('ranks results on their relevance', async () => {
+        const results = await search('meeting');
+        // More occurrences score higher, the same match in a longer text scores lower
+        expect(results.map(r => r.key)).toEqual(['twice', 'once', 'long']);
+        expect(results.every(r => r.score > 0)).toBe(true);
+
+        // Words that occur in fewer texts weigh more
+        const [rare] = await search('secret');
+        const [common] = (await search('today')).filter(r => r.key === 'rare');
+        expect(rare.score).toBeGreaterThan(common.score);
+    });
+
+    it('sums the scores of multiple fulltext filters', async () => {
+        const query = {
+            filters: [
+                { key: 'text', op: 'fulltext:contains', compare: 'plans' },
+                { key: 'text', op: 'fulltext:contains', compare: 'secret' }
+            ],
+            order: [{ key: '_score', ascending: false }],
+            skip: 0, take: 0
+        };
+        const [result] = await db.api.query('posts', query, { snapshots: true });
+        const [plans] = (await search('plans')).filter(r => r.key === 'rare');
+        const [secret] = await search('secret');
+        expect(result.score).toBeCloseTo(plans.score + secret.score, 6);
+    });
+
+    it('rejects sorting on _score without a fulltext filter', async () => {
+        const query = { filters: [{ key: 'text', op: 'like', compare: '*today*' }], order: [{ key: '_score', ascending: false }], skip: 0, take: 0 };
+        await expectAsync(db.api.query('posts', query, { snapshots: true })).toBeRejected();
+    });
+});
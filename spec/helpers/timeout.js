@@ -0,0 +1,2 @@
+// Specs write to database files on disk, which can be slow
+jasmine.DEFAULT_TIMEOUT_INTERVAL = 60000;
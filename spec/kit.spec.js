@@ -0,0 +1,81 @@
+const { createTempDB } = require('./tempdb');
+
+describe('Key Index Table', () => {
+    let tempDB;
+    afterEach(() => {
+        tempDB.removeDB();
+    });
+
+    // Header byte indexes of the version and KIT location, after the "AceBase⚡" descriptor
+    const VERSION_NR = Buffer.byteLength('AceBase⚡');
+    const KIT_LOCATION = VERSION_NR + 14;
+
+    // 60 objects with 90 unique 13 character keys each, too many for the default KIT.
+    // Objects with more than 100 keys are stored in a B+tree and don't use the KIT
+    const createObjects = (start = 0) => {
+        const objects = {};
+        for (let i = start; i < start + 60; i++) {
+            const obj = objects[`obj${i}`] = {};
+            for (let j = 0; j < 90; j++) { obj[`key_${String(i * 90 + j).padStart(9, '0')}`] = j; }
+        }
+        return objects;
+    };
+    const writeObjects = async (db, objects) => {
+        for (const key of Object.keys(objects)) { await db.ref(`objects/${key}`).set(objects[key]); }
+    };
+
+    it('is relocated once it is full, and read from its new location', async () => {
+        tempDB = await createTempDB({}, false);
+        const objects = createObjects();
+        await tempDB.runInChild(`
+            const objects = ${JSON.stringify(objects)};
+            for (const key of Object.keys(objects)) { await db.ref('objects/' + key).set(objects[key]); }
+        `);
+
+        const db = await tempDB.reopen();
+        const KIT = db.api.storage.KIT;
+        expect(KIT.address).not.toBeNull();
+        expect(KIT.keys.length).toBe(60 * 90 + 61); // "objects" and "obj0" to "obj59" are also in the KIT
+        const snap = await db.ref('objects').get();
+        expect(snap.val()).toEqual(objects);
+    });
+
+    it('writes its data to the new location before storing the location in the header', async () => {
+        tempDB = await createTempDB();
+        const db = tempDB.db;
+        const storage = db.api.storage;
+        const writes = [];
+        const write = storage.txLog.write.bind(storage.txLog);
+        storage.txLog.write = (fileIndex, buffer, offset, length) => {
+            writes.push(fileIndex);
+            return write(fileIndex, buffer, offset, length);
+        };
+        await writeObjects(db, createObjects());
+
+        expect(storage.KIT.address).not.toBeNull();
+        const kitWrite = writes.indexOf(storage.KIT.fileIndex);
+        expect(kitWrite).toBeGreaterThanOrEqual(0);
+        expect(writes.indexOf(KIT_LOCATION)).toBeGreaterThan(kitWrite);
+        expect(writes.indexOf(VERSION_NR)).toBeGreaterThan(kitWrite);
+    });
+
+    it('fails writes that add keys if the KIT cannot be written', async () => {
+        tempDB = await createTempDB();
+        const db = tempDB.db;
+        const storage = db.api.storage;
+        await db.ref('items/item1').set({ name: 'Item 1' });
+
+        const write = storage.txLog.write.bind(storage.txLog);
+        storage.txLog.write = (fileIndex, buffer, offset, length) => {
+            return fileIndex === storage.KIT.fileIndex
+                ? Promise.reject(new Error('Disk full'))
+                : write(fileIndex, buffer, offset, length);
+        };
+        await expectAsync(db.ref('items/item2').set({ title: 'Item 2' })).toBeRejectedWithError('Disk full');
+
+        // Writes using known keys are not affected
+        await db.ref('items/item1').set({ name: 'Item 1 (updated)' });
+        const snap = await db.ref('items/item1').get();
+        expect(snap.val()).toEqual({ name: 'Item 1 (updated)' });
+    });
+});
@@ -0,0 +1,70 @@
+const { UniqueConstraintError } = require('../src');
+const { createTempDB } = require('./tempdb');
+
+describe('Partial index', () => {
+    let tempDB, db;
+    beforeEach(async () => {
+        tempDB = await createTempDB();
+        db = tempDB.db;
+        const tasks = {};
+        for (let i = 0; i < 30; i++) { tasks[`task${i}`] = { due: i, status: ['open', 'busy', 'done'][i % 3] }; }
+        await db.ref('tasks').set(tasks);
+        await db.indexes.create('tasks', 'due', { filter: [{ key: 'status', op: '!=', compare: 'done' }] });
+    });
+    afterEach(() => {
+        tempDB.removeDB();
+    });
+
+    const query = filters => ({ filters, order: [{ key: 'due', ascending: true }], skip: 0, take: 0 });
+    const queryKeys = async filters => {
+        const paths = await db.api.query('tasks', query(filters), { snapshots: false });
+        return Array.from(paths, path => path.slice('tasks/'.length));
+    };
+    const explain = filters => db.api.query('tasks', query(filters), { explain: true });
+    const entries = async () => {
+        const [stats] = await db.api.storage.indexes.stats();
+        return stats.entries;
+    };
+
+    it('only contains records matching its filter', async () => {
+        expect(await entries()).toBe(20);
+    });
+
+    it('is used for queries whose filters imply its filter', async () => {
+        const due = { key: 'due', op: '<', compare: 6 };
+        for (const status of [{ op: '!=', compare: 'done' }, { op: '==', compare: 'open' }, { op: 'in', compare: ['open', 'busy'] }]) {
+            const filters = [due, Object.assign({ key: 'status' }, status)];
+            const plan = await explain(filters);
+            expect(plan.strategy).toBe('index_filter');
+            expect(plan.tableScanFilters.length).toBe(status.op === '!=' ? 0 : 1);
+        }
+        expect(await queryKeys([due, { key: 'status', op: '!=', compare: 'done' }])).toEqual(['task0', 'task1', 'task3', 'task4']);
+        expect(await queryKeys([due, { key: 'status', op: '==', compare: 'busy' }])).toEqual(['task1', 'task4']);
+    });
+
+    it('is not used for queries that do not imply its filter', async () => {
+        for (const filters of [[{ key: 'due', op: '<', compare: 6 }], [{ key: 'due', op: '<', compare: 6 }, { key: 'status', op: '!=', compare: 'open' }]]) {
+            const plan = await explain(filters);
+            expect(plan.strategy).toBe('table_scan');
+        }
+        expect(await queryKeys([{ key: 'due', op: '<', compare: 6 }])).toEqual(['task0', 'task1', 'task2', 'task3', 'task4', 'task5']);
+    });
+
+    it('adds and removes records that are updated to match its filter or not', async () => {
+        const filters = [{ key: 'due', op: '<', compare: 3 }, { key: 'status', op: '!=', compare: 'done' }];
+        await db.ref('tasks/task0').update({ status: 'done' });
+        await db.ref('tasks/task2').update({ status: 'open' });
+        expect(await queryKeys(filters)).toEqual(['task1', 'task2']);
+        expect(await entries()).toBe(20);
+    });
+
+    it('only requires unique values among records matching its filter', async () => {
+        await db.indexes.create('tasks', 'due', { unique: true, rebuild: true, filter: [{ key: 'status', op: '!=', compare: 'done' }] });
+        // task2 is done, so its due value can be used by another task that is not
+        await db.ref('tasks/task30').set({ due: 2, status: 'open' });
+        const err = await db.ref('tasks/task31').set({ due: 1, status: 'open' }).then(() => null, err => err);
+        expect(err instanceof UniqueConstraintError).toBe(true);
+        // And by another done task
+        await db.ref('tasks/task32').set({ due: 1, status: 'done' });
+    });
+});
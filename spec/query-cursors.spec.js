@@ -0,0 +1,74 @@
+const { createTempDB } = require('./tempdb');
+
+describe('Query cursors', () => {
+    let tempDB, db;
+    beforeAll(async () => {
+        tempDB = await createTempDB();
+        db = tempDB.db;
+        const songs = {};
+        for (let i = 0; i < 90; i++) {
+            songs[`song${i}`] = { title: `Song ${i}`, rating: i % 30, genre: i % 2 === 0 ? 'rock' : 'pop' };
+        }
+        await db.ref('songs').set(songs);
+    });
+    afterAll(() => {
+        tempDB.removeDB();
+    });
+
+    // Pages through all results with 1 query object, like the README example does
+    async function getAllPages(path, query) {
+        const pages = [];
+        let page = await db.api.query(path, query, { snapshots: false, after: null });
+        pages.push(page.results);
+        while (page.next) {
+            page = await db.api.query(path, query, { snapshots: false, after: page.next });
+            pages.push(page.results);
+        }
+        return { pages, last: page };
+    }
+
+    const expectPaging = async (path, query, total) => {
+        const { pages, last } = await getAllPages(path, query);
+        const sizes = pages.map(results => results.length);
+        expect(sizes.slice(0, -1).every(size => size === 20)).toBe(true);
+        expect(sizes.reduce((sum, size) => sum + size, 0)).toBe(total);
+        expect(query.take).toBe(20);
+        expect(query.filters.length).toBe(1);
+
+        // All pages together are the sorted results
+        const paths = [].concat(...pages);
+        const all = await db.api.query(path, Object.assign({}, query, { take: 0 }), { snapshots: false });
+        expect(paths).toEqual([...all]);
+
+        // Go back 1 page
+        const previous = await db.api.query(path, query, { snapshots: false, before: last.previous });
+        expect(previous.results).toEqual(pages[pages.length - 2]);
+        expect(query.take).toBe(20);
+    };
+
+    it('reuses a query for each page without an index', async () => {
+        const query = { filters: [{ key: 'rating', op: '>=', compare: 0 }], order: [{ key: 'rating', ascending: false }], skip: 0, take: 20 };
+        await expectPaging('songs', query, 90);
+    });
+
+    it('reuses a query for each page with an index', async () => {
+        await db.indexes.create('songs', 'rating');
+        const query = { filters: [{ key: 'rating', op: '>=', compare: 10 }], order: [{ key: 'rating', ascending: true }], skip: 0, take: 20 };
+        await expectPaging('songs', query, 60);
+    });
+
+    it('does not change the filters of the query', async () => {
+        const group = { op: 'and', compare: [{ key: 'genre', op: '==', compare: 'rock' }, { key: 'rating', op: '<', compare: 10 }] };
+        const query = { filters: [group], order: [{ key: 'rating', ascending: true }], skip: 0, take: 5 };
+        const page = await db.api.query('songs', query, { snapshots: false, after: null });
+        expect(page.results.length).toBe(5);
+        expect(query.filters).toEqual([group]);
+    });
+
+    it('rejects cursors of a query with another sort order', async () => {
+        const query = { filters: [], order: [{ key: 'rating', ascending: true }], skip: 0, take: 10 };
+        const page = await db.api.query('songs', query, { snapshots: false, after: null });
+        const other = { filters: [], order: [{ key: 'title', ascending: true }, { key: 'rating', ascending: true }], skip: 0, take: 10 };
+        await expectAsync(db.api.query('songs', other, { snapshots: false, after: page.next })).toBeRejected();
+    });
+});
@@ -0,0 +1,51 @@
+const { Node } = require('../src/node');
+const { createTempDB } = require('./tempdb');
+
+describe('Streaming query results', () => {
+    let tempDB, db;
+    beforeAll(async () => {
+        tempDB = await createTempDB();
+        db = tempDB.db;
+        const songs = {};
+        for (let i = 0; i < 100; i++) { songs[`song${i}`] = { nr: i, rating: i % 10 }; }
+        await db.ref('songs').set(songs);
+    });
+    afterAll(() => {
+        tempDB.removeDB();
+    });
+
+    const stream = async (query, options, callback = () => {}) => {
+        const results = [];
+        await db.api.streamQuery('songs', Object.assign({ filters: [], order: [], skip: 0, take: 0 }, query), options)
+        .next(result => {
+            results.push(result);
+            return callback(result);
+        });
+        return results;
+    };
+
+    it('streams unsorted results of a table scan', async () => {
+        const results = await stream({ filters: [{ key: 'rating', op: '==', compare: 3 }], skip: 2, take: 5 }, { snapshots: true });
+        expect(results.map(r => r.val.nr)).toEqual([23, 33, 43, 53, 63]);
+    });
+
+    it('does not match more children than needed for a slow consumer', async () => {
+        const matches = spyOn(Node, 'matches').and.callThrough();
+        let handled = 0;
+        const results = await stream({ filters: [{ key: 'nr', op: '>=', compare: 0 }] }, {}, () => {
+            // Stop after handling 5 results, slowly
+            return new Promise(resolve => setTimeout(() => resolve(++handled < 5), 10));
+        });
+        expect(results.length).toBe(5);
+        // Only the first batch has been matched
+        expect(matches.calls.count()).toBe(10);
+    });
+
+    it('does not query indexes to choose its strategy', async () => {
+        const index = await db.indexes.create('songs', 'rating');
+        const query = spyOn(index, 'query').and.callThrough();
+        const results = await stream({ filters: [{ key: 'rating', op: '==', compare: 3 }], order: [{ key: 'nr', ascending: false }] });
+        expect(query.calls.count()).toBe(1);
+        expect(results).toEqual([93, 83, 73, 63, 53, 43, 33, 23, 13, 3].map(nr => `songs/song${nr}`));
+    });
+});
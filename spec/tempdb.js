@@ -0,0 +1,60 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { ID } = require('acebase-core');
+const { AceBase, AceBaseStorageSettings } = require('../src');
+
+/**
+ * Creates an AceBase database in a new temporary directory
+ * @param {object} [settings] AceBaseStorageSettings to use
+ * @param {boolean} [open=true] whether to open the database in this process. Use false for databases that
+ * are opened by runInChild first
+ */
+async function createTempDB(settings = {}, open = true) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acebase-spec-'));
+    const name = `test-${ID.generate()}`;
+    const create = () => new AceBase(name, { logLevel: 'error', storage: new AceBaseStorageSettings(Object.assign({ path: dir }, settings)) });
+    const db = open ? create() : null;
+    if (db) { await db.ready(); }
+    return {
+        db,
+        name,
+        dir,
+        /** Full path of the database file */
+        file: path.join(dir, `${name}.acebase`, 'data.db'),
+        /**
+         * Opens the database again. Only use this if it is not opened by any other instance,
+         * eg because it was only used by runInChild until now
+         */
+        async reopen() {
+            const db = create();
+            await db.ready();
+            return db;
+        },
+        /**
+         * Opens the database in a child process to run code in, the database is available as `db`.
+         * The child process exits once the code is done, without closing the database
+         * @param {string} code body of an async function
+         */
+        runInChild(code) {
+            const script = `
+                const { AceBase, AceBaseStorageSettings } = require(${JSON.stringify(path.resolve(__dirname, '../src'))});
+                const db = new AceBase(${JSON.stringify(name)}, { logLevel: 'error', storage: new AceBaseStorageSettings(${JSON.stringify(Object.assign({ path: dir }, settings))}) });
+                db.ready()
+                .then(async () => { ${code} })
+                .then(() => process.exit(0), err => { console.error(err); process.exit(1); });`;
+            return new Promise((resolve, reject) => {
+                execFile(process.execPath, ['-e', script], { timeout: 60000 }, (err, stdout, stderr) => {
+                    if (err) { return reject(new Error(`Child process failed: ${stderr || err.message}`)); }
+                    resolve(stdout);
+                });
+            });
+        },
+        removeDB() {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+module.exports = { createTempDB };
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TransactionLog } = require('../src/transaction-log');
+const { createTempDB } = require('./tempdb');
+
+describe('TransactionLog', () => {
+    const original = Buffer.alloc(64, 'a');
+    const storage = { debug: { warn() {}, error() {} } };
+    let dir, file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'acebase-spec-'));
+        file = path.join(dir, 'data.bin');
+        fs.writeFileSync(file, original);
+    });
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Writes 2 changes in a transaction, then closes the files like a crashed process would
+    async function writeAndCrash(end = false) {
+        const fd = fs.openSync(file, 'r+');
+        const log = new TransactionLog(storage, `${file}.wal`);
+        await log.open(fd);
+        log.begin('tx');
+        await log.write(0, Buffer.from('BBBB'), 0, 4);
+        await log.write(10, Buffer.from('CCCC'), 0, 4);
+        if (end) { await log.end('tx', true); }
+        fs.closeSync(log.fd);
+        fs.closeSync(fd);
+    }
+
+    // Opens the files again, which rolls back incomplete transactions
+    async function reopen() {
+        const fd = fs.openSync(file, 'r+');
+        const log = new TransactionLog(storage, `${file}.wal`);
+        const rolledBack = await log.open(fd);
+        fs.closeSync(log.fd);
+        fs.closeSync(fd);
+        return rolledBack;
+    }
+
+    it('rolls back a partly written transaction', async () => {
+        await writeAndCrash();
+        expect(fs.readFileSync(file)).not.toEqual(original);
+
+        expect(await reopen()).toBe(1);
+        expect(fs.readFileSync(file)).toEqual(original);
+        expect(fs.statSync(`${file}.wal`).size).toBe(0);
+    });
+
+    it('ignores an incomplete last log entry', async () => {
+        await writeAndCrash();
+        // Cut the last entry. The log is flushed before the database file is written to,
+        // so the data of an incomplete entry never reached the file
+        fs.truncateSync(`${file}.wal`, fs.statSync(`${file}.wal`).size - 3);
+        const fd = fs.openSync(file, 'r+');
+        fs.writeSync(fd, original, 10, 4, 10);
+        fs.closeSync(fd);
+
+        expect(await reopen()).toBe(1);
+        expect(fs.readFileSync(file)).toEqual(original);
+    });
+
+    it('keeps committed transactions', async () => {
+        await writeAndCrash(true);
+        expect(fs.statSync(`${file}.wal`).size).toBe(0);
+
+        expect(await reopen()).toBe(0);
+        const data = fs.readFileSync(file);
+        expect(data.toString('utf8', 0, 4)).toBe('BBBB');
+        expect(data.toString('utf8', 10, 14)).toBe('CCCC');
+    });
+
+    it('commits a write outside a transaction before it resolves', async () => {
+        const fd = fs.openSync(file, 'r+');
+        const log = new TransactionLog(storage, `${file}.wal`);
+        await log.open(fd);
+        await log.write(0, Buffer.from('BBBB'), 0, 4);
+        // Nothing is left to roll back if the process would exit now
+        expect(fs.statSync(`${file}.wal`).size).toBe(0);
+        fs.closeSync(log.fd);
+        fs.closeSync(fd);
+
+        expect(await reopen()).toBe(0);
+        expect(fs.readFileSync(file).toString('utf8', 0, 4)).toBe('BBBB');
+    });
+
+    it('rolls back a transaction that fails', async () => {
+        const fd = fs.openSync(file, 'r+');
+        const log = new TransactionLog(storage, `${file}.wal`);
+        await log.open(fd);
+        log.begin('tx');
+        await log.write(0, Buffer.from('BBBB'), 0, 4);
+        const rolledBack = await log.end('tx', false);
+        fs.closeSync(log.fd);
+        fs.closeSync(fd);
+
+        expect(rolledBack).toBe(true);
+        expect(fs.readFileSync(file)).toEqual(original);
+    });
+});
+
+describe('Crash recovery', () => {
+    let tempDB;
+    beforeEach(async () => {
+        tempDB = await createTempDB({}, false);
+    });
+    afterEach(() => {
+        tempDB.removeDB();
+    });
+
+    it('restores the previous value of an update that did not commit', async () => {
+        const items = {};
+        for (let i = 0; i < 100; i++) { items[`item${i}`] = { name: `Item ${i}`, text: 'Some text to fill the records '.repeat(5) }; }
+        await tempDB.runInChild(`
+            await db.ref('items').set(${JSON.stringify(items)});
+            // Crash once all data of the next update is written, before it is committed
+            db.api.storage.txLog.end = () => process.exit(0);
+            await db.ref('items').set({ replaced: true });
+        `);
+        const db = await tempDB.reopen();
+        const snap = await db.ref('items').get();
+        expect(snap.val()).toEqual(items);
+    });
+});
@@ -0,0 +1,65 @@
+const { UniqueConstraintError } = require('../src');
+const { createTempDB } = require('./tempdb');
+
+describe('Unique index', () => {
+    let tempDB, db;
+    beforeEach(async () => {
+        tempDB = await createTempDB();
+        db = tempDB.db;
+        await db.ref('users').set({
+            a: { name: 'Alice', email: 'alice@example.com' },
+            b: { name: 'Bob', email: 'bob@example.com' },
+            c: { name: 'No email' }
+        });
+    });
+    afterEach(() => {
+        tempDB.removeDB();
+    });
+
+    const expectUniqueError = async (promise, value, paths) => {
+        const err = await promise.then(() => null, err => err);
+        expect(err instanceof UniqueConstraintError).toBe(true);
+        expect(err.value).toEqual(value);
+        expect(err.paths).toEqual(paths);
+    };
+
+    it('rejects writes that store a value used by another record', async () => {
+        await db.indexes.create('users', 'email', { unique: true });
+        await expectUniqueError(db.ref('users/d').set({ name: 'Dave', email: 'alice@example.com' }), 'alice@example.com', ['users/a', 'users/d']);
+        await expectUniqueError(db.ref('users/b').update({ email: 'ALICE@example.com' }), 'alice@example.com', ['users/a', 'users/b']);
+
+        // Nothing was written
+        const users = (await db.ref('users').get()).val();
+        expect(users.d).toBeUndefined();
+        expect(users.b.email).toBe('bob@example.com');
+    });
+
+    it('allows writes of unique values and records without a value', async () => {
+        await db.indexes.create('users', 'email', { unique: true });
+        await db.ref('users/d').set({ name: 'Dave', email: 'dave@example.com' });
+        await db.ref('users/e').set({ name: 'Also no email' });
+        // A record can keep its own value, and take a value that was released
+        await db.ref('users/a').update({ name: 'Alice B.' });
+        await db.ref('users/b/email').set('bob@example.org');
+        await db.ref('users/f').set({ name: 'Bob 2', email: 'bob@example.com' });
+        expect((await db.ref('users/f').get()).val().email).toBe('bob@example.com');
+    });
+
+    it('is case sensitive if created with the caseSensitive option', async () => {
+        await db.indexes.create('users', 'email', { unique: true, caseSensitive: true });
+        await db.ref('users/d').set({ name: 'Dave', email: 'ALICE@example.com' });
+        await expectUniqueError(db.ref('users/e').set({ email: 'alice@example.com' }), 'alice@example.com', ['users/a', 'users/e']);
+    });
+
+    it('cannot be created on duplicate values', async () => {
+        await db.ref('users/d').set({ name: 'Dave', email: 'bob@example.com' });
+        const err = await db.indexes.create('users', 'email', { unique: true }).then(() => null, err => err);
+        expect(err instanceof UniqueConstraintError).toBe(true);
+    });
+
+    it('constrains the combined values of a composite index', async () => {
+        await db.indexes.create('users', ['name', 'email'], { unique: true });
+        await db.ref('users/d').set({ name: 'Alice', email: 'alice@example.org' });
+        await expectUniqueError(db.ref('users/e').set({ name: 'Alice', email: 'alice@example.com' }), ['alice', 'alice@example.com'], ['users/a', 'users/e']);
+    });
+});
@@ -53,7 +53,7 @@ class BrowserAceBase extends AceBase {
 
         // We'll create an IndexedDB with name "dbname.acebase"
         const IndexedDB = window.indexedDB || window.mozIndexedDB || window.webkitIndexedDB || window.msIndexedDB; // browser prefixes not really needed, see https://caniuse.com/#feat=indexeddb
-        let request = IndexedDB.open(`${dbname}.acebase`, 1);
+        let request = IndexedDB.open(`${dbname}.acebase`, 2);
 
         let readyResolve, readyReject, readyPromise = new Promise((rs,rj) => { readyResolve = rs; readyReject = rj; });
 
@@ -61,11 +61,17 @@ class BrowserAceBase extends AceBase {
             // create datastore
             let db = request.result;
 
-            // Create "nodes" object store for metadata
-            db.createObjectStore('nodes', { keyPath: 'path'});
+            if (e.oldVersion < 1) {
+                // Create "nodes" object store for metadata
+                db.createObjectStore('nodes', { keyPath: 'path'});
 
-            // Create "content" object store with all data
-            db.createObjectStore('content');
+                // Create "content" object store with all data
+                db.createObjectStore('content');
+            }
+            if (e.oldVersion < 2) {
+                // Create "indexes" object store for index data (added in version 2)
+                db.createObjectStore('indexes');
+            }
         };
 
         let db;
@@ -91,6 +97,32 @@ class BrowserAceBase extends AceBase {
                     db
                 }
                 return new IndexedDBStorageTransaction(context, target);
+            },
+            indexData: {
+                async get(key) {
+                    await readyPromise;
+                    const tx = db.transaction('indexes', 'readonly');
+                    return _requestToPromise(tx.objectStore('indexes').get(key));
+                },
+                async set(key, data) {
+                    await readyPromise;
+                    const tx = db.transaction('indexes', 'readwrite');
+                    // Store a copy, data might be a view on a larger buffer
+                    await _requestToPromise(tx.objectStore('indexes').put(new Uint8Array(data), key));
+                    tx.commit && tx.commit();
+                },
+                async remove(key) {
+                    await readyPromise;
+                    const tx = db.transaction('indexes', 'readwrite');
+                    await _requestToPromise(tx.objectStore('indexes').delete(key));
+                    tx.commit && tx.commit();
+                },
+                async keys(prefix) {
+                    await readyPromise;
+                    const tx = db.transaction('indexes', 'readonly');
+                    const keys = await _requestToPromise(tx.objectStore('indexes').getAllKeys(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+                    return keys || [];
+                }
             }
         });
         return new AceBase(dbname, { logLevel: settings.logLevel, storage: storageSettings });
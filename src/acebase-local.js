@@ -1,6 +1,7 @@
 const { AceBaseBase, AceBaseBaseSettings } = require('acebase-core');
-const { StorageSettings } = require('./storage');
+const { StorageSettings, base64 } = require('./storage');
 const { LocalApi } = require('./api-local');
+const { AceBaseStorage } = require('./storage-acebase');
 const { CustomStorageSettings, CustomStorageTransaction, CustomStorageHelpers } = require('./storage-custom');
 
 class AceBaseLocalSettings extends AceBaseBaseSettings {
@@ -36,6 +37,82 @@ class AceBase extends AceBaseBase {
         });
     }
 
+    /**
+     * Index management. Besides getting and creating indexes, indexes can be deleted, and their statistics and
+     * health checked
+     */
+    get indexes() {
+        return Object.assign(super.indexes, {
+            /**
+             * Deletes the index(es) on key at path, and their files
+             * @param {string} path path to the container node
+             * @param {string|string[]} key indexed key, or array of keys of a composite index
+             * @returns {Promise<DataIndex[]>} the deleted indexes
+             */
+            delete: (path, key) => {
+                return this.api.deleteIndex(path, key);
+            },
+            /**
+             * Gets statistics of all indexes: number of entries and distinct values, file size, tree depth, fill factor and last build time
+             * @returns {Promise<Array<{ index: string, path: string, key: string, type: string, state: string, entries: number, values: number, fileSize: number, depth: number, fillFactor: number, lastBuild: Date|null }>>}
+             */
+            stats: () => {
+                return this.api.getIndexStats();
+            },
+            /**
+             * Verifies indexes by comparing their entries with the actual data. Indexes that drifted can be repaired by rebuilding them
+             * @param {object} [options]
+             * @param {string} [options.path] only verify indexes on this path
+             * @param {boolean} [options.repair=false] whether to rebuild indexes that drifted from the data
+             * @returns {Promise<Array<{ index: string, ok: boolean, entries: number, missing: number, unexpected: number, paths: string[], repaired: boolean }>>}
+             */
+            verify: (options) => {
+                return this.api.verifyIndexes(options);
+            }
+        });
+    }
+
+    /**
+     * Compacts the database file: moves data to free space at the start of the file, makes fragmented
+     * data contiguous and shrinks the file. The database can be used while compacting.
+     * Only supported by the AceBase binary storage engine.
+     * @returns {Promise<{ nodesMoved: number, pagesBefore: number, pagesAfter: number, freeRanges: number }>}
+     */
+    compact() {
+        return this.ready()
+        .then(() => this.api.compact());
+    }
+
+    /**
+     * Creates a consistent point-in-time backup of the database and its indexes. Writes are put on hold
+     * while the files are copied, reads can continue. Only supported by the AceBase binary storage engine.
+     * @param {string} targetPath directory to write the backup to, is created if it does not exist
+     * @param {object} [options]
+     * @param {(progress: { file: string, bytesCopied: number, totalBytes: number }) => void} [options.progress] callback that is called with progress information while copying
+     * @returns {Promise<{ path: string, files: string[], bytes: number }>}
+     */
+    backup(targetPath, options) {
+        return this.ready()
+        .then(() => this.api.backup(targetPath, options));
+    }
+
+    /**
+     * Restores a backup created with db.backup(). Overwrites the current database files, so make sure
+     * the database is not opened while restoring. Only supported by the AceBase binary storage engine.
+     * @param {string} dbname name of the database to restore
+     * @param {string} backupPath directory containing the backup
+     * @param {object} [options]
+     * @param {string} [options.path='.'] path the database files are stored in, same as the storage path setting. Default is '.'
+     * @param {(progress: { file: string, bytesCopied: number, totalBytes: number }) => void} [options.progress] callback that is called with progress information while copying
+     * @returns {Promise<{ path: string, files: string[], bytes: number }>}
+     */
+    static restore(dbname, backupPath, options) {
+        if (!AceBaseStorage || typeof AceBaseStorage.restore !== 'function') {
+            return Promise.reject(new Error(`Restoring backups is not supported in this environment`));
+        }
+        return AceBaseStorage.restore(dbname, backupPath, options);
+    }
+
     /**
      * Creates an AceBase database instance using LocalStorage or SessionStorage as storage engine. When running in non-browser environments, set
      * settings.provider to a custom LocalStorage provider, eg 'node-localstorage'
@@ -54,6 +131,7 @@ class AceBase extends AceBaseBase {
         const localStorage = settings.provider ? settings.provider : settings.temp ? window.localStorage : window.sessionStorage;
 
         // Setup our CustomStorageSettings
+        const indexKeysPrefix = `${dbname}.acebase.indexes::`;
         const storageSettings = new CustomStorageSettings({
             name: 'LocalStorage',
             locking: true,
@@ -61,6 +139,29 @@ class AceBase extends AceBaseBase {
                 // LocalStorage is always ready
                 return Promise.resolve();
             },
+            // Store index data base64 encoded, LocalStorage can only store strings
+            indexData: {
+                get(key) {
+                    const str = localStorage.getItem(`${indexKeysPrefix}${key}`);
+                    return Promise.resolve(str === null ? null : new Uint8Array(base64.decode(str)));
+                },
+                set(key, data) {
+                    localStorage.setItem(`${indexKeysPrefix}${key}`, base64.encode(data));
+                    return Promise.resolve();
+                },
+                remove(key) {
+                    localStorage.removeItem(`${indexKeysPrefix}${key}`);
+                    return Promise.resolve();
+                },
+                keys(prefix) {
+                    const keys = [];
+                    for (let i = 0; i < localStorage.length; i++) {
+                        const key = localStorage.key(i);
+                        if (key.startsWith(indexKeysPrefix + prefix)) { keys.push(key.slice(indexKeysPrefix.length)); }
+                    }
+                    return Promise.resolve(keys);
+                }
+            },
             getTransaction(target) {
                 // Create an instance of our transaction class
                 const context = {
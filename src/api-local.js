@@ -1,11 +1,169 @@
-const { Api } = require('acebase-core');
-const { StorageSettings } = require('./storage');
+const { Api, Transport, PathInfo, Utils } = require('acebase-core');
+const { StorageSettings, isFilterGroup, base64 } = require('./storage');
 const { AceBaseStorage, AceBaseStorageSettings } = require('./storage-acebase');
 const { SQLiteStorage, SQLiteStorageSettings } = require('./storage-sqlite');
 const { MSSQLStorage, MSSQLStorageSettings } = require('./storage-mssql');
 const { CustomStorage, CustomStorageSettings } = require('./storage-custom');
 const { Node } = require('./node');
 const { DataIndex } = require('./data-index');
+const { QueryAggregator } = require('./query-aggregate');
+const { compareValues, encodeString, decodeString } = Utils;
+
+// Operators that can be used to filter on data without an index
+const TABLE_SCAN_OPERATORS = ["<","<=","==","!=",">=",">","like","!like","in","!in","matches","!matches","between","!between","has","!has","contains","!contains","exists","!exists"]; // DISABLED "custom" because it is not fully implemented and only works locally
+
+// Operators that normal indexes can filter on. DataIndex is not loaded if the bundle does not include indexes
+const INDEX_OPERATORS = DataIndex ? DataIndex.validOperators : [];
+
+// Maximum factor the estimated number of results of an index filter can exceed the number of results
+// it has to be chained with. If it is estimated to yield more, checking the data of current results is quicker
+const INDEX_CHAIN_FACTOR = 10;
+
+// Pseudo-key to sort the results of fulltext queries on their relevance score
+const SCORE_KEY = '_score';
+
+/**
+ * Gets the value of a query result to sort on
+ * @param {{ path: string, val?: object, score?: number }} match
+ * @param {string} key
+ */
+function getSortValue(match, key) {
+    if (key === SCORE_KEY) { return match.score; }
+    return match.val ? match.val[key] : undefined;
+}
+
+/**
+ * Creates an opaque cursor that encodes the position of a query result: its values of the sort keys and its path
+ * @param {Array<{ key: string, ascending: boolean }>} order
+ * @param {{ path: string, val?: object }} match
+ * @returns {string}
+ */
+function encodeCursor(order, match) {
+    const values = order.map(o => getSortValue(match, o.key));
+    const json = JSON.stringify(Transport.serialize2({ values, path: match.path }));
+    return base64.encode(encodeString(json));
+}
+
+/**
+ * Decodes a cursor created with encodeCursor
+ * @param {Array<{ key: string, ascending: boolean }>} order
+ * @param {string} cursor
+ * @returns {{ values: any[], path: string }}
+ */
+function decodeCursor(order, cursor) {
+    let position = null;
+    try {
+        position = Transport.deserialize2(JSON.parse(decodeString(new Uint8Array(base64.decode(cursor)))));
+    }
+    catch(err) {
+        // Handled below
+    }
+    if (!position || typeof position.path !== 'string' || !(position.values instanceof Array) || position.values.length !== order.length) {
+        throw new Error(`Invalid query cursor "${cursor}". Cursors can only be used with queries that have the same sort order`);
+    }
+    return position;
+}
+
+/**
+ * Parses the select option of a query: a list of relative paths to return the values of, or an object with
+ * keys to return and the relative paths to get their values from. eg: ['name', 'address/city'] or { name: 'name', town: 'address/city' }
+ * @param {string[]|{ [key: string]: string }} select
+ * @returns {Array<{ key: string, path: string }>}
+ */
+function parseSelect(select) {
+    const selection = select instanceof Array
+        ? select.map(path => ({ key: typeof path === 'string' ? String(PathInfo.get(path).key) : null, path }))
+        : typeof select === 'object' && select !== null
+        ? Object.keys(select).map(key => ({ key, path: select[key] }))
+        : [];
+    if (selection.length === 0 || selection.some(s => typeof s.path !== 'string' || s.path.length === 0)) {
+        throw new Error(`select must be an array of relative paths, or an object with keys and the relative paths to get their values from`);
+    }
+    const duplicate = selection.find((s, i) => selection.findIndex(other => other.key === s.key) !== i);
+    if (duplicate) {
+        throw new Error(`Cannot select multiple values as "${duplicate.key}", use an object to name them, eg: { key: 'relative/path' }`);
+    }
+    return selection;
+}
+
+/**
+ * Gets the keys to load to get the selected values. Nested paths can't be loaded partially, their top level keys are loaded
+ * @param {Array<{ key: string, path: string }>} selection
+ * @returns {string[]}
+ */
+function selectionKeys(selection) {
+    return selection
+        .map(s => String(PathInfo.getPathKeys(s.path)[0]))
+        .filter((key, i, keys) => keys.indexOf(key) === i);
+}
+
+/**
+ * Creates a flat object with the selected values
+ * @param {Array<{ key: string, path: string }>} selection
+ * @param {object} val loaded value, or values known from index metadata
+ * @returns {object}
+ */
+function selectValues(selection, val) {
+    const result = {};
+    selection.forEach(s => {
+        const value = s.path in val
+            ? val[s.path] // Indexed key or metadata
+            : PathInfo.getPathKeys(s.path).reduce((val, key) => typeof val === 'object' && val !== null ? val[key] : undefined, val);
+        if (typeof value !== 'undefined') {
+            result[s.key] = value;
+        }
+    });
+    return result;
+}
+
+/**
+ * Checks if all values matching a filter also match another filter on the same key. Used to determine if a partial
+ * index can be used for a query: the query's filters must imply the index filter
+ * @param {(val: any, op: string, compare: any) => boolean} test function that tests a value, see Storage.test
+ * @param {{ key: string, op: string, compare: any }} f
+ * @param {{ key: string, op: string, compare: any }} g
+ * @returns {boolean}
+ */
+function filterImplies(test, f, g) {
+    if (f.key !== g.key) { return false; }
+    if (f.op === g.op && compareValues(f.compare, g.compare) === 'identical') { return true; }
+    const isValue = val => typeof val !== 'undefined' && val !== null;
+    if (f.op === '==' || f.op === 'in') {
+        // All matching values are known, check them
+        const values = f.op === 'in' ? f.compare : [f.compare];
+        return values.every(val => isValue(val) && test(val, g.op, g.compare));
+    }
+    if (g.op === 'exists') {
+        // Only missing values match negated filters
+        return ['<','<=','>','>=','between','like','matches','has','contains','exists'].includes(f.op);
+    }
+    if (g.op === '!=' || g.op === '!in') {
+        // Values excluded by the other filter must not match this one
+        const values = g.op === '!in' ? g.compare : [g.compare];
+        return !['!=','!in','!between','!like','!matches','!has','!contains','!exists'].includes(f.op)
+            && values.every(val => isValue(val) && !test(val, f.op, f.compare));
+    }
+    const range = filter => {
+        switch (filter.op) {
+            case '>': return { lower: { value: filter.compare, inclusive: false } };
+            case '>=': return { lower: { value: filter.compare, inclusive: true } };
+            case '<': return { upper: { value: filter.compare, inclusive: false } };
+            case '<=': return { upper: { value: filter.compare, inclusive: true } };
+            case 'between': return { lower: { value: filter.compare[0], inclusive: true }, upper: { value: filter.compare[1], inclusive: true } };
+            default: return null;
+        }
+    };
+    const fRange = range(f), gRange = range(g);
+    if (!fRange || !gRange) { return false; }
+    const comparable = (a, b) => a instanceof Date ? b instanceof Date : typeof a === typeof b && !(b instanceof Date);
+    const within = (bound, limit, lower) => {
+        if (!limit) { return true; }
+        if (!bound || !comparable(bound.value, limit.value)) { return false; }
+        if (bound.value.valueOf() === limit.value.valueOf()) { return limit.inclusive || !bound.inclusive; }
+        return lower ? bound.value > limit.value : bound.value < limit.value;
+    };
+    return within(fRange.lower, gRange.lower, true) && within(fRange.upper, gRange.upper, false);
+}
 
 class LocalApi extends Api {
     // All api methods for local database instance
@@ -75,82 +233,94 @@ class LocalApi extends Api {
         return Node.exists(this.storage, path);
     }
 
-    query2(path, query, options = { snapshots: false, include: undefined, exclude: undefined, child_objects: undefined }) {
-        /*
-        
-        Now that we're using indexes to filter data and order upon, each query requires a different strategy
-        to get the results the quickest.
-
-        So, we'll analyze the query first, build a strategy and then execute the strategy
-
-        Analyze stage:
-        - what path is being queried (wildcard path or single parent)
-        - which indexes are available for the path
-        - which indexes can be used for filtering
-        - which indexes can be used for sorting
-        - is take/skip used to limit the result set
-        
-        Strategy stage:
-        - chain index filtering
-        - ....
-
-        TODO!
-        */
-    }
-
     /**
-     * 
-     * @param {string} path 
-     * @param {object} query 
-     * @param {Array<{ key: string, op: string, compare: any}>} query.filters
-     * @param {number} query.skip number of results to skip, useful for paging
-     * @param {number} query.take max number of results to return
-     * @param {Array<{ key: string, ascending: boolean }>} query.order
-     * @param {object} [options]
-     * @param {boolean} [options.snapshots=false] whether to return matching data, or paths to matching nodes only
-     * @param {string[]} [options.include] when using snapshots, keys or relative paths to include in result data
-     * @param {string[]} [options.exclude] when using snapshots, keys or relative paths to exclude from result data
-     * @param {boolean} [options.child_objects] when using snapshots, whether to include child objects in result data
-     * @param {(event: { name: string, [key]: any }) => void} [options.eventHandler]
-     * @param {object} [options.monitor] NEW (BETA) monitor changes
-     * @param {boolean} [options.monitor.add=false] monitor new matches (either because they were added, or changed and now match the query)
-     * @param {boolean} [options.monitor.change=false] monitor changed children that still match this query
-     * @param {boolean} [options.monitor.remove=false] monitor children that don't match this query anymore
-     * @ param {(event:string, path: string, value?: any) => boolean} [options.monitor.callback] NEW (BETA) callback with subscription to enable monitoring of new matches
-     * @returns {Promise<object[]|string[]>} returns a promise that resolves with matching data or paths
+     * Executes a query using the quickest strategy to get its results. Each query is analyzed first, then a
+     * strategy is built and executed:
+     *
+     * Analyze stage:
+     * - what path is being queried (wildcard path or single parent)
+     * - which indexes are available for the path, which can be used for filtering and which for sorting. Partial indexes
+     *   are only available if the query's filters imply their filter
+     * - how many results each indexed filter is estimated to yield (its selectivity)
+     *
+     * Strategy stage:
+     * - if take is used and all filters can be checked on the entries of an index on the sort key,
+     *   sorted results are taken straight from that index
+     * - otherwise, indexed filters are chained: the most selective filter runs first, others are applied to its
+     *   results. Filters on keys included in a used index are checked on the index metadata, indexed filters that
+     *   are estimated to yield many more results than the current ones are checked on the data instead
+     * - filters without an index are checked on the indexed results, or on all children if no index can be used
+     *
+     * When options.explain is used, the index filters are executed to get their stats, but no table scans are
+     * performed and no data is loaded. The plan is returned instead of the results. When options.strategyOnly is used,
+     * the plan is returned without querying or counting any index, so it has no estimates, results or stats.
+     *
+     * When options.after or options.before is used, a page of results positioned after or before a cursor is taken.
+     * Taking from a sort index seeks to the position of the cursor directly. The page is returned with cursors to the
+     * previous and next pages.
+     *
+     * Results of "fulltext:contains" and "fulltext:fuzzy" filters have a relevance score, results matching multiple of those filters get the sum
+     * of their scores. Results can be sorted on it with the "_score" pseudo-key. Results of "fulltext:fuzzy" filters also have the
+     * indexed words that matched each queried word.
+     *
+     * @typedef {{ key: string, op: string, compare: any }} QueryPlanFilter
+     * @typedef {{ type: string, duration: number, result: any, steps: QueryPlanStats[] }} QueryPlanStats
+     * @typedef {object} QueryPlan
+     * @property {string} path
+     * @property {boolean} wildcard whether the queried path contains wildcards
+     * @property {'sort_index'|'index_filter'|'table_scan'} strategy
+     * @property {Array<{ index: string, filter: QueryPlanFilter, metadataFilters: QueryPlanFilter[], coveredFilters: QueryPlanFilter[], estimate: number|null, status: 'queried'|'table_scan'|'skipped', results: number|null, stats: QueryPlanStats|null }>} indexFilters
+     * index filters in order of execution, with their estimated number of results. Filters on keys included in the index are
+     * checked on its metadata, filters implied by the filter of a partial index need no checking. If an index filter is estimated to yield many more results than the previous ones, its status
+     * is 'table_scan'. If there were no results left to filter, it is 'skipped'
+     * @property {{ index: string, filters: QueryPlanFilter[], results: number, stats: QueryPlanStats }} sortIndex index sorted results are taken from, if the strategy is 'sort_index'
+     * @property {QueryPlanFilter[]} tableScanFilters filters that are checked on the data, of indexed results or all children
+     * @property {Array<{ key: string, ascending: boolean }>} order
+     * @property {'sort_index'|'index_metadata'|'load_data'|null} sort how results are sorted: taken in order from an index, sorted on
+     * values known from the used indexes, or sorted after loading the values
+     * @property {'index_metadata'|'load_data'|null} snapshots how the values of results are retrieved if snapshots are requested:
+     * from the metadata of the used indexes, or by loading the data
+     * @property {number} skip
+     * @property {number} take
+     *
+     * @param {string} path
+     * @param {object} query see query
+     * @param {object} [options] see query
+     * @returns {Promise<object[]|string[]|QueryPlan>} returns a promise that resolves with matching data or paths, or the query plan
      */
-    query(path, query, options = { snapshots: false, include: undefined, exclude: undefined, child_objects: undefined, eventHandler: event => {} }) {
-        if (typeof options !== "object") { options = {}; }
-        if (typeof options.snapshots === "undefined") { options.snapshots = false; }
-        
+    query2(path, query, options = { snapshots: false, include: undefined, exclude: undefined, child_objects: undefined, eventHandler: event => {} }) {
+
+        const compareMatches = (a, b) => {
+            // Missing values are sorted first, Dates are compared by their time
+            const comparable = val => val === null || typeof val === 'undefined' ? undefined : val instanceof Date ? val.getTime() : val;
+            for (let i = 0; i < query.order.length; i++) {
+                const o = query.order[i];
+                let left = comparable(getSortValue(a, o.key));
+                let right = comparable(getSortValue(b, o.key));
+                // if (typeof left !== typeof right) {
+                //     // Wow. Using 2 different types in your data, AND sorting on it.
+                //     // compare the types instead of their values ;-)
+                //     left = typeof left;
+                //     right = typeof right;
+                // }
+                if (typeof left === 'undefined' && typeof right !== 'undefined') { return o.ascending ? -1 : 1; }
+                if (typeof left !== 'undefined' && typeof right === 'undefined') { return o.ascending ? 1 : -1; }
+                if (left < right) { return o.ascending ? -1 : 1; }
+                if (left > right) { return o.ascending ? 1 : -1; }
+            }
+            // Sort by path if property values are equal, in the direction of the last sort
+            if (a.path === b.path) { return 0; }
+            const ascending = query.order.length === 0 || query.order[query.order.length - 1].ascending;
+            return (a.path < b.path) === ascending ? -1 : 1;
+        };
         const sortMatches = (matches) => {
-            matches.sort((a,b) => {
-                const compare = (i) => {
-                    const o = query.order[i];
-                    let left = a.val[o.key];
-                    let right = b.val[o.key];
-                    // if (typeof left !== typeof right) {
-                    //     // Wow. Using 2 different types in your data, AND sorting on it. 
-                    //     // compare the types instead of their values ;-)
-                    //     left = typeof left;
-                    //     right = typeof right;
-                    // }
-                    if (typeof left === 'undefined' && typeof right !== 'undefined') { return o.ascending ? -1 : 1; }
-                    if (typeof left !== 'undefined' && typeof right === 'undefined') { return o.ascending ? 1 : -1; }
-                    if (typeof left === 'undefined' && typeof right === 'undefined') { return 0; }
-                    if (left == right) {
-                        if (i < query.order.length - 1) { return compare(i+1); }
-                        else { return a.path < b.path ? -1 : 1; } // Sort by path if property values are equal
-                    }
-                    else if (left < right) {
-                        return o.ascending ? -1 : 1;
-                    }
-                    else if (left > right) {
-                        return o.ascending ? 1 : -1;
-                    }
-                };
-                return compare(0);
-            });
+            matches.sort(compareMatches);
+        };
+        const isPageMatch = (match) => {
+            // Checks if a match is positioned after the cursor (or before, when paging backwards)
+            if (!paging || cursor.position === null) { return true; }
+            const compare = compareMatches(match, cursor.match);
+            return cursor.backwards ? compare < 0 : compare > 0;
         };
         const loadResultsData = (preResults, options) => {
             // Limit the amount of concurrent getValue calls by batching them
@@ -171,24 +341,32 @@ class LocalApi extends Api {
                     const { path, index } = item;
                     return Node.getValue(this.storage, path, options)
                     .then(val => {
-                        if (val === null) { 
+                        if (val === null) {
                             // Record was deleted, but index isn't updated yet?
                             this.storage.debug.warn(`Indexed result "/${path}" does not have a record!`);
                             // TODO: let index rebuild
-                            return; 
+                            return;
                         }
-                        
+
                         const result = { path, val };
+                        const { score, terms, highlighters } = preResults[index];
+                        typeof score === 'number' && (result.score = score);
+                        terms && (result.terms = terms);
+                        highlighters && (result.highlighters = highlighters);
                         if (stepsExecuted.sorted) {
                             // Put the result in the same index as the preResult was
                             results[index] = result;
                         }
                         else {
+                            if (!stepsExecuted.paged && !isPageMatch(result)) {
+                                // Not on the requested page
+                                return;
+                            }
                             results.push(result);
                             if (!stepsExecuted.skipped && results.length > query.skip + Math.abs(query.take)) {
-                                // we can toss a value! sort, toss last one 
+                                // we can toss a value! sort, toss last one
                                 sortMatches(results);
-                                if (query.take < 0) { 
+                                if (query.take < 0) {
                                     results.shift(); // toss first value
                                 }
                                 else {
@@ -199,289 +377,727 @@ class LocalApi extends Api {
                     });
                 }))
                 .then(() => {
-                    if (batches.length > 0) { 
-                        return nextBatch(); 
+                    if (batches.length > 0) {
+                        return nextBatch();
                     }
                 });
             };
             return nextBatch()
             .then(() => {
-                // Got all values
-                return results;
-            });                
+                // Got all values (remove gaps left by deleted records)
+                return results.filter(result => typeof result !== 'undefined');
+            });
         };
-
-        const isWildcardPath = path.includes('*');
-
-        const availableIndexes = this.storage.indexes.get(path);
-        const usingIndexes = [];
-
-        // Check if there are path specific indexes
-        // eg: index on "users/$uid/posts", key "$uid", including "title" (or key "title", including "$uid")
-        // Which are very useful for queries on "users/98sdfkb37/posts" with filter or sort on "title"
-        // const indexesOnPath = availableIndexes
-        //     .map(index => {
-        //         if (!index.path.includes('$')) { return null; }
-        //         const pattern = '^' + index.path.replace(/(\$[a-z0-9_]+)/gi, (match, name) => `(?<${name}>[a-z0-9_]+|\\*)`) + '$';
-        //         const re = new RegExp(pattern, 'i');
-        //         const match = path.match(re);
-        //         const canBeUsed = index.key[0] === '$' 
-        //             ? match.groups[index.key] !== '*' // Index key value MUST be present in the path
-        //             : null !== query.filters.find(filter => filter.key === index.key); // Index key MUST be in a filter
-        //         if (!canBeUsed) { return null; }
-        //         return {
-        //             index,
-        //             wildcards: match.groups, // eg: { "$uid": "98sdfkb37" }
-        //             filters: Object.keys(match.groups).filter(name => match.groups[name] !== '*').length
-        //         }
-        //     })
-        //     .filter(info => info !== null)
-        //     .sort((a, b) => {
-        //         a.filters > b.filters ? -1 : 1
-        //     });
-
-        // TODO:
-        // if (query.filters.length === 0 && indexesOnPath.length > 0) {
-        //     query.filters = query.filters.concat({ key: })
-        //     usingIndexes.push({ index: filter.index, description: filter.index.description});
-        // }
-
-        query.filters.forEach(filter => {
-            if (filter.index) {  
-                // Index has been assigned already
-                return; 
-            }
-
-            // // Check if there are path indexes we can use
-            // const pathIndexesWithKey = DataIndex.validOperators.includes(filter.op) 
-            //     ? indexesOnPath.filter(info => info.index.key === filter.key || info.index.includeKeys.includes(filter.key))
-            //     : [];
-
-            // Check if there are indexes on this filter key
-            const indexesOnKey = availableIndexes
-                .filter(index => index.key === filter.key)
-                .filter(index => {
-                    return index.validOperators.includes(filter.op);
+        const matchResults = (preResults, filters) => {
+            // Checks filters on the data of (indexed) results, limits the amount of concurrent checks by batching them
+            const maxBatchSize = 50;
+            const items = preResults.slice();
+            const results = [];
+            const nextBatch = () => {
+                if (items.length === 0) {
+                    return Promise.resolve(results);
+                }
+                const batch = items.splice(0, maxBatchSize);
+                return Promise.all(batch.map(result => Node.matches(this.storage, result.path, filters)))
+                .then(matches => {
+                    matches.forEach((isMatch, i) => isMatch && results.push(batch[i]));
+                    return nextBatch();
                 });
+            };
+            return nextBatch();
+        };
+        const planFilter = f => isFilterGroup(f) ? { op: f.op, compare: f.compare.map(planFilter) } : { key: f.key, op: f.op, compare: f.compare };
+        const statsInfo = stats => stats && { type: stats.type, duration: stats.duration, result: stats.result, steps: stats.steps.map(statsInfo) };
+        const emitIndexStats = (type, index, results) => {
+            options.eventHandler && options.eventHandler({ name: 'stats', type, source: index.description, stats: results.stats });
+            if (results.hints.length > 0) {
+                options.eventHandler && options.eventHandler({ name: 'hints', type, source: index.description, hints: results.hints });
+            }
+        };
 
-            if (indexesOnKey.length >= 1) {
-                // If there are multiple indexes on 1 key (happens when index includes other keys), 
-                // we should check other .filters and .order to determine the best one to use
-                // TODO: Create a good strategy here...
-                const otherFilterKeys = query.filters.filter(f => f !== filter).map(f => f.key);
-                const sortKeys = query.order.map(o => o.key).filter(key => key !== filter.key);
-                const beneficialIndexes = indexesOnKey.map(index => {
-                    const availableKeys = index.includeKeys.concat(index.key);
-                    const forOtherFilters = availableKeys.filter(key => otherFilterKeys.indexOf(key) >= 0);
-                    const forSorting = availableKeys.filter(key => sortKeys.indexOf(key) >= 0);
-                    const forBoth = forOtherFilters.concat(forSorting.filter(index => forOtherFilters.indexOf(index) < 0));
-                    const points = {
-                        filters: forOtherFilters.length,
-                        sorting: forSorting.length * (query.take !== 0 ? forSorting.length : 1),
-                        both: forBoth.length * forBoth.length,
-                        get total() {
-                            return this.filters + this.sorting + this.both;
-                        }
-                    }
-                    return { index, points: points.total, filterKeys: forOtherFilters, sortKeys: forSorting };
+        const indexResults = (index, filter, metadataFilters = []) => {
+            // Queries an index, executes filters that can be checked on the metadata of its results
+            // Results of fulltext filters are highlighted once the results to return are known
+            const highlighter = options.snapshots && options.highlight && index.type === 'fulltext' && filter.op !== 'fulltext:!contains'
+                ? { index, filter }
+                : null;
+            const queryPromise = index.type === 'fulltext' && !scoreResults
+                ? index.query(filter.op, filter.compare, { score: false, minimumWildcardWordLength: 2 })
+                : index.query(filter.op, filter.compare);
+            return queryPromise
+            .then(results => {
+                emitIndexStats('index_query', index, results);
+                const stats = results.stats;
+                metadataFilters.forEach(filter => {
+                    results = results.filterMetadata(filter.key, filter.op, filter.compare);
                 });
-                // Use index with the most points
-                beneficialIndexes.sort((a,b) => a.points > b.points ? -1 : 1);
-                const bestBenificialIndex = beneficialIndexes[0];
-                
-                // Assign to this filter
-                filter.index = bestBenificialIndex.index;
-
-                // Assign to other filters and sorts
-                bestBenificialIndex.filterKeys.forEach(key => {
-                    query.filters.filter(f => f !== filter && f.key === key).forEach(f => {
-                        if (!DataIndex.validOperators.includes(f.op)) {
-                            // The used operator for this filter is invalid for use on metadata
-                            // Probably because it is an Array/Fulltext/Geo query operator
-                            return;
-                        }
-                        f.indexUsage = 'filter';
-                        f.index = bestBenificialIndex.index;
-                    });
+                results = results.map(match => {
+                    const result = { key: match.key, path: match.path, val: { [results.filterKey]: match.value } };
+                    match.metadata && Object.assign(result.val, match.metadata);
+                    typeof match.score === 'number' && (result.score = match.score);
+                    match.terms && (result.terms = match.terms);
+                    highlighter && (result.highlighters = [highlighter]);
+                    return result;
+                });
+                return { results, stats };
+            });
+        };
+        const compositeResults = (index, filters, options) => {
+            // Queries a composite index with filters on its keys and metadata
+            return index.find(filters, options)
+            .then(results => {
+                emitIndexStats('index_query', index, results);
+                const stats = results.stats;
+                results = results.map(match => {
+                    const result = { key: match.key, path: match.path, val: {} };
+                    index.keys.forEach((key, i) => result.val[key] = match.value[i]);
+                    match.metadata && Object.assign(result.val, match.metadata);
+                    return result;
                 });
-                bestBenificialIndex.sortKeys.forEach(key => {
-                    query.order.filter(s => s.key === key).forEach(s => {
-                        s.index = bestBenificialIndex.index;
+                return { results, stats };
+            });
+        };
+        const addScore = (result, match) => {
+            // Results matching multiple fulltext filters get the sum of their scores, the matched words of all fuzzy filters,
+            // and are highlighted for each filter
+            match.terms && (result.terms = Object.assign(result.terms || {}, match.terms));
+            match.highlighters && (result.highlighters = (result.highlighters || []).concat(match.highlighters));
+            if (typeof match.score !== 'number') { return; }
+            result.score = (typeof result.score === 'number' ? result.score : 0) + match.score;
+        };
+        const highlightResults = (results) => {
+            // Adds snippets of the texts of the results to return, the texts of other matches are never loaded
+            const settings = typeof options.highlight === 'object' ? options.highlight : {};
+            const highlighters = results.reduce((highlighters, result) => {
+                result.highlighters && result.highlighters.forEach(highlighter => !highlighters.includes(highlighter) && highlighters.push(highlighter));
+                return highlighters;
+            }, []);
+            const snippets = new Map(); // snippets of each highlighted result, in the order of its highlighters
+            return Promise.all(highlighters.map(highlighter => {
+                const highlighted = results.filter(result => result.highlighters && result.highlighters.includes(highlighter));
+                return highlighter.index.highlight(highlighter.filter.compare, highlighted, settings)
+                .then(texts => {
+                    highlighted.forEach((result, i) => {
+                        if (!snippets.has(result)) { snippets.set(result, new Map()); }
+                        snippets.get(result).set(highlighter, texts[i]);
                     });
                 });
+            }))
+            .then(() => {
+                results.forEach(result => {
+                    if (!result.highlighters) { return; }
+                    const texts = result.highlighters.map(highlighter => snippets.get(result).get(highlighter)).filter(text => typeof text === 'string');
+                    texts.length > 0 && (result.highlight = texts.join('\n'));
+                    delete result.highlighters;
+                });
+            });
+        };
+        const intersectResults = (results, otherResults) => {
+            // Only keep results that are also in the other result set
+            const matches = new Map();
+            otherResults.forEach(match => matches.set(match.path, match));
+            return results.filter(result => {
+                const match = matches.get(result.path);
+                if (!match) { return false; }
+                Object.assign(result.val, match.val);
+                addScore(result, match);
+                return true;
+            });
+        };
+        const unionResults = (group) => {
+            // Executes an 'or' group using indexes: merges the results of all its filters
+            const groupResults = (filter) => {
+                if (isFilterGroup(filter) && filter.op === 'or') {
+                    return unionResults(filter).then(({ results }) => results);
+                }
+                if (!isFilterGroup(filter)) {
+                    return indexResults(filter.index, filter).then(({ results }) => results);
+                }
+                // 'and' group: intersect the results of filters that can use indexes, check the others on the data
+                const indexed = filter.compare.filter(canUseIndexes);
+                const others = filter.compare.filter(f => !indexed.includes(f));
+                const next = (i, results) => {
+                    if (i === indexed.length || (results !== null && results.length === 0)) {
+                        return Promise.resolve(results);
+                    }
+                    return groupResults(indexed[i])
+                    .then(groupResults => next(i + 1, results === null ? groupResults : intersectResults(results, groupResults)));
+                };
+                return next(0, null)
+                .then(results => others.length === 0 || results.length === 0 ? results : matchResults(results, others));
+            };
+            return Promise.all(group.compare.map(groupResults))
+            .then(resultSets => {
+                const merged = new Map();
+                resultSets.forEach(results => results.forEach(result => {
+                    const existing = merged.get(result.path);
+                    if (existing) { 
+                        Object.assign(existing.val, result.val); 
+                        addScore(existing, result);
+                    }
+                    else { merged.set(result.path, result); }
+                }));
+                return { results: [...merged.values()], stats: null };
+            });
+        };
+        const describeIndexes = (step) => {
+            if (step.index) { return step.index.description; }
+            const descriptions = [];
+            const add = filter => isFilterGroup(filter)
+                ? filter.compare.forEach(add)
+                : filter.index && !descriptions.includes(filter.index.description) && descriptions.push(filter.index.description);
+            add(step.filter);
+            return `(${descriptions.join(' | ')})`;
+        };
+
+        const indexValueKeys = (index) => {
+            // Keys an index stores the actual values of. Case insensitive indexes store lowercased strings
+            if (!index.caseSensitive) { return []; }
+            return index.type === 'normal' ? index.includeKeys.concat(index.key)
+                : index.type === 'composite' ? index.includeKeys.concat(index.keys)
+                : index.includeKeys;
+        };
+        const isIncludeCovered = (valueKeys) => {
+            // Snapshots can be built from index values if only top level keys known by the index are included
+            return options.include instanceof Array && options.include.length > 0
+                && !(options.exclude instanceof Array && options.exclude.length > 0)
+                && options.include.every(key => typeof key === 'string' && valueKeys.includes(key));
+        };
+        const isDataCovered = (valueKeys) => {
+            return selection ? selection.every(s => valueKeys.includes(s.path)) : isIncludeCovered(valueKeys);
+        };
+
+        // Analyze stage
+
+        // Work on a copy of the query, the caller might reuse it (eg to get the next page with a cursor)
+        query = Object.assign({}, query, { filters: query.filters.slice(), order: query.order.slice() });
+
+        // Check if a page of results has to be taken after (or before) the position of a cursor
+        const paging = typeof options.after !== 'undefined' || typeof options.before !== 'undefined';
+        let cursor = null;
+        const pageSize = query.take;
+        if (paging) {
+            if (typeof options.after !== 'undefined' && typeof options.before !== 'undefined') {
+                return Promise.reject(new Error(`Cannot use both after and before cursors in a query`));
             }
-            if (filter.index) {
-                usingIndexes.push({ index: filter.index, description: filter.index.description});
+            if (!(query.take > 0)) {
+                return Promise.reject(new Error(`Queries using cursors must take a positive number of results`));
             }
-        });
+            const backwards = typeof options.before !== 'undefined';
+            const value = backwards ? options.before : options.after;
+            let position = null;
+            try {
+                position = value === null ? null : decodeCursor(query.order, value);
+            }
+            catch(err) {
+                return Promise.reject(err);
+            }
+            const match = position && { path: position.path, val: {} };
+            position && query.order.forEach((o, i) => {
+                if (o.key === SCORE_KEY) { match.score = position.values[i]; }
+                else { match.val[o.key] = position.values[i]; }
+            });
+            cursor = { backwards, position, match };
+            // Take 1 more result to find out if there are more pages, take the last results before the cursor when paging backwards
+            query.take = backwards ? -(pageSize + 1) : pageSize + 1;
+            if (options.snapshots) {
+                // Make sure the sort keys are loaded, they are needed to create the cursors
+                const sortKeys = query.order.map(o => o.key);
+                options = Object.assign({}, options, {
+                    include: options.include instanceof Array ? options.include.concat(sortKeys.filter(key => !options.include.includes(key))) : options.include,
+                    exclude: options.exclude instanceof Array ? options.exclude.filter(key => !sortKeys.includes(key)) : options.exclude
+                });
+            }
+        }
 
-        if (query.order.length > 0 && query.take !== 0) {
-            query.order.forEach(sort => {
-                if (sort.index) {
-                    // Index has been assigned already
-                    return;
-                }
-                sort.index = availableIndexes
-                    .filter(index => index.key === sort.key)
-                    .find(index => index.type === 'normal');
+        // 'and' groups in the top level filters have to match just like the other filters, flatten them
+        const flatten = filters => filters.reduce((all, f) => all.concat(isFilterGroup(f) && f.op === 'and' ? flatten(f.compare) : f), []);
+        query.filters = flatten(query.filters);
 
-                // if (sort.index) {
-                //     usingIndexes.push({ index: sort.index, description: `${sort.index.description} (for sorting)`});
-                // }
-            });
+        const isWildcardPath = path.includes('*');
+        const sortKeys = query.order.map(o => o.key);
+
+        // Results can only be sorted on their relevance score if a fulltext index is queried
+        const isScoredFilter = f => isFilterGroup(f) ? f.compare.some(isScoredFilter) : ['fulltext:contains', 'fulltext:fuzzy'].includes(f.op);
+        if (sortKeys.includes(SCORE_KEY) && !query.filters.some(isScoredFilter)) {
+            return Promise.reject(new Error(`Cannot sort query results on "${SCORE_KEY}" on path "${path}": it is only available for queries with a "fulltext:contains" or "fulltext:fuzzy" filter`));
         }
+        // Only calculate relevance scores if they are sorted on or returned
+        const scoreResults = sortKeys.includes(SCORE_KEY) || options.snapshots === true;
+
+        // Partial indexes can only be used if the query's filters imply their filter, all their entries
+        // then match the query filters they cover
+        const test = (val, op, compare) => this.storage.test(val, op, compare);
+        const availableIndexes = this.storage.indexes.get(path)
+            .filter(index => index.filter.every(g => query.filters.some(f => !isFilterGroup(f) && filterImplies(test, f, g))))
+            .filter(index => index.type !== 'computed' || index.compute !== null);
+        // Computed keys are virtual keys that only exist in their index, they cannot be checked on the data
+        const computedKeys = this.storage.indexes.get(path).filter(index => index.type === 'computed').map(index => index.key);
+        const isCoveredFilter = (index, f) => !isFilterGroup(f) && index.filter.some(g => filterImplies(test, g, f));
+
+        const getIndex = filter => availableIndexes.find(index => index.key === filter.key && index.validOperators.includes(filter.op));
+        const canUseIndexes = filter => {
+            // An 'or' group can be executed using indexes if all its filters can, an 'and' group needs at least 1 filter that can
+            if (!isFilterGroup(filter)) { return typeof getIndex(filter) !== 'undefined'; }
+            if (filter.op === 'or') { return filter.compare.length > 0 && filter.compare.every(canUseIndexes); }
+            return filter.compare.some(canUseIndexes);
+        };
+        const canCheckData = filter => {
+            // Filters can be checked on the data if they (and all filters in a group) use table scan operators
+            if (!isFilterGroup(filter)) { return TABLE_SCAN_OPERATORS.includes(filter.op) && !computedKeys.includes(filter.key); }
+            return filter.compare.every(canCheckData);
+        };
 
-        // const usingIndexes = query.filters.map(filter => filter.index).filter(index => index);
-        const indexDescriptions = usingIndexes.map(index => index.description).join(', ');
-        usingIndexes.length > 0 && this.storage.debug.log(`Using indexes for query: ${indexDescriptions}`);
+        // Determine what indexes can be used for each filter. If there are multiple indexes on 1 key (happens when
+        // an index includes other keys), prefer the one that includes most keys of other filters and sorts
+        const filterInfo = query.filters.map(filter => {
+            if (isFilterGroup(filter)) {
+                return { filter, indexes: [], union: canUseIndexes(filter), estimate: null };
+            }
+            const otherFilterKeys = query.filters.filter(f => f !== filter).map(f => f.key);
+            const usefulKeys = index => index.includeKeys.filter(key => otherFilterKeys.includes(key) || sortKeys.includes(key)).length
+                + query.filters.filter(f => isCoveredFilter(index, f)).length;
+            const indexes = availableIndexes
+                .filter(index => index.key === filter.key && index.validOperators.includes(filter.op))
+                .sort((a, b) => usefulKeys(b) - usefulKeys(a));
+            return { filter, indexes, union: false, estimate: null };
+        });
 
-        // Filters that should run on all nodes after indexed results:
-        const tableScanFilters = query.filters.filter(filter => !filter.index);
+        // Check filter groups: filters that are not executed using indexes must be checked on the data
+        const checkGroup = (group, usingIndexes) => {
+            for (let i = 0; i < group.compare.length; i++) {
+                const f = group.compare[i];
+                const useIndex = usingIndexes && (group.op === 'or' || canUseIndexes(f));
+                if (isFilterGroup(f)) {
+                    const err = checkGroup(f, useIndex);
+                    if (err) { return err; }
+                    continue;
+                }
+                f.index = getIndex(f);
+                if (!useIndex && computedKeys.includes(f.key)) {
+                    return new Error(`query contains a filter on computed key "${f.key}" in a filter group that cannot be executed using indexes on path "${path}". Create indexes for all filters in the group and retry`);
+                }
+                if (!useIndex && !TABLE_SCAN_OPERATORS.includes(f.op)) {
+                    return f.index
+                        ? new Error(`query contains operator "${f.op}" on key "${f.key}" in a filter group that cannot be executed using indexes on path "${path}". Create indexes for all filters in the group and retry`)
+                        : new Error(`query contains unknown filter operator "${f.op}" on path "${path}", key "${f.key}"`);
+                }
+            }
+            return null;
+        };
+        for (let i = 0; i < filterInfo.length; i++) {
+            const info = filterInfo[i];
+            const err = isFilterGroup(info.filter) && checkGroup(info.filter, info.union);
+            if (err) { return Promise.reject(err); }
+        }
 
         // Check if there are filters that require an index to run (such as "fulltext:contains", and "geo:nearby" etc)
         const specialOpsRegex = /^[a-z]+\:/i;
-        if (tableScanFilters.some(filter => specialOpsRegex.test(filter.op))) {
-            const f = tableScanFilters.find(filter => specialOpsRegex.test(filter.op));
+        const unindexed = filterInfo.filter(info => info.indexes.length === 0 && !info.union).map(info => info.filter);
+        if (unindexed.some(filter => specialOpsRegex.test(filter.op))) {
+            const f = unindexed.find(filter => specialOpsRegex.test(filter.op));
             const err = new Error(`query contains operator "${f.op}" which requires a special index that was not found on path "${path}", key "${f.key}"`)
             return Promise.reject(err);
         }
 
+        // Check if there are filters on computed keys that cannot be executed by their index
+        if (unindexed.some(filter => computedKeys.includes(filter.key))) {
+            const f = unindexed.find(filter => computedKeys.includes(filter.key));
+            const index = this.storage.indexes.get(path).find(index => index.type === 'computed' && index.key === f.key);
+            const err = index.compute === null
+                ? new Error(`query contains a filter on computed key "${f.key}", but its index on path "${path}" was not created with its compute function yet`)
+                : new Error(`query contains operator "${f.op}" on computed key "${f.key}" that cannot be executed by its index on path "${path}"`);
+            return Promise.reject(err);
+        }
+
         // Check if the filters are using valid operators
-        const allowedTableScanOperators = ["<","<=","==","!=",">=",">","like","!like","in","!in","matches","!matches","between","!between","has","!has","contains","!contains","exists","!exists"]; // DISABLED "custom" because it is not fully implemented and only works locally
-        for(let i = 0; i < tableScanFilters.length; i++) {
-            const f = tableScanFilters[i];
-            if (!allowedTableScanOperators.includes(f.op)) {
+        for(let i = 0; i < unindexed.length; i++) {
+            const f = unindexed[i];
+            if (!isFilterGroup(f) && !TABLE_SCAN_OPERATORS.includes(f.op)) {
                 return Promise.reject(new Error(`query contains unknown filter operator "${f.op}" on path "${path}", key "${f.key}"`));
             }
         }
 
-        // Check if the available indexes are sufficient for this wildcard query
-        if (isWildcardPath && tableScanFilters.length > 0) {
-            // There are unprocessed filters, which means the fields aren't indexed. 
-            // We're not going to get all data of a wildcard path to query manually. 
-            // Indexes must be created
-            const keys = tableScanFilters.reduce((keys, f) => { 
-                if (keys.indexOf(f.key) < 0) { keys.push(f.key); }
-                return keys;
-            }, []).map(key => `"${key}"`);
-            const err = new Error(`This wildcard path query on "/${path}" requires index(es) on key(s): ${keys.join(", ")}. Create the index(es) and retry`);
-            return Promise.reject(err);
+        // Check if results have to be reshaped to the selected values, only those have to be loaded
+        let selection = null;
+        if (options.select) {
+            try {
+                selection = parseSelect(options.select);
+            }
+            catch(err) {
+                return Promise.reject(err);
+            }
+            const include = selectionKeys(selection).concat(paging ? query.order.map(o => o.key) : []);
+            options = Object.assign({}, options, { snapshots: true, include, exclude: undefined, child_objects: undefined });
         }
 
-        // Run queries on available indexes
-        const indexScanPromises = [];
-        query.filters.forEach(filter => {
-            if (filter.index && filter.indexUsage !== 'filter') {
-                let promise = filter.index.query(filter.op, filter.compare)
-                .then(results => {
-                    options.eventHandler && options.eventHandler({ name: 'stats', type: 'index_query', source: filter.index.description, stats: results.stats });
-                    if (results.hints.length > 0) {
-                        options.eventHandler && options.eventHandler({ name: 'hints', type: 'index_query', source: filter.index.description, hints: results.hints });
-                    }
-                    return results;
-                });
-                
-                // Get other filters that can be executed on these indexed results (eg filters on included keys of the index)
-                const resultFilters = query.filters.filter(f => f.index === filter.index && f.indexUsage === 'filter');
-                if (resultFilters.length > 0) {
-                    // Hook into the promise
-                    promise = promise.then(results => {
-                        resultFilters.forEach(filter => {
-                            results = results.filterMetadata(filter.key, filter.op, filter.compare);
-                        });
-                        return results;
-                    });
+        if (query.filters.length === 0 && query.take === 0) {
+            this.storage.debug.warn(`Filterless queries must use .take to limit the results. Defaulting to 100 for query on path "${path}"`);
+            query.take = 100;
+        }
+
+        // Check if there is a composite index that can execute equality filters on its first key(s), combined with a range filter
+        // or sort on its next key. It is used if it executes multiple filters, or if it yields results sorted on the first sort key
+        // Composite index entries have shortened strings if they are too large, filters using longer strings are checked on the data
+        const canCheckEntries = (index, f) => index.includeKeys.includes(f.key)
+            || (index.type === 'composite' && index.keys.includes(f.key) && [].concat(f.compare).every(val => index._fitValue(val) === val));
+        const composite = availableIndexes
+            .filter(index => index.type === 'composite')
+            .map(index => {
+                const filters = [];
+                let i = 0;
+                for (; i < index.keys.length; i++) {
+                    const filter = query.filters.find(f => !isFilterGroup(f) && f.key === index.keys[i] && f.op === '==' && canCheckEntries(index, f));
+                    if (!filter) { break; }
+                    filters.push(filter);
                 }
-                indexScanPromises.push(promise);
-            }
-        });
+                const range = i > 0 && i < index.keys.length && query.filters.find(f => !isFilterGroup(f) && f.key === index.keys[i] && ['<','<=','>','>=','between'].includes(f.op) && canCheckEntries(index, f));
+                range && filters.push(range);
+                const sorted = i > 0 && query.order.length > 0 && query.order[0].key === index.keys[i];
+                return { index, filters, sorted };
+            })
+            .filter(c => c.filters.length > 1 || (c.filters.length === 1 && c.sorted))
+            .sort((a, b) => (b.filters.length - a.filters.length) || (b.sorted - a.sorted))[0];
+
+        // Check if sorted results can be taken from the composite index: sort on 1 key, and all other filters can be checked on its entries
+        const takeFromComposite = typeof composite !== 'undefined' && composite.sorted && query.order.length === 1 && query.take !== 0 && !paging
+            && query.filters.every(f => composite.filters.includes(f) || isCoveredFilter(composite.index, f)
+                || (!isFilterGroup(f) && INDEX_OPERATORS.includes(f.op) && canCheckEntries(composite.index, f))
+            );
+
+        // Check if there is an index we can take sorted results from
+        const sortIndex = query.order.length > 0 && query.take !== 0
+            ? availableIndexes
+                .filter(index => ['normal','computed'].includes(index.type) && index.key === query.order[0].key)
+                .sort((a, b) => {
+                    const filterKeys = index => index.includeKeys.filter(key => query.filters.some(f => f.key === key)).length
+                        + query.filters.filter(f => isCoveredFilter(index, f)).length;
+                    return filterKeys(b) - filterKeys(a);
+                })[0]
+            : undefined;
+        const takeFromSortIndex = typeof sortIndex !== 'undefined' && typeof composite === 'undefined' && (!paging || query.order.length === 1) && (
+            query.filters.length === 0
+            || (
+                // Filtered results can only be taken from the index if the sort is on 1 key, and all
+                // filters can be checked on index entries, without being able to use an index of their own
+                query.order.length === 1
+                && filterInfo.every(info => {
+                    const f = info.filter;
+                    return isCoveredFilter(sortIndex, f) || (INDEX_OPERATORS.includes(f.op)
+                        && (f.key === sortIndex.key || (sortIndex.includeKeys.includes(f.key) && info.indexes.length === 0)));
+                })
+            )
+        );
 
         const stepsExecuted = {
             filtered: query.filters.length === 0,
             skipped: query.skip === 0,
             taken: query.take === 0,
-            sorted: query.order.length === 0,
+            sorted: query.order.length === 0 && !paging,
+            paged: !paging,
             preDataLoaded: false,
             dataLoaded: false
         };
 
-        if (query.filters.length === 0 && query.take === 0) { 
-            this.storage.debug.warn(`Filterless queries must use .take to limit the results. Defaulting to 100 for query on path "${path}"`);
-            query.take = 100;
-        }
+        // Strategy stage
 
-        if (query.filters.length === 0 && query.order.length > 0 && query.order[0].index) {
-            const sortIndex = query.order[0].index;
-            this.storage.debug.log(`Using index for sorting: ${sortIndex.description}`);
-            let ascending = query.take < 0 ? !query.order[0].ascending : query.order[0].ascending;
-            const promise = sortIndex.take(query.skip, Math.abs(query.take), ascending)
-            .then(results => {
-                options.eventHandler && options.eventHandler({ name: 'stats', type: 'sort_index_take', source: sortIndex.description, stats: results.stats });
-                if (results.hints.length > 0) {
-                    options.eventHandler && options.eventHandler({ name: 'hints', type: 'sort_index_take', source: sortIndex.description, hints: results.hints });
+        /** @type {Array<{ index: DataIndex, filter: object, estimate: number, metadataFilters: object[], coveredFilters: object[], sorted?: boolean }>} */
+        const indexFilters = [];
+        let plan;
+        const tableScanFilters = [];
+        let estimatePromise = Promise.resolve();
+        if (takeFromSortIndex) {
+            query.filters.forEach(f => f.index = sortIndex);
+        }
+        else {
+            // Estimate the number of results of each indexed filter, so they can be chained most selective first.
+            // Only normal indexes can count their results, others are executed after those.
+            // The estimate of an 'or' group is the sum of its filters' estimates, that of an 'and' group the lowest estimate of its filters.
+            const isCompositeFilter = f => typeof composite !== 'undefined' && composite.filters.includes(f);
+            const indexed = filterInfo.filter(info => (info.indexes.length > 0 || info.union) && !isCompositeFilter(info.filter));
+            const estimate = (filter, index = getIndex(filter)) => {
+                if (isFilterGroup(filter)) {
+                    const filters = filter.compare.filter(canUseIndexes);
+                    return Promise.all(filters.map(f => estimate(f)))
+                    .then(counts => {
+                        if (filter.op === 'or') {
+                            return counts.includes(null) ? null : counts.reduce((total, count) => total + count, 0);
+                        }
+                        counts = counts.filter(count => count !== null);
+                        return counts.length > 0 ? Math.min(...counts) : null;
+                    });
+                }
+                if (!['normal','computed'].includes(index.type) || !INDEX_OPERATORS.includes(filter.op)) {
+                    return Promise.resolve(null);
                 }
-                return results;
+                return index.count(filter.op, filter.compare)
+                .catch(err => {
+                    this.storage.debug.warn(`Unable to estimate results of index ${index.description} for query on path "${path}": ${err.message}`);
+                    return null;
+                });
+            };
+            if ((indexed.length > 1 && !options.strategyOnly) || options.explain) {
+                estimatePromise = Promise.all(indexed.map(info => {
+                    return estimate(info.filter, info.indexes[0])
+                    .then(count => {
+                        info.estimate = count;
+                    });
+                }));
+            }
+            estimatePromise = estimatePromise.then(() => {
+                indexed.sort((a, b) => {
+                    if (a.estimate === null) { return b.estimate === null ? 0 : 1; }
+                    if (b.estimate === null) { return -1; }
+                    return a.estimate - b.estimate;
+                });
+                if (composite) {
+                    // The composite index executes its filters in 1 step, before any other index
+                    indexFilters.push({ index: composite.index, filter: composite.filters[0], estimate: null, metadataFilters: composite.filters.slice(1), coveredFilters: [], sorted: takeFromComposite });
+                    composite.filters.forEach(f => f.index = composite.index);
+                }
+                // Filters implied by the filter of a partial index being used match all its results
+                const coveringStep = f => indexFilters.find(step => step.index && isCoveredFilter(step.index, f));
+                indexed.forEach(info => {
+                    // Check if the filter can be checked on the metadata of an index that is already being used
+                    const step = INDEX_OPERATORS.includes(info.filter.op) && indexFilters.find(step => step.index && canCheckEntries(step.index, info.filter));
+                    const covering = coveringStep(info.filter);
+                    if (covering) {
+                        covering.coveredFilters.push(info.filter);
+                        info.filter.index = covering.index;
+                    }
+                    else if (step) {
+                        step.metadataFilters.push(info.filter);
+                        info.filter.index = step.index;
+                    }
+                    else if (info.union) {
+                        // 'or' group, executed by merging the results of the indexes used by its filters
+                        indexFilters.push({ index: null, filter: info.filter, estimate: info.estimate, metadataFilters: [], coveredFilters: [] });
+                    }
+                    else {
+                        indexFilters.push({ index: info.indexes[0], filter: info.filter, estimate: info.estimate, metadataFilters: [], coveredFilters: [] });
+                        info.filter.index = info.indexes[0];
+                    }
+                });
+                unindexed.forEach(f => {
+                    if (isCompositeFilter(f)) { return; }
+                    const step = !isFilterGroup(f) && INDEX_OPERATORS.includes(f.op) && indexFilters.find(step => step.index && canCheckEntries(step.index, f));
+                    const covering = coveringStep(f);
+                    if (covering) {
+                        covering.coveredFilters.push(f);
+                        f.index = covering.index;
+                    }
+                    else if (step) {
+                        step.metadataFilters.push(f);
+                        f.index = step.index;
+                    }
+                    else {
+                        tableScanFilters.push(f);
+                        !isFilterGroup(f) && (f.index = undefined);
+                    }
+                });
             });
-            indexScanPromises.push(promise);
-            stepsExecuted.skipped = true;
-            stepsExecuted.taken = true;
-            stepsExecuted.sorted = true;
         }
 
-        return Promise.all(indexScanPromises)
-        .then(indexResultSets => {
-            // Merge all results in indexResultSets, get distinct nodes
-            let indexedResults = [];
-            if (indexResultSets.length === 1) {
-                const resultSet = indexResultSets[0];
-                indexedResults = resultSet.map(match => {
-                    const result = { key: match.key, path: match.path, val: { [resultSet.filterKey]: match.value } };
-                    match.metadata && Object.assign(result.val, match.metadata);
-                    return result;
-                });
-                stepsExecuted.filtered = true;
+        const planPromise = estimatePromise
+        .then(() => {
+            // Check if the available indexes are sufficient for this wildcard query
+            if (isWildcardPath && indexFilters.length === 0 && tableScanFilters.length > 0) {
+                // There are unprocessed filters, which means the fields aren't indexed.
+                // We're not going to get all data of a wildcard path to query manually.
+                // Indexes must be created
+                const keys = tableScanFilters.reduce((keys, f) => {
+                    if (keys.indexOf(f.key) < 0) { keys.push(f.key); }
+                    return keys;
+                }, []).map(key => `"${key}"`);
+                throw new Error(`This wildcard path query on "/${path}" requires index(es) on key(s): ${keys.join(", ")}. Create the index(es) and retry`);
             }
-            else if (indexResultSets.length > 1) {
-                indexResultSets.sort((a,b) => a.length < b.length ? -1 : 1); // Sort results, shortest result set first
-                const shortestSet = indexResultSets[0];
-                const otherSets = indexResultSets.slice(1);
 
-                indexedResults = shortestSet.reduce((results, match) => {
-                    // Check if the key is present in the other result sets
-                    const result = { key: match.key, path: match.path, val: { [shortestSet.filterKey]: match.value } };
-                    const matchedInAllSets = otherSets.every(set => set.findIndex(m => match.path === match.path) >= 0);
-                    if (matchedInAllSets) { 
+            plan = {
+                path,
+                wildcard: isWildcardPath,
+                strategy: takeFromSortIndex ? 'sort_index' : indexFilters.length > 0 ? 'index_filter' : 'table_scan',
+                indexFilters: indexFilters.map(step => ({
+                    index: describeIndexes(step),
+                    filter: planFilter(step.filter),
+                    metadataFilters: step.metadataFilters.map(planFilter),
+                    coveredFilters: step.coveredFilters.map(planFilter),
+                    estimate: step.estimate,
+                    status: 'pending',
+                    results: null,
+                    stats: null
+                })),
+                sortIndex: takeFromSortIndex
+                    ? { index: sortIndex.description, filters: query.filters.map(planFilter), results: null, stats: null }
+                    : null,
+                tableScanFilters: [],
+                order: query.order.map(o => ({ key: o.key, ascending: o.ascending })),
+                sort: null,
+                snapshots: null,
+                skip: query.skip,
+                take: query.take
+            };
+        });
+        if (options.strategyOnly) {
+            return planPromise.then(() => plan);
+        }
+
+        return planPromise
+        .then(() => {
+            // Execute stage
+
+            if (takeFromSortIndex) {
+                this.storage.debug.log(`Using index for sorting: ${sortIndex.description}`);
+                const ascending = query.take < 0 ? !query.order[0].ascending : query.order[0].ascending;
+                const from = cursor && cursor.position ? { value: cursor.position.values[0], path: cursor.position.path } : undefined;
+                return sortIndex.take(query.skip, Math.abs(query.take), ascending, { filters: query.filters.filter(f => !isCoveredFilter(sortIndex, f)), from })
+                .then(results => {
+                    emitIndexStats('sort_index_take', sortIndex, results);
+                    plan.sortIndex.results = results.length;
+                    plan.sortIndex.stats = statsInfo(results.stats);
+                    stepsExecuted.filtered = true;
+                    stepsExecuted.skipped = true;
+                    stepsExecuted.taken = true;
+                    stepsExecuted.sorted = true;
+                    stepsExecuted.paged = true;
+                    const indexedResults = results.map(match => {
+                        const result = { key: match.key, path: match.path, val: { [sortIndex.key]: match.value } };
                         match.metadata && Object.assign(result.val, match.metadata);
-                        otherSets.forEach(set => {
-                            const otherResult = set.find(r => r.path === result.path)
-                            result.val[set.filterKey] = otherResult.value;
-                            otherResult.metadata && Object.assign(result.val, otherResult.metadata)
-                        });
-                        results.push(result); 
+                        return result;
+                    });
+                    if (query.take < 0) {
+                        // Results were taken in reversed order
+                        indexedResults.reverse();
                     }
-                    return results;
-                }, []);
+                    return { indexedResults, knownKeys: sortIndex.includeKeys.concat(sortIndex.key), valueKeys: indexValueKeys(sortIndex) };
+                });
+            }
 
+            if (indexFilters.length === 0) {
+                return { indexedResults: null, knownKeys: [], valueKeys: [] };
+            }
+
+            // Chain index filters, most selective first
+            const indexDescriptions = indexFilters.map(step => describeIndexes(step)).join(', ');
+            this.storage.debug.log(`Using indexes for query: ${indexDescriptions}`);
+
+            const knownKeys = [SCORE_KEY], valueKeys = [];
+            const nextStep = (i, indexedResults) => {
+                if (i === indexFilters.length) {
+                    return Promise.resolve(indexedResults);
+                }
+                const step = indexFilters[i];
+                const stepInfo = plan.indexFilters[i];
+                if (indexedResults !== null && indexedResults.length === 0) {
+                    // Nothing left to filter
+                    stepInfo.status = 'skipped';
+                    return nextStep(i + 1, indexedResults);
+                }
+                const filters = [step.filter].concat(step.metadataFilters);
+                if (indexedResults !== null
+                    && typeof step.estimate === 'number'
+                    && step.estimate > indexedResults.length * INDEX_CHAIN_FACTOR
+                    && filters.every(canCheckData)
+                ) {
+                    // Checking the data of current results is quicker than querying this index
+                    this.storage.debug.log(`Checking filter${step.index ? ` on key "${step.filter.key}"` : ' group'} on ${indexedResults.length} results instead of querying index ${describeIndexes(step)} (estimated ${step.estimate} results)`);
+                    step.index && filters.concat(step.coveredFilters).forEach(f => f.index = undefined);
+                    tableScanFilters.push(...filters, ...step.coveredFilters);
+                    stepInfo.status = 'table_scan';
+                    return nextStep(i + 1, indexedResults);
+                }
+                const sortOptions = step.sorted
+                    ? { ascending: query.take < 0 ? !query.order[0].ascending : query.order[0].ascending, skip: query.skip, take: Math.abs(query.take) }
+                    : undefined;
+                const promise = !step.index
+                    ? unionResults(step.filter)
+                    : step.index.type === 'composite'
+                    ? compositeResults(step.index, filters, sortOptions)
+                    : indexResults(step.index, step.filter, step.metadataFilters);
+                return promise
+                .then(({ results, stats }) => {
+                    stepInfo.status = 'queried';
+                    stepInfo.stats = statsInfo(stats);
+                    stepInfo.results = results.length;
+                    if (step.sorted) {
+                        // Sorted results were taken from the composite index
+                        stepsExecuted.sorted = true;
+                        stepsExecuted.skipped = true;
+                        stepsExecuted.taken = true;
+                        if (query.take < 0) {
+                            // Results were taken in reversed order
+                            results.reverse();
+                        }
+                    }
+                    if (step.index) {
+                        ['normal','computed'].includes(step.index.type) && knownKeys.push(step.index.key);
+                        step.index.type === 'composite' && knownKeys.push(...step.index.keys);
+                        knownKeys.push(...step.index.includeKeys);
+                        valueKeys.push(...indexValueKeys(step.index));
+                    }
+                    return indexedResults === null ? results : intersectResults(indexedResults, results);
+                })
+                .then(indexedResults => nextStep(i + 1, indexedResults));
+            };
+            return nextStep(0, null)
+            .then(indexedResults => {
+                if (tableScanFilters.length === 0 || indexedResults.length === 0 || options.explain) {
+                    return indexedResults;
+                }
+                // Check remaining filters on the indexed results' data
+                return matchResults(indexedResults, tableScanFilters);
+            })
+            .then(indexedResults => {
                 stepsExecuted.filtered = true;
+                return { indexedResults, knownKeys, valueKeys };
+            });
+        })
+        .then(({ indexedResults, knownKeys, valueKeys }) => {
+            // Results can only be sorted on computed keys known from their index
+            const unknownComputedKey = query.order.map(o => o.key).find(key => computedKeys.includes(key) && !knownKeys.includes(key));
+            if (unknownComputedKey) {
+                throw new Error(`Cannot sort query results on computed key "${unknownComputedKey}" on path "${path}": filter on the key, or take sorted results from its index`);
             }
-        
-            if (isWildcardPath || (indexScanPromises.length > 0 && tableScanFilters.length === 0)) {
+            if (options.explain) {
+                // Don't load or scan any data, return the plan
+                plan.tableScanFilters = tableScanFilters.map(planFilter);
+                if (query.order.length > 0) {
+                    plan.sort = takeFromSortIndex || takeFromComposite
+                        ? 'sort_index'
+                        : indexFilters.length > 0 && query.order.every(o => knownKeys.includes(o.key)) ? 'index_metadata' : 'load_data';
+                }
+                if (options.snapshots) {
+                    plan.snapshots = indexedResults !== null
+                        && query.order.every(o => knownKeys.includes(o.key))
+                        && isDataCovered(valueKeys) ? 'index_metadata' : 'load_data';
+                }
+                return plan;
+            }
+
+            if (indexedResults !== null || isWildcardPath) {
+                if (indexedResults === null) {
+                    // Filterless wildcard query without an index to sort on
+                    indexedResults = [];
+                }
 
-                if (query.order.length === 0 || query.order.every(o => o.index)) {
+                if (query.order.length === 0 || query.order.every(o => knownKeys.includes(o.key))) {
                     // No sorting, or all sorts are on indexed keys. We can use current index results
                     stepsExecuted.preDataLoaded = true;
-                    if (!stepsExecuted.sorted && query.order.length > 0) {
+                    if (!stepsExecuted.sorted) {
                         sortMatches(indexedResults);
                     }
                     stepsExecuted.sorted = true;
+                    if (!stepsExecuted.paged) {
+                        indexedResults = indexedResults.filter(isPageMatch);
+                        stepsExecuted.paged = true;
+                    }
                     if (!stepsExecuted.skipped && query.skip > 0) {
-                        indexedResults = query.take < 0 
+                        indexedResults = query.take < 0
                             ? indexedResults.slice(0, -query.skip)
                             : indexedResults.slice(query.skip);
                     }
                     if (!stepsExecuted.taken && query.take !== 0) {
-                        indexedResults = query.take < 0 
-                            ? indexedResults.slice(query.take) 
+                        indexedResults = query.take < 0
+                            ? indexedResults.slice(query.take)
                             : indexedResults.slice(0, query.take);
                     }
                     stepsExecuted.skipped = true;
@@ -490,8 +1106,27 @@ class LocalApi extends Api {
                     if (!options.snapshots) {
                         return indexedResults;
                     }
+                    if (isDataCovered(valueKeys)) {
+                        // All selected or included values are known from the used indexes, no need to load any data
+                        this.storage.debug.log(`Using index metadata for snapshots of query on path "/${path}"`);
+                        stepsExecuted.dataLoaded = true;
+                        if (selection) {
+                            return indexedResults;
+                        }
+                        return indexedResults.map(result => {
+                            const val = {};
+                            options.include.forEach(key => {
+                                if (typeof result.val[key] !== 'undefined' && result.val[key] !== null) { val[key] = result.val[key]; }
+                            });
+                            const snapshot = { path: result.path, val };
+                            typeof result.score === 'number' && (snapshot.score = result.score);
+                            result.terms && (snapshot.terms = result.terms);
+                            result.highlighters && (snapshot.highlighters = result.highlighters);
+                            return snapshot;
+                        });
+                    }
 
-                    // TODO: exclude already known key values, merge loaded with known 
+                    // TODO: exclude already known key values, merge loaded with known
                     const childOptions = { include: options.include, exclude: options.exclude, child_objects: options.child_objects };
                     return loadResultsData(indexedResults, childOptions)
                     .then(results => {
@@ -499,51 +1134,37 @@ class LocalApi extends Api {
                         return results;
                     });
                 }
-                
-                if (options.snapshots || !stepsExecuted.sorted) {
-                    const loadPartialResults = query.order.length > 0;
-                    const childOptions = loadPartialResults
-                        ? { include: query.order.map(order => order.key) }
-                        : { include: options.include, exclude: options.exclude, child_objects: options.child_objects };
-                    return loadResultsData(indexedResults, childOptions)
-                    .then(results => {
-                        if (query.order.length > 0) {
-                            sortMatches(results);
-                        }
-                        stepsExecuted.sorted = true;
-                        if (query.skip > 0) {
-                            results = results.take < 0
-                                ? results.slice(0, -query.skip)
-                                : results.slice(query.skip);
-                        }
-                        if (query.take !== 0) {
-                            results = query.take < 0 
-                                ? results.slice(query.take)
-                                : results.slice(0, query.take);
-                        }
-                        stepsExecuted.skipped = true;
-                        stepsExecuted.taken = true;
-    
-                        if (options.snapshots && loadPartialResults) {
-                            // Get the rest
-                            return loadResultsData(results, { include: options.include, exclude: options.exclude, child_objects: options.child_objects });
-                        }
-                        return results;
-                    });
-                }
-                else {
-                    // No need to take further actions, return what we have now
-                    return indexedResults;
-                }
-            }
 
-            // If we get here, this is a query on a regular path (no wildcards) with additional non-indexed filters left, 
-            // we can get child records from a single parent. Merge index results by key
-            let indexKeyFilter;
-            if (indexedResults.length > 0) {
-                indexKeyFilter = indexedResults.map(result => result.key);
+                // Load the values to sort on, sort, then load the rest if snapshots are requested
+                const childOptions = { include: query.order.map(order => order.key) };
+                return loadResultsData(indexedResults, childOptions)
+                .then(results => {
+                    sortMatches(results);
+                    stepsExecuted.sorted = true;
+                    stepsExecuted.paged = true;
+                    if (!stepsExecuted.skipped && query.skip > 0) {
+                        results = query.take < 0
+                            ? results.slice(0, -query.skip)
+                            : results.slice(query.skip);
+                    }
+                    if (!stepsExecuted.taken && query.take !== 0) {
+                        results = query.take < 0
+                            ? results.slice(query.take)
+                            : results.slice(0, query.take);
+                    }
+                    stepsExecuted.skipped = true;
+                    stepsExecuted.taken = true;
+
+                    if (options.snapshots) {
+                        // Get the rest
+                        return loadResultsData(results, { include: options.include, exclude: options.exclude, child_objects: options.child_objects });
+                    }
+                    return results;
+                });
             }
-            // const queue = [];
+
+            // If we get here, this is a query on a regular path (no wildcards) without usable indexes,
+            // we have to check all child records of a single parent
             const promises = [];
             let matches = [];
             let preliminaryStop = false;
@@ -552,12 +1173,12 @@ class LocalApi extends Api {
                 ? { include: query.order.map(order => order.key) }
                 : { include: options.include, exclude: options.exclude, child_objects: options.child_objects };
 
-            return Node.getChildren(this.storage, path, indexKeyFilter)
+            return Node.getChildren(this.storage, path)
             .next(child => {
                 if (child.type === Node.VALUE_TYPES.OBJECT) { // if (child.valueType === VALUE_TYPES.OBJECT) {
                     if (!child.address) {
-                        // Currently only happens if object has no properties 
-                        // ({}, stored as a tiny_value in parent record). In that case, 
+                        // Currently only happens if object has no properties
+                        // ({}, stored as a tiny_value in parent record). In that case,
                         // should it be matched in any query? -- That answer could be YES, when testing a property for !exists. Ignoring for now
                         return;
                     }
@@ -576,7 +1197,7 @@ class LocalApi extends Api {
                         if (options.snapshots || query.order.length > 0) {
                             return Node.getValue(this.storage, childPath, childOptions).then(val => {
                                 return { path: childPath, val };
-                            });                                
+                            });
                         }
                         else {
                             return { path: childPath };
@@ -587,12 +1208,12 @@ class LocalApi extends Api {
                         // This keeps the memory space used limited to skip + take
                         // TODO: see if we can limit it to the max number of results returned (.take)
 
-                        if (result !== null) {
+                        if (result !== null && isPageMatch(result)) {
                             matches.push(result);
                             if (query.take !== 0 && matches.length > Math.abs(query.take) + query.skip) {
-                                if (query.order.length > 0) {
+                                if (query.order.length > 0 || paging) {
                                     // A query order has been set. If this value falls in between it can replace some other value
-                                    // matched before. 
+                                    // matched before.
                                     sortMatches(matches);
                                 }
                                 else if (query.take > 0) {
@@ -621,12 +1242,14 @@ class LocalApi extends Api {
 
                 return Promise.all(promises)
                 .then(() => {
+                    stepsExecuted.filtered = true;
                     stepsExecuted.preDataLoaded = loadPartialData;
                     stepsExecuted.dataLoaded = !loadPartialData;
-                    if (query.order.length > 0) {
+                    if (query.order.length > 0 || paging) {
                         sortMatches(matches);
                     }
                     stepsExecuted.sorted = true;
+                    stepsExecuted.paged = true;
                     if (query.skip > 0) {
                         matches = query.take < 0
                             ? matches.slice(0, -query.skip)
@@ -653,14 +1276,13 @@ class LocalApi extends Api {
             });
         })
         .then(matches => {
-            // Order the results
-            if (!stepsExecuted.sorted && query.order.length > 0) {
-                sortMatches(matches);
+            if (options.explain) {
+                return matches; // the plan
             }
 
-            if (!options.snapshots) {
-                // Remove the loaded values from the results, because they were not requested (and aren't complete, we only have data of the sorted keys)
-                matches = matches.map(match => match.path);
+            // Order the results
+            if (!stepsExecuted.sorted) {
+                sortMatches(matches);
             }
 
             // Limit result set
@@ -675,12 +1297,101 @@ class LocalApi extends Api {
                     : matches.slice(0, query.take);
             }
 
+            let page;
+            if (paging) {
+                // Remove the extra result taken to check if there are more pages, create cursors to the previous and next pages
+                const more = matches.length > pageSize;
+                if (more) {
+                    matches = cursor.backwards ? matches.slice(1) : matches.slice(0, pageSize);
+                }
+                const first = matches[0], last = matches[matches.length - 1];
+                const hasPrevious = cursor.backwards ? more : cursor.position !== null;
+                const hasNext = cursor.backwards ? cursor.position !== null : more;
+                page = {
+                    previous: first && hasPrevious ? encodeCursor(query.order, first) : null,
+                    next: last && hasNext ? encodeCursor(query.order, last) : null
+                };
+            }
+
+            // Only highlight the results that are returned
+            const highlightPromise = options.snapshots && options.highlight ? highlightResults(matches) : Promise.resolve();
+            return highlightPromise.then(() => {
+                if (!options.snapshots) {
+                    // Remove the loaded values from the results, because they were not requested (and aren't complete, we only have data of the sorted keys)
+                    matches = matches.map(match => match.path);
+                }
+                else if (selection) {
+                    matches = matches.map(match => {
+                        const result = { path: match.path, val: selectValues(selection, match.val) };
+                        typeof match.score === 'number' && (result.score = match.score);
+                        match.terms && (result.terms = match.terms);
+                        typeof match.highlight === 'string' && (result.highlight = match.highlight);
+                        return result;
+                    });
+                }
+                return paging ? { results: matches, previous: page.previous, next: page.next } : matches;
+            });
+        });
+    }
+
+    /**
+     * 
+     * @param {string} path 
+     * @param {object} query 
+     * @param {Array<{ key: string, op: string, compare: any}>} query.filters
+     * @param {number} query.skip number of results to skip, useful for paging
+     * @param {number} query.take max number of results to return
+     * @param {Array<{ key: string, ascending: boolean }>} query.order use key "_score" to sort on the relevance of results of a "fulltext:contains"
+     * filter, calculated with the BM25 ranking function. Most relevant results have the highest score
+     * @param {object} [options]
+     * @param {boolean} [options.snapshots=false] whether to return matching data, or paths to matching nodes only. Snapshots of results
+     * of a "fulltext:contains" filter have a score: { path, val, score }. Results of a "fulltext:fuzzy" filter also have the matched
+     * words of each queried word: { path, val, score, terms: { [word]: string[] } }
+     * @param {boolean|{ pre?: string, post?: string, length?: number, ellipsis?: string }} [options.highlight] when using snapshots, adds a snippet
+     * of the text of each result of a "fulltext:contains" or "fulltext:fuzzy" filter with the matched words wrapped in markers: { path, val, score, highlight }.
+     * Only the texts of the returned results are loaded. See FullTextIndex.highlight
+     * @param {string[]} [options.include] when using snapshots, keys or relative paths to include in result data
+     * @param {string[]} [options.exclude] when using snapshots, keys or relative paths to exclude from result data
+     * @param {boolean} [options.child_objects] when using snapshots, whether to include child objects in result data
+     * @param {(event: { name: string, [key]: any }) => void} [options.eventHandler]
+     * @param {object} [options.monitor] NEW (BETA) monitor changes
+     * @param {boolean} [options.monitor.add=false] monitor new matches (either because they were added, or changed and now match the query)
+     * @param {boolean} [options.monitor.change=false] monitor changed children that still match this query
+     * @param {boolean} [options.monitor.remove=false] monitor children that don't match this query anymore
+     * @ param {(event:string, path: string, value?: any) => boolean} [options.monitor.callback] NEW (BETA) callback with subscription to enable monitoring of new matches
+     * @param {boolean} [options.explain=false] whether to return the query plan instead of the results. Indexes are queried to get their stats, no data is loaded or scanned. See query2
+     * @param {{ [name: string]: { fn: string, key?: string } }} [options.aggregate] aggregates to calculate instead of returning the results. See aggregate
+     * @param {string|string[]} [options.groupBy] key(s) to group the aggregates by
+     * @param {string|null} [options.after] cursor to take the page of results after, use null to get the first page. Resolves with a page
+     * of results: { results, previous, next }, previous and next are cursors to pass as options.before and options.after to get the
+     * previous and next pages, or null if there are none. Requires a positive query.take as page size
+     * @param {string|null} [options.before] cursor to take the page of results before, use null to get the last page
+     * @param {string[]|{ [key: string]: string }} [options.select] relative paths to return the values of as a flat object, instead of the matching data.
+     * Use an object to name the returned values, eg: { name: 'name', town: 'address/city' }. An array uses the last key of each path.
+     * Implies snapshots. Values are taken from the metadata of the used indexes if they are case sensitive and include all selected keys
+     * @returns {Promise<object[]|string[]|QueryPlan|object|{ results: object[]|string[], previous: string|null, next: string|null }>} returns a promise that resolves with matching data or paths, the query plan when explain is used, the aggregates, or a page of results when using cursors
+     */
+    query(path, query, options = { snapshots: false, include: undefined, exclude: undefined, child_objects: undefined, eventHandler: event => {} }) {
+        if (typeof options !== "object") { options = {}; }
+        if (typeof options.snapshots === "undefined") { options.snapshots = false; }
+        if (options.select) { options.snapshots = true; }
+        if (options.aggregate) {
+            return this.aggregate(path, query, options);
+        }
+
+        return this.query2(path, query, options)
+        .then(matches => {
+            if (options.explain) {
+                return matches; // the plan
+            }
+
             // NEW: Check if this is a realtime query - future updates must send query result updates
             if (options.monitor === true) {
                 options.monitor = { add: true, change: true, remove: true };
             }
             if (typeof options.monitor === 'object' && (options.monitor.add || options.monitor.change || options.monitor.remove)) {
-                const matchedPaths = options.snapshots ? matches.map(match => match.path) : matches.slice();
+                const results = matches instanceof Array ? matches : matches.results; // page of results when using cursors
+                const matchedPaths = options.snapshots ? results.map(match => match.path) : results.slice();
                 const ref = this.db.ref(path);
                 const removeMatch = (path) => {
                     const index = matchedPaths.indexOf(path);
@@ -696,147 +1407,81 @@ class LocalApi extends Api {
                     this.unsubscribe(ref.path, 'notify_child_added', childAddedCallback);
                     this.unsubscribe(ref.path, 'notify_child_removed', childRemovedCallback);
                 };
-                const childChangedCallback = (err, path, newValue, oldValue) => {
+                // Keys to load to check if a changed or added child matches the filters
+                const filterKeys = [];
+                let loadRecords = false; // computed values can depend on any child
+                const addFilterKeys = filters => filters.forEach(f => {
+                    if (isFilterGroup(f)) { return addFilterKeys(f.compare); }
+                    if (f.index && f.index.type === 'computed' && f.key === f.index.key) { loadRecords = true; }
+                    !filterKeys.includes(f.key) && filterKeys.push(f.key);
+                    if (f.index && f.index.textLocaleKey && !filterKeys.includes(f.index.textLocaleKey)) {
+                        // Fulltext index needs the locale key to test the value
+                        filterKeys.push(f.index.textLocaleKey);
+                    }
+                });
+                addFilterKeys(query.filters);
+                const testFilters = (value, filters) => filters.every(f => {
+                    if (isFilterGroup(f)) {
+                        return f.op === 'or' 
+                            ? f.compare.some(f => testFilters(value, [f]))
+                            : testFilters(value, f.compare);
+                    }
+                    if (!TABLE_SCAN_OPERATORS.includes(f.op)) {
+                        // specific index filter
+                        return f.index.test(value, f.op, f.compare);
+                    }
+                    const val = f.index && f.index.type === 'computed' && f.key === f.index.key
+                        ? f.index.computeValue(value)
+                        : f.key.split('/').reduce((val, key) => typeof val === 'object' && val !== null ? val[key] : undefined, value);
+                    return this.storage.test(val, f.op, f.compare);
+                });
+                const checkChild = (path, value) => {
+                    if (path.endsWith('*')) {
+                        // The parent node was overwritten, no way to tell which children changed
+                        return;
+                    }
                     const wasMatch = matchedPaths.includes(path);
-
-                    let keepMonitoring = true;
-                    // check if the properties we already have match filters, 
-                    // and if we have to check additional properties
-                    const checkKeys = [];
-                    query.filters.forEach(f => !checkKeys.includes(f.key) && checkKeys.push(f.key));
-                    const seenKeys = [];
-                    typeof oldValue === 'object' && Object.keys(oldValue).forEach(key => !seenKeys.includes(key) && seenKeys.push(key));
-                    typeof newValue === 'object' && Object.keys(newValue).forEach(key => !seenKeys.includes(key) && seenKeys.push(key));
-                    const missingKeys = [];
-                    let isMatch = seenKeys.every(key => {
-                        if (!checkKeys.includes(key)) { return true; }
-                        const filters = query.filters.filter(filter => filter.key === key);
-                        return filters.every(filter => {
-                            if (allowedTableScanOperators.includes(filter.op)) {
-                                return this.storage.test(newValue[key], filter.op, filter.compare);
-                            }
-                            // specific index filter
-                            if (filter.index.constructor.name === 'FullTextDataIndex' && filter.index.localeKey && !seenKeys.includes(filter.index.localeKey)) {
-                                // Can't check because localeKey is missing
-                                missingKeys.push(filter.index.localeKey);
-                                return true; // so we'll know if all others did match
-                            }
-                            return filter.index.test(newValue, filter.op, filter.compare);
-                        });
-                    });
-                    if (isMatch) {
-                        // Matches all checked (updated) keys. BUT. Did we have all data needed?
-                        // If it was a match before, other properties don't matter because they didn't change and won't
-                        // change the current outcome
-
-                        missingKeys.push(...checkKeys.filter(key => !seenKeys.includes(key)));
-
-                        let promise = Promise.resolve(true);
-                        if (!wasMatch && missingKeys.length > 0) {
-                            // We have to check if this node becomes a match
-                            const filterQueue = query.filters.filter(f => missingKeys.includes(f.key)); 
-                            const simpleFilters = filterQueue.filter(f => allowedTableScanOperators.includes(f.op));
-                            const indexFilters = filterQueue.filter(f => !allowedTableScanOperators.includes(f.op));
-                            
-                            const processFilters = () => {
-                                const checkIndexFilters = () => {
-                                    // TODO: ask index what keys to load (eg: FullTextIndex might need key specified by localeKey)
-                                    const keysToLoad = indexFilters.reduce((keys, filter) => {
-                                        if (!keys.includes(filter.key)) {
-                                            keys.push(filter.key);
-                                        }
-                                        if (filter.index.constructor.name === 'FullTextDataIndex' && filter.index.localeKey && !keys.includes(filter.index.localeKey)) {
-                                            keys.push(filter.index.localeKey);
-                                        }
-                                        return keys;
-                                    }, []);
-                                    return Node.getValue(this.storage, path, { include: keysToLoad })
-                                    .then(val => {
-                                        if (val === null) { return false; }
-                                        return indexFilters.every(filter => filter.index.test(val, filter.op, filter.compare));
-                                    })
-                                }
-                                if (simpleFilters.length > 0) {
-                                    return Node.matches(this.storage, path, simpleFilters)
-                                    .then(isMatch => {
-                                        if (isMatch) {
-                                            if (indexFilters.length === 0) { return true; }
-                                            return checkIndexFilters();
-                                        }
-                                        return false;
-                                    })
-                                }
-                                else {
-                                    return checkIndexFilters();
-                                }
-                            }
-                            promise = processFilters();
+                    // Notify events don't include the child's value, load the keys we need to check the filters
+                    const valuePromise = value !== null && typeof value === 'object'
+                        ? Promise.resolve(value)
+                        : Node.getValue(this.storage, path, loadRecords ? {} : filterKeys.length > 0 ? { include: filterKeys } : { child_objects: false });
+                    return valuePromise
+                    .then(value => {
+                        const isMatch = value !== null && testFilters(value, query.filters);
+                        if (isMatch) {
+                            if (!wasMatch) { addMatch(path); }
+                            const event = wasMatch ? 'change' : 'add';
+                            if (!options.monitor[event]) { return; }
+                            // load the data if snapshots are requested
+                            const selection = options.select ? parseSelect(options.select) : null;
+                            const loadOptions = selection
+                                ? { include: selectionKeys(selection) }
+                                : { include: options.include, exclude: options.exclude, child_objects: options.child_objects };
+                            return (options.snapshots ? this.storage.getNodeValue(path, loadOptions) : Promise.resolve(null))
+                            .then(value => options.eventHandler({ name: event, path, value: selection && value !== null ? selectValues(selection, value) : value }));
                         }
-                        return promise
-                        .then(isMatch => {
-                            if (isMatch) {
-                                if (!wasMatch) { addMatch(path); }
-                                // load missing data if snapshots are requested
-                                let gotValue = value => {
-                                    if (wasMatch && options.monitor.change) {
-                                        keepMonitoring = options.eventHandler({ name: 'change', path, value });
-                                    }
-                                    else if (!wasMatch && options.monitor.add) {
-                                        keepMonitoring = options.eventHandler({ name: 'add', path, value });
-                                    }
-                                    if (keepMonitoring === false) { stopMonitoring(); }
-                                };
-                                if (options.snapshots) {
-                                    const loadOptions = { include: options.include, exclude: options.exclude, child_objects: options.child_objects };
-                                    return this.storage.getNodeValue(path, loadOptions)
-                                    .then(gotValue);
-                                }
-                                else {
-                                    return gotValue(newValue);
-                                }
-                            }
-                            else if (wasMatch) {
-                                removeMatch(path);
-                                if (options.monitor.remove) {
-                                    keepMonitoring = options.eventHandler({ name: 'remove', path: path, value: oldValue });
-                                }
-                            }
-                            if (keepMonitoring === false) { stopMonitoring(); }
-                        });
-                    }
-                    else {
-                        // No match
-                        if (wasMatch) {
+                        else if (wasMatch) {
                             removeMatch(path);
                             if (options.monitor.remove) {
-                                keepMonitoring = options.eventHandler({ name: 'remove', path: path, value: oldValue });
-                                if (keepMonitoring === false) { stopMonitoring(); }
-                            }                                
+                                return options.eventHandler({ name: 'remove', path, value: null });
+                            }
                         }
-                    }
+                    })
+                    .then(keepMonitoring => {
+                        if (keepMonitoring === false) { stopMonitoring(); }
+                    });
+                };
+                const childChangedCallback = (err, path, newValue, oldValue) => {
+                    return checkChild(path, newValue);
                 };
                 const childAddedCallback = (err, path, newValue, oldValue) => {
-                    let isMatch = query.filters.every(filter => {
-                        if (allowedTableScanOperators.includes(filter.op)) {
-                            return this.storage.test(newValue[filter.key], filter.op, filter.compare);
-                        }
-                        else {
-                            return filter.index.test(newValue, filter.op, filter.compare);
-                        }
-                    });
-                    let keepMonitoring = true;
-                    if (isMatch) {
-                        addMatch(path);
-                        if (options.monitor.add) {
-                            keepMonitoring = options.eventHandler({ name: 'add', path: path, value: options.snapshots ? newValue : null });
-                        }
-                    }
-                    if (keepMonitoring === false) { stopMonitoring(); }
+                    return checkChild(path, newValue);
                 };
                 const childRemovedCallback = (err, path, newValue, oldValue) => {
                     let keepMonitoring = true;
+                    const wasMatch = matchedPaths.includes(path);
                     removeMatch(path);
-                    if (options.monitor.remove) {
+                    if (wasMatch && options.monitor.remove) {
                         keepMonitoring = options.eventHandler({ name: 'remove', path: path, value: options.snapshots ? oldValue : null });
                     }
                     if (keepMonitoring === false) { stopMonitoring(); }
@@ -857,6 +1502,281 @@ class LocalApi extends Api {
         });
     }
 
+    /**
+     * Calculates aggregates of the nodes matching a query, without returning the nodes themselves.
+     * If a normal index on the path covers all filters, aggregated keys and groupBy keys with its indexed and
+     * included keys, the aggregates are calculated from the index only. Otherwise the matching nodes are found
+     * with query2 (or by iterating the children if there are no filters), and only the needed keys of each node are loaded.
+     * @param {string} path
+     * @param {object} query see query
+     * @param {object} options
+     * @param {{ [name: string]: { fn: 'count'|'sum'|'avg'|'min'|'max', key?: string } }} options.aggregate aggregates to calculate, eg: { total: sum('amount'), orders: count() }
+     * @param {string|string[]} [options.groupBy] key(s) to group the aggregates by
+     * @returns {Promise<object|object[]>} resolves with an object with the aggregates, or an array with an object for each group when groupBy is used
+     */
+    aggregate(path, query, options) {
+        const aggregator = new QueryAggregator(options.aggregate, options.groupBy);
+        const filters = query.filters || [];
+        const keys = aggregator.keys;
+        const getKeyValue = (val, key) => key.split('/').reduce((val, key) => typeof val === 'object' && val !== null ? val[key] : undefined, val);
+
+        const usesIndexedValues = key => aggregator.groupBy.includes(key) || aggregator.aggregates.some(a => a.key === key && (a.fn === 'min' || a.fn === 'max'));
+
+        // Nodes with a value for the indexed key that can't be indexed (eg an object or array) are left out of the index, nodes without a value
+        // are not. The index can only be used if a filter on the indexed key only matches indexable values, so those nodes would not match anyway,
+        // or if all aggregates are calculated on the indexed key with functions that ignore other values (count does not)
+        const matchesIndexableValues = f => ['<','<=','==','>','>=','between','in'].includes(f.op);
+        const coveringIndex = this.storage.indexes.get(path).find(index => {
+            if (index.type !== 'normal' || index.filter.length > 0) { return false; }
+            const indexKeys = [index.key].concat(index.includeKeys);
+            return filters.every(f => !isFilterGroup(f) && INDEX_OPERATORS.includes(f.op) && indexKeys.includes(f.key))
+                && keys.every(key => indexKeys.includes(key))
+                && (index.caseSensitive || !keys.some(usesIndexedValues)) // case insensitive indexes store lowercased strings
+                && (filters.some(f => f.key === index.key && matchesIndexableValues(f))
+                    || (aggregator.groupBy.length === 0 && aggregator.aggregates.every(a => a.key === index.key && a.fn !== 'count')));
+        });
+        if (coveringIndex) {
+            const index = coveringIndex;
+            const countOnly = aggregator.groupBy.length === 0 && aggregator.aggregates.every(a => a.fn === 'count' && (typeof a.key === 'undefined' || a.key === index.key));
+            if (countOnly && filters.length === 1 && filters[0].key === index.key) {
+                // All indexed nodes match and have a value for the counted key, the index can count them
+                this.storage.debug.log(`Using index ${index.description} to count results of query on "/${path}"`);
+                return index.count(filters[0].op, filters[0].compare)
+                .then(count => {
+                    const result = {};
+                    aggregator.aggregates.forEach(a => result[a.name] = count);
+                    return result;
+                });
+            }
+            this.storage.debug.log(`Using index ${index.description} to aggregate results of query on "/${path}"`);
+            return index.take(0, Infinity, true, { filters })
+            .then(results => {
+                results.forEach(result => {
+                    aggregator.add(key => key === index.key ? result.value : result.metadata && result.metadata[key]);
+                });
+                return aggregator.results();
+            });
+        }
+
+        // Get the paths of all matching nodes
+        let pathsPromise;
+        if (filters.length > 0) {
+            const matchQuery = { filters: filters.slice(), order: [], skip: 0, take: 0 };
+            pathsPromise = this.query2(path, matchQuery, { snapshots: false, eventHandler: options.eventHandler });
+        }
+        else if (path.includes('*')) {
+            return Promise.reject(new Error(`Cannot aggregate all children of wildcard path "/${path}" without filters or a covering index`));
+        }
+        else {
+            const paths = [];
+            pathsPromise = Node.getChildren(this.storage, path)
+            .next(child => {
+                // Same as table scans in query2: only object children are matched
+                if (child.type === Node.VALUE_TYPES.OBJECT && child.address) {
+                    paths.push(child.address.path);
+                }
+            })
+            .catch(err => {
+                // Node doesn't exist? No children..
+            })
+            .then(() => paths);
+        }
+
+        // Load the needed keys of the matching nodes in batches
+        return pathsPromise
+        .then(paths => {
+            if (keys.length === 0) {
+                // Counting only, no need to load any data
+                paths.forEach(() => aggregator.add(() => undefined));
+                return aggregator.results();
+            }
+            const maxBatchSize = 50;
+            const nextBatch = () => {
+                if (paths.length === 0) {
+                    return Promise.resolve(aggregator.results());
+                }
+                const batch = paths.splice(0, maxBatchSize);
+                return Promise.all(batch.map(path => Node.getValue(this.storage, path, { include: keys })))
+                .then(values => {
+                    values.forEach(val => val !== null && aggregator.add(key => getKeyValue(val, key)));
+                    return nextBatch();
+                });
+            };
+            return nextBatch();
+        });
+    }
+
+    /**
+     * Streams the results of a query instead of resolving with all of them at once. Unsorted queries that have to
+     * check all children get the paths of all children first, then match them in batches and stream results as soon
+     * as they are found. Sorted queries have to buffer the paths of all their results before streaming them, as do
+     * queries that use indexes. Children are matched and the data of results is loaded batch by batch while streaming,
+     * only after previous results have been handled.
+     * @param {string} path
+     * @param {object} query see query. If there are no filters, take can be 0 to stream all children
+     * @param {object} [options]
+     * @param {boolean} [options.snapshots=false] whether to stream matching data, or paths to matching nodes only
+     * @param {string[]} [options.include] when using snapshots, keys or relative paths to include in result data
+     * @param {string[]} [options.exclude] when using snapshots, keys or relative paths to exclude from result data
+     * @param {boolean} [options.child_objects] when using snapshots, whether to include child objects in result data
+     * @returns {{ next: (callback: (result: { path: string, val: any }|string) => boolean|void|Promise<boolean|void>) => Promise<boolean> }}
+     * returns a generator object. Its next method runs callback for each result, which can return false to stop streaming, or a promise
+     * to wait for before streaming more results. It returns a promise that resolves with a boolean indicating if streaming was canceled
+     * by the callback. The generator can also be used as async iterator: for await (const result of api.streamQuery(...)) { }
+     */
+    streamQuery(path, query, options = { snapshots: false, include: undefined, exclude: undefined, child_objects: undefined }) {
+        if (typeof options !== "object") { options = {}; }
+        const loadOptions = { include: options.include, exclude: options.exclude, child_objects: options.child_objects };
+        const batchSize = 10;
+        // Filterless queries are not limited when streaming (query2 defaults to taking 100 results)
+        const copyQuery = () => ({ filters: query.filters.slice(), order: query.order.slice(), skip: query.skip, take: query.filters.length === 0 && query.take === 0 ? Infinity : query.take });
+        let callback;
+        const generator = {
+            /**
+             * @param {(result: { path: string, val: any }|string) => boolean|void|Promise<boolean|void>} resultCallback callback function to run for each result. Return (a promise that resolves with) false to stop streaming
+             * @returns {Promise<boolean>} returns a promise that resolves with a boolean indicating if streaming was canceled by the callback
+             */
+            next(resultCallback) {
+                callback = resultCallback;
+                return start();
+            },
+            [Symbol.asyncIterator]() {
+                // Pull results: each result is handed to a waiting next() call, the stream waits until next() is called again
+                let started = false, done = false, proceed = null, waiting = null;
+                const settle = result => {
+                    const w = waiting;
+                    waiting = null;
+                    w && w.resolve(result);
+                };
+                return {
+                    next() {
+                        return new Promise((resolve, reject) => {
+                            if (done) { return resolve({ value: undefined, done: true }); }
+                            waiting = { resolve, reject };
+                            if (!started) {
+                                started = true;
+                                generator.next(result => new Promise(resolve => {
+                                    proceed = resolve;
+                                    settle({ value: result, done: false });
+                                }))
+                                .then(() => {
+                                    done = true;
+                                    settle({ value: undefined, done: true });
+                                })
+                                .catch(err => {
+                                    done = true;
+                                    const w = waiting;
+                                    waiting = null;
+                                    w && w.reject(err);
+                                });
+                            }
+                            else if (proceed) {
+                                const p = proceed;
+                                proceed = null;
+                                p(true);
+                            }
+                        });
+                    },
+                    return() {
+                        // Iteration was stopped (break or error in the for await loop)
+                        done = true;
+                        proceed && proceed(false);
+                        proceed = null;
+                        return Promise.resolve({ value: undefined, done: true });
+                    }
+                };
+            }
+        };
+        const start = () => {
+            let canceled = false;
+            const emitBatch = (paths) => {
+                // Loads the data of the batch if snapshots are requested, runs the callback for each result
+                const valuesPromise = options.snapshots
+                    ? Promise.all(paths.map(path => Node.getValue(this.storage, path, loadOptions)))
+                    : Promise.resolve(null);
+                return valuesPromise
+                .then(values => {
+                    const emit = (i) => {
+                        if (i === paths.length) { return true; }
+                        if (values && values[i] === null) {
+                            // Removed since it was matched
+                            return emit(i + 1);
+                        }
+                        const result = values ? { path: paths[i], val: values[i] } : paths[i];
+                        return Promise.resolve(callback(result))
+                        .then(proceed => {
+                            if (proceed === false) {
+                                canceled = true;
+                                return false;
+                            }
+                            return emit(i + 1);
+                        });
+                    };
+                    return emit(0);
+                });
+            };
+            const emitPaths = (paths) => {
+                const batch = paths.splice(0, batchSize);
+                if (batch.length === 0) { return Promise.resolve(); }
+                return emitBatch(batch)
+                .then(proceed => proceed && emitPaths(paths));
+            };
+
+            // Check what strategy the query would use, without querying any index
+            return this.query2(path, copyQuery(), { strategyOnly: true })
+            .then(plan => {
+                if (plan.strategy !== 'table_scan' || query.order.length > 0 || query.take < 0) {
+                    // Get the (sorted) paths of all results first
+                    return this.query2(path, copyQuery(), { snapshots: false })
+                    .then(emitPaths);
+                }
+
+                // Unsorted table scan: get the paths of all children first, then match them in batches and stream the results as soon
+                // as they are found. Enumerating holds a read lock, so it can't wait for results to be handled without blocking all writes
+                const paths = [];
+                let skipped = 0, taken = 0;
+                const matchBatch = () => {
+                    const batch = paths.splice(0, batchSize);
+                    if (batch.length === 0) { return Promise.resolve(); }
+                    const matchesPromise = query.filters.length > 0
+                        ? Promise.all(batch.map(path => Node.matches(this.storage, path, query.filters)))
+                        : Promise.resolve(batch.map(() => true));
+                    return matchesPromise
+                    .then(matches => {
+                        let results = batch.filter((path, i) => matches[i]);
+                        const skip = Math.min(query.skip - skipped, results.length);
+                        skipped += skip;
+                        results = results.slice(skip);
+                        if (query.take > 0) {
+                            results = results.slice(0, query.take - taken);
+                        }
+                        taken += results.length;
+                        return emitBatch(results);
+                    })
+                    .then(proceed => {
+                        // Match the next batch once the results of this one have been handled
+                        if (proceed && !(query.take > 0 && taken === query.take)) {
+                            return matchBatch();
+                        }
+                    });
+                };
+                return Node.getChildren(this.storage, path)
+                .next(child => {
+                    // Same as table scans in query2: only object children are matched
+                    if (child.type === Node.VALUE_TYPES.OBJECT && child.address) {
+                        paths.push(child.address.path);
+                    }
+                })
+                .catch(err => {
+                    // Node doesn't exist? No children..
+                })
+                .then(matchBatch);
+            })
+            .then(() => canceled);
+        };
+        return generator;
+    }
+
     /**
      * Creates an index on key for all child nodes at path
      * @param {string} path
@@ -876,6 +1796,33 @@ class LocalApi extends Api {
         return Promise.resolve(this.storage.indexes.list());
     }
 
+    /**
+     * Deletes the index(es) on key at path
+     * @param {string} path
+     * @param {string|string[]} key
+     * @returns {Promise<DataIndex[]>} the deleted indexes
+     */
+    deleteIndex(path, key) {
+        return this.storage.indexes.delete(path, key);
+    }
+
+    /**
+     * Gets statistics of all indexes
+     * @returns {Promise<object[]>}
+     */
+    getIndexStats() {
+        return this.storage.indexes.stats();
+    }
+
+    /**
+     * Verifies indexes by comparing their entries with the actual data
+     * @param {object} [options] see Storage.indexes.verify
+     * @returns {Promise<object[]>}
+     */
+    verifyIndexes(options) {
+        return this.storage.indexes.verify(options);
+    }
+
     reflect(path, type, args) {
         const getChildren = (path, limit = 50, skip = 0) => {
             if (typeof limit === 'string') { limit = parseInt(limit); }
@@ -949,9 +1896,31 @@ class LocalApi extends Api {
         }
     }
 
-    export(path, stream, options = { format: 'json' }) {
+    export(path, stream, options = { format: 'json', type_safe: false }) {
+        if (typeof stream === 'function') {
+            // Write function instead of stream object
+            stream = { write: stream };
+        }
         return this.storage.exportNode(path, stream, options);
     }
+
+    import(path, read, options = { format: 'json', method: 'set', suppress_events: false, type_safe: false }) {
+        return this.storage.importNode(path, read, options);
+    }
+
+    compact() {
+        if (typeof this.storage.compact !== 'function') {
+            return Promise.reject(new Error(`Compacting is not supported by the used storage backend`));
+        }
+        return this.storage.compact();
+    }
+
+    backup(targetPath, options) {
+        if (typeof this.storage.backup !== 'function') {
+            return Promise.reject(new Error(`Backups are not supported by the used storage backend`));
+        }
+        return this.storage.backup(targetPath, options);
+    }
 }
 
 module.exports = { LocalApi };
\ No newline at end of file
@@ -21,6 +21,7 @@ const { DataReference, DataSnapshot, EventSubscription, PathReference, TypeMappi
 const { AceBaseLocalSettings } = require('./acebase-local');
 const { BrowserAceBase } = require('./acebase-browser');
 const { CustomStorageSettings, CustomStorageTransaction, CustomStorageHelpers } = require('./storage-custom');
+const { count, sum, avg, min, max } = require('./query-aggregate');
 
 const acebase = {
     AceBase: BrowserAceBase, 
@@ -34,7 +35,8 @@ const acebase = {
     CustomStorageTransaction,
     CustomStorageHelpers,
     ID,
-    proxyAccess
+    proxyAccess,
+    aggregates: { count, sum, avg, min, max }
 };
 
 // Expose classes to window.acebase:
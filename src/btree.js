@@ -2,7 +2,6 @@ const { Utils } = require('acebase-core');
 const { numberToBytes, bytesToNumber, encodeString, decodeString } = Utils;
 const ThreadSafe = require('./thread-safe');
 const { DetailedError } = require('./detailed-error');
-const fs = require('fs');
 require('./promise-try-shim');
 
 const KEY_TYPE = {
@@ -10,7 +9,8 @@ const KEY_TYPE = {
     STRING: 1,
     NUMBER: 2,
     BOOLEAN: 3,
-    DATE: 4
+    DATE: 4,
+    TUPLE: 5
 };
 
 const FLAGS = {
@@ -43,20 +43,39 @@ function _getComparibleValue(val) {
     return val;
 }
 
+// Compares tuple keys (used by composite indexes) value by value. A tuple that
+// starts with all values of another tuple sorts after it, eg: [1] < [1,'a'] < [1,'b'] < [2]
+function _isTuple(val) {
+    return val instanceof Array;
+}
+function _compareTuples(tuple1, tuple2) {
+    const length = Math.min(tuple1.length, tuple2.length);
+    for (let i = 0; i < length; i++) {
+        const result = _sortCompare(tuple1[i], tuple2[i]);
+        if (result !== 0) { return result; }
+    }
+    if (tuple1.length < tuple2.length) { return -1; }
+    if (tuple1.length > tuple2.length) { return 1; }
+    return 0;
+}
+
 // Typeless comparison methods
 function _isEqual(val1, val2) {
+    if (_isTuple(val1) || _isTuple(val2)) { return _sortCompare(val1, val2) === 0; }
     val1 = _getComparibleValue(val1);
     val2 = _getComparibleValue(val2);
     if (typeof val1 !== typeof val2) { return false; }
     return val1 === val2;
 }
 function _isNotEqual(val1, val2) {
+    if (_isTuple(val1) || _isTuple(val2)) { return _sortCompare(val1, val2) !== 0; }
     val1 = _getComparibleValue(val1);
     val2 = _getComparibleValue(val2);
     if (typeof val1 !== typeof val2) { return true; }
     return val1 != val2;
 }
 function _isLess(val1, val2) {
+    if (_isTuple(val1) || _isTuple(val2)) { return _sortCompare(val1, val2) < 0; }
     val1 = _getComparibleValue(val1);
     val2 = _getComparibleValue(val2);
     if (val2 === null) { return false; }
@@ -65,6 +84,7 @@ function _isLess(val1, val2) {
     return val1 < val2;
 }
 function _isLessOrEqual(val1, val2) {
+    if (_isTuple(val1) || _isTuple(val2)) { return _sortCompare(val1, val2) <= 0; }
     val1 = _getComparibleValue(val1);
     val2 = _getComparibleValue(val2);
     if (val1 === null) { return true; }
@@ -73,6 +93,7 @@ function _isLessOrEqual(val1, val2) {
     return val1 <= val2;
 }
 function _isMore(val1, val2) {
+    if (_isTuple(val1) || _isTuple(val2)) { return _sortCompare(val1, val2) > 0; }
     val1 = _getComparibleValue(val1);
     val2 = _getComparibleValue(val2);
     if (val1 === null) { return false; }
@@ -81,6 +102,7 @@ function _isMore(val1, val2) {
     return val1 > val2;
 }
 function _isMoreOrEqual(val1, val2) {
+    if (_isTuple(val1) || _isTuple(val2)) { return _sortCompare(val1, val2) >= 0; }
     val1 = _getComparibleValue(val1);
     val2 = _getComparibleValue(val2);
     if (val1 === null) { return val2 === null; }
@@ -93,6 +115,7 @@ function _sortCompare(val1, val2) {
     val2 = _getComparibleValue(val2);
     if (val1 === null && val2 !== null) { return -1; }
     if (val1 !== null && val2 === null) { return 1; }
+    if (_isTuple(val1) && _isTuple(val2)) { return _compareTuples(val1, val2); }
     if (typeof val1 !== typeof val2) { 
         // boolean, number (+Dates), string
         if (typeof val1 < typeof val2) { return -1; }
@@ -1189,7 +1212,7 @@ class BPlusTree {
         }
         else if (op === "between") {
             let bottom = val[0], top = val[1];
-            if (top < bottom) {
+            if (_isLess(top, bottom)) {
                 let swap = top;
                 top = bottom;
                 bottom = swap;
@@ -1208,7 +1231,7 @@ class BPlusTree {
         else if (op === "!between") {
             // Equal to key < bottom || key > top
             let bottom = val[0], top = val[1];
-            if (top < bottom) {
+            if (_isLess(top, bottom)) {
                 let swap = top;
                 top = bottom;
                 bottom = swap;
@@ -1337,6 +1360,16 @@ class BPlusTree {
                 key = new Date(bytesToNumber(keyData));
                 break;
             }
+            case KEY_TYPE.TUPLE: {
+                // key_data contains the tuple's values, each stored as a key
+                key = [];
+                for (let i = 0; i < keyData.length;) {
+                    const valueInfo = BPlusTree.getKeyFromBinary(keyData, i);
+                    key.push(valueInfo.key);
+                    i += valueInfo.byteLength;
+                }
+                break;
+            }
             default: {
                 throw new DetailedError('unknown-key-type', `Unknown key type ${keyType}`);
             }
@@ -1374,6 +1407,10 @@ class BPlusTree {
                     keyType = KEY_TYPE.DATE;
                     keyBytes = numberToBytes(key.getTime());
                 }
+                else if (_isTuple(key)) {
+                    keyType = KEY_TYPE.TUPLE;
+                    keyBytes = _getTupleBytes(key, BPlusTree.getBinaryKeyData);
+                }
                 else {
                     throw new DetailedError('invalid-object-key-type', `Unsupported object key type`);
                 }
@@ -1521,7 +1558,7 @@ class BPlusTree {
     static get typeSafeComparison() {
         return {
             isMore(val1, val2) { return _isMore(val1, val2); },
-            isMoreOrEqual(val1, val2) { return isMoreOrEqual(val1, val2); },
+            isMoreOrEqual(val1, val2) { return _isMoreOrEqual(val1, val2); },
             isLess(val1, val2) { return _isLess(val1, val2); },
             isLessOrEqual(val1, val2) { return _isLessOrEqual(val1, val2); },
             isEqual(val1, val2) { return _isEqual(val1, val2); },
@@ -1530,12 +1567,26 @@ class BPlusTree {
     }
 }
 
+function _getTupleBytes(tuple, getValueBytes) {
+    const bytes = [];
+    tuple.forEach(value => {
+        if (_isTuple(value)) {
+            throw new DetailedError('invalid-tuple-value', `Tuple keys cannot contain other tuples`);
+        }
+        bytes.push(...getValueBytes(value));
+    });
+    if (bytes.length > 255) {
+        throw new DetailedError('tuple-too-large', `Tuple key byte size is too large, max is 255`);
+    }
+    return bytes;
+}
+
 function _checkNewEntryArgs(key, recordPointer, metadataKeys, metadata) {
     const storageTypesText = 'supported types are string, number, boolean, Date and undefined';
     const isStorableType = (val) => {
         return ['number','string','boolean','undefined'].indexOf(typeof val) >= 0 || val instanceof Date;
     };
-    if (!isStorableType(key)) {
+    if (!isStorableType(key) && !(_isTuple(key) && key.every(isStorableType))) {
         return new TypeError(`key contains a value that cannot be stored. ${storageTypesText}`);
     }
     if (!(recordPointer instanceof Array || recordPointer instanceof Uint8Array)) {
@@ -2862,6 +2913,33 @@ class BinaryBPlusTree {
         .then(processChild);
     }
 
+    /**
+     * Gets the depth of the tree: the number of levels from the root node down to the leafs
+     * @returns {Promise<number>}
+     */
+    getDepth() {
+        let reader, depth = 1;
+        /**
+         * 
+         * @param {BinaryBPlusTreeNodeInfo} nodeInfo 
+         */
+        const processChild = (nodeInfo) => {
+            if (nodeInfo.isLeaf) {
+                return depth;
+            }
+            depth++;
+            const node = this._getNode(nodeInfo, reader);
+            return node.entries[0].getLtChild()
+            .then(processChild);
+        };
+        return this._getReader()
+        .then(r => {
+            reader = r;
+            return this._readChild(reader);
+        })
+        .then(processChild);
+    }
+
     /**
      * 
      * @param {string|boolean|number|Date} searchKey 
@@ -3333,7 +3411,7 @@ class BinaryBPlusTree {
         }        
         else if (op === "between") {
             let bottom = param[0], top = param[1];
-            if (top < bottom) {
+            if (_isLess(top, bottom)) {
                 let swap = top;
                 top = bottom;
                 bottom = swap;
@@ -3360,7 +3438,7 @@ class BinaryBPlusTree {
         else if (op === "!between") {
             // Equal to key < bottom || key > top
             let bottom = param[0], top = param[1];
-            if (top < bottom) {
+            if (_isLess(top, bottom)) {
                 let swap = top;
                 top = bottom;
                 bottom = swap;
@@ -3814,7 +3892,7 @@ class BinaryBPlusTree {
                         node.parentNode = node2;
                         node.parentEntry = node2.entries.find(e => node1.index + e.ltChildOffset === node.index); // null if gtChild
                                                 
-                        if (node.parentEntry === null && node.entries[0].key <= node2.entries[node2.entries.length-1].key) {
+                        if (node.parentEntry === null && _isLessOrEqual(node.entries[0].key, node2.entries[node2.entries.length-1].key)) {
                             debugger;
                             throw new Error(`Node's first entry key (${node.entries[0].key}) <= node2's last entry key ${node2.entries[node2.entries.length-1].key}`);
                         }
@@ -3974,7 +4052,7 @@ class BinaryBPlusTree {
                     leaf.parentNode = node2;
                     leaf.parentEntry = node2.entries.find(e => node1.index + e.ltChildOffset === leaf.index); // null if gtChild
                                             
-                    if (leaf.parentEntry === null && leaf.entries[0].key <= node2.entries[node2.entries.length-1].key) {
+                    if (leaf.parentEntry === null && _isLessOrEqual(leaf.entries[0].key, node2.entries[node2.entries.length-1].key)) {
                         debugger;
                         throw new Error(`Leaf's first entry key (${leaf.entries[0].key}) <= node2's last entry key ${node2.entries[node2.entries.length-1].key}`);
                     }
@@ -4696,6 +4774,7 @@ class BinaryBPlusTree {
             if (typeof key === 'number' || key instanceof Date) { return 4; }
             if (typeof key === 'string') { return key.length; }
             if (typeof key === 'boolean') { return 1; }
+            if (_isTuple(key)) { return key.reduce((size, value) => size + (getKeySize(value) || 0), 0); }
         }
         let lock;
         let leafsSeen = 0;
@@ -4862,6 +4941,8 @@ class BinaryBPlusTree {
             // First, create nodes pointing to the leafs and as many parent level nodes as needed
             let childLevelNodes = leafStartKeys;
             const levels = [];
+            // Leaf start keys can be objects too (Dates and tuples), nodes are recognized by their gtChildIndex
+            const isNode = child => child !== null && typeof child === 'object' && 'gtChildIndex' in child;
             while (childLevelNodes.length > 1) {
                 // Create another level
                 childLevelNodes = childLevelNodes.reduce((nodes, child, index, arr) => {
@@ -4874,7 +4955,7 @@ class BinaryBPlusTree {
              
                     if (isLast) {
                         // gt connection
-                        let key = typeof child === 'object'
+                        let key = isNode(child)
                             ? child.gtMaxKey // child is node
                             : arr[index+1]; // child is leaf start key
                         currentNode.gtMaxKey = key;
@@ -4888,7 +4969,7 @@ class BinaryBPlusTree {
                     }
                     else {
                         // lt connection
-                        let key = typeof child === 'object'
+                        let key = isNode(child)
                             ? child.gtMaxKey // child is node
                             : arr[index+1]; // child is leaf start key
                         currentNode.entries.push({ key, ltChildIndex: index });
@@ -6373,6 +6454,10 @@ class BinaryBPlusTreeBuilder {
                 else if (key === null) {
                     keyType = KEY_TYPE.UNDEFINED;
                 }
+                else if (_isTuple(key)) {
+                    keyType = KEY_TYPE.TUPLE;
+                    keyBytes = _getTupleBytes(key, BinaryBPlusTreeBuilder.getKeyBytes);
+                }
                 else {
                     throw new DetailedError('invalid-object-key-type', `Unsupported object key type: ${key}`);
                 }
@@ -6412,6 +6497,8 @@ class BinaryReader {
             this.read = file;
         }
         else {
+            // Reading file descriptors or names requires the fs module, which is not available in browsers
+            const fs = require('fs');
             let fd;
             if (typeof file === 'number') {
                 // Use the passed file descriptor
@@ -6848,5 +6935,6 @@ module.exports = {
     BPlusTreeBuilder,
     BinaryWriter,
     BinaryReader,
-    BlacklistingSearchOperator
+    BlacklistingSearchOperator,
+    compareKeys: _sortCompare
 };
\ No newline at end of file
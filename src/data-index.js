@@ -1,18 +1,30 @@
 'use strict';
 const { Storage } = require('./storage');
 const { Node } = require('./node');
-const { BPlusTreeBuilder, BPlusTree, BinaryBPlusTree, BinaryWriter, BinaryBPlusTreeLeafEntry, BinaryReader, BlacklistingSearchOperator } = require('./btree');
-const { PathInfo, Utils, ID, debug, ColorStyle } = require('acebase-core');
+const { BPlusTreeBuilder, BPlusTree, BinaryBPlusTree, BinaryWriter, BinaryBPlusTreeLeafEntry, BinaryReader, BlacklistingSearchOperator, compareKeys } = require('./btree');
+const { PathInfo, Utils, ID, debug, ColorStyle, Transport } = require('acebase-core');
 const { compareValues, getChildValues, numberToBytes, bytesToNumber, encodeString, decodeString } = Utils;
 const Geohash = require('./geohash');
-const pfs = require('./promise-fs');
-const fs = require('fs');
 const ThreadSafe = require('./thread-safe');
 const unidecode = require('unidecode');
+const { DetailedError } = require('./detailed-error');
+const stemmers = require('./text-stemmers');
 
 const DISK_BLOCK_SIZE = 4096; // use 512 for older disks
 const FILL_FACTOR = 50; // leave room for inserts
 
+/**
+ * Creates a BinaryReader read function for an opened file
+ * @param {typeof import('./promise-fs')|import('./storage-fs').StorageFileSystem} pfs file system the file was opened with
+ * @param {number} fd
+ */
+function _fileReader(pfs, fd) {
+    return (index, length) => {
+        return pfs.read(fd, Buffer.alloc(length), 0, length, index)
+        .then(result => result.bytesRead < length ? result.buffer.slice(0, result.bytesRead) : result.buffer);
+    };
+}
+
 function _createRecordPointer(wildcards, key) { //, address) {
     // binary layout:
     // record_pointer   = wildcards_info, key_info, DEPRECATED: record_location
@@ -95,6 +107,131 @@ function _parseRecordPointer(path, recordPointer) {
     return { key, path: `${path}/${key}`, wildcards };
 }
 
+function _testValue(value, op, compare) {
+    // Tests an indexed value (or included metadata value) against a filter.
+    // Missing values are compared with null, so <, <=, > etc will get the right results
+    if (typeof compare === 'undefined') {
+        compare = null;
+    }
+    if (op === 'exists' || op === '!exists') {
+        op = op === 'exists' ? "!=" : "==";
+        compare = null;
+    }
+    if (typeof value === 'undefined') { 
+        value = null;
+    }
+    if (op === '<') { return value < compare; }
+    if (op === '<=') { return value <= compare; }
+    if (op === '>') { return value > compare; }
+    if (op === '>=') { return value >= compare; }
+    if (op === '==') { return value == compare; }
+    if (op === '!=') { return value != compare; }
+    if (op === 'like' || op === '!like') {
+        const pattern = '^' + compare.replace(/\*/g, '.*').replace(/\?/g, '.') + '$';
+        const re = new RegExp(pattern, 'i');
+        const isLike = re.test(value);
+        return op === 'like' ? isLike : !isLike;
+    }
+    if (op === 'in' || op === '!in') {
+        const isIn = compare instanceof Array && compare.indexOf(value) >= 0;
+        return op === 'in' ? isIn : !isIn;
+    }
+    if (op == 'between' || op === '!between') {
+        let bottom = compare[0], top = compare[1];
+        if (top < bottom) {
+            let swap = top;
+            top = bottom;
+            bottom = swap;
+        }
+        const isBetween = value >= bottom && value <= top;
+        return op === 'between' ? isBetween : !isBetween;
+    }
+    if (op === 'matches' || op === '!matches') {
+        const re = compare;
+        const isMatch = re.test(value);
+        return op === 'matches' ? isMatch : !isMatch;
+    }
+    return false;
+}
+
+/**
+ * Error thrown when a write or index build would index the same value for multiple records in a unique index
+ */
+class UniqueConstraintError extends DetailedError {
+    /**
+     * @param {DataIndex} index
+     * @param {any} value the duplicate value
+     * @param {string[]} paths paths of the records that have the value
+     */
+    constructor(index, value, paths) {
+        const display = value instanceof Array ? `[${value.join(',')}]` : value;
+        super('unique-constraint', `Value "${display}" of key "${index.key}" must be unique in index ${index.description}, it is used by records ${paths.map(path => `"/${path}"`).join(' and ')}`);
+        this.index = index.description;
+        this.value = value;
+        this.paths = paths;
+    }
+}
+
+/**
+ * Checks if an indexed value is subject to unique constraints: missing values (and tuples with missing values) are not
+ * @param {any} value
+ */
+function _isUniqueConstrained(value) {
+    const isConstrained = val => ['string','number','boolean'].includes(typeof val) || val instanceof Date;
+    return value instanceof Array ? value.every(isConstrained) : isConstrained(value);
+}
+
+/**
+ * Validates filters passed as an index filter option. Throws if they are invalid
+ * @param {Array<{ key: string, op: string, compare: any }>} filter
+ */
+function _validateIndexFilter(filter) {
+    if (!(filter instanceof Array)) {
+        throw new Error(`filter option must be an array of { key, op, compare } filters`);
+    }
+    const ops = ['<','<=','==','!=','>','>=','exists','!exists','between','!between','like','!like','in','!in','has','!has','contains','!contains'];
+    filter.forEach(f => {
+        if (typeof f !== 'object' || f === null || typeof f.key !== 'string' || f.key.includes('/') || f.key === '{key}') {
+            throw new Error(`Invalid index filter: key must be the name of a child of the indexed records`);
+        }
+        if (!ops.includes(f.op)) {
+            throw new Error(`Invalid index filter operator "${f.op}" for key "${f.key}"`);
+        }
+        if (['in','!in','between','!between'].includes(f.op) && !(f.compare instanceof Array)) {
+            throw new Error(`Index filter operator "${f.op}" for key "${f.key}" requires an array to compare with`);
+        }
+        if (['like','!like'].includes(f.op) && typeof f.compare !== 'string') {
+            throw new Error(`Index filter operator "${f.op}" for key "${f.key}" requires a string pattern`);
+        }
+    });
+}
+
+/**
+ * Creates a short (32-bit FNV-1a) hexadecimal hash of a string, used to create unique index file names and to detect changed compute functions
+ * @param {string} str
+ * @returns {string}
+ */
+function _hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Gets a value that sorts right after given value, used to seek past all tuples starting with it
+ * @param {any} value
+ */
+function _successor(value) {
+    if (value === null || typeof value === 'undefined') { return false; }
+    if (typeof value === 'boolean') { return value ? -Infinity : true; } // numbers sort after booleans
+    if (value instanceof Date) { return value.getTime() + 1; } // dates sort as numbers
+    if (typeof value === 'number') { return value + Math.max(Number.MIN_VALUE, Math.abs(value) * Number.EPSILON); }
+    return value + '\u0000';
+}
+
 class DataIndex {
 
     static get STATE() {
@@ -117,6 +254,8 @@ class DataIndex {
      * @param {string} [options.textLocale="en"] locale to use when comparing case insensitive string values. Can be a language code ("nl", "en" etc), or LCID ("en-us", "en-au" etc). Defaults to English ("en")
      * @param {string} [options.textLocaleKey] to allow multiple languages to be indexed, you can specify the name of the key in the source records that contains the locale. When this key is not present in the data, the specified textLocale will be used as default. Eg with textLocaleKey: 'locale', 1 record might contain { text: 'Hello World', locale: 'en' } (text will be indexed with English locale), and another { text: 'Hallo Wereld', locale: 'nl' } (Dutch locale)
      * @param {string[]} [options.include] other keys' data to include in the index, for faster sorting topN (.limit.order) query results
+     * @param {boolean} [options.unique=false] if indexed values must be unique: writes that would index a value for more than 1 record are rejected. Records without a value are not constrained
+     * @param {Array<{ key: string, op: string, compare: any }>} [options.filter] only index records that match all these filters, eg [{ key: 'status', op: '!=', compare: 'done' }]
      */
     constructor(storage, path, key, options = {}) {
         if (['string','undefined'].indexOf(typeof options.include) < 0 && !(options.include instanceof Array)) {
@@ -125,6 +264,9 @@ class DataIndex {
         if (typeof options.include === 'string') {
             options.include = [options.include];
         }
+        if (typeof options.filter !== 'undefined') {
+            _validateIndexFilter(options.filter);
+        }
 
         this.state = DataIndex.STATE.INIT;
         this.storage = storage;
@@ -134,10 +276,14 @@ class DataIndex {
         this.textLocale = options.textLocale || "en";
         this.textLocaleKey = options.textLocaleKey;
         this.includeKeys = options.include || [];
+        this.unique = options.unique === true;
+        this.filter = (options.filter || []).map(f => ({ key: f.key, op: f.op, compare: f.compare }));
         // this.enableReverseLookup = false;
         this.indexMetadataKeys = [];
         this._buildError = null;
         this._updateQueue = [];
+        this.lastBuild = null;
+        this._headerPositions = {}; // positions of the info values in the index file header, see _writeHeaderValue
     
         /**
          * @type {Map<string, Map<any, BinaryBPlusTreeLeafEntry>}
@@ -157,10 +303,45 @@ class DataIndex {
         };
     }
 
+    /**
+     * Indexed key(s), composite indexes have multiple
+     * @returns {string[]}
+     */
+    get keys() {
+        return [this.key];
+    }
+
     get allMetadataKeys() {
         return this.includeKeys.concat(this.indexMetadataKeys);
     }
 
+    /**
+     * Keys used in the index filter
+     * @returns {string[]}
+     */
+    get filterKeys() {
+        return this.filter.map(f => f.key).filter((key, i, keys) => keys.indexOf(key) === i);
+    }
+
+    /**
+     * Checks if a record matches the index filter. Records that don't are not indexed
+     * @param {any} value value of the record
+     * @returns {boolean}
+     */
+    isRecordInFilter(value) {
+        if (this.filter.length === 0) { return true; }
+        if (value === null || typeof value !== 'object') { return false; }
+        return this.filter.every(f => {
+            const val = value[f.key];
+            if (typeof val === 'undefined' || val === null) {
+                // Storage.test expects a value for these operators
+                if (['like', 'has', 'contains'].includes(f.op)) { return false; }
+                if (['!like', '!has', '!contains'].includes(f.op)) { return true; }
+            }
+            return this.storage.test(val, f.op, f.compare);
+        });
+    }
+
     setCacheTimeout(seconds, sliding = false) {
         this._cacheTimeoutSettings = {
             duration: seconds * 1000,
@@ -213,6 +394,7 @@ class DataIndex {
 
     static readFromFile(storage, fileName) {
         // Read an index from file
+        const pfs = storage.indexes.fileSystem;
         let dataIndex;
         let fd;
         const filePath = `${storage.settings.path}/${storage.name}.acebase/${fileName}`;
@@ -300,25 +482,43 @@ class DataIndex {
                 index += valueLength;
                 return value;
             };
-            const readInfo = () => {
+            const readInfo = (positions) => {
                 const infoCount = header[index];
                 index++;
                 const info = {};
                 for (let i = 0; i < infoCount; i++) {
                     const key = readKey();                    
+                    positions && (positions[key] = index);
                     const value = readValue();
                     info[key] = value;
                 }
                 return info;
             };
 
-            const indexInfo = readInfo();
-            let indexOptions = { caseSensitive: indexInfo.cs, textLocale: indexInfo.locale, include: indexInfo.include };
+            const infoPositions = {};
+            const indexInfo = readInfo(infoPositions);
+            let indexOptions = { caseSensitive: indexInfo.cs, textLocale: indexInfo.locale, include: indexInfo.include, unique: indexInfo.unique };
+            if (typeof indexInfo.filter === 'string') {
+                indexOptions.filter = Transport.deserialize2(JSON.parse(indexInfo.filter));
+            }
+            if (typeof indexInfo.config === 'string') {
+                indexOptions.config = JSON.parse(indexInfo.config); // not stored by older versions
+            }
             switch (indexInfo.type) {
                 case 'normal': {
                     dataIndex = new DataIndex(storage, indexInfo.path, indexInfo.key, indexOptions); 
                     break;
                 }
+                case 'composite': {
+                    // key is stored as "[key1,key2]"
+                    dataIndex = new CompositeIndex(storage, indexInfo.path, indexInfo.key.slice(1, -1).split(','), indexOptions); 
+                    break;
+                }
+                case 'computed': {
+                    // The compute function is passed again when the index is created after loading
+                    dataIndex = new ComputedIndex(storage, indexInfo.path, indexInfo.key, indexOptions); 
+                    break;
+                }
                 case 'array': {
                     dataIndex = new ArrayIndex(storage, indexInfo.path, indexInfo.key, indexOptions); 
                     break;
@@ -336,6 +536,14 @@ class DataIndex {
                 }
             }
             dataIndex._fileName = filePath;
+            dataIndex.lastBuild = indexInfo.built ? new Date(indexInfo.built) : null; // not stored by older versions
+            if (indexInfo.totals instanceof Array) {
+                // not stored by older versions
+                dataIndex._setTotals(indexInfo.totals);
+            }
+            dataIndex._setHeaderInfo(indexInfo);
+            // Header bytes were read from file position 15 (after signature, layout_version and header_length)
+            Object.keys(infoPositions).forEach(key => { dataIndex._headerPositions[key] = 15 + infoPositions[key]; });
 
             // trees_info:
             const treesCount = header[index];
@@ -380,8 +588,11 @@ class DataIndex {
         const includes = this.includeKeys.length > 0 
             ? ',' + this.includeKeys.join(',')
             : '';
+        const filter = this.filter.length > 0
+            ? ',filter-' + _hashString(this._serializeFilter())
+            : '';
         const extension = (this.type !== 'normal' ? `${this.type}.` : '') + 'idx';
-        return `${dir}/${escapedPath}-${this.key}${includes}.${extension}`;        
+        return `${dir}/${escapedPath}-${this.key}${includes}${filter}.${extension}`;        
     }
 
     get description() {
@@ -391,9 +602,105 @@ class DataIndex {
         if (this.type !== 'normal') {
             description += ` (${this.type})`;
         }
+        if (this.filter.length > 0) {
+            description += ` where ${this.filter.map(f => `${f.key} ${f.op} ${JSON.stringify(f.compare)}`).join(' and ')}`;
+        }
         return description;
     }
 
+    /**
+     * Serializes the index filter to a string that can be stored in the index file header
+     * @returns {string}
+     */
+    _serializeFilter() {
+        return JSON.stringify(Transport.serialize2(this.filter));
+    }
+
+    /**
+     * Serializes index-specific configuration settings to a string that can be stored in the index file header
+     * @returns {string|undefined}
+     */
+    _serializeConfig() {
+        return undefined;
+    }
+
+    /**
+     * Gets index-specific totals to store in the index file header. They are updated in place by _writeTotals,
+     * so the number of totals must not change
+     * @returns {number[]|undefined}
+     */
+    _getTotals() {
+        return undefined;
+    }
+
+    /**
+     * Sets the index-specific totals read from the index file header
+     * @param {number[]} totals
+     */
+    _setTotals(totals) {
+        // No totals by default
+    }
+
+    /**
+     * Gets other index-specific info to store in the index file header
+     * @returns {object}
+     */
+    _getHeaderInfo() {
+        return {};
+    }
+
+    /**
+     * Sets the index-specific info read from the index file header
+     * @param {object} info all info read from the header
+     */
+    _setHeaderInfo(info) {
+        // No other info by default
+    }
+
+    /**
+     * Writes the current totals to the index file header, if it has them
+     * @returns {Promise<void>}
+     */
+    _writeTotals() {
+        const totals = this._getTotals();
+        if (!(totals instanceof Array)) { return Promise.resolve(); }
+        // value_type 4 (array), value_length, then value_type 2 (number), value_length 8 and value_data of each total
+        const bytes = [4, (totals.length >> 8) & 0xff, totals.length & 0xff];
+        totals.forEach(total => bytes.push(2, 0, 8, ...numberToBytes(total)));
+        return this._writeHeaderValue('totals', bytes);
+    }
+
+    /**
+     * Overwrites the value of an info key in the index file header. The new value must have the same byte length
+     * @param {string} key
+     * @param {number[]} bytes value_type, value_length and value_data
+     * @returns {Promise<void>}
+     */
+    _writeHeaderValue(key, bytes) {
+        const pfs = this.storage.indexes.fileSystem;
+        let lock, fd;
+        return this._lock(true, `index._writeHeaderValue "${key}"`)
+        .then(l => {
+            lock = l;
+            const position = this._headerPositions[key];
+            if (typeof position !== 'number') { return; } // not stored by older versions
+            return pfs.open(this.fileName, pfs.flags.readAndWrite)
+            .then(f => {
+                fd = f;
+                return pfs.write(fd, Buffer.from(bytes), 0, bytes.length, position);
+            })
+            .then(() => {
+                return pfs.close(fd);
+            });
+        })
+        .then(() => {
+            lock.release();
+        }, err => {
+            lock && lock.release();
+            throw err;
+        });
+    }
+
     _getWildcardKeys(path) {
         const pathKeys = PathInfo.getPathKeys(path);
         const indexKeys = PathInfo.getPathKeys(this.path);
@@ -425,7 +732,8 @@ class DataIndex {
     // }
 
     _updateTree(path, oldValue, newValue, oldRecordPointer, newRecordPointer, metadata) {
-        const canBeIndexed = ['number','boolean','string'].indexOf(typeof newValue) >= 0 || newValue instanceof Date;
+        const canBeIndexed = ['number','boolean','string'].indexOf(typeof newValue) >= 0 || newValue instanceof Date
+            || (newValue instanceof Array && this.keys.length > 1); // tuple of a composite index
         const operations = [];
         if (oldValue !== null) {
             let op = BinaryBPlusTree.TransactionOperation.remove(oldValue, oldRecordPointer);
@@ -444,6 +752,7 @@ class DataIndex {
      */
     _rebuild() {
         // NEW: Rebuild with streams
+        const pfs = this.storage.indexes.fileSystem;
         const newIndexFile = this.fileName + '.tmp';
         return pfs.open(newIndexFile, pfs.flags.write)
         .then(fd => {
@@ -600,6 +909,10 @@ class DataIndex {
      */
     handleRecordUpdate(path, oldValue, newValue, indexMetadata) {
 
+        // Records moving out of the index filter are removed, records moving in are added
+        if (!this.isRecordInFilter(oldValue)) { oldValue = null; }
+        if (!this.isRecordInFilter(newValue)) { newValue = null; }
+
         const updatedKey = PathInfo.get(path).key;
         const keyValues = this.key === '{key}' 
             ? { oldValue: oldValue === null ? null : updatedKey, newValue: newValue === null ? null : updatedKey }
@@ -661,6 +974,312 @@ class DataIndex {
         }
     }
 
+    /**
+     * Gets the value a record is indexed with
+     * @param {string} path path of the record
+     * @param {any} value value of the record
+     * @returns {any} null if the record is not indexed
+     */
+    _getKeyValue(path, value) {
+        if (value === null || typeof value !== 'object') { return null; }
+        let keyValue = this.key === '{key}' ? PathInfo.get(path).key : value[this.key];
+        if (typeof keyValue === 'string' && !this.caseSensitive) {
+            keyValue = keyValue.toLocaleLowerCase(this.textLocale);
+        }
+        return keyValue;
+    }
+
+    /**
+     * Checks if record changes would violate the unique constraint of this index. Must be called before the changes are written
+     * @param {Array<{ path: string, oldValue: any, newValue: any }>} changes
+     * @returns {Promise<void>} rejects with a UniqueConstraintError if a new value is already indexed for another record, or used by multiple changed records
+     */
+    checkUniqueConstraint(changes) {
+        const checks = [], changedValues = new Map();
+        for (let i = 0; i < changes.length; i++) {
+            const change = changes[i];
+            const value = this.isRecordInFilter(change.newValue) ? this._getKeyValue(change.path, change.newValue) : null;
+            if (!_isUniqueConstrained(value)) { continue; }
+            const valueKey = JSON.stringify([].concat(value).map(val => val instanceof Date ? ['date', val.getTime()] : [typeof val, val]));
+            if (changedValues.has(valueKey)) {
+                return Promise.reject(new UniqueConstraintError(this, value, [changedValues.get(valueKey), change.path]));
+            }
+            changedValues.set(valueKey, change.path);
+            const oldValue = this.isRecordInFilter(change.oldValue) ? this._getKeyValue(change.path, change.oldValue) : null;
+            if (compareKeys(oldValue, value) !== 0) {
+                // Value changed, check if it is indexed for another record
+                checks.push({ path: change.path, value });
+            }
+        }
+        if (checks.length === 0 || this.state !== DataIndex.STATE.READY) {
+            // Nothing to check, or the index is being built: that checks all indexed values once done
+            return Promise.resolve();
+        }
+        const changedPaths = changes.map(change => change.path);
+        let lock, idx;
+        return this._lock(false, `index.checkUniqueConstraint "/${changedPaths[0]}"`)
+        .then(l => {
+            lock = l;
+            return this._getTree();
+        })
+        .then(i => {
+            idx = i;
+            const nextCheck = n => {
+                if (n === checks.length) { return; }
+                const check = checks[n];
+                return idx.tree.find(check.value)
+                .then(values => {
+                    // Records that are changed in this write are checked above
+                    const otherPath = (values || [])
+                        .map(value => _parseRecordPointer(this.path, value.recordPointer).path)
+                        .find(path => !changedPaths.includes(path));
+                    if (otherPath) {
+                        throw new UniqueConstraintError(this, check.value, [otherPath, check.path]);
+                    }
+                    return nextCheck(n + 1);
+                });
+            };
+            return nextCheck(0);
+        })
+        .then(() => {
+            lock.release();
+            idx.close();
+        })
+        .catch(err => {
+            lock && lock.release();
+            idx && idx.close();
+            throw err;
+        });
+    }
+
+    /**
+     * Checks if all indexed values are unique, used after building a unique index
+     * @returns {Promise<void>} rejects with a UniqueConstraintError if a value is indexed for multiple records
+     */
+    _checkUniqueEntries() {
+        return this._getTree()
+        .then(idx => {
+            const checkLeaf = leaf => {
+                const entry = leaf.entries.find(entry => entry.totalValues > 1 && _isUniqueConstrained(entry.key));
+                if (entry) {
+                    const loadPromise = entry.extData && !entry.extData.loaded ? entry.extData.loadValues() : Promise.resolve();
+                    return loadPromise.then(() => {
+                        const paths = entry.values.map(value => _parseRecordPointer(this.path, value.recordPointer).path);
+                        throw new UniqueConstraintError(this, entry.key, paths.slice(0, 2));
+                    });
+                }
+                return leaf.getNext ? leaf.getNext().then(checkLeaf) : null;
+            };
+            return idx.tree.getFirstLeaf()
+            .then(checkLeaf)
+            .then(() => idx.close(), err => {
+                idx.close();
+                throw err;
+            });
+        });
+    }
+
+    /**
+     * Reads all entries of the index
+     * @returns {Promise<Map<string, string>>} description of each entry (its value, record pointer and metadata) mapped to the path of its record
+     */
+    _readEntries() {
+        const describe = val => val instanceof Date ? ['date', val.getTime()] : val instanceof Array ? val.map(describe) : [typeof val, val];
+        const entries = new Map();
+        return this._getTree()
+        .then(idx => {
+            const readLeaf = leaf => {
+                return Promise.all(leaf.entries.map(entry => entry.extData && !entry.extData.loaded ? entry.extData.loadValues() : null))
+                .then(() => {
+                    leaf.entries.forEach(entry => entry.values.forEach(value => {
+                        const metadata = this.allMetadataKeys.map(key => describe(value.metadata ? value.metadata[key] : undefined));
+                        const description = JSON.stringify([describe(entry.key), Array.from(value.recordPointer), metadata]);
+                        entries.set(description, _parseRecordPointer(this.path, value.recordPointer).path);
+                    }));
+                    return leaf.getNext ? leaf.getNext().then(readLeaf) : null;
+                });
+            };
+            return idx.tree.getFirstLeaf()
+            .then(readLeaf)
+            .then(() => {
+                idx.close();
+                return entries;
+            }, err => {
+                idx.close();
+                throw err;
+            });
+        });
+    }
+
+    /**
+     * Creates an index with the same settings, that uses another file. It is not built yet
+     * @param {string} fileName
+     * @returns {DataIndex}
+     */
+    _clone(fileName) {
+        const options = { 
+            include: this.includeKeys, 
+            caseSensitive: this.caseSensitive, 
+            textLocale: this.textLocale, 
+            textLocaleKey: this.textLocaleKey, 
+            filter: this.filter, 
+            compute: this.compute || undefined, 
+            config: this.config 
+        };
+        const index = new this.constructor(this.storage, this.path, this.type === 'composite' ? this.keys : this.key, options);
+        index._fileName = fileName;
+        return index;
+    }
+
+    /**
+     * Gets statistics of the index
+     * @returns {Promise<{ index: string, path: string, key: string, type: string, state: string, entries: number, values: number, fileSize: number, depth: number, fillFactor: number, lastBuild: Date|null }>}
+     * entries is the number of indexed records, values the number of distinct indexed values. fillFactor is the average
+     * percentage leafs are filled with entries. lastBuild is null if the index was built by a version that did not store it
+     */
+    stats() {
+        const pfs = this.storage.indexes.fileSystem;
+        const stats = {
+            index: this.description,
+            path: this.path,
+            key: this.key,
+            type: this.type,
+            state: this.state,
+            entries: 0,
+            values: 0,
+            fileSize: 0,
+            depth: 0,
+            fillFactor: 0,
+            lastBuild: this.lastBuild
+        };
+        if (this.state !== DataIndex.STATE.READY) {
+            // The index file is being built or could not be built
+            return Promise.resolve(stats);
+        }
+        let lock, idx, leafs = 0;
+        return this._lock(false, `index.stats`)
+        .then(l => {
+            lock = l;
+            return pfs.stat(this.fileName);
+        })
+        .then(fileStats => {
+            stats.fileSize = fileStats.size;
+            return this._getTree();
+        })
+        .then(i => {
+            idx = i;
+            return idx.tree.getDepth();
+        })
+        .then(depth => {
+            stats.depth = depth;
+            const countLeaf = leaf => {
+                leafs++;
+                stats.values += leaf.entries.length;
+                stats.entries += leaf.entries.reduce((total, entry) => total + entry.totalValues, 0);
+                return leaf.getNext ? leaf.getNext().then(countLeaf) : null;
+            };
+            return idx.tree.getFirstLeaf().then(countLeaf);
+        })
+        .then(() => {
+            stats.fillFactor = Math.round(stats.values / (leafs * idx.tree.info.entriesPerNode) * 100);
+            idx.close();
+            lock.release();
+            return stats;
+        })
+        .catch(err => {
+            idx && idx.close();
+            lock && lock.release();
+            throw err;
+        });
+    }
+
+    /**
+     * Verifies the index by comparing its entries with those of a new index built from the current data. Writes
+     * to the indexed data while verifying can be reported as drift
+     * @param {object} [options]
+     * @param {boolean} [options.repair=false] whether to rebuild the index if its entries drifted from the data
+     * @returns {Promise<{ index: string, ok: boolean, entries: number, missing: number, unexpected: number, paths: string[], repaired: boolean }>}
+     * missing is the number of entries the index should have but doesn't, unexpected the number of entries it should not have.
+     * paths are the paths of the records with drifted entries (max 100)
+     */
+    verify(options = { repair: false }) {
+        const pfs = this.storage.indexes.fileSystem;
+        const check = this._clone(`${this.fileName}.verify`);
+        let expected, actual, lock;
+        return check.build()
+        .then(() => check._readEntries())
+        .catch(err => {
+            // Remove the temporary index file, it may not have been written
+            return pfs.rm(check.fileName)
+            .catch(rmErr => {
+                if (rmErr.code !== 'ENOENT') { this.storage.debug.warn(`Could not remove temporary index file "${check.fileName}":`, rmErr); }
+            })
+            .then(() => { throw err; });
+        })
+        .then(entries => {
+            expected = entries;
+            return pfs.rm(check.fileName);
+        })
+        .then(() => this._lock(false, `index.verify`))
+        .then(l => {
+            lock = l;
+            return this._readEntries();
+        })
+        .then(entries => {
+            lock.release();
+            actual = entries;
+            const paths = [];
+            const addPath = path => paths.length < 100 && !paths.includes(path) && paths.push(path);
+            let missing = 0, unexpected = 0;
+            expected.forEach((path, description) => {
+                if (!actual.has(description)) { missing++; addPath(path); }
+            });
+            actual.forEach((path, description) => {
+                if (!expected.has(description)) { unexpected++; addPath(path); }
+            });
+            const result = { index: this.description, ok: missing + unexpected === 0, entries: actual.size, missing, unexpected, paths, repaired: false };
+            if (result.ok || !(options && options.repair)) {
+                return result;
+            }
+            this.storage.debug.warn(`Index ${this.description} has ${missing} missing and ${unexpected} unexpected entries, rebuilding it`);
+            return this.build()
+            .then(() => {
+                result.repaired = true;
+                return result;
+            });
+        }, err => {
+            lock && lock.release();
+            throw err;
+        });
+    }
+
+    /**
+     * Deletes the index file. Pending updates are discarded, and the index cannot be used anymore
+     * @returns {Promise<void>}
+     */
+    delete() {
+        const pfs = this.storage.indexes.fileSystem;
+        return this._lock(true, `index.delete`)
+        .then(lock => {
+            this.state = DataIndex.STATE.ERROR;
+            this._buildError = new Error(`Index ${this.description} was deleted`);
+            this._updateQueue.splice(0).forEach(update => update.resolve());
+            this._cache.forEach(opCache => opCache.forEach(cache => clearTimeout(cache.timeout)));
+            this._cache.clear();
+            return pfs.rm(this.fileName)
+            .catch(err => {
+                // Index file may not have been written yet
+                if (err.code !== 'ENOENT') { throw err; }
+            })
+            .then(() => {
+                lock.release();
+            }, err => {
+                lock.release();
+                throw err;
+            });
+        });
+    }
+
     _lock(forWriting, comment) {
         // Do we still need this? B+Tree now does its own locking, so this might be obsolete...
         // UPDATE: Yes, we do. When an index is being created/rebuilt and queried at the same time, we very much need this locking!
@@ -766,14 +1385,47 @@ class DataIndex {
         });
     }
 
-    take(skip, take, ascending) {
+    /**
+     * Gets entries from the index in sorted order
+     * @param {number} skip number of (matching) entries to skip
+     * @param {number} take max number of entries to return
+     * @param {boolean} ascending
+     * @param {object} [options]
+     * @param {Array<{ key: string, op: string, compare: any }>} [options.filters] filters on the indexed key and/or included keys entries must match. Results are not cached when used
+     * @param {{ value: any, path: string }} [options.from] position to start taking entries after, seeks to its leaf directly instead of skipping all entries before it.
+     * Entries with the same indexed value are ordered by path, in the same direction as the indexed values
+     * @returns {Promise<IndexQueryResults>}
+     */
+    take(skip, take, ascending, options = { filters: undefined, from: undefined }) {
+        const filters = options && options.filters instanceof Array && options.filters.length > 0
+            ? options.filters.map(f => {
+                if (!this.allMetadataKeys.includes(f.key) && f.key !== this.key) {
+                    throw new Error(`Cannot filter on key "${f.key}" while taking from index "${this.description}"`);
+                }
+                let compare = f.compare;
+                if (!this.caseSensitive && f.key === this.key) {
+                    // Indexed values are stored locale aware lowercase
+                    if (typeof compare === 'string') { compare = compare.toLocaleLowerCase(this.textLocale); }
+                    else if (compare instanceof Array) {
+                        compare = compare.map(val => typeof val === 'string' ? val.toLocaleLowerCase(this.textLocale) : val);
+                    }
+                }
+                return { key: f.key, op: f.op, compare };
+            })
+            : null;
+
+        let from = options && options.from;
+        if (from && !this.caseSensitive && typeof from.value === 'string') {
+            from = { value: from.value.toLocaleLowerCase(this.textLocale), path: from.path };
+        }
+
         const cacheKey = `${skip}+${take}-${ascending ? 'asc' : 'desc'}`;
-        const cache = this.cache('take', cacheKey);
+        const cache = !filters && !from && this.cache('take', cacheKey);
         if (cache) {
             return Promise.resolve(cache);
         }
 
-        const stats = new IndexQueryStats('take', { skip, take, ascending }, true);
+        const stats = new IndexQueryStats('take', { skip, take, ascending, filters: filters ? filters.length : 0, from: from ? from.value : undefined }, true);
 
         var lock;
         // this.storage.debug.log(`Requesting query lock on index ${this.description}`.colorize(ColorStyle.blue));
@@ -793,36 +1445,68 @@ class DataIndex {
             let skipped = 0;
             const processLeaf = (leaf) => {
                 if (!ascending) { leaf.entries.reverse(); }
-                for (let i = 0; i < leaf.entries.length; i++) {
-                    const entry = leaf.entries[i];
-                    const value = entry.key;
-                    for (let j = 0; j < entry.values.length; j++) {
-                        if (skipped < skip) { 
-                            skipped++; 
-                            continue; 
+                const processEntries = (i) => {
+                    for (; i < leaf.entries.length; i++) {
+                        const entry = leaf.entries[i];
+                        const value = entry.key;
+                        const fromPosition = from ? compareKeys(value, from.value) * (ascending ? 1 : -1) : 1;
+                        if (fromPosition < 0) {
+                            // Entry is before the position to start from
+                            continue;
                         }
-                        const entryValue = entry.values[j];
-                        const recordPointer = _parseRecordPointer(this.path, entryValue.recordPointer);
-                        const metadata = entryValue.metadata;
-                        const result = new IndexQueryResult(recordPointer.key, recordPointer.path, value, metadata);
-                        results.push(result);
-                        if (results.length === take) { 
-                            return results;
+                        if (!filters && fromPosition > 0 && skipped + entry.totalValues <= skip) {
+                            // Skip all values of this entry, no need to load them
+                            skipped += entry.totalValues;
+                            continue;
+                        }
+                        if (typeof entry.extData === 'object' && !entry.extData.loaded) {
+                            // Load the entry's values first
+                            const index = i;
+                            return entry.extData.loadValues().then(() => processEntries(index));
+                        }
+                        // Order values with the same indexed value by path
+                        let entryValues = entry.values
+                            .map(entryValue => ({ entryValue, recordPointer: _parseRecordPointer(this.path, entryValue.recordPointer) }))
+                            .sort((a, b) => (a.recordPointer.path < b.recordPointer.path ? -1 : 1) * (ascending ? 1 : -1));
+                        if (fromPosition === 0) {
+                            // Take the values after the start position
+                            entryValues = entryValues.filter(v => ascending ? v.recordPointer.path > from.path : v.recordPointer.path < from.path);
+                        }
+                        for (let j = 0; j < entryValues.length; j++) {
+                            const { entryValue, recordPointer } = entryValues[j];
+                            const metadata = entryValue.metadata;
+                            if (filters && !filters.every(f => _testValue(f.key === this.key ? value : metadata && metadata[f.key], f.op, f.compare))) {
+                                continue;
+                            }
+                            if (skipped < skip) { 
+                                skipped++; 
+                                continue; 
+                            }
+                            const result = new IndexQueryResult(recordPointer.key, recordPointer.path, value, metadata);
+                            results.push(result);
+                            if (results.length === take) { 
+                                return results;
+                            }
                         }
                     }
-                }
-
-                if (ascending && leaf.getNext) {
-                    return leaf.getNext().then(processLeaf);
-                }
-                else if (!ascending && leaf.getPrevious) {
-                    return leaf.getPrevious().then(processLeaf);
-                }
-                else {
-                    return results;
-                }
+                    return nextLeaf();
+                };
+                const nextLeaf = () => {
+                    if (ascending && leaf.getNext) {
+                        return leaf.getNext().then(processLeaf);
+                    }
+                    else if (!ascending && leaf.getPrevious) {
+                        return leaf.getPrevious().then(processLeaf);
+                    }
+                    else {
+                        return results;
+                    }
+                };
+                return processEntries(0);
             }
-            const promise = ascending 
+            const promise = from
+                ? tree.findLeaf(from.value).then(processLeaf)
+                : ascending 
                 ? tree.getFirstLeaf().then(processLeaf)
                 : tree.getLastLeaf().then(processLeaf);
 
@@ -832,7 +1516,7 @@ class DataIndex {
 
                 stats.stop(results.length);
                 results.stats = stats;
-                this.cache('take', cacheKey, results);                
+                !filters && !from && this.cache('take', cacheKey, results);
                 return results;
             })
         });
@@ -1038,6 +1722,7 @@ class DataIndex {
             ? DataIndex.STATE.REBUILD  // Existing index file has to be overwritten in the last phase
             : DataIndex.STATE.BUILD;
         this._buildError = null;
+        const pfs = this.storage.indexes.fileSystem;
         const path = this.path;
         const wildcardNames = path.match(/\*|\$[a-z0-9_]+/gi) || [];
         // const hasWildcards = wildcardNames.length > 0;
@@ -1069,7 +1754,7 @@ class DataIndex {
         const buildFile = this.fileName + '.build';
         const createBuildFile = () => {
             return new Promise((resolve, reject) => {
-                const buildWriteStream = fs.createWriteStream(buildFile, { flags: pfs.flags.readAndAppendAndCreate });
+                const buildWriteStream = pfs.createWriteStream(buildFile, { flags: pfs.flags.readAndAppendAndCreate });
                 const streamState = { wait: false, chunks: [] };
                 buildWriteStream.on('error', (err) => {
                     console.error(err);
@@ -1191,31 +1876,40 @@ class DataIndex {
                                     else {
                                         // We have to index this child, get all required values for the entry
                                         const wildcardValues = childPath.match(wildcardRE).slice(1);
-                                        const neededKeys = [this.key].concat(this.includeKeys);
+                                        const neededKeys = this.keys.concat(this.includeKeys, this.filterKeys.filter(key => !this.keys.includes(key) && !this.includeKeys.includes(key)));
+                                        if (this.textLocaleKey && !neededKeys.includes(this.textLocaleKey)) {
+                                            // Also get the record's locale
+                                            neededKeys.push(this.textLocaleKey);
+                                        }
                                         const keyFilter = neededKeys.filter(key => key !== '{key}' && !wildcardNames.includes(key));
                                         let keyValue = null; // initialize to null so we can check if it had a valid indexable value
+                                        const keyValues = {}; // values of the indexed key(s), null if a value cannot be indexed
                                         const metadata = (() => {
                                             // create properties for each included key, if they are not set by the loop they will still be in the metadata (which is required for B+Tree metadata)
                                             const obj = {};
                                             this.includeKeys.forEach(key => obj[key] = undefined);
                                             return obj;
                                         })();
-                                        const addValue = (key, value) => {
+                                        const filterValues = {}; // original values of the keys used in the index filter
+                                        let locale; // record's locale, if index has a textLocaleKey
+                                        const addValue = (key, value, indexable = true) => {
+                                            if (key === this.textLocaleKey && typeof value === 'string') { locale = value; }
                                             // if (typeof value === 'string' && value.length > 255) {
                                             //     value = value.slice(0, 255);
                                             // }
+                                            if (this.filterKeys.includes(key)) { filterValues[key] = value; }
                                             if (typeof value === 'string' && !this.caseSensitive) {
                                                 value = value.toLocaleLowerCase(this.textLocale);
                                             }
-                                            if (key === this.key) { keyValue = value; }
-                                            else { metadata[key] = value; };
+                                            if (this.keys.includes(key)) { keyValues[key] = value; }
+                                            else if (indexable && this.includeKeys.includes(key)) { metadata[key] = value; };
                                         };
                                         let valuePromise;
                                         const gotNamedWildcardKeys = ['{key}'].concat(wildcardNames).filter(key => key !== '*');
                                         
                                         neededKeys.filter(key => gotNamedWildcardKeys.includes(key)).forEach(key => {
                                             if (key === '{key}') { 
-                                                keyValue = childKey; 
+                                                keyValues[key] = childKey; 
                                             }
                                             else {
                                                 const index = wildcardNames.indexOf(key);
@@ -1230,6 +1924,22 @@ class DataIndex {
                                             // No need to fetch node value, we've got all data needed
                                             valuePromise = Promise.resolve();
                                         }
+                                        else if (this.type === 'computed') {
+                                            // Computed values can depend on any child, get the entire record value
+                                            valuePromise = Node.getValue(this.storage, childPath, { tid })
+                                            .then(value => {
+                                                const computed = this.computeValue(value);
+                                                keyValues[this.key] = computed;
+                                                if (typeof computed === 'string' && !this.caseSensitive) {
+                                                    keyValues[this.key] = computed.toLocaleLowerCase(this.textLocale);
+                                                }
+                                                neededKeys.filter(key => key !== this.key && !gotNamedWildcardKeys.includes(key) && key in value).forEach(key => {
+                                                    const val = value[key];
+                                                    const indexable = ['string','number','boolean'].includes(typeof val) || val instanceof Date;
+                                                    addValue(key, val, indexable);
+                                                });
+                                            });
+                                        }
                                         else {
                                             // Get child values
                                             const keyPromises = [];
@@ -1239,12 +1949,13 @@ class DataIndex {
                                                 // What can be indexed? 
                                                 // strings, numbers, booleans, dates, undefined
                                                 seenKeys.push(childInfo.key);
-                                                if (childInfo.key === this.key && !allowedKeyValueTypes.includes(childInfo.valueType)) {
+                                                if (this.keys.includes(childInfo.key) && !allowedKeyValueTypes.includes(childInfo.valueType)) {
                                                     // Key value isn't allowed to be this type, mark it as null so it won't be indexed
-                                                    keyValue = null;
+                                                    keyValues[childInfo.key] = null;
                                                     return;
                                                 }
-                                                else if (childInfo.key !== this.key && !indexableTypes.includes(childInfo.valueType)) {
+                                                const indexable = this.keys.includes(childInfo.key) || indexableTypes.includes(childInfo.valueType);
+                                                if (!indexable && !this.filterKeys.includes(childInfo.key)) {
                                                     // Metadata that can't be indexed because it has the wrong type
                                                     return;
                                                 }
@@ -1252,22 +1963,27 @@ class DataIndex {
                                                 if (childInfo.address) {
                                                     const p = Node.getValue(this.storage, childInfo.address.path, { tid })
                                                         .then(value => {
-                                                            addValue(childInfo.key, value);
+                                                            addValue(childInfo.key, value, indexable);
                                                         });
                                                     keyPromises.push(p);
                                                 }
                                                 else {
-                                                    addValue(childInfo.key, childInfo.value);
+                                                    addValue(childInfo.key, childInfo.value, indexable);
                                                 }
                                             })
                                             .then(() => {
-                                                // If the key value wasn't present, set it to undefined (so it'll be indexed)
-                                                if (!seenKeys.includes(this.key)) { keyValue = undefined; }
+                                                // If a key value wasn't present, set it to undefined (so it'll be indexed)
+                                                this.keys.forEach(key => !seenKeys.includes(key) && (keyValues[key] = undefined));
                                                 return Promise.all(keyPromises);
                                             });
                                         }
 
                                         return valuePromise.then(() => {
+                                            // Composite indexes use a tuple with the values of all their keys
+                                            // Records that don't match the index filter are not indexed
+                                            if (!this.keys.some(key => keyValues[key] === null) && this.isRecordInFilter(filterValues)) {
+                                                keyValue = this.keys.length === 1 ? keyValues[this.key] : this.keys.map(key => keyValues[key]);
+                                            }
                                             const addIndexValue = (key, recordPointer, metadata) => {
 
                                                 if (typeof key === 'string' && key.length > 255) {
@@ -1320,7 +2036,7 @@ class DataIndex {
                                                 // const entryValue = new BinaryBPlusTree.EntryValue(recordPointer, metadata)
                                                 // Add it to the index
                                                 if (options && options.addCallback) {
-                                                    keyValue = options.addCallback(addIndexValue, keyValue, recordPointer, metadata, { path: childPath, wildcards: wildcardValues, key: childKey });
+                                                    keyValue = options.addCallback(addIndexValue, keyValue, recordPointer, metadata, { path: childPath, wildcards: wildcardValues, key: childKey, locale });
                                                 }
                                                 else {
                                                     addIndexValue(keyValue, recordPointer, metadata);
@@ -1375,7 +2091,7 @@ class DataIndex {
                     let buffer = data instanceof Buffer ? data : Buffer.from(data);
                     return pfs.write(fd, buffer, 0, buffer.byteLength, position);
                 })
-                let reader = new BinaryReader(fd, 512 * 1024); // Read 512KB chunks
+                let reader = new BinaryReader(_fileReader(pfs, fd), 512 * 1024); // Read 512KB chunks
                 return reader.init()
                 .then(() => ({ fd, writer, reader }));
             })
@@ -1460,7 +2176,8 @@ class DataIndex {
     
                             processedValues++;
                             const isDate = next.key instanceof Date;
-                            const key = isDate ? next.key.getTime() : next.key;
+                            const isTuple = next.key instanceof Array;
+                            const key = isDate ? next.key.getTime() : isTuple ? JSON.stringify(next.key) : next.key;
                             let values = map.get(key);
                             if (values) {
                                 values.push(next.value);
@@ -1469,6 +2186,7 @@ class DataIndex {
                             else if (processedValues < maxValues) {
                                 values = [next.value];
                                 if (isDate) { values.dateKey = true; }
+                                if (isTuple) { values.tupleKey = next.key; }
                                 map.set(key, values);
                                 flagProcessed(next);
                             }
@@ -1504,14 +2222,17 @@ class DataIndex {
                         }
 
                         // sort the map keys
+                        const getKey = key => map.get(key).tupleKey || key;
                         let sortedKeys = quickSort(map.keys(), (a, b) => {
+                            a = getKey(a);
+                            b = getKey(b);
                             if (BPlusTree.typeSafeComparison.isLess(a, b)) { return -1; }
                             if (BPlusTree.typeSafeComparison.isMore(a, b)) { return 1; }
                             return 0;
                         });
     
                         // write batch
-                        let batchStream = fs.createWriteStream(`${buildFile}.${batchNr}`, { flags: pfs.flags.appendAndCreate });
+                        let batchStream = pfs.createWriteStream(`${buildFile}.${batchNr}`, { flags: pfs.flags.appendAndCreate });
                         const writeKey = i => {
                             const key = sortedKeys[i];
                             const values = map.get(key);
@@ -1522,7 +2243,7 @@ class DataIndex {
                             ];
     
                             // key:
-                            let b = BinaryWriter.getBytes(isDateKey ? new Date(key) : key);
+                            let b = BinaryWriter.getBytes(isDateKey ? new Date(key) : values.tupleKey || key);
                             bytes.push(...b);
     
                             // // values_byte_length:
@@ -1631,7 +2352,7 @@ class DataIndex {
                     }
     
                     // create write stream for merged data
-                    const outputStream = fs.createWriteStream(mergeFile, { flags: pfs.flags.writeAndCreate });
+                    const outputStream = pfs.createWriteStream(mergeFile, { flags: pfs.flags.writeAndCreate });
                     // const outputStream = BinaryWriter.forFunction((data, position) => {
                     //     return pfs.write(fd, data, 0, data.byteLength, position);
                     // });
@@ -1641,9 +2362,13 @@ class DataIndex {
                     const readyPromises = [];
                     const bufferChunkSize = Math.max(10240, Math.round((10 * 1024 * 1024) / readers.length)); // 10MB dedicated memory to divide between readers, with a minimum of 10KB per reader
                     for (let i = 0; i < readers.length; i++) {
-                        let reader = new BinaryReader(`${buildFile}.${i+1}`, bufferChunkSize);
-                        readers[i] = reader;
-                        let p = reader.init();
+                        let p = pfs.open(`${buildFile}.${i+1}`, pfs.flags.read)
+                        .then(fd => {
+                            let reader = new BinaryReader(_fileReader(pfs, fd), bufferChunkSize);
+                            reader.close = () => pfs.close(fd);
+                            readers[i] = reader;
+                            return reader.init();
+                        });
                         readyPromises.push(p);
                     }
     
@@ -1670,7 +2395,7 @@ class DataIndex {
                             const values = buffer.slice(keyValue.byteLength); //Buffer.from(buffer.buffer, keyValue.byteLength, buffer.byteLength - keyValue.byteLength);
 
                             // Check if another batch has entry with the same key
-                            const existing = entriesPerBatch.find(entry => entry && entry.key === key);
+                            const existing = entriesPerBatch.find(entry => entry && BPlusTree.typeSafeComparison.isEqual(entry.key, key));
                             if (existing) {
                                 // Append values to existing
                                 // First 4 bytes of values contains values_length
@@ -1872,6 +2597,7 @@ class DataIndex {
         })
         .then(([ readFD, writeFD ]) => {
             // create index from entry stream
+            this.lastBuild = new Date(startTime);
             const treeStatistics = {};
             const headerStats = { 
                 written: false, 
@@ -1890,12 +2616,16 @@ class DataIndex {
                         headerStats.promise
                         || this._writeIndexHeader(writeFD, treeStatistics)
                         .then(result => {
-                            headerStats.written = true;
                             headerStats.length = result.length;
                             headerStats.updateTreeLength = result.treeLengthCallback;
                             if (this.state === DataIndex.STATE.REBUILD) {
                                 return pfs.truncate(this.fileName, headerStats.length);
                             }
+                        })
+                        .then(() => {
+                            // Only flag the header as written once the file has been truncated,
+                            // subsequent writes would otherwise be cut off by the truncate
+                            headerStats.written = true;
                         });
                     headerStats.promise = promise.then(go); // Chain to original promise
                     return headerStats.promise;
@@ -1907,7 +2637,7 @@ class DataIndex {
 
 
             const reader = indexedValues > 0 
-                ? new BinaryReader(readFD)
+                ? new BinaryReader(_fileReader(pfs, readFD))
                 : new BinaryReader((index, length) => Promise.resolve(Buffer.from([])));
             return BinaryBPlusTree.createFromEntryStream(
                 reader, 
@@ -1931,6 +2661,11 @@ class DataIndex {
         .then(() => {
             return indexedValues > 0 ? pfs.rm(mergeFile) : true;
         })
+        .then(() => {
+            // Existing data must not violate the unique constraint, remove the index file if it does
+            return this.unique && this._checkUniqueEntries()
+            .catch(err => pfs.rm(this.fileName).then(() => { throw err; }));
+        })
         .then(() => {
             const doneTime = Date.now();
             const duration = Math.round((doneTime - startTime) / 1000 / 60);
@@ -1943,6 +2678,8 @@ class DataIndex {
             this.storage.debug.error(`Error building index ${this.description}: ${err.message}`);
             this.state = DataIndex.STATE.ERROR;
             this._buildError = err;
+            // Don't keep writes waiting for updates that will never be processed
+            this._updateQueue.splice(0).forEach(update => update.resolve());
             lock.release(); // release index lock
             throw err;
         });
@@ -1958,6 +2695,7 @@ class DataIndex {
      * @param {{ totalEntries: number, totalValues: number }} treeStatistics
      */
     _writeIndexHeader(fd, treeStatistics) {
+        const pfs = this.storage.indexes.fileSystem;
         const indexEntries = treeStatistics.totalEntries;
         const indexedValues = treeStatistics.totalValues;
 
@@ -2021,13 +2759,14 @@ class DataIndex {
             // value_data:
             bytes.push(...valBytes);
         }
-        const addInfoBytes = (bytes, obj) => {
+        const addInfoBytes = (bytes, obj, positions) => {
             const keys = Object.keys(obj);
             // info_count:
             bytes.push(keys.length);
             // info, [info, [info...]]
             keys.forEach(key => {
                 addNameBytes(bytes, key); // name
+                positions && (positions[key] = bytes.length);
 
                 const value = obj[key];
                 // if (value instanceof Array) {
@@ -2054,7 +2793,7 @@ class DataIndex {
             0, 0, 0, 0
         ];
         // info:
-        const indexInfo = {
+        const indexInfo = Object.assign({
             type: this.type,
             version: 1, // TODO: implement this.versionNr
             path: this.path,
@@ -2062,8 +2801,16 @@ class DataIndex {
             include: this.includeKeys,
             cs: this.caseSensitive,
             locale: this.textLocale,
-        };
-        addInfoBytes(header, indexInfo);
+            unique: this.unique,
+            filter: this._serializeFilter(),
+            config: this._serializeConfig(),
+            built: this.lastBuild ? this.lastBuild.getTime() : 0,
+            totals: this._getTotals()
+        }, this._getHeaderInfo());
+        const infoPositions = {};
+        addInfoBytes(header, indexInfo, infoPositions);
+        // Remember where the values are, so they can be updated without rewriting the header
+        this._headerPositions = infoPositions;
 
         // const treeNames = Object.keys(this.trees);
         // trees_info:
@@ -2178,6 +2925,7 @@ class DataIndex {
         // trees_data       = tree_data, [tree_data, [tree_date...]]
         // tree_data        = [byte_length] bytes of data (from tree_info header)
 
+        const pfs = this.storage.indexes.fileSystem;
         const indexEntries = builder.list.size;
         const indexedValues = builder.indexedValues;
         // const tree = builder.create();
@@ -2286,6 +3034,10 @@ class DataIndex {
                 include: this.includeKeys,
                 cs: this.caseSensitive,
                 locale: this.textLocale,
+                unique: this.unique,
+                filter: this._serializeFilter(),
+                config: this._serializeConfig(),
+                built: this.lastBuild ? this.lastBuild.getTime() : 0
             };
             addInfoBytes(header, indexInfo);
 
@@ -2347,8 +3099,8 @@ class DataIndex {
             .then(() => {
                 // append binary tree data
                 const tree = builder.create();
-                const stream = fs.createWriteStream(null, { fd, autoClose: false });
-                // const stream = fs.createWriteStream(this.fileName, { start: headerLength });
+                const stream = pfs.createWriteStream(null, { fd, autoClose: false });
+                // const stream = pfs.createWriteStream(this.fileName, { start: headerLength });
                 const references = [];
                 const writer = new BinaryWriter(stream, (data, position) => {
                     references.push({ data, position });
@@ -2391,6 +3143,7 @@ class DataIndex {
     }
 
     _getTree () {
+        const pfs = this.storage.indexes.fileSystem;
         if (this._idx) {
             this._idx.open++;
             return Promise.resolve(this._idx);
@@ -2436,148 +3189,458 @@ class DataIndex {
                         }
                     }
                 };
-                // this._idx = idx;
+                // this._idx = idx;
+                lock.release();
+                return idx;
+            });
+        });
+    }
+}
+
+class IndexQueryResult {
+    /**
+     * 
+     * @param {string|number} key 
+     * @param {string} path 
+     * @param {string|number|boolean|Date|undefined} value 
+     * @param {object} [metadata] 
+     * @param {number} [score] relevance of the result, set by fulltext queries
+     * @param {{ [word: string]: string[] }} [terms] indexed words that matched each queried word, set by fuzzy fulltext queries
+     */
+    constructor(key, path, value, metadata, score, terms) {
+        this.key = key;
+        this.path = path;
+        this.value = value;
+        this.metadata = metadata;
+        this.score = score;
+        this.terms = terms;
+    }
+}
+
+class IndexQueryResults extends Array {
+
+    /**
+     * @param {IndexQueryResult[]} results 
+     */
+    static from(results, filterKey) {
+        const arr = new IndexQueryResults(results.length);
+        results.forEach((result, i) => arr[i] = result);
+        arr.filterKey = filterKey;
+        return arr;
+    }
+
+    set filterKey(key) {
+        this._filterKey = key;
+    }
+
+    get filterKey() {
+        return this._filterKey;
+    }
+
+    // /** @param {BinaryBPlusTreeLeafEntry[]} entries */
+    // set treeEntries(entries) {
+    //     this._treeEntries = entries;
+    // }
+
+    // /** @type {BinaryBPlusTreeLeafEntry[]} */
+    // get treeEntries() {
+    //     return this._treeEntries;
+    // }
+
+    /**
+     * 
+     * @param {(result: IndexQueryResult, index: number, arr: IndexQueryResults) => boolean} callback
+     */
+    filter(callback) {
+        return super.filter(callback);
+    }
+
+    filterMetadata(key, op, compare) {
+        const filtered = this.filter(result => _testValue(result.metadata[key], op, compare));
+        return IndexQueryResults.from(filtered, this.filterKey);
+    }
+
+    constructor(...args) {
+        super(...args);
+        /** @type {IndexQueryHint[]} */
+        this.hints = [];
+        /** @type {IndexQueryStats} */
+        this.stats = null;
+    }
+
+}
+
+class IndexQueryStats {
+    constructor(type, args, start = false) {
+        this.type = type;
+        this.args = args;
+        this.started = 0;
+        this.stopped = 0;
+        /** @type {IndexQueryStats[]} */
+        this.steps = [];
+        /** @type {object} */
+        this.result = null;
+        if (start) {
+            this.start();
+        }
+    }
+    start() {
+        this.started = Date.now();
+    }
+    stop(result = null) {
+        this.stopped = Date.now();
+        this.result = result;
+    }
+    get duration() { return this.stopped - this.started; } 
+}
+
+/**
+ * A composite index indexes the values of multiple keys together. Its entries are tuples of those values,
+ * sorted by the first key, then the second etc. Equality filters on the first key(s), combined with a range
+ * filter or sort on the next key, are executed by reading a single range of entries
+ */
+class CompositeIndex extends DataIndex {
+    /**
+     * @param {Storage} storage
+     * @param {string} path
+     * @param {string[]} keys keys to index, in order
+     * @param {object} [options] see DataIndex
+     */
+    constructor(storage, path, keys, options) {
+        if (!(keys instanceof Array) || keys.length < 2 || keys.some(key => typeof key !== 'string')) {
+            throw new Error('Composite indexes must be created on an array of 2 or more keys');
+        }
+        super(storage, path, `[${keys.join(',')}]`, options);
+        this._keys = keys;
+    }
+
+    get type() {
+        return 'composite';
+    }
+
+    get keys() {
+        return this._keys;
+    }
+
+    /**
+     * Makes sure a value fits in a stored tuple (max 255 bytes). Strings are shortened if needed
+     * @param {any} value
+     */
+    _fitValue(value) {
+        const maxBytes = Math.floor(255 / this.keys.length) - 2;
+        if (typeof value !== 'string' || encodeString(value).length <= maxBytes) {
+            return value;
+        }
+        let length = Math.min(value.length, maxBytes);
+        while (encodeString(value.slice(0, length)).length > maxBytes) { length--; }
+        return value.slice(0, length);
+    }
+
+    /**
+     * Gets the tuple to index for a record
+     * @param {string} path path of the record
+     * @param {object} value value of the record
+     * @returns {any[]|null} null if the record cannot be indexed
+     */
+    _getKeyValue(path, value) {
+        if (value === null || typeof value !== 'object') { return null; }
+        const tuple = this.keys.map(key => key === '{key}' ? PathInfo.get(path).key : value[key]);
+        if (tuple.some(val => val !== null && typeof val === 'object' && !(val instanceof Date))) {
+            // Objects and arrays cannot be indexed
+            return null;
+        }
+        return tuple.map(val => {
+            if (typeof val === 'string' && !this.caseSensitive) {
+                val = val.toLocaleLowerCase(this.textLocale);
+            }
+            return this._fitValue(val);
+        });
+    }
+
+    handleRecordUpdate(path, oldValue, newValue, indexMetadata) {
+        const mutated = { old: {}, new: {} };
+        oldValue !== null && typeof oldValue === 'object' && Object.assign(mutated.old, oldValue);
+        newValue !== null && typeof newValue === 'object' && Object.assign(mutated.new, newValue);
+        mutated.old[this.key] = this._getKeyValue(path, oldValue);
+        mutated.new[this.key] = this._getKeyValue(path, newValue);
+        return super.handleRecordUpdate(path, mutated.old, mutated.new, indexMetadata);
+    }
+
+    build() {
+        const addCallback = (add, tuple, recordPointer, metadata) => {
+            tuple = tuple.map(val => this._fitValue(val));
+            add(tuple, recordPointer, metadata);
+            return tuple;
+        };
+        return super.build({ addCallback });
+    }
+
+    /**
+     * Gets entries matching filters on the indexed and included keys. Equality filters on the first key(s) and
+     * a filter on the next key determine the range of entries to read, other filters are checked on the entries in that range.
+     * Results are sorted by the values of the keys following the equality filters, entries with the same values are ordered by path
+     * @param {Array<{ key: string, op: string, compare: any }>} filters
+     * @param {object} [options]
+     * @param {boolean} [options.ascending=true] the order to read entries in
+     * @param {number} [options.skip=0] number of (matching) entries to skip
+     * @param {number} [options.take=0] max number of entries to return, 0 for all
+     * @returns {Promise<IndexQueryResults>}
+     */
+    find(filters, options = { ascending: true, skip: 0, take: 0 }) {
+        const ascending = !options || options.ascending !== false;
+        const skip = (options && options.skip) || 0;
+        const take = (options && options.take) || 0;
+        filters = filters.map(f => {
+            if (!DataIndex.validOperators.includes(f.op)) {
+                throw new TypeError(`Cannot use operator "${f.op}" to query index "${this.description}"`);
+            }
+            if (!this.keys.includes(f.key) && !this.allMetadataKeys.includes(f.key)) {
+                throw new Error(`Cannot filter on key "${f.key}" while querying index "${this.description}"`);
+            }
+            let compare = f.compare;
+            if (this.keys.includes(f.key)) {
+                // Indexed values are stored locale aware lowercase, and shortened if too large
+                const convert = val => this._fitValue(typeof val === 'string' && !this.caseSensitive ? val.toLocaleLowerCase(this.textLocale) : val);
+                compare = compare instanceof Array ? compare.map(convert) : convert(compare);
+            }
+            return { key: f.key, op: f.op, compare };
+        });
+
+        // Determine the range of entries to read
+        const prefix = [], rangeFilters = [];
+        for (let i = 0; i < this.keys.length; i++) {
+            const filter = filters.find(f => f.key === this.keys[i] && f.op === '==');
+            if (!filter) { break; }
+            prefix.push(filter.compare);
+            rangeFilters.push(filter);
+        }
+        const rangeKey = this.keys[prefix.length];
+        const range = filters.find(f => typeof rangeKey === 'string' && f.key === rangeKey && ['<','<=','>','>=','between'].includes(f.op));
+        let lower = null, upper = null;
+        if (range) {
+            rangeFilters.push(range);
+            if (range.op === 'between') {
+                const [bottom, top] = compareKeys(range.compare[0], range.compare[1]) <= 0 ? range.compare : range.compare.slice().reverse();
+                lower = { value: bottom, inclusive: true };
+                upper = { value: top, inclusive: true };
+            }
+            else if (range.op.startsWith('>')) {
+                lower = { value: range.compare, inclusive: range.op === '>=' };
+            }
+            else {
+                upper = { value: range.compare, inclusive: range.op === '<=' };
+            }
+        }
+        const otherFilters = filters.filter(f => !rangeFilters.includes(f));
+        const getPosition = tuple => {
+            // Returns -1 if the tuple is before the range, 1 if it is after the range, 0 if it is in range
+            const result = compareKeys(tuple.slice(0, prefix.length), prefix);
+            if (result !== 0 || !range) { return result; }
+            const value = tuple[prefix.length];
+            const lowerResult = lower ? compareKeys(value, lower.value) : 1;
+            if (lowerResult < 0 || (lowerResult === 0 && !lower.inclusive)) { return -1; }
+            const upperResult = upper ? compareKeys(value, upper.value) : -1;
+            if (upperResult > 0 || (upperResult === 0 && !upper.inclusive)) { return 1; }
+            return 0;
+        };
+        // Tuples that start with given values sort after them, seek past those when reading backwards
+        const seekKey = ascending
+            ? (lower ? prefix.concat(lower.value) : prefix.length > 0 ? prefix : null)
+            : (upper ? prefix.concat(upper.inclusive ? _successor(upper.value) : upper.value) : prefix.length > 0 ? prefix.slice(0, -1).concat(_successor(prefix[prefix.length - 1])) : null);
+
+        const stats = new IndexQueryStats('find', { filters: filters.length, ascending, skip, take }, true);
+        let lock;
+        return this._lock(false, `index.find ${filters.length} filters`)
+        .then(l => {
+            lock = l;
+            return this._getTree();
+        })
+        .then(idx => {
+            /** @type BinaryBPlusTree */
+            const tree = idx.tree;
+            const results = new IndexQueryResults();
+            results.filterKey = this.key;
+            let skipped = 0;
+            const processLeaf = (leaf) => {
+                const entries = ascending ? leaf.entries : leaf.entries.slice().reverse();
+                const processEntries = (i) => {
+                    for (; i < entries.length; i++) {
+                        const entry = entries[i];
+                        const position = getPosition(entry.key) * (ascending ? 1 : -1);
+                        if (position < 0) {
+                            // Not in range yet
+                            continue;
+                        }
+                        if (position > 0) {
+                            // Past the range, done
+                            return results;
+                        }
+                        if (typeof entry.extData === 'object' && !entry.extData.loaded) {
+                            // Load the entry's values first
+                            const index = i;
+                            return entry.extData.loadValues().then(() => processEntries(index));
+                        }
+                        // Order values with the same indexed values by path
+                        const entryValues = entry.values
+                            .map(entryValue => ({ entryValue, recordPointer: _parseRecordPointer(this.path, entryValue.recordPointer) }))
+                            .sort((a, b) => (a.recordPointer.path < b.recordPointer.path ? -1 : 1) * (ascending ? 1 : -1));
+                        for (let j = 0; j < entryValues.length; j++) {
+                            const { entryValue, recordPointer } = entryValues[j];
+                            const metadata = entryValue.metadata;
+                            const getValue = key => this.keys.includes(key) ? entry.key[this.keys.indexOf(key)] : metadata && metadata[key];
+                            if (!otherFilters.every(f => _testValue(getValue(f.key), f.op, f.compare))) {
+                                continue;
+                            }
+                            if (skipped < skip) {
+                                skipped++;
+                                continue;
+                            }
+                            results.push(new IndexQueryResult(recordPointer.key, recordPointer.path, entry.key, metadata));
+                            if (results.length === take) {
+                                return results;
+                            }
+                        }
+                    }
+                    return nextLeaf();
+                };
+                const nextLeaf = () => {
+                    if (ascending && leaf.getNext) {
+                        return leaf.getNext().then(processLeaf);
+                    }
+                    else if (!ascending && leaf.getPrevious) {
+                        return leaf.getPrevious().then(processLeaf);
+                    }
+                    return results;
+                };
+                return processEntries(0);
+            };
+            const promise = seekKey !== null
+                ? tree.findLeaf(seekKey).then(processLeaf)
+                : ascending
+                ? tree.getFirstLeaf().then(processLeaf)
+                : tree.getLastLeaf().then(processLeaf);
+
+            return promise.then(() => {
                 lock.release();
-                return idx;
+                idx.close();
+                stats.stop(results.length);
+                results.stats = stats;
+                return results;
             });
         });
     }
 }
 
-class IndexQueryResult {
+/**
+ * A computed index indexes a value derived from each record, such as a lowercased name or the year of a date. The
+ * computed values are queried with the index key, which is a virtual key that does not exist in the data
+ */
+class ComputedIndex extends DataIndex {
     /**
-     * 
-     * @param {string|number} key 
-     * @param {string} path 
-     * @param {string|number|boolean|Date|undefined} value 
-     * @param {object} [metadata] 
+     * @param {Storage} storage
+     * @param {string} path
+     * @param {string} key name of the virtual key the computed values are indexed and queried with
+     * @param {object} [options] see DataIndex
+     * @param {(value: object) => any} [options.compute] function that computes the value to index for a record. It is not
+     * stored in the index file: once loaded from file, the index has to be created again with its compute function before it can be used.
+     * A hash of its source code is stored to detect changes
      */
-    constructor(key, path, value, metadata) {
-        this.key = key;
-        this.path = path;
-        this.value = value;
-        this.metadata = metadata;
+    constructor(storage, path, key, options = {}) {
+        if (typeof key !== 'string' || key === '{key}' || key.includes('/')) {
+            throw new Error(`Computed indexes must be created on the name of a virtual key`);
+        }
+        if (typeof options.compute !== 'undefined' && typeof options.compute !== 'function') {
+            throw new Error(`compute option must be a function`);
+        }
+        super(storage, path, key, options);
+        this.compute = options.compute || null;
+        /** hash of the source code of the compute function the index was built with, null if unknown */
+        this.computeHash = this.compute ? _hashString(this.compute.toString()) : null;
+        /** whether records were updated while the compute function was missing */
+        this.outdated = false;
     }
-}
-
-class IndexQueryResults extends Array {
 
-    /**
-     * @param {IndexQueryResult[]} results 
-     */
-    static from(results, filterKey) {
-        const arr = new IndexQueryResults(results.length);
-        results.forEach((result, i) => arr[i] = result);
-        arr.filterKey = filterKey;
-        return arr;
+    get type() {
+        return 'computed';
     }
 
-    set filterKey(key) {
-        this._filterKey = key;
+    _getHeaderInfo() {
+        return { compute: this.computeHash || undefined, outdated: this.outdated };
     }
 
-    get filterKey() {
-        return this._filterKey;
+    _setHeaderInfo(info) {
+        // not stored by older versions
+        this.computeHash = typeof info.compute === 'string' ? info.compute : null;
+        this.outdated = info.outdated === true;
     }
 
-    // /** @param {BinaryBPlusTreeLeafEntry[]} entries */
-    // set treeEntries(entries) {
-    //     this._treeEntries = entries;
-    // }
-
-    // /** @type {BinaryBPlusTreeLeafEntry[]} */
-    // get treeEntries() {
-    //     return this._treeEntries;
-    // }
-
     /**
-     * 
-     * @param {(result: IndexQueryResult, index: number, arr: IndexQueryResults) => boolean} callback
+     * Sets the compute function of an index loaded from file
+     * @param {(value: object) => any} compute
+     * @returns {boolean} whether the index has to be rebuilt: the function is not the one the index was built with
+     * (or that is unknown), or records were updated while the function was missing
      */
-    filter(callback) {
-        return super.filter(callback);
+    setCompute(compute) {
+        this.compute = compute;
+        const hash = _hashString(compute.toString());
+        const changed = hash !== this.computeHash;
+        this.computeHash = hash;
+        return changed || this.outdated;
     }
 
-    filterMetadata(key, op, compare) {
-        if (typeof compare === 'undefined') {
-            compare = null; // compare with null so <, <=, > etc will get the right results
-        }
-        if (op === 'exists' || op === '!exists') {
-            op = op === 'exists' ? "!=" : "==";
-            compare = null;
-        }
-        const filtered = this.filter(result => {
-            let value = result.metadata[key];
-            if (typeof value === 'undefined') { 
-                value = null; // compare with null
-            }
-            if (op === '<') { return value < compare; }
-            if (op === '<=') { return value <= compare; }
-            if (op === '>') { return value > compare; }
-            if (op === '>=') { return value >= compare; }
-            if (op === '==') { return value == compare; }
-            if (op === '!=') { return value != compare; }
-            if (op === 'like' || op === '!like') {
-                const pattern = '^' + compare.replace(/\*/g, '.*').replace(/\?/g, '.') + '$';
-                const re = new RegExp(pattern, 'i');
-                const isLike = re.test(value);
-                return op === 'like' ? isLike : !isLike;
-            }
-            if (op === 'in' || op === '!in') {
-                const isIn = compare instanceof Array && compare.indexOf(value);
-                return op === 'in' ? isIn : !isIn;
-            }
-            if (op == 'between' || op === '!between') {
-                let bottom = compare[0], top = compare[1];
-                if (top < bottom) {
-                    let swap = top;
-                    top = bottom;
-                    bottom = swap;
-                }
-                const isBetween = value >= bottom && value <= top;
-                return op === 'between' ? isBetween : !isBetween;
-            }
-            if (op === 'matches' || op === '!matches') {
-                const re = compare;
-                const isMatch = re.test(value);
-                return op === 'matches' ? isMatch : !isMatch;
-            }
-        });
-        return IndexQueryResults.from(filtered, this.filterKey);
+    /**
+     * Computes the value to index for a record
+     * @param {object} value value of the record
+     * @returns {any} null if the value cannot be indexed: the record has no value, the compute function threw, or it
+     * returned an object or array
+     */
+    computeValue(value) {
+        if (value === null || typeof value !== 'object' || !this.compute) { return null; }
+        let computed;
+        try {
+            computed = this.compute(value);
+        }
+        catch(err) {
+            return null;
+        }
+        if (computed !== null && typeof computed === 'object' && !(computed instanceof Date)) {
+            return null;
+        }
+        return computed;
     }
 
-    constructor(...args) {
-        super(...args);
-        /** @type {IndexQueryHint[]} */
-        this.hints = [];
-        /** @type {IndexQueryStats} */
-        this.stats = null;
+    _getKeyValue(path, value) {
+        let keyValue = this.computeValue(value);
+        if (typeof keyValue === 'string' && !this.caseSensitive) {
+            keyValue = keyValue.toLocaleLowerCase(this.textLocale);
+        }
+        return keyValue;
     }
 
-}
-
-class IndexQueryStats {
-    constructor(type, args, start = false) {
-        this.type = type;
-        this.args = args;
-        this.started = 0;
-        this.stopped = 0;
-        /** @type {IndexQueryStats[]} */
-        this.steps = [];
-        /** @type {object} */
-        this.result = null;
-        if (start) {
-            this.start();
+    handleRecordUpdate(path, oldValue, newValue, indexMetadata) {
+        if (!this.compute) {
+            // Loaded from file, but the compute function was not passed again yet
+            this.storage.debug.warn(`Computed index ${this.description} cannot be updated for "/${path}" because its compute function is missing. It will be rebuilt once it is created again`);
+            if (this.outdated) { return Promise.resolve(); }
+            // Store the outdated state in the index file, so it is also rebuilt if the database is restarted before that
+            this.outdated = true;
+            return this._writeHeaderValue('outdated', [3, 1]);
         }
+        const mutated = { old: {}, new: {} };
+        oldValue !== null && typeof oldValue === 'object' && Object.assign(mutated.old, oldValue);
+        newValue !== null && typeof newValue === 'object' && Object.assign(mutated.new, newValue);
+        mutated.old[this.key] = this.computeValue(oldValue);
+        mutated.new[this.key] = this.computeValue(newValue);
+        return super.handleRecordUpdate(path, oldValue === null ? null : mutated.old, newValue === null ? null : mutated.new, indexMetadata);
     }
-    start() {
-        this.started = Date.now();
-    }
-    stop(result = null) {
-        this.stopped = Date.now();
-        this.result = result;
+
+    build() {
+        if (!this.compute) {
+            return Promise.reject(new Error(`Computed index ${this.description} cannot be built without its compute function`));
+        }
+        this.outdated = false;
+        return super.build();
     }
-    get duration() { return this.stopped - this.started; } 
 }
 
 /**
@@ -2839,12 +3902,14 @@ class WordInfo {
      * 
      * @param {string} word 
      * @param {number[]} indexes 
-     * @param {number[]} sourceIndexes
+     * @param {number[]} sourceIndexes positions of the word in the source text
+     * @param {number[]} [sourceLengths] lengths of the word in the source text at each position
      */
-    constructor(word, indexes, sourceIndexes) {
+    constructor(word, indexes, sourceIndexes, sourceLengths = []) {
         this.word = word;
         this.indexes = indexes;
         this.sourceIndexes = sourceIndexes;
+        this.sourceLengths = sourceLengths;
     }
     get occurs() {
         return this.indexes.length;
@@ -2861,18 +3926,42 @@ class TextInfo {
             },
             "en": {
                 // English stoplist from https://gist.github.com/sebleier/554280
-                stoplist: ["i", "me", "my", "myself", "we", "our", "ours", "ourselves", "you", "your", "yours", "yourself", "yourselves", "he", "him", "his", "himself", "she", "her", "hers", "herself", "it", "its", "itself", "they", "them", "their", "theirs", "themselves", "what", "which", "who", "whom", "this", "that", "these", "those", "am", "is", "are", "was", "were", "be", "been", "being", "have", "has", "had", "having", "do", "does", "did", "doing", "a", "an", "the", "and", "but", "if", "or", "because", "as", "until", "while", "of", "at", "by", "for", "with", "about", "against", "between", "into", "through", "during", "before", "after", "above", "below", "to", "from", "up", "down", "in", "out", "on", "off", "over", "under", "again", "further", "then", "once", "here", "there", "when", "where", "why", "how", "all", "any", "both", "each", "few", "more", "most", "other", "some", "such", "no", "nor", "not", "only", "own", "same", "so", "than", "too", "very", "s", "t", "can", "will", "just", "don", "should", "now"]
+                stoplist: ["i", "me", "my", "myself", "we", "our", "ours", "ourselves", "you", "your", "yours", "yourself", "yourselves", "he", "him", "his", "himself", "she", "her", "hers", "herself", "it", "its", "itself", "they", "them", "their", "theirs", "themselves", "what", "which", "who", "whom", "this", "that", "these", "those", "am", "is", "are", "was", "were", "be", "been", "being", "have", "has", "had", "having", "do", "does", "did", "doing", "a", "an", "the", "and", "but", "if", "or", "because", "as", "until", "while", "of", "at", "by", "for", "with", "about", "against", "between", "into", "through", "during", "before", "after", "above", "below", "to", "from", "up", "down", "in", "out", "on", "off", "over", "under", "again", "further", "then", "once", "here", "there", "when", "where", "why", "how", "all", "any", "both", "each", "few", "more", "most", "other", "some", "such", "no", "nor", "not", "only", "own", "same", "so", "than", "too", "very", "s", "t", "can", "will", "just", "don", "should", "now"],
+                stemmer: stemmers.english
+            },
+            "nl": {
+                // Dutch stoplist from the Snowball project (https://snowballstem.org/algorithms/dutch/stop.txt), without diacritics
+                stoplist: ["de", "en", "van", "ik", "te", "dat", "die", "in", "een", "hij", "het", "niet", "zijn", "is", "was", "op", "aan", "met", "als", "voor", "had", "er", "maar", "om", "hem", "dan", "zou", "of", "wat", "mijn", "men", "dit", "zo", "door", "over", "ze", "zich", "bij", "ook", "tot", "je", "mij", "uit", "der", "daar", "haar", "naar", "heb", "hoe", "heeft", "hebben", "deze", "u", "want", "nog", "zal", "me", "zij", "nu", "ge", "geen", "omdat", "iets", "worden", "toch", "al", "waren", "veel", "meer", "doen", "toen", "moet", "ben", "zonder", "kan", "hun", "dus", "alles", "onder", "ja", "eens", "hier", "wie", "werd", "altijd", "doch", "wordt", "wezen", "kunnen", "ons", "zelf", "tegen", "na", "reeds", "wil", "kon", "niets", "uw", "iemand", "geweest", "andere"],
+                stemmer: stemmers.dutch
+            },
+            "de": {
+                // German stoplist from the Snowball project (https://snowballstem.org/algorithms/german/stop.txt), without diacritics
+                stoplist: ["aber", "alle", "allem", "allen", "aller", "alles", "als", "also", "am", "an", "ander", "andere", "anderem", "anderen", "anderer", "anderes", "anderm", "andern", "anderr", "anders", "auch", "auf", "aus", "bei", "bin", "bis", "bist", "da", "damit", "dann", "der", "den", "des", "dem", "die", "das", "dass", "du", "dies", "diese", "diesem", "diesen", "dieser", "dieses", "doch", "dort", "durch", "ein", "eine", "einem", "einen", "einer", "eines", "einig", "einige", "einigem", "einigen", "einiger", "einiges", "einmal", "er", "ihn", "ihm", "es", "etwas", "euer", "eure", "eurem", "euren", "eurer", "eures", "fur", "gegen", "gewesen", "hab", "habe", "haben", "hat", "hatte", "hatten", "hier", "hin", "hinter", "ich", "mich", "mir", "ihr", "ihre", "ihrem", "ihren", "ihrer", "ihres", "euch", "im", "in", "indem", "ins", "ist", "jede", "jedem", "jeden", "jeder", "jedes", "jene", "jenem", "jenen", "jener", "jenes", "jetzt", "kann", "kein", "keine", "keinem", "keinen", "keiner", "keines", "konnen", "konnte", "machen", "man", "manche", "manchem", "manchen", "mancher", "manches", "mein", "meine", "meinem", "meinen", "meiner", "meines", "mit", "muss", "musste", "nach", "nicht", "nichts", "noch", "nun", "nur", "ob", "oder", "ohne", "sehr", "sein", "seine", "seinem", "seinen", "seiner", "seines", "selbst", "sich", "sie", "ihnen", "sind", "so", "solche", "solchem", "solchen", "solcher", "solches", "soll", "sollte", "sondern", "sonst", "uber", "um", "und", "uns", "unsere", "unserem", "unseren", "unser", "unseres", "unter", "viel", "vom", "von", "vor", "wahrend", "war", "waren", "warst", "was", "weg", "weil", "weiter", "welche", "welchem", "welchen", "welcher", "welches", "wenn", "werde", "werden", "wie", "wieder", "will", "wir", "wird", "wirst", "wo", "wollen", "wollte", "wurde", "wurden", "zu", "zum", "zur", "zwar", "zwischen"],
+                stemmer: stemmers.german
+            },
+            "fr": {
+                // French stoplist from the Snowball project (https://snowballstem.org/algorithms/french/stop.txt), without diacritics
+                stoplist: ["au", "aux", "avec", "ce", "ces", "dans", "de", "des", "du", "elle", "en", "et", "eux", "il", "ils", "je", "la", "le", "les", "leur", "lui", "ma", "mais", "me", "meme", "mes", "moi", "mon", "ne", "nos", "notre", "nous", "on", "ou", "par", "pas", "pour", "qu", "que", "qui", "sa", "se", "ses", "son", "sur", "ta", "te", "tes", "toi", "ton", "tu", "un", "une", "vos", "votre", "vous", "c", "d", "j", "l", "a", "m", "n", "s", "t", "y", "ete", "etee", "etees", "etes", "etant", "etante", "etants", "etantes", "suis", "es", "est", "sommes", "sont", "serai", "seras", "sera", "serons", "serez", "seront", "serais", "serait", "serions", "seriez", "seraient", "etais", "etait", "etions", "etiez", "etaient", "fus", "fut", "fumes", "futes", "furent", "sois", "soit", "soyons", "soyez", "soient", "fusse", "fusses", "fussions", "fussiez", "fussent", "ayant", "ayante", "ayantes", "ayants", "eu", "eue", "eues", "eus", "ai", "as", "avons", "avez", "ont", "aurai", "auras", "aura", "aurons", "aurez", "auront", "aurais", "aurait", "aurions", "auriez", "auraient", "avais", "avait", "avions", "aviez", "avaient", "eut", "eumes", "eutes", "eurent", "aie", "aies", "ait", "ayons", "ayez", "aient", "eusse", "eusses", "eussions", "eussiez", "eussent"],
+                // Elided articles and pronouns, "l'homme" is indexed as "homme"
+                elisions: ["c", "d", "j", "l", "m", "n", "s", "t", "qu", "jusqu", "lorsqu", "puisqu", "quoiqu"],
+                stemmer: stemmers.french
+            },
+            "es": {
+                // Spanish stoplist from the Snowball project (https://snowballstem.org/algorithms/spanish/stop.txt), without diacritics
+                stoplist: ["de", "la", "que", "el", "en", "y", "a", "los", "del", "se", "las", "por", "un", "para", "con", "no", "una", "su", "al", "lo", "como", "mas", "pero", "sus", "le", "ya", "o", "este", "si", "porque", "esta", "entre", "cuando", "muy", "sin", "sobre", "tambien", "me", "hasta", "hay", "donde", "quien", "desde", "todo", "nos", "durante", "todos", "uno", "les", "ni", "contra", "otros", "ese", "eso", "ante", "ellos", "e", "esto", "mi", "antes", "algunos", "unos", "yo", "otro", "otras", "otra", "tanto", "esa", "estos", "mucho", "quienes", "nada", "muchos", "cual", "poco", "ella", "estar", "estas", "algunas", "algo", "nosotros", "mis", "tu", "te", "ti", "tus", "ellas", "nosotras", "vosotros", "vosotras", "os", "mio", "mia", "mios", "mias", "tuyo", "tuya", "tuyos", "tuyas", "suyo", "suya", "suyos", "suyas", "nuestro", "nuestra", "nuestros", "nuestras", "vuestro", "vuestra", "vuestros", "vuestras", "esos", "esas", "estoy", "estamos", "estais", "estan", "estes", "estemos", "esteis", "esten", "estare", "estaras", "estara", "estaremos", "estareis", "estaran", "estaria", "estarias", "estariamos", "estariais", "estarian", "estaba", "estabas", "estabamos", "estabais", "estaban", "estuve", "estuviste", "estuvo", "estuvimos", "estuvisteis", "estuvieron", "he", "has", "ha", "hemos", "habeis", "han", "haya", "hayas", "hayamos", "hayais", "hayan", "habre", "habras", "habra", "habremos", "habreis", "habran", "habria", "habrias", "habriamos", "habriais", "habrian", "habia", "habias", "habiamos", "habiais", "habian", "hube", "hubiste", "hubo", "hubimos", "hubisteis", "hubieron", "soy", "eres", "es", "somos", "sois", "son", "sea", "seas", "seamos", "seais", "sean", "sere", "seras", "sera", "seremos", "sereis", "seran", "seria", "serias", "seriamos", "seriais", "serian", "era", "eras", "eramos", "erais", "eran", "fui", "fuiste", "fue", "fuimos", "fuisteis", "fueron", "tengo", "tienes", "tiene", "tenemos", "teneis", "tienen", "tenga", "tengas", "tengamos", "tengais", "tengan", "tendre", "tendras", "tendra", "tendremos", "tendreis", "tendran", "tendria", "tendrias", "tendriamos", "tendriais", "tendrian", "tenia", "tenias", "teniamos", "teniais", "tenian", "tuve", "tuviste", "tuvo", "tuvimos", "tuvisteis", "tuvieron"],
+                stemmer: stemmers.spanish
             },
             /**
              * 
              * @param {string} locale 
-             * @returns {{ pattern: string, flags: string, stoplist?: string[] }}
+             * @returns {{ pattern: string, flags: string, stoplist?: string[], stemmer?: (word: string) => string, elisions?: string[] }}
              */
             get(locale) {
                 const settings = {};
                 Object.assign(settings, this.default);
                 if (typeof this[locale] === 'undefined' && locale.indexOf('-') > 0) {
-                    locale = locale.split('-')[1];
+                    // Use the language of the locale, eg "nl" for "nl-BE"
+                    locale = locale.split('-')[0].toLowerCase();
                 }
                 if (typeof this[locale] === 'undefined') { 
                     return settings;
@@ -2899,6 +3988,8 @@ class TextInfo {
      * @param {string[]} [options.blacklist] words to ignore. You can use a default stoplist from TextInfo.locales
      * @param {string[]} [options.whitelist] words to include even if they do not meet the min & maxLength criteria
      * @param {boolean} [options.useStoplist=false] whether to use a default stoplist to blacklist words (if available for locale)
+     * @param {boolean} [options.useStemmer=false] whether to use a default stemmer to reduce words to their stem (if available for locale),
+     * eg: "walking" and "walked" are both reduced to "walk". Words with wildcards are not stemmed
      */
     constructor(text, options) {
         // this.text = text; // Be gone later...
@@ -2937,6 +4028,7 @@ class TextInfo {
             blacklist = blacklist.concat(localeSettings.stoplist);
         }
         const whitelist = options.whitelist instanceof Array ? options.whitelist : [];
+        const stemmer = options.useStemmer === true && typeof localeSettings.stemmer === 'function' ? localeSettings.stemmer : null;
 
         /** @type {WordInfo[]} */
         this.words = [];
@@ -2959,10 +4051,35 @@ class TextInfo {
             }
             return ret;
         };
-        text = safe_unidecode(text);
+        /**
+         * Positions of the processed characters in the source text, when they differ
+         * @type {number[]}
+         */
+        let sourcePositions = null;
+        if (/[^\x00-\x7F]/.test(text)) {
+            // Unidecode each character separately to keep track of their positions in the source text
+            sourcePositions = [];
+            let decoded = '';
+            for (let i = 0; i < text.length; i++) {
+                const chars = safe_unidecode(text[i]);
+                for (let j = 0; j < chars.length; j++) { sourcePositions.push(i); }
+                decoded += chars;
+            }
+            text = decoded;
+        }
+
+        if (localeSettings.elisions instanceof Array) {
+            // Remove elided words, so "l'homme" will be stored as "homme". Replaced by spaces to keep the positions of other words
+            const elisionsRegex = new RegExp(`\\b(${localeSettings.elisions.join('|')})'`, 'gi');
+            text = text.replace(elisionsRegex, match => ' '.repeat(match.length));
+        }
 
         // Remove any single quotes, so "don't" will be stored as "dont", "isn't" as "isnt" etc
-        text = text.replace(/'/g, '');
+        if (text.includes("'")) {
+            const positions = sourcePositions || Array.from({ length: text.length }, (v, i) => i);
+            sourcePositions = positions.filter((position, i) => text[i] !== "'");
+            text = text.replace(/'/g, '');
+        }
         
         // Process the text
         // const wordsRegex = /[\w']+/gu;
@@ -3001,18 +4118,27 @@ class TextInfo {
                     continue;
                 }
             }
-            else if (word.length > maxLength) {
-                // Use the word, but cut it to the max length
-                word = word.slice(0, maxLength);
+            else {
+                if (stemmer !== null && !/[\*\?]/.test(word)) {
+                    // Reduce the word to its stem
+                    word = stemmer(word);
+                }
+                if (word.length > maxLength) {
+                    // Use the word, but cut it to the max length
+                    word = word.slice(0, maxLength);
+                }
             }
 
+            const sourceIndex = sourcePositions ? sourcePositions[match.index] : match.index;
+            const sourceLength = sourcePositions ? sourcePositions[match.index + match[0].length - 1] + 1 - sourceIndex : match[0].length;
             let wordInfo = words.get(word);
             if (wordInfo) {
                 wordInfo.indexes.push(wordIndex);
-                wordInfo.sourceIndexes.push(match.index);
+                wordInfo.sourceIndexes.push(sourceIndex);
+                wordInfo.sourceLengths.push(sourceLength);
             }
             else {
-                wordInfo = new WordInfo(word, [wordIndex], [match.index]);
+                wordInfo = new WordInfo(word, [wordIndex], [sourceIndex], [sourceLength]);
                 words.set(word, wordInfo);
             }
             wordIndex++;
@@ -3053,17 +4179,33 @@ class FullTextIndex extends DataIndex {
      * @param {(word: string, locale:string) => string} [options.config.transform] callback function that transforms (or filters) words being indexed
      * @param {string[]} [options.config.blacklist] words to be ignored
      * @param {boolean} [options.config.useStoplist=true] uses a locale specific stoplist to automatically blacklist words
+     * @param {boolean} [options.config.useStemmer=false] uses a locale specific stemmer to index and query the stems of words, available for locales "en", "nl", "de", "fr" and "es". Note that "fulltext:fuzzy" queries then compare the stems of the queried words with the indexed stems
      * @param {string[]} [options.config.whitelist] words to be included if they did not match other criteria
      * @param {string} [options.config.localeKey] uses the value of a specific key as locale. Allows different languages to be indexed correctly, overrides options.textLocale
      * @param {number} [options.config.minLength] minimum length for words to be indexed (after transform)
      * @param {number} [options.config.maxLength] maximum length for words to be indexed (after transform)
+     * @param {number} [options.config.fuzzyDistance] maximum number of edits for words to match in "fulltext:fuzzy" queries. Default depends on the length of each queried word: 0 for words up to 2 characters, 1 up to 5 characters, 2 for longer words
+     * @param {number} [options.config.fuzzyPrefixLength=0] number of leading characters that must match exactly in "fulltext:fuzzy" queries. With the default of 0, each queried word is compared with all indexed words: fuzzy queries on large indexes are a lot faster with a prefix length of 1 or more
      */
     constructor(storage, path, key, options) {
         if (key === '{key}') { throw new Error('Cannot create fulltext index on node keys'); }
         super(storage, path, key, options);
         // this.enableReverseLookup = true;
-        this.indexMetadataKeys = ['_occurs_']; //,'_indexes_'
+        this.indexMetadataKeys = ['_occurs_', '_words_']; //,'_indexes_'
         this.config = options.config || {};
+        if (this.config.localeKey && !this.textLocaleKey) {
+            // Get the locale of each record from config.localeKey when building the index
+            this.textLocaleKey = this.config.localeKey;
+        }
+
+        /**
+         * Number of indexed records and their total number of words, used to calculate relevance scores.
+         * Counted while building and stored in the index header, then kept up-to-date by record updates.
+         * Indexes built by older versions don't store them, they are collected from the index on the first query
+         * @type {{ records: number, words: number, lengths: boolean }}
+         */
+        this._corpus = null;
+        this._corpusUpdates = 0;
     }
 
     // get fileName() {
@@ -3074,13 +4216,37 @@ class FullTextIndex extends DataIndex {
         return 'fulltext';
     }
 
+    /**
+     * Stores the config settings that affect how words are indexed, so queries use the same settings after the index is
+     * loaded again. Callback functions such as config.transform cannot be stored
+     */
+    _serializeConfig() {
+        return JSON.stringify(this.config, (key, value) => typeof value === 'function' ? undefined : value);
+    }
+
+    /**
+     * Stores the number of indexed records and their total number of words in the index header.
+     * Not stored if the index does not have the number of words of each record (built by older versions)
+     * @returns {number[]|undefined}
+     */
+    _getTotals() {
+        return this._corpus !== null && this._corpus.lengths ? [this._corpus.records, this._corpus.words] : undefined;
+    }
+
+    /**
+     * @param {number[]} totals
+     */
+    _setTotals(totals) {
+        this._corpus = { records: totals[0], words: totals[1], lengths: true };
+    }
+
     test(obj, op, val) {
         if (obj === null) { return op === 'fulltext:!contains'; }
         const text = obj[this.key];
         if (typeof text === 'undefined') { return op === 'fulltext:!contains'; }
 
         const locale = obj === null ? this.textLocale : this.config.localeKey && obj[this.config.localeKey] ? obj[this.config.localeKey] : this.textLocale;        
-        const textInfo = new TextInfo(text, { locale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, minLength: this.config.minLength, maxLength: this.config.maxLength });
+        const textInfo = new TextInfo(text, { locale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, useStemmer: this.config.useStemmer, minLength: this.config.minLength, maxLength: this.config.maxLength });
         if (op === 'fulltext:contains') {
             let tests = [val];
             if (~val.indexOf(' OR ')) {
@@ -3105,7 +4271,7 @@ class FullTextIndex extends DataIndex {
                     phrases.push(val); 
                 }
                 return phrases.every(phrase => {
-                    const phraseInfo = new TextInfo(phrase, { locale: this.textLocale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, minLength: this.config.minLength, maxLength: this.config.maxLength });
+                    const phraseInfo = new TextInfo(phrase, { locale: this.textLocale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, useStemmer: this.config.useStemmer, minLength: this.config.minLength, maxLength: this.config.maxLength });
                     const indexes = phraseInfo.words.map(word => textInfo.words.indexOf(word));
                     if (indexes[0] < 0) { return false; }
                     for (let i = 1; i < indexes.length; i++) {
@@ -3118,12 +4284,25 @@ class FullTextIndex extends DataIndex {
             }
             else {
                 // test 1 or more words
-                const wordsInfo = new TextInfo(test, { locale: this.textLocale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, minLength: this.config.minLength, maxLength: this.config.maxLength });
+                const wordsInfo = new TextInfo(test, { locale: this.textLocale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, useStemmer: this.config.useStemmer, minLength: this.config.minLength, maxLength: this.config.maxLength });
                 return wordsInfo.words.every(word => {
                     return textInfo.words.includes(word);
                 });
             }
         }
+        if (op === 'fulltext:fuzzy') {
+            if (~val.indexOf(' OR ')) {
+                return val.split(' OR ').some(val => this.test(obj, op, val));
+            }
+            // Each word must be similar to a word in the text
+            const wordsInfo = new TextInfo(val, { locale: this.textLocale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, useStemmer: this.config.useStemmer, minLength: this.config.minLength, maxLength: this.config.maxLength });
+            const textWords = textInfo.words.map(info => info.word);
+            return wordsInfo.words.every(({ word }) => {
+                const maxEdits = typeof this.config.fuzzyDistance === 'number' ? this.config.fuzzyDistance : _getFuzzyDistance(word);
+                const prefix = word.slice(0, this.config.fuzzyPrefixLength || 0);
+                return textWords.some(textWord => textWord.startsWith(prefix) && _getEditDistance(word, textWord) <= maxEdits);
+            });
+        }
     }
 
     /**
@@ -3145,8 +4324,8 @@ class FullTextIndex extends DataIndex {
             newText = newText.join(' ');
         }
 
-        const oldTextInfo = new TextInfo(oldText, { locale: oldLocale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, minLength: this.config.minLength, maxLength: this.config.maxLength });
-        const newTextInfo = new TextInfo(newText, { locale: newLocale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, minLength: this.config.minLength, maxLength: this.config.maxLength });
+        const oldTextInfo = new TextInfo(oldText, { locale: oldLocale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, useStemmer: this.config.useStemmer, minLength: this.config.minLength, maxLength: this.config.maxLength });
+        const newTextInfo = new TextInfo(newText, { locale: newLocale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, useStemmer: this.config.useStemmer, minLength: this.config.minLength, maxLength: this.config.maxLength });
 
         // super._updateReverseLookupKey(
         //     path, 
@@ -3163,7 +4342,8 @@ class FullTextIndex extends DataIndex {
         let changed = oldWords.filter(word => newWords.indexOf(word) >= 0).filter(word => {
             const oldInfo = oldTextInfo.getWordInfo(word);
             const newInfo = newTextInfo.getWordInfo(word);
-            return oldInfo.occurs !== newInfo.occurs || oldInfo.indexes.some((index, i) => newInfo.indexes[i] !== index);
+            // Each entry stores the total number of words of the text, so all of them change if the text length does
+            return oldInfo.occurs !== newInfo.occurs || oldInfo.indexes.some((index, i) => newInfo.indexes[i] !== index) || oldTextInfo.wordCount !== newTextInfo.wordCount;
         })
         changed.forEach(word => {
             // Word metadata changed. Simplest solution: remove and add again
@@ -3193,11 +4373,22 @@ class FullTextIndex extends DataIndex {
                 occurs = occurs.slice(0, cutIndex);
             }
             const indexMetadata = {
-                '_occurs_': occurs
+                '_occurs_': occurs,
+                '_words_': newTextInfo.wordCount
             };
             const p = super.handleRecordUpdate(path, { [this.key]: null }, mutated, indexMetadata);
             promises.push(p);
         });
+
+        // Update the corpus stats
+        const oldWordCount = oldTextInfo.wordCount, newWordCount = newTextInfo.wordCount;
+        const recordsChange = (newWordCount > 0 ? 1 : 0) - (oldWordCount > 0 ? 1 : 0);
+        this._corpusUpdates++;
+        if (this._corpus !== null && (recordsChange !== 0 || oldWordCount !== newWordCount)) {
+            this._corpus.records += recordsChange;
+            this._corpus.words += newWordCount - oldWordCount;
+            promises.push(this._writeTotals());
+        }
         return Promise.all(promises);
     }
 
@@ -3210,11 +4401,15 @@ class FullTextIndex extends DataIndex {
                 text = '';
             }
             const locale = env.locale || this.textLocale;
-            const textInfo = new TextInfo(text, { locale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, minLength: this.config.minLength, maxLength: this.config.maxLength });
+            const textInfo = new TextInfo(text, { locale, stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, useStemmer: this.config.useStemmer, minLength: this.config.minLength, maxLength: this.config.maxLength });
             const words = textInfo.words; //_getWords(text);
             if (words.length === 0) {
                 this.storage.debug.warn(`No words found in "${typeof text === 'string' && text.length > 50 ? text.slice(0, 50) + '...' : text}" to fulltext index "${env.path}"`);
             }
+            else {
+                corpus.records++;
+                corpus.words += textInfo.wordCount;
+            }
             
             // const revLookupKey = super._getRevLookupKey(env.path);
             // tree.add(revLookupKey, textEncoder.encode(text), metadata);
@@ -3249,18 +4444,246 @@ class FullTextIndex extends DataIndex {
                     occurs = occurs.slice(0, cutIndex);
                 }
                 const wordMetadata = {
-                    '_occurs_': occurs
+                    '_occurs_': occurs,
+                    '_words_': textInfo.wordCount
                 };
                 Object.assign(wordMetadata, metadata);
                 add(wordInfo.word, recordPointer, wordMetadata);
             });
             return words.map(info => info.word);
         }
+        // Count the indexed records and their words while building, they are stored in the index header
+        const corpus = this._corpus = { records: 0, words: 0, lengths: true };
         return super.build({ addCallback, valueTypes: [Node.VALUE_TYPES.STRING] });
     }
 
+    /**
+     * Gets the number of indexed records and their total number of words. Indexes built by older versions don't
+     * store these totals in their header, they are collected from the index once. Some older versions do not
+     * store the number of words of each record either, lengths is false for those
+     * @returns {Promise<{ records: number, words: number, lengths: boolean }>}
+     */
+    _getCorpusStats() {
+        if (this._corpus !== null) {
+            return Promise.resolve(this._corpus);
+        }
+        const updates = this._corpusUpdates;
+        const corpus = { records: 0, words: 0, lengths: true };
+        const paths = new Set();
+        let lock, idx;
+        return this._lock(false, `index._getCorpusStats`)
+        .then(l => {
+            lock = l;
+            return this._getTree();
+        })
+        .then(i => {
+            idx = i;
+            const readLeaf = leaf => {
+                return Promise.all(leaf.entries.map(entry => entry.extData && !entry.extData.loaded ? entry.extData.loadValues() : null))
+                .then(() => {
+                    leaf.entries.forEach(entry => entry.values.forEach(value => {
+                        const path = _parseRecordPointer(this.path, value.recordPointer).path;
+                        if (paths.has(path)) { return; }
+                        paths.add(path);
+                        corpus.records++;
+                        const words = value.metadata && value.metadata._words_;
+                        if (typeof words === 'number') { corpus.words += words; }
+                        else { corpus.lengths = false; }
+                    }));
+                    return leaf.getNext ? leaf.getNext().then(readLeaf) : null;
+                });
+            };
+            return idx.tree.getFirstLeaf().then(readLeaf);
+        })
+        .then(() => {
+            idx.close();
+            lock.release();
+            if (this._corpusUpdates === updates) {
+                // No records were updated while reading the index, keep the stats
+                this._corpus = corpus;
+            }
+            return corpus;
+        }, err => {
+            idx && idx.close();
+            lock && lock.release();
+            throw err;
+        });
+    }
+
+    /**
+     * Calculates the relevance of fulltext query results with the BM25 ranking function, using the number of 
+     * occurrences of each queried word in the indexed records, and their number of words
+     * @param {IndexQueryResults} results
+     * @param {IndexQueryResults[]} resultsPerWord results of each queried word
+     * @param {number[]} wordCounts number of indexed values of each queried word
+     * @param {(word: number, result: IndexQueryResult) => number} [getWeight] weight of a matched word, eg to score fuzzy matches lower than exact matches
+     * @returns {Promise<IndexQueryResults>} new results with a score
+     */
+    _scoreResults(results, resultsPerWord, wordCounts, getWeight = () => 1) {
+        const k1 = 1.2, b = 0.75;
+        return this._getCorpusStats()
+        .then(corpus => {
+            const averageLength = corpus.lengths && corpus.records > 0 ? corpus.words / corpus.records : 0;
+            const scores = new Map(), lengths = new Map();
+            results.forEach(result => {
+                scores.set(result.path, 0);
+                lengths.set(result.path, result.metadata && result.metadata._words_);
+            });
+            resultsPerWord.forEach((wordResults, i) => {
+                const count = wordCounts[i];
+                const idf = Math.log(1 + (Math.max(corpus.records, count) - count + 0.5) / (count + 0.5));
+                // Wildcard words can match multiple words of a record, their occurrences are added up
+                const frequencies = new Map(), weights = new Map();
+                wordResults.forEach(result => {
+                    if (!scores.has(result.path)) { return; }
+                    const occurs = result.metadata._occurs_;
+                    const frequency = occurs instanceof Array ? occurs.length : occurs.split(',').length;
+                    frequencies.set(result.path, (frequencies.get(result.path) || 0) + frequency);
+                    weights.set(result.path, Math.max(weights.get(result.path) || 0, getWeight(i, result)));
+                });
+                frequencies.forEach((frequency, path) => {
+                    const length = lengths.get(path);
+                    const relativeLength = typeof length === 'number' && averageLength > 0 ? length / averageLength : 1;
+                    const score = weights.get(path) * idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * relativeLength));
+                    scores.set(path, scores.get(path) + score);
+                });
+            });
+            const scored = results.map(result => new IndexQueryResult(result.key, result.path, result.value, result.metadata, scores.get(result.path), result.terms));
+            return IndexQueryResults.from(scored, this.key);
+        });
+    }
+
+    /**
+     * Gets the indexed words that are within given edit distance of a word. Because the words are stored sorted in the index,
+     * consecutive words share their first characters: the distances calculated for those are reused, and all words starting
+     * with characters that are already too different are skipped. If the index uses a stemmer, word must be stemmed too: misspelled
+     * words are often not reduced to their stem, so a typo in the ending of a word can put it further away from the indexed stem
+     * @param {string} word 
+     * @param {number} distance maximum number of edits
+     * @param {number} [prefixLength=0] number of leading characters that must match exactly
+     * @returns {Promise<string[]>}
+     */
+    _getFuzzyVariants(word, distance, prefixLength = 0) {
+        const prefix = word.slice(0, prefixLength);
+        const variants = [];
+        // rows[i] has the edit distances between the first i characters of the previous key and each start of the word
+        const rows = [Array.from({ length: word.length + 1 }, (v, j) => j)];
+        let prevKey = '';
+        let skipPrefix = null; // keys starting with this are too different
+        const check = key => {
+            if (skipPrefix !== null && key.startsWith(skipPrefix)) { return; }
+            skipPrefix = null;
+            if (Math.abs(key.length - word.length) > distance) { return; }
+            let common = 0;
+            while (common < prevKey.length && common < key.length && prevKey[common] === key[common]) { common++; }
+            for (let i = common; i < key.length; i++) {
+                const prev = rows[i], row = [i + 1];
+                let min = row[0];
+                for (let j = 1; j <= word.length; j++) {
+                    row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (word[j - 1] === key[i] ? 0 : 1)));
+                    if (i > 0 && j > 1 && key[i] === word[j - 2] && key[i - 1] === word[j - 1]) {
+                        // Transposition of 2 adjacent characters
+                        row[j] = Math.min(row[j], rows[i - 1][j - 2] + 1);
+                    }
+                    min = Math.min(min, row[j]);
+                }
+                rows[i + 1] = row;
+                if (min > distance) {
+                    skipPrefix = prevKey = key.slice(0, i + 1);
+                    return;
+                }
+            }
+            prevKey = key;
+            if (rows[key.length][word.length] <= distance) { variants.push(key); }
+        };
+        let lock, idx;
+        return this._lock(false, `index._getFuzzyVariants "${word}"`)
+        .then(l => {
+            lock = l;
+            return this._getTree();
+        })
+        .then(i => {
+            idx = i;
+            const readLeaf = leaf => {
+                for (let i = 0; i < leaf.entries.length; i++) {
+                    const key = leaf.entries[i].key;
+                    if (typeof key !== 'string' || key < prefix) { continue; }
+                    if (!key.startsWith(prefix)) { return null; } // Past all keys with the prefix
+                    check(key);
+                }
+                return leaf.getNext ? leaf.getNext().then(readLeaf) : null;
+            };
+            // Start at the leaf with the prefix
+            return (prefix.length > 0 ? idx.tree.findLeaf(prefix) : idx.tree.getFirstLeaf()).then(readLeaf);
+        })
+        .then(() => {
+            idx.close();
+            lock.release();
+            return variants;
+        }, err => {
+            idx && idx.close();
+            lock && lock.release();
+            throw err;
+        });
+    }
+
+    /**
+     * Creates snippets of the indexed texts of query results, with the words that matched the query highlighted.
+     * Loads the texts of the given results only, so use it on the results that are returned (eg after paging)
+     * @param {string} val the queried text
+     * @param {Array<{ path: string, terms?: { [word: string]: string[] } }>} results results of a "fulltext:contains" or "fulltext:fuzzy" query with val.
+     * The words matched by fuzzy queries are taken from their terms
+     * @param {object} [options]
+     * @param {string} [options.locale] Locale used for the words in the query. When omitted, the default index locale is used
+     * @param {string} [options.pre='<mark>'] marker to insert before matched words
+     * @param {string} [options.post='</mark>'] marker to insert after matched words
+     * @param {number} [options.length=160] maximum length of the snippets. Longer texts are cut around the matched words
+     * @param {string} [options.ellipsis='...'] marks where texts were cut
+     * @returns {Promise<Array<string|null>>} the snippet of each result, or null if it has no text
+     */
+    highlight(val, results, options = {}) {
+        const settings = Object.assign({ pre: '<mark>', post: '</mark>', length: 160, ellipsis: '...' }, options);
+        const textSettings = { stemming: this.config.transform, blacklist: this.config.blacklist, whitelist: this.config.whitelist, useStoplist: this.config.useStoplist, useStemmer: this.config.useStemmer, minLength: this.config.minLength, maxLength: this.config.maxLength };
+
+        // Get the queried words the same way the query does
+        const queryInfo = new TextInfo(val.replace(/ OR /g, ' '), Object.assign({ locale: settings.locale || this.textLocale, includeChars: '*?' }, textSettings));
+        const queryWords = queryInfo.words.map(info => info.word).filter(word => !/^[\*\?]+$/.test(word));
+        const patterns = queryWords.filter(word => /[\*\?]/.test(word)).map(word => new RegExp('^' + word.replace(/\*/g, '.*').replace(/\?/g, '.') + '$'));
+
+        const include = [this.key].concat(this.config.localeKey ? [this.config.localeKey] : []);
+        const highlight = result => {
+            return Node.getValue(this.storage, result.path, { include })
+            .then(obj => {
+                let text = obj === null ? undefined : obj[this.key];
+                if (text instanceof Array) { text = text.join(' '); }
+                if (typeof text !== 'string') { return null; }
+                const locale = this.config.localeKey && obj[this.config.localeKey] ? obj[this.config.localeKey] : this.textLocale;
+                const textInfo = new TextInfo(text, Object.assign({ locale }, textSettings));
+                // Words matched by fuzzy queries are in the result terms
+                const matchedWords = result.terms ? Object.keys(result.terms).reduce((words, word) => words.concat(result.terms[word]), queryWords) : queryWords;
+                const ranges = textInfo.words
+                    .filter(info => matchedWords.includes(info.word) || patterns.some(re => re.test(info.word)))
+                    .reduce((ranges, info) => ranges.concat(info.sourceIndexes.map((index, i) => ({ index, length: info.sourceLengths[i] }))), [])
+                    .sort((a, b) => a.index - b.index);
+                return _getHighlightSnippet(text, ranges, settings);
+            });
+        };
+        // Load the texts in batches
+        const batchSize = 50;
+        const snippets = [];
+        const nextBatch = (start) => {
+            if (start >= results.length) { return snippets; }
+            return Promise.all(results.slice(start, start + batchSize).map(highlight))
+            .then(batch => {
+                snippets.push(...batch);
+                return nextBatch(start + batchSize);
+            });
+        };
+        return Promise.resolve(nextBatch(0));
+    }
+
     static get validOperators() {
-        return ['fulltext:contains', 'fulltext:!contains'];
+        return ['fulltext:contains', 'fulltext:!contains', 'fulltext:fuzzy'];
     }
     get validOperators() {
         return FullTextIndex.validOperators;
@@ -3268,10 +4691,13 @@ class FullTextIndex extends DataIndex {
 
     /**
      * 
-     * @param {string} op Operator to use, can be either "fulltext:contains" or "fulltext:!contains"
+     * @param {string} op Operator to use, can be "fulltext:contains", "fulltext:!contains" or "fulltext:fuzzy". Fuzzy queries work like "fulltext:contains", 
+     * but also match words that differ slightly from the queried words, such as misspellings. The results have the matched words of each queried word in their terms property
      * @param {string} val Text to search for. Can include * and ? wildcards, OR's for combined searches, and "quotes" for phrase searches
      * @param {object} [options] Options
      * @param {string} [options.locale] Locale to use for the words in the query. When omitted, the default index locale is used
+     * @param {number} [options.distance] Maximum number of edits for words to match in fuzzy queries, overrides config.fuzzyDistance
+     * @param {boolean} [options.score=true] Whether to calculate the relevance score of the results. Use false if the scores are not needed
      * @param {boolean} [options.phrase] Used internally: treats the words in val as a phrase, eg: "word1 word2 word3": words need to occur in this exact order
      * @param {number} [options.minimumWildcardWordLength=2] Sets minimum amount of characters that have to be used for wildcard (sub)queries such as "a%" to guard the system against extremely large result sets. Length does not include the wildcard characters itself. Default value is 2 (allows "an*" but blocks "a*")
      * @returns {Promise<IndexQueryResults>}
@@ -3281,14 +4707,18 @@ class FullTextIndex extends DataIndex {
             throw new Error(`Fulltext indexes can only be queried with operators ${FullTextIndex.validOperators.map(op => `"${op}"`).join(', ')}`)
         }
 
+        const fuzzy = op === 'fulltext:fuzzy';
+        const distance = fuzzy && typeof options.distance === 'number' ? options.distance : this.config.fuzzyDistance;
+        
         // Check cache
-        let cache = this.cache(op, val);
+        const cacheOp = (fuzzy && typeof options.distance === 'number' ? `${op}:${options.distance}` : op) + (options.score === false ? ':unscored' : '');
+        let cache = this.cache(cacheOp, val);
         if (cache) {
             // Use cached results
             return Promise.resolve(cache);
         }
 
-        const stats = new IndexQueryStats(options.phrase ? 'fulltext_phrase_query' : 'fulltext_query', val, true);
+        const stats = new IndexQueryStats(options.phrase ? 'fulltext_phrase_query' : fuzzy ? 'fulltext_fuzzy_query' : 'fulltext_query', val, true);
 
         // const searchWordRegex = /[\w'?*]+/g; // Use TextInfo to find and transform words using index settings
         const getTextInfo = text => {
@@ -3300,6 +4730,7 @@ class FullTextIndex extends DataIndex {
                 blacklist: this.config.blacklist,
                 whitelist: this.config.whitelist,
                 useStoplist: this.config.useStoplist,
+                useStemmer: this.config.useStemmer,
                 includeChars: '*?'
             });
 
@@ -3340,11 +4771,26 @@ class FullTextIndex extends DataIndex {
                 const mergeStep = new IndexQueryStats('merge_expand', { sets: resultSets.length, results: resultSets.reduce((total, set) => total + set.length, 0) }, true);
                 stats.steps.push(mergeStep);
 
-                const merged = resultSets[0];
-                resultSets.slice(1).forEach(results => {
+                // Results matching multiple searches are more relevant, add up their scores
+                const merged = [];
+                const scored = new Map();
+                resultSets.forEach(results => {
+                    const setPaths = new Set();
                     results.forEach(result => {
-                        const exists = ~merged.findIndex(r => r.path === result.path);
-                        if (!exists) { merged.push(result); }
+                        const match = scored.get(result.path);
+                        if (!match) {
+                            const copy = new IndexQueryResult(result.key, result.path, result.value, result.metadata, result.score, result.terms && Object.assign({}, result.terms));
+                            scored.set(result.path, copy);
+                            merged.push(copy);
+                            return setPaths.add(result.path);
+                        }
+                        if (!setPaths.has(result.path) && typeof result.score === 'number') {
+                            match.score += result.score;
+                        }
+                        if (result.terms) {
+                            match.terms = Object.assign(match.terms || {}, result.terms);
+                        }
+                        setPaths.add(result.path);
                     });
                 });
                 const results = IndexQueryResults.from(merged, this.key);
@@ -3393,10 +4839,15 @@ class FullTextIndex extends DataIndex {
                 const shortestSet = resultSets.sort((a,b) => a.length < b.length ? -1 : 1)[0];
                 const otherSets = resultSets.slice(1);
                 const matches = shortestSet.reduce((matches, match) => {
-                    // Check if the key is present in the other result sets
+                    // Check if the key is present in the other result sets, add up the scores of all sets
                     const path = match.path;
-                    const matchedInAllSets = otherSets.every(set => set.findIndex(match => match.path === path) >= 0);
-                    if (matchedInAllSets) { matches.push(match); }
+                    const otherMatches = otherSets.map(set => set.find(match => match.path === path));
+                    const matchedInAllSets = otherMatches.every(match => typeof match !== 'undefined');
+                    if (matchedInAllSets) { 
+                        const score = typeof match.score === 'number' ? otherMatches.reduce((score, match) => score + match.score, match.score) : undefined;
+                        const terms = match.terms && otherMatches.reduce((terms, match) => Object.assign(terms, match.terms), Object.assign({}, match.terms));
+                        matches.push(new IndexQueryResult(match.key, match.path, match.value, match.metadata, score, terms)); 
+                    }
                     return matches;
                 }, new IndexQueryResults());
                 matches.filterKey = this.key;
@@ -3463,25 +4914,46 @@ class FullTextIndex extends DataIndex {
                 addIgnoredWordHints(results);
 
                 // Cache results
-                this.cache(op, val, results);
+                this.cache(cacheOp, val, results);
                 return results;
             });            
         }
 
-        // op === 'fulltext:contains'
-        // Get result count for each word
-        const countPromises = words.map(word => {
+        // op === 'fulltext:contains' or 'fulltext:fuzzy'
+        /**
+         * Indexed words to query for each (non-wildcard) word of a fuzzy query
+         * @type {Map<string, string[]>}
+         */
+        const variants = new Map();
+        const getWordQuery = word => {
+            if (variants.has(word)) { return { wordOp: 'in', wordVal: variants.get(word) }; }
             const wildcardIndex = ~(~word.indexOf('*') || ~word.indexOf('?'));
-            let wordOp = wildcardIndex >= 0 ? 'like' : '==';
+            return { wordOp: wildcardIndex >= 0 ? 'like' : '==', wordVal: word };
+        };
+        const variantsPromise = !fuzzy ? Promise.resolve() : Promise.all(words.filter(word => !/[\*\?]/.test(word)).map(word => {
+            const maxEdits = typeof distance === 'number' ? distance : _getFuzzyDistance(word);
+            const step = new IndexQueryStats('fuzzy_variants', { word, distance: maxEdits }, true);
+            stats.steps.push(step);
+            return this._getFuzzyVariants(word, maxEdits, this.config.fuzzyPrefixLength)
+            .then(words => {
+                step.stop(words.length);
+                variants.set(word, words);
+            });
+        }));
+        // Get result count for each word
+        const countWord = word => {
+            const { wordOp, wordVal } = getWordQuery(word);
             const step = new IndexQueryStats('count', { op: wordOp, word }, true);
             stats.steps.push(step);
-            return super.count(wordOp, word)
+            const countPromise = wordVal instanceof Array && wordVal.length === 0 ? Promise.resolve(0) : super.count(wordOp, wordVal);
+            return countPromise
             .then(count => {
                 step.stop(count);
                 return { word, count };
             });
-        });
-        return Promise.all(countPromises)
+        };
+        return variantsPromise
+        .then(() => Promise.all(words.map(countWord)))
         .then(counts => {
             // Start with the smallest result set
             counts.sort((a, b) => {
@@ -3511,7 +4983,7 @@ class FullTextIndex extends DataIndex {
                 });
 
                 // Cache the empty result set
-                this.cache(op, val, results);
+                this.cache(cacheOp, val, results);
                 return results;
             }
             const allWords = counts.map(c => c.word);
@@ -3528,11 +5000,10 @@ class FullTextIndex extends DataIndex {
             // });
 
             const queryWord = (word, filter) => {
-                const wildcardIndex = ~(~word.indexOf('*') || ~word.indexOf('?'));
-                let wordOp = wildcardIndex >= 0 ? 'like' : '==';
+                const { wordOp, wordVal } = getWordQuery(word);
                 // const step = new IndexQueryStats('query', { op: wordOp, word }, true);
                 // stats.steps.push(step);
-                return super.query(wordOp, word, { filter })
+                return super.query(wordOp, wordVal, { filter })
                 .then(results => {
                     stats.steps.push(results.stats);
                     // step.stop(results.length);
@@ -3600,15 +5071,53 @@ class FullTextIndex extends DataIndex {
                     }, new IndexQueryResults());
                     step.stop(results.length);
                 }
+                if (results.length === 0 || options.score === false) {
+                    return results;
+                }
+                // Calculate the relevance of the results
+                const step = new IndexQueryStats('score', { words: allWords.length }, true);
+                stats.steps.push(step);
+                // Fuzzy matches score lower the more they differ from the queried word
+                const getWeight = (i, result) => {
+                    const word = words[i];
+                    if (!variants.has(word) || result.value === word) { return 1; }
+                    return 1 - _getEditDistance(word, result.value) / Math.max(word.length, result.value.length);
+                };
+                return this._scoreResults(results, resultsPerWord, words.map(word => counts.find(c => c.word === word).count), getWeight)
+                .then(scored => {
+                    step.stop(scored.length);
+                    return scored;
+                });
+            })
+            .then(results => {
                 results.filterKey = this.key;
+                if (fuzzy && results.length > 0) {
+                    // Add the indexed words that matched each queried word to the results
+                    const terms = new Map(results.map(result => [result.path, {}]));
+                    words.forEach((word, i) => {
+                        if (!variants.has(word)) { return; }
+                        resultsPerWord[i].forEach(match => {
+                            const matchTerms = terms.get(match.path);
+                            if (!matchTerms) { return; }
+                            if (!matchTerms[word]) { matchTerms[word] = []; }
+                            !matchTerms[word].includes(match.value) && matchTerms[word].push(match.value);
+                        });
+                    });
+                    results.forEach(result => result.terms = terms.get(result.path));
+                }
 
                 stats.stop(results.length);
                 results.stats = stats;
                 addIgnoredWordHints(results);
+                variants.forEach((words, word) => {
+                    if (words.length === 1 && words[0] === word) { return; }
+                    const hint = new FullTextIndexQueryHint(FullTextIndexQueryHint.types.fuzzyWord, { word, variants: words });
+                    results.hints.push(hint);
+                });
 
                 // Cache results
                 delete results.values; // No need to cache these. Free the memory
-                this.cache(op, val, results);
+                this.cache(cacheOp, val, results);
                 return results;
             });
         });
@@ -3689,6 +5198,79 @@ class FullTextIndex extends DataIndex {
     }
 }
 
+/**
+ * Calculates the number of single character edits (insertions, deletions, substitutions or transpositions of 2 adjacent
+ * characters) needed to change one word into another
+ * @param {string} a 
+ * @param {string} b 
+ * @returns {number}
+ */
+function _getEditDistance(a, b) {
+    const rows = [Array.from({ length: b.length + 1 }, (v, j) => j)];
+    for (let i = 1; i <= a.length; i++) {
+        const prev = rows[i - 1], row = [i];
+        for (let j = 1; j <= b.length; j++) {
+            row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+            }
+        }
+        rows.push(row);
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Creates a snippet of a text with the given word ranges wrapped in markers. Texts longer than settings.length
+ * are cut around the part with the most ranges, without cutting words in half
+ * @param {string} text 
+ * @param {Array<{ index: number, length: number }>} ranges sorted positions and lengths of the words to highlight
+ * @param {{ pre: string, post: string, length: number, ellipsis: string }} settings 
+ * @returns {string}
+ */
+function _getHighlightSnippet(text, ranges, settings) {
+    let start = 0, end = text.length;
+    if (text.length > settings.length) {
+        // Find the range from which the most ranges fit in the snippet. Words don't overlap, so the ranges that
+        // fit are the ones up to the first that doesn't: slide the end of the window along with its start
+        let first = 0, count = 0;
+        for (let i = 0, j = 0; i < ranges.length; i++) {
+            j = Math.max(i, j);
+            while (j < ranges.length && ranges[j].index + ranges[j].length <= ranges[i].index + settings.length) { j++; }
+            if (j - i > count) { first = i; count = j - i; }
+        }
+        const firstRange = ranges[first] || { index: 0, length: 0 };
+        const lastRange = ranges[first + count - 1] || firstRange;
+        // Put the matched words in the middle of the snippet
+        const margin = Math.floor((settings.length - (lastRange.index + lastRange.length - firstRange.index)) / 2);
+        start = Math.max(0, Math.min(firstRange.index - margin, text.length - settings.length));
+        end = start + settings.length;
+        // Don't cut words in half
+        const startSpace = start > 0 ? text.slice(start, firstRange.index).search(/\s/) : -1;
+        if (startSpace >= 0) { start += startSpace + 1; }
+        const endSpace = end < text.length ? text.slice(lastRange.index + lastRange.length, end + 1).search(/\s\S*$/) : -1;
+        if (endSpace >= 0) { end = lastRange.index + lastRange.length + endSpace; }
+    }
+    let snippet = start > 0 ? settings.ellipsis : '';
+    let index = start;
+    ranges.filter(range => range.index >= start && range.index + range.length <= end).forEach(range => {
+        snippet += text.slice(index, range.index) + settings.pre + text.slice(range.index, range.index + range.length) + settings.post;
+        index = range.index + range.length;
+    });
+    snippet += text.slice(index, end);
+    if (end < text.length) { snippet += settings.ellipsis; }
+    return snippet;
+}
+
+/**
+ * Gets the default maximum edit distance for fuzzy matching a word: short words are easily confused with other words
+ * @param {string} word 
+ * @returns {number}
+ */
+function _getFuzzyDistance(word) {
+    return word.length <= 2 ? 0 : word.length <= 5 ? 1 : 2;
+}
+
 function _getGeoRadiusPrecision(radiusM) {
     if (typeof radiusM !== 'number') { return; }
     if (radiusM < 0.01) { return 12; }
@@ -3956,7 +5538,8 @@ class FullTextIndexQueryHint extends IndexQueryHint {
         return { 
             missingWord: 'missing',
             genericWord: 'generic',
-            ignoredWord: 'ignored'
+            ignoredWord: 'ignored',
+            fuzzyWord: 'fuzzy'
         };
     }
 
@@ -3975,6 +5558,9 @@ class FullTextIndexQueryHint extends IndexQueryHint {
             case FullTextIndexQueryHint.types.ignoredWord: {
                 return `Word "${this.value}" was ignored because it is either blacklisted, occurs in a stoplist, or did not match other criteria such as minimum (wildcard) word length`;
             }
+            case FullTextIndexQueryHint.types.fuzzyWord: {
+                return `Word "${this.value.word}" was matched with similar words ${this.value.variants.map(word => `"${word}"`).join(', ')}`;
+            }
             default: {
                 return `Uknown hint`;
             }
@@ -4069,6 +5655,9 @@ const quickSort = (unsortedArray, comparator = defaultComparator) => {
 
 module.exports = { 
     DataIndex,
+    UniqueConstraintError,
+    CompositeIndex,
+    ComputedIndex,
     ArrayIndex,
     FullTextIndex,
     GeoIndex
@@ -22,6 +22,8 @@ const { AceBaseStorageSettings } = require('./storage-acebase');
 const { SQLiteStorageSettings } = require('./storage-sqlite');
 const { MSSQLStorageSettings } = require('./storage-mssql');
 const { CustomStorageTransaction, CustomStorageSettings, CustomStorageHelpers } = require('./storage-custom');
+const { count, sum, avg, min, max } = require('./query-aggregate');
+const { UniqueConstraintError } = require('./data-index');
 
 module.exports = {
     AceBase, 
@@ -38,5 +40,7 @@ module.exports = {
     CustomStorageSettings,
     CustomStorageHelpers,
     ID,
-    proxyAccess
+    proxyAccess,
+    UniqueConstraintError,
+    aggregates: { count, sum, avg, min, max }
 };
\ No newline at end of file
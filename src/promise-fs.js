@@ -203,6 +203,21 @@ function ftruncate(fd, len) {
 }
 pfs.ftruncate = ftruncate;
 
+/**
+ * Flushes all modified data of an open file to the storage device
+ * @param {number} fd file descriptor
+ * @returns {Promise<void>} returns a promise that resolves once all data has been flushed
+ */
+function fsync(fd) {
+    return new Promise((resolve, reject) => {
+        fs.fsync(fd, (err) => {
+            if (err) { reject(err); }
+            else { resolve(); }
+        });
+    });
+}
+pfs.fsync = fsync;
+
 /**
  * Reads the contents of a directory. returns a promise that resolves with an array of names or entries
  * @param {string|Buffer|URL} path 
@@ -291,5 +306,16 @@ function stat(path, options) {
 }
 pfs.stat = stat;
 
+/**
+ * Creates a stream to write to a file. Not promise based, available so pfs can be used interchangeably with other file systems
+ * @param {string|Buffer|URL|null} path 
+ * @param {object} [options] see fs.createWriteStream
+ * @returns {fs.WriteStream}
+ */
+function createWriteStream(path, options) {
+    return fs.createWriteStream(path, options);
+}
+pfs.createWriteStream = createWriteStream;
+
 pfs.fs = fs;
 module.exports = pfs;
\ No newline at end of file
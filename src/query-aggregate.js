@@ -0,0 +1,141 @@
+const AGGREGATE_FUNCTIONS = ['count','sum','avg','min','max'];
+
+/**
+ * Counts matching nodes, or the nodes that have a value for given key
+ * @param {string} [key]
+ */
+function count(key) { return { fn: 'count', key }; }
+
+/**
+ * Sums the numeric values of key
+ * @param {string} key
+ */
+function sum(key) { return { fn: 'sum', key }; }
+
+/**
+ * Averages the numeric values of key
+ * @param {string} key
+ */
+function avg(key) { return { fn: 'avg', key }; }
+
+/**
+ * Gets the lowest number, string or date value of key
+ * @param {string} key
+ */
+function min(key) { return { fn: 'min', key }; }
+
+/**
+ * Gets the highest number, string or date value of key
+ * @param {string} key
+ */
+function max(key) { return { fn: 'max', key }; }
+
+const isNumber = val => typeof val === 'number' && !isNaN(val);
+const isComparable = val => isNumber(val) || typeof val === 'string' || val instanceof Date;
+
+/**
+ * Calculates aggregates of query results, optionally grouped by the values of 1 or more keys
+ */
+class QueryAggregator {
+    /**
+     * @param {{ [name: string]: { fn: 'count'|'sum'|'avg'|'min'|'max', key?: string } }} aggregates aggregates to calculate, eg: { total: sum('amount') }
+     * @param {string|string[]} [groupBy] key(s) to group results by
+     */
+    constructor(aggregates, groupBy = []) {
+        if (typeof aggregates !== 'object' || aggregates === null || Object.keys(aggregates).length === 0) {
+            throw new Error(`aggregate must be an object with 1 or more aggregates, eg: { total: sum('amount') }`);
+        }
+        this.aggregates = Object.keys(aggregates).map(name => {
+            const { fn, key } = aggregates[name];
+            if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+                throw new Error(`Unknown aggregate function "${fn}" for "${name}", use ${AGGREGATE_FUNCTIONS.join(', ')}`);
+            }
+            if (fn !== 'count' && typeof key !== 'string') {
+                throw new Error(`Aggregate function "${fn}" for "${name}" needs a key`);
+            }
+            return { name, fn, key };
+        });
+        this.groupBy = groupBy instanceof Array ? groupBy : typeof groupBy === 'string' ? [groupBy] : [];
+        /** @type {Map<string, { values: any[], state: { count: number, sum: number, numbers: number, value: any }[] }>} */
+        this._groups = new Map();
+    }
+
+    /**
+     * Keys that need to be read from each node
+     * @returns {string[]}
+     */
+    get keys() {
+        return this.aggregates
+            .filter(a => typeof a.key === 'string')
+            .map(a => a.key)
+            .concat(this.groupBy)
+            .filter((key, i, keys) => keys.indexOf(key) === i);
+    }
+
+    /**
+     * Adds a node to the aggregates
+     * @param {(key: string) => any} getValue callback that returns the node's value for given key
+     */
+    add(getValue) {
+        const values = this.groupBy.map(key => {
+            const val = getValue(key);
+            return typeof val === 'undefined' ? null : val;
+        });
+        const groupKey = JSON.stringify(values);
+        let group = this._groups.get(groupKey);
+        if (!group) {
+            group = { values, state: this.aggregates.map(() => ({ count: 0, sum: 0, numbers: 0, value: null })) };
+            this._groups.set(groupKey, group);
+        }
+        this.aggregates.forEach((a, i) => {
+            const state = group.state[i];
+            if (typeof a.key !== 'string') {
+                state.count++;
+                return;
+            }
+            const val = getValue(a.key);
+            if (val === null || typeof val === 'undefined') { return; }
+            state.count++;
+            if (isNumber(val)) {
+                state.sum += val;
+                state.numbers++;
+            }
+            if (isComparable(val) && (state.value === null
+                || (a.fn === 'min' && val < state.value)
+                || (a.fn === 'max' && val > state.value))) {
+                state.value = val;
+            }
+        });
+    }
+
+    /**
+     * Gets the calculated aggregates. Returns an object with the aggregates if no groupBy keys were used,
+     * an array with an object for each group otherwise. Each group object contains the values of the groupBy keys and the aggregates
+     * @returns {object|object[]}
+     */
+    results() {
+        const getResult = group => {
+            const result = {};
+            this.groupBy.forEach((key, i) => result[key] = group.values[i]);
+            this.aggregates.forEach((a, i) => {
+                const state = group.state[i];
+                result[a.name] = a.fn === 'count' ? state.count
+                    : a.fn === 'sum' ? state.sum
+                    : a.fn === 'avg' ? (state.numbers === 0 ? null : state.sum / state.numbers)
+                    : state.value;
+            });
+            return result;
+        };
+        if (this.groupBy.length === 0) {
+            if (this._groups.size === 0) {
+                // No results, use initial values
+                this.add(() => undefined);
+                this._groups.forEach(group => group.state.forEach(state => state.count = 0));
+            }
+            return getResult([...this._groups.values()][0]);
+        }
+        return [...this._groups.values()].map(getResult);
+    }
+}
+
+module.exports = { QueryAggregator, count, sum, avg, min, max };
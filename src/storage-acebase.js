@@ -10,6 +10,7 @@ const { NodeLock } = require('./node-lock');
 const { Storage, StorageSettings, NodeNotFoundError } = require('./storage');
 const { VALUE_TYPES } = require('./node-value-types');
 const { BinaryBPlusTree, BPlusTreeBuilder, BinaryWriter } = require('./btree');
+const { TransactionLog } = require('./transaction-log');
 
 class AceBaseStorageSettings extends StorageSettings {
     constructor(settings) {
@@ -17,6 +18,7 @@ class AceBaseStorageSettings extends StorageSettings {
         settings = settings || {};
         this.recordSize = settings.recordSize || 128;   // record size in bytes
         this.pageSize = settings.pageSize || 1024;      // page size in records
+        this.transactionLogging = settings.transactionLogging !== false; // use a write-ahead log to protect the database file against crashes and power failures
     }
 };
 
@@ -54,6 +56,11 @@ class AceBaseStorage extends Storage {
         const filename = `${this.settings.path}/${this.name}.acebase/data.db`;
         let fd = null;
 
+        // Cluster workers write to the database file from other processes, so they can't share a transaction log
+        this.txLog = settings.transactionLogging && !this.cluster.enabled
+            ? new TransactionLog(this, `${filename}.wal`)
+            : null;
+
         const writeData = (fileIndex, buffer, offset = 0, length = -1) => {
             if (buffer.constructor === Uint8Array) { //buffer instanceof Uint8Array) {
                 // If the passsed buffer is of type Uint8Array (which is essentially the same as Buffer),
@@ -65,6 +72,19 @@ class AceBaseStorage extends Storage {
                 length = buffer.byteLength;
             }
             const work = (fileIndex, buffer, offset, length, resolve, reject) => {
+                if (this.txLog) {
+                    // Log the data being overwritten before writing
+                    return this.txLog.write(fileIndex, buffer, offset, length)
+                    .then(bytesWritten => {
+                        stats.writes++;
+                        stats.bytesWritten += bytesWritten;
+                        resolve(bytesWritten);
+                    })
+                    .catch(err => {
+                        this.debug.error(`Error writing to file`, err);
+                        reject(err);
+                    });
+                }
                 fs.write(fd, buffer, offset, length, fileIndex, (err, bytesWritten) => {
                     if (err) {
                         this.debug.error(`Error writing to file`, err);
@@ -141,8 +161,8 @@ class AceBaseStorage extends Storage {
                     promise = this.nodeLocker.unlock(request.lockId, request.comment, request.processQueue);
                 }
                 else if (request.type === "add_key") {
-                    let index = this.KIT.getOrAdd(request.key);
-                    reply(index);
+                    promise = this.KIT.getOrAdd(request.key)
+                    .catch(err => -1); // Worker stores the key inline
                 }
                 else if (request.type === "update_address") {
                      // Send it to all other workers
@@ -176,27 +196,34 @@ class AceBaseStorage extends Storage {
             length: 65536 - 64,
             bytesUsed: 0,
             keys: [],
+            /** @type {{ pageNr: number, recordNr: number }} address of the KIT if it was relocated to the record space, null if it is at its default location */
+            address: null,
+            maxKeys: 32768, // key indexes are stored with 15 bits
 
             /**
              * Gets a key's index, or attempts to add a new key to the KIT
              * @param {string} key | key to store in the KIT
-             * @returns {number} | returns the index of the key in the KIT when successful, or -1 if the key could not be added
+             * @returns {Promise<number>} | returns a promise that resolves with the index of the key in the KIT when successful, or -1 if the key could not be added.
+             * If a new key was added, it resolves once the KIT has been written, and rejects if that failed
              */
             getOrAdd(key) {
                 if (key.length > 15 || key.length === 1) {
-                    return -1;
+                    return Promise.resolve(-1);
                 }
                 if (/^[0-9]+$/.test(key)) {
-                    return -1; //storage.debug.error(`Adding KIT key "${key}"?!!`);
+                    return Promise.resolve(-1); //storage.debug.error(`Adding KIT key "${key}"?!!`);
                 }
                 let index = this.keys.indexOf(key);
                 if (index < 0) {
+                    if (this.keys.length >= this.maxKeys) {
+                        return Promise.resolve(-1);
+                    }
                     if (storage.cluster.enabled && !storage.cluster.isMaster) {
                         // Forward request to cluster master. Response will be too late for us, but it will be cached for future calls
                         storage.cluster.request({ type: "add_key", key }).then(index => {
                             this.keys[index] = key; // Add to our local array
                         });
-                        return -1;
+                        return Promise.resolve(-1);
                     }
                     index = this.keys.push(key) - 1;
                     if (storage.cluster.enabled && storage.cluster.isMaster) {
@@ -207,23 +234,32 @@ class AceBaseStorage extends Storage {
                     }
                 }
                 else {
-                    return index;
+                    return Promise.resolve(index);
                 }
+                let promise;
                 try {
-                    this.write();
+                    promise = this.write();
                 }
                 catch(err) {
                     this.keys.pop(); // Remove the key
-                    index = -1;
+                    return Promise.resolve(-1);
                 }
-                return index; //return Promise.resolve(index);
+                return promise.then(() => index);
             },
 
+            /**
+             * Writes all keys to the KIT, relocates it first if they don't fit
+             * @returns {Promise<void>} returns a promise that resolves once the KIT has been written
+             */
             write() {
                 if (storage.cluster.enabled && !storage.cluster.isMaster) {
                     throw new Error(`DEV ERROR: KIT.write not allowed to run if it is a cluster worker!!`);
                 }
-                // Key Index Table starts at index 64, and is 2^16 (65536) bytes long
+                // Key Index Table starts at index 64 and is 65472 bytes long, unless it was relocated to a larger area
+                const byteLength = this.keys.reduce((total, key) => total + 1 + key.length, 0);
+                if (byteLength > this.length) {
+                    return this.grow(byteLength);
+                }
                 const data = Buffer.alloc(this.length);
                 const view = new DataView(data.buffer);
                 let index = 0;
@@ -234,9 +270,6 @@ class AceBaseStorage extends Storage {
                     index++;
                     
                     for (let i = 0; i < key.length; i++) {
-                        if (index > this.length) {
-                            throw new Error(`Too many keys to store in KIT, size limit of ${this.length} has been reached; current amount of keys is ${this.keys.length}`);
-                        }
                         let charCode = key.charCodeAt(i);
                         if (charCode > 255) { throw `Invalid character in key ${key} at char ${i+1}`; }
                         view.setUint8(index, charCode);
@@ -246,15 +279,99 @@ class AceBaseStorage extends Storage {
                 const bytesToWrite = Math.max(this.bytesUsed, index);    // Determine how many bytes should be written to overwrite current KIT
                 this.bytesUsed = index;
 
-                writeData(this.fileIndex, data, 0, bytesToWrite)
-                // .then(bytesWritten => {
-                //     storage.debug.log(`KIT saved, ${bytesWritten} bytes written`);
-                // })
+                return writeData(this.fileIndex, data, 0, bytesToWrite)
+                .then(bytesWritten => {
+                    // storage.debug.log(`KIT saved, ${bytesWritten} bytes written`);
+                })
                 .catch(err => {
                     storage.debug.error(`Error writing KIT: `, err);
+                    throw err;
+                });
+            },
+
+            /**
+             * Relocates the KIT to a larger contiguous area in the record space, because it ran out of space.
+             * The KIT is written to the new area before its location is stored in the database header, and the
+             * database version is set to 2 so older versions of AceBase will refuse to open the file instead of
+             * reading the old KIT. The previous area is freed once the header points to the new one.
+             * @param {number} minLength required byte length
+             * @returns {Promise<void>} returns a promise that resolves once the KIT and header have been written
+             */
+            grow(minLength) {
+                if (storage.cluster.enabled) {
+                    throw new Error(`KIT cannot be relocated in cluster mode`);
+                }
+                const recordSize = storage.settings.recordSize;
+                const maxLength = this.maxKeys * 16; // max key length is 15, plus 1 length byte
+                if (minLength > maxLength) {
+                    throw new Error(`Too many keys to store in KIT, size limit of ${maxLength} has been reached; current amount of keys is ${this.keys.length}`);
+                }
+                const records = Math.ceil(Math.min(maxLength, Math.max(minLength, this.length * 2)) / recordSize);
+                const allocation = storage.FST.allocateContiguous(records);
+
+                // Determine the ranges of the current area if it was relocated before, so they can be freed
+                const previous = [];
+                if (this.address) {
+                    let { pageNr, recordNr } = this.address;
+                    let remaining = this.length / recordSize;
+                    while (remaining > 0) {
+                        const length = Math.min(remaining, storage.settings.pageSize - recordNr);
+                        previous.push({ pageNr, recordNr, length });
+                        remaining -= length;
+                        pageNr++;
+                        recordNr = 0;
+                    }
+                }
+
+                this.address = { pageNr: allocation[0].pageNr, recordNr: allocation[0].recordNr };
+                this.fileIndex = storage.getRecordFileIndex(this.address.pageNr, this.address.recordNr);
+                this.length = records * recordSize;
+                this.bytesUsed = this.length; // Overwrite all data that might be in the allocated records
+                storage.debug.log(`KIT relocated to ${this.address.pageNr},${this.address.recordNr}, ${this.length} bytes available`.colorize(ColorStyle.bold));
+
+                const location = Buffer.alloc(10);
+                location.writeUInt32BE(this.address.pageNr, 0);
+                location.writeUInt16BE(this.address.recordNr, 4);
+                location.writeUInt32BE(this.length, 6);
+                return this.write()
+                .then(() => {
+                    // Save new location to the header, now that the KIT data is there
+                    return Promise.all([
+                        writeData(HEADER_INDEXES.VERSION_NR, Buffer.from([2])),
+                        writeData(HEADER_INDEXES.KIT_LOCATION, location)
+                    ])
+                    .catch(err => {
+                        storage.debug.error(`Error writing KIT location: `, err);
+                        throw err;
+                    });
+                })
+                .then(() => {
+                    if (previous.length > 0) {
+                        storage.FST.release(previous);
+                    }
                 });
             },
 
+            /**
+             * Reads the KIT location from the database header
+             * @param {Uint8Array} header
+             */
+            readLocation(header) {
+                const view = new DataView(header.buffer, header.byteOffset + HEADER_INDEXES.KIT_LOCATION, 10);
+                const length = view.getUint32(6);
+                if (length === 0) {
+                    // Default location
+                    this.address = null;
+                    this.fileIndex = 64;
+                    this.length = 65536 - 64;
+                }
+                else {
+                    this.address = { pageNr: view.getUint32(0), recordNr: view.getUint16(4) };
+                    this.fileIndex = storage.getRecordFileIndex(this.address.pageNr, this.address.recordNr);
+                    this.length = length;
+                }
+            },
+
             load() {
                 return new Promise((resolve, reject) => {
                     let data = Buffer.alloc(this.length);
@@ -267,7 +384,7 @@ class AceBaseStorage extends Storage {
                         let view = new DataView(data.buffer);
                         let keys = [];
                         let index = 0;
-                        while(true) {
+                        while(index < data.length) {
                             const keyLength = view.getUint8(index);
                             if (keyLength === 0) { break; }
                             index++;
@@ -482,6 +599,98 @@ class AceBaseStorage extends Storage {
                     this.write();
                 },
 
+                /**
+                 * Allocates records that are stored contiguously in the file, in the first free range(s) that fit.
+                 * Used by compaction to move records towards the start of the file and to defragment them
+                 * @param {number} requiredRecords 
+                 * @param {{ pageNr: number, recordNr: number }} [before] address the allocation must start before. If not given, new pages are added if there is no free space that fits
+                 * @returns {Array<{ pageNr: number, recordNr: number, length: number }>|null} returns the allocation, or null if there was no free space before given address
+                 */
+                allocateContiguous(requiredRecords, before) {
+                    const recordsPerPage = storage.settings.pageSize;
+                    const wholePages = Math.floor(requiredRecords / recordsPerPage);
+                    const remainder = requiredRecords % recordsPerPage;
+                    const isWholePage = (range, pageNr) => range && range.page === pageNr && range.start === 0 && range.end === recordsPerPage;
+
+                    this.sort();
+                    let allocation = null;
+                    for (let i = 0; i < this.ranges.length && !allocation; i++) {
+                        const range = this.ranges[i];
+                        if (before && (range.page > before.pageNr || (range.page === before.pageNr && range.start >= before.recordNr))) {
+                            break; // All following ranges are located after the given address
+                        }
+                        if (wholePages === 0) {
+                            if (range.end - range.start >= requiredRecords) {
+                                allocation = [{ pageNr: range.page, recordNr: range.start, length: requiredRecords }];
+                                range.start += requiredRecords;
+                            }
+                            continue;
+                        }
+                        // Need a sequence of free whole pages, followed by enough free records at the start of the next page
+                        let pages = 0;
+                        while (pages < wholePages && isWholePage(this.ranges[i + pages], range.page + pages)) {
+                            pages++;
+                        }
+                        const next = this.ranges[i + pages];
+                        if (pages < wholePages || (remainder > 0 && !(next && next.page === range.page + pages && next.start === 0 && next.end >= remainder))) {
+                            continue;
+                        }
+                        allocation = [];
+                        for (let p = 0; p < wholePages; p++) {
+                            allocation.push({ pageNr: range.page + p, recordNr: 0, length: recordsPerPage });
+                            this.ranges[i + p].start = recordsPerPage;
+                        }
+                        if (remainder > 0) {
+                            allocation.push({ pageNr: next.page, recordNr: 0, length: remainder });
+                            next.start = remainder;
+                        }
+                    }
+
+                    let pageAdded = false;
+                    if (!allocation && !before) {
+                        // Add new pages to the end of the file
+                        allocation = [];
+                        let records = requiredRecords;
+                        while (records > 0) {
+                            const length = Math.min(records, recordsPerPage);
+                            allocation.push({ pageNr: this.pages, recordNr: 0, length });
+                            if (length < recordsPerPage) {
+                                this.ranges.push({ page: this.pages, start: length, end: recordsPerPage });
+                            }
+                            this.pages++;
+                            records -= length;
+                        }
+                        pageAdded = true;
+                    }
+                    if (!allocation) {
+                        return null;
+                    }
+                    this.ranges = this.ranges.filter(range => range.end > range.start); // Remove depleted ranges
+                    this.write(pageAdded);
+                    return allocation;
+                },
+
+                /**
+                 * Removes completely free pages from the end of the file
+                 * @returns {Promise<number>} returns a promise that resolves with the number of removed pages once the file was truncated
+                 */
+                trim() {
+                    const recordsPerPage = storage.settings.pageSize;
+                    this.sort();
+                    let removed = 0;
+                    while (this.pages > 1) {
+                        const last = this.ranges[this.ranges.length - 1];
+                        if (!last || last.page !== this.pages - 1 || last.start !== 0 || last.end !== recordsPerPage) {
+                            break;
+                        }
+                        this.ranges.pop();
+                        this.pages--;
+                        removed++;
+                    }
+                    const promise = removed > 0 ? this.write(true) : Promise.resolve(); // Also truncates the file
+                    return promise.then(() => removed);
+                },
+
                 sort() {
                     this.ranges.sort((a,b) => {
                         if (a.page < b.page) return -1;
@@ -492,6 +701,11 @@ class AceBaseStorage extends Storage {
                     });
                 },
 
+                /**
+                 * Writes the FST to the file
+                 * @param {boolean} [updatedPageCount=false] whether the number of pages changed, the file size is updated
+                 * @returns {Promise<void>} returns a promise that resolves once written. Errors are logged, not thrown
+                 */
                 write(updatedPageCount = false) {
                     // Free Space Table starts at index 2^16 (65536), and is 2^16 (65536) bytes long
                     const data = Buffer.alloc(this.length);
@@ -516,10 +730,10 @@ class AceBaseStorage extends Storage {
                     this.bytesUsed = index;
 
                     if (this.bytesUsed > this.length) {
-                        throw new Error(`FST grew too big to store in the database file. Fix this!`);
+                        throw new Error(`FST grew too big to store in the database file. Run db.compact() to defragment the database`);
                     }
 
-                    writeData(this.fileIndex, data, 0, bytesToWrite)
+                    return writeData(this.fileIndex, data, 0, bytesToWrite)
                     .then(bytesWritten => {
                         //storage.debug.log(`FST saved, ${this.bytesUsed} bytes used for ${this.ranges.length} ranges`);
                         if (updatedPageCount === true) {
@@ -607,6 +821,26 @@ class AceBaseStorage extends Storage {
             }
         }
 
+        /**
+         * Reloads the root record address, KIT and FST from the database file and clears the node cache.
+         * Used after a failed transaction was rolled back, because they might not reflect the file anymore
+         * @returns {Promise<void>}
+         */
+        this.reload = () => {
+            this.nodeCache.clear();
+            const header = Buffer.alloc(64);
+            return readData(0, header)
+            .then(() => {
+                this.rootRecord.pageNr = header.readUInt32BE(HEADER_INDEXES.ROOT_RECORD_ADDRESS);
+                this.rootRecord.recordNr = header.readUInt16BE(HEADER_INDEXES.ROOT_RECORD_ADDRESS + 4);
+                this.KIT.readLocation(header);
+                return this.KIT.load();
+            })
+            .then(() => {
+                return this.FST.load();
+            });
+        };
+
         const descriptor = encodeString("AceBase⚡"); // textEncoder.encode("AceBase⚡");
         const baseIndex = descriptor.length;
         const HEADER_INDEXES = {
@@ -615,7 +849,8 @@ class AceBaseStorage extends Storage {
             ROOT_RECORD_ADDRESS: baseIndex + 2,
             RECORD_SIZE: baseIndex + 8,
             PAGE_SIZE: baseIndex + 10,
-            MAX_INLINE_VALUE_SIZE: baseIndex + 12
+            MAX_INLINE_VALUE_SIZE: baseIndex + 12,
+            KIT_LOCATION: baseIndex + 14 // 4 byte page nr, 2 byte record nr, 4 byte length. All zeroes if the KIT is at its default location
         };
 
         const openDatabaseFile = (justCreated) => {
@@ -638,11 +873,15 @@ class AceBaseStorage extends Storage {
                     }
                     this.file = fd = file;
 
-                    // const logfile = fs.openSync(`${this.settings.path}/${this.name}.acebase/log`, 'as');
-                    // this.logwrite = (action) => {
-                    //     fs.appendFile(logfile, JSON.stringify(action), () => {});
-                    // }; 
-            
+                    // Roll back transactions that did not complete before the database was closed,
+                    // before reading anything from the file
+                    const recovery = this.txLog ? this.txLog.open(fd) : Promise.resolve(0);
+                    recovery
+                    .then(() => readHeader())
+                    .catch(err => error(err, `Could not recover database from transaction log`));
+                });
+
+                const readHeader = () => {
                     const data = Buffer.alloc(64);
                     fs.read(fd, data, 0, data.length, 0, (err, bytesRead) => {
                         if (err) {
@@ -651,21 +890,21 @@ class AceBaseStorage extends Storage {
 
                         // Cast Buffer to Uint8Array
                         const header = new Uint8Array(data);
-                        
+                    
                         // Check descriptor
                         for(let i = 0; i < descriptor.length; i++) {
                             if (header[i] !== descriptor[i]) {
                                 return error(`unsupported_db`, `This is not a supported database file`); 
                             }
                         }
-                        
-                        // Version should be 1
+                    
+                        // Version should be 1, or 2 if the KIT was relocated
                         let index = descriptor.length;
-                        if (header[index] !== 1) {
+                        if (header[index] !== 1 && header[index] !== 2) {
                             return error(`unsupported_db`, `This database version is not supported, update your source code`);
                         }
                         index++;
-                        
+                    
                         // File should not be locked
                         if (header[index] !== 0) {
                             return error(`locked_db`, `The database is locked`);
@@ -689,6 +928,9 @@ class AceBaseStorage extends Storage {
                         this.settings.pageSize = header[index+2] << 8 | header[index+3];
                         this.settings.maxInlineValueSize = header[index+4] << 8 | header[index+5];
 
+                        // Read KIT location
+                        this.KIT.readLocation(header);
+
                         const intro = ColorStyle.dim;
                         this.debug.log(`Database "${name}" details:`.colorize(intro));
                         this.debug.log(`- Type: AceBase binary`.colorize(intro));
@@ -696,6 +938,7 @@ class AceBaseStorage extends Storage {
                         this.debug.log(`- Page size: ${this.settings.pageSize}`.colorize(intro));
                         this.debug.log(`- Max inline value size: ${this.settings.maxInlineValueSize}`.colorize(intro));
                         this.debug.log(`- Root record address: ${this.rootRecord.pageNr}, ${this.rootRecord.recordNr}`.colorize(intro));
+                        this.KIT.address && this.debug.log(`- KIT address: ${this.KIT.address.pageNr}, ${this.KIT.address.recordNr} (${this.KIT.length} bytes)`.colorize(intro));
 
                         this.KIT.load()  // Read Key Index Table
                         .then(() => {
@@ -710,8 +953,7 @@ class AceBaseStorage extends Storage {
                             !justCreated && this.emit("ready");
                         });
                     });
-
-                });
+                };
             });
         };
 
@@ -749,6 +991,8 @@ class AceBaseStorage extends Storage {
                 // 7 chars + 1 delimiter * 65536 keys = 520KB. That would be total overkill.
                 // The table should be at most 64KB so that means approx 8192 keys can 
                 // be indexed. With shorter keys, this will be more. With longer keys, less.
+                // Once it is full, the KIT is relocated to a larger area in the record space,
+                // see KIT.grow
                 let kit = new Uint8Array(65536 - header.length);
                 kit.fill(0);
                 let uint8 = concatTypedArrays(header, kit);
@@ -1085,10 +1329,15 @@ class AceBaseStorage extends Storage {
             return this._updateNode(pathInfo.parentPath, { [pathInfo.key]: value }, { merge: true, tid, suppress_events: options.suppress_events, context: options.context });
         }
 
-        let lock;
+        let lock, transaction = false;
         return this.nodeLocker.lock(path, tid, true, '_updateNode')
         .then(l => {
             lock = l;
+            if (this.txLog) {
+                // All writes until the lock is released are part of this transaction
+                this.txLog.begin(tid);
+                transaction = true;
+            }
             return this.getNodeInfo(path, { tid })
         })
         .then(nodeInfo => {
@@ -1142,9 +1391,6 @@ class AceBaseStorage extends Storage {
                     console.assert(this.nodeCache._cache.has(pathInfo.parentPath), 'Not cached?!!');
                 }
 
-                // release lock on current target (path or parent)
-                lock && lock.release();
-
                 if (deallocate && deallocate.totalAddresses > 0) {
                     // Release record allocation marked for deallocation
                     deallocate.normalize();
@@ -1163,13 +1409,311 @@ class AceBaseStorage extends Storage {
                     this.FST.release(deallocate.ranges);
                 }
 
+                // Commit the transaction before another writer can get a lock
+                transaction = false;
+                return this.txLog ? this.txLog.end(tid, true) : false;
+            })
+            .then(() => {
+                // release lock on current target (path or parent)
+                lock && lock.release();
                 return true;
             });
         })
         .catch(err => {
-            this.debug.error(`Node.update ERROR: `, err);
-            lock && lock.release(`Node.update: error`);
-            throw err; //return false;
+            if (err.code === 'unique-constraint') {
+                // Write was rejected by a unique index (UniqueConstraintError), the caller handles it
+                this.debug.verbose(`Node.update rejected: ${err.message}`);
+            }
+            else {
+                this.debug.error(`Node.update ERROR: `, err);
+            }
+            if (!transaction) {
+                lock && lock.release(`Node.update: error`);
+                throw err; //return false;
+            }
+            // Undo all writes of the failed transaction
+            return this.txLog.end(tid, false)
+            .then(rolledBack => rolledBack && this.reload())
+            .catch(err => {
+                this.debug.error(`Failed to roll back transaction: `, err);
+            })
+            .then(() => {
+                lock && lock.release(`Node.update: error`);
+                throw err;
+            });
+        });
+    }
+
+    /**
+     * Compacts the database file while it remains in use. All nodes stored in their own records are
+     * moved to the lowest free space they fit in contiguously, if that is before their current location
+     * (which also makes fragmented records contiguous), and free pages at the end of the file are removed.
+     * No pages are added, so the file never grows. Each node is moved while holding a write lock
+     * on it, so other reads and writes can continue between moves.
+     * @returns {Promise<{ nodesMoved: number, pagesBefore: number, pagesAfter: number, freeRanges: number }>}
+     */
+    compact() {
+        if (this.cluster.enabled) {
+            return Promise.reject(new Error(`Compacting a database is not supported in cluster mode`));
+        }
+        const MAX_PASSES = 3;
+        const pagesBefore = this.FST.pages;
+        let nodesMoved = 0;
+
+        /**
+         * Moves a node's record to contiguous free space before its current location
+         * @param {string} path
+         * @returns {Promise<boolean>} whether the node was moved
+         */
+        const moveNode = (path) => {
+            const tid = this.nodeLocker.createTid();
+            const pathInfo = PathInfo.get(path);
+            let lock, transaction = false;
+            return this.nodeLocker.lock(path, tid, true, `compact "/${path}"`)
+            .then(l => {
+                lock = l;
+                return this.getNodeInfo(path, { tid });
+            })
+            .then(nodeInfo => {
+                if (!nodeInfo.exists || !nodeInfo.address) {
+                    return false; // Removed in the meantime, or stored inline now
+                }
+                const reader = new NodeReader(this, nodeInfo.address, lock, false);
+                return reader.readHeader()
+                .then(recordInfo => {
+                    const first = recordInfo.allocation.ranges[0];
+                    let allocation = null;
+                    const allocate = (requiredRecords) => {
+                        // Only use free space before the current location, adding pages to the end of the file would grow it
+                        allocation = this.FST.allocateContiguous(requiredRecords, first);
+                        return allocation
+                            ? Promise.resolve(allocation)
+                            : Promise.reject(new Error(`No better location available for node "/${path}"`));
+                    };
+                    if (this.txLog) {
+                        this.txLog.begin(tid);
+                        transaction = true;
+                    }
+                    // Copy the record's data to the new location
+                    let readOffset = 0;
+                    const read = (length) => {
+                        return reader._treeDataReader(readOffset, length)
+                        .then(data => {
+                            readOffset += length;
+                            return data.slice(0, length);
+                        });
+                    };
+                    const length = recordInfo.totalByteLength;
+                    return _write(this, path, recordInfo.valueType, length, recordInfo.hasKeyIndex, read, undefined, allocate)
+                    .catch(err => {
+                        if (allocation === null) {
+                            return null; // No better location available, the node stays where it is
+                        }
+                        throw err;
+                    })
+                    .then(newRecordInfo => {
+                        if (!newRecordInfo) {
+                            return false;
+                        }
+                        let parentUpdatePromise = Promise.resolve();
+                        if (path !== '') {
+                            // Update the reference in the parent node
+                            parentUpdatePromise = lock.moveToParent()
+                            .then(parentLock => {
+                                lock = parentLock;
+                                return this._updateNode(pathInfo.parentPath, { [pathInfo.key]: new InternalNodeReference(recordInfo.valueType, newRecordInfo.address) }, { merge: true, tid, _internal: true });
+                            });
+                        }
+                        return parentUpdatePromise
+                        .then(() => {
+                            this.FST.release(recordInfo.allocation.ranges);
+                            this.debug.verbose(`Moved node "/${path}" from ${recordInfo.allocation} to ${newRecordInfo.allocation}`.colorize(ColorStyle.grey));
+                            return true;
+                        });
+                    });
+                });
+            })
+            .then(moved => {
+                return (transaction ? this.txLog.end(tid, true) : Promise.resolve())
+                .then(() => {
+                    lock.release();
+                    return moved;
+                });
+            })
+            .catch(err => {
+                this.debug.error(`Error moving node "/${path}": `, err);
+                const rollback = transaction
+                    ? this.txLog.end(tid, false).then(rolledBack => rolledBack && this.reload())
+                    : Promise.resolve();
+                return rollback
+                .then(() => {
+                    lock && lock.release(`compact: error`);
+                    throw err;
+                });
+            });
+        };
+
+        /**
+         * Moves given node, then its children stored in their own records
+         * @param {string} path
+         */
+        const compactNode = (path) => {
+            return moveNode(path)
+            .then(moved => {
+                moved && nodesMoved++;
+                const childPaths = [];
+                return this.getChildren(path)
+                .next(child => {
+                    child.address && childPaths.push(child.path);
+                })
+                .catch(err => {
+                    if (!(err instanceof NodeNotFoundError)) { throw err; }
+                })
+                .then(() => {
+                    return childPaths.reduce((promise, childPath) => promise.then(() => compactNode(childPath)), Promise.resolve());
+                });
+            });
+        };
+
+        const trim = () => {
+            // Remove free pages at the end of the file while no one else is writing
+            const tid = this.nodeLocker.createTid();
+            return this.nodeLocker.lock('', tid, true, `compact: trim`)
+            .then(lock => {
+                return this.FST.trim()
+                .then(removed => {
+                    lock.release();
+                    return removed;
+                }, err => {
+                    lock.release();
+                    throw err;
+                });
+            });
+        };
+
+        const pass = (nr) => {
+            const movedBefore = nodesMoved;
+            return compactNode('')
+            .then(() => {
+                const moved = nodesMoved - movedBefore;
+                this.debug.log(`Compaction pass ${nr}: moved ${moved} nodes`.colorize(ColorStyle.dim));
+                if (moved > 0 && nr < MAX_PASSES) {
+                    return pass(nr + 1);
+                }
+            });
+        };
+
+        this.debug.log(`Compacting database "${this.name}", ${pagesBefore} pages and ${this.FST.ranges.length} free ranges`.colorize(ColorStyle.bold));
+        return pass(1)
+        .then(() => trim())
+        .then(() => {
+            const result = { nodesMoved, pagesBefore, pagesAfter: this.FST.pages, freeRanges: this.FST.ranges.length };
+            this.debug.log(`Compacted database "${this.name}": moved ${nodesMoved} nodes, ${result.pagesAfter} pages and ${result.freeRanges} free ranges left`.colorize(ColorStyle.bold));
+            return result;
+        });
+    }
+
+    /**
+     * Creates a consistent point-in-time backup of the database file and all index files. While the files
+     * are being copied, a read lock on the root node prevents any writes, so the backup contains all data
+     * written before the backup started, and none of the writes that were queued in the meantime. Reads can
+     * continue during the backup.
+     * @param {string} targetPath directory to write the backup to. Is created if it does not exist
+     * @param {object} [options]
+     * @param {(progress: { file: string, bytesCopied: number, totalBytes: number }) => void} [options.progress] callback that is called with progress information while copying
+     * @returns {Promise<{ path: string, files: string[], bytes: number }>}
+     */
+    backup(targetPath, options = { progress: undefined }) {
+        if (this.cluster.enabled) {
+            return Promise.reject(new Error(`Backing up a database is not supported in cluster mode`));
+        }
+        if (typeof targetPath !== 'string' || targetPath.length === 0) {
+            return Promise.reject(new Error(`No backup target path given`));
+        }
+        if (targetPath.endsWith('/')) { targetPath = targetPath.slice(0, -1); }
+        if (targetPath === this.path) {
+            return Promise.reject(new Error(`Cannot backup a database into its own directory`));
+        }
+        const tid = this.nodeLocker.createTid();
+        let lock;
+        const indexLocks = [];
+        const release = () => {
+            indexLocks.forEach(indexLock => indexLock.release());
+            lock && lock.release();
+        };
+
+        this.debug.log(`Creating backup of database "${this.name}" in "${targetPath}"`.colorize(ColorStyle.bold));
+        return pfs.mkdir(targetPath, { recursive: true })
+        .then(() => {
+            // Copying a large database might take longer than the lock timeout allows
+            return this.nodeLocker.lock('', tid, false, `backup`, { noTimeout: true });
+        })
+        .then(l => {
+            lock = l;
+            // Wait for pending index updates, and prevent new ones
+            const indexes = this.indexes.list();
+            return Promise.all(indexes.map(index => index._lock(false, `backup`).then(indexLock => indexLocks.push(indexLock))))
+            .then(() => {
+                const files = [{ source: `${this.path}/data.db`, target: `${targetPath}/data.db` }]
+                    .concat(indexes.map(index => {
+                        const fileName = index.fileName.slice(index.fileName.lastIndexOf('/') + 1);
+                        return { source: index.fileName, target: `${targetPath}/${fileName}` };
+                    }));
+                return _copyFiles(files, options && options.progress);
+            });
+        })
+        .then(result => {
+            release();
+            this.debug.log(`Backup of database "${this.name}" created: ${result.files.length} files, ${result.bytes} bytes`.colorize(ColorStyle.bold));
+            return { path: targetPath, files: result.files, bytes: result.bytes };
+        })
+        .catch(err => {
+            release();
+            this.debug.error(`Failed to create backup of database "${this.name}": `, err);
+            throw err;
+        });
+    }
+
+    /**
+     * Restores a backup created with backup(). Existing database and index files are overwritten, so make
+     * sure the database is not opened while restoring.
+     * @param {string} name name of the database to restore
+     * @param {string} backupPath directory containing the backup
+     * @param {object} [options]
+     * @param {string} [options.path='.'] path the database files are stored in, default is '.'
+     * @param {(progress: { file: string, bytesCopied: number, totalBytes: number }) => void} [options.progress] callback that is called with progress information while copying
+     * @returns {Promise<{ path: string, files: string[], bytes: number }>}
+     */
+    static restore(name, backupPath, options = { path: '.', progress: undefined }) {
+        options = options || {};
+        if (backupPath.endsWith('/')) { backupPath = backupPath.slice(0, -1); }
+        let dbPath = options.path || '.';
+        if (dbPath.endsWith('/')) { dbPath = dbPath.slice(0, -1); }
+        const targetPath = `${dbPath}/${name}.acebase`;
+        if (backupPath === targetPath) {
+            return Promise.reject(new Error(`Cannot restore a backup onto itself`));
+        }
+        let backupFiles;
+        return pfs.readdir(backupPath)
+        .then(files => {
+            if (!files.includes('data.db')) {
+                throw new Error(`Directory "${backupPath}" does not contain an AceBase backup`);
+            }
+            backupFiles = files.filter(file => file === 'data.db' || file.endsWith('.idx'));
+            return pfs.mkdir(targetPath, { recursive: true });
+        })
+        .then(() => pfs.readdir(targetPath))
+        .then(files => {
+            // Remove current index files and transaction log, they do not belong to the restored data
+            const obsolete = files.filter(file => file === 'data.db.wal' || (file.endsWith('.idx') && !backupFiles.includes(file)));
+            return Promise.all(obsolete.map(file => pfs.unlink(`${targetPath}/${file}`)));
+        })
+        .then(() => {
+            const files = backupFiles.map(file => ({ source: `${backupPath}/${file}`, target: `${targetPath}/${file}` }));
+            return _copyFiles(files, options.progress);
+        })
+        .then(result => {
+            return { path: targetPath, files: result.files, bytes: result.bytes };
         });
     }
 }
@@ -2919,6 +3463,10 @@ function _lockAndWriteNode(storage, path, value, parentTid) {
     .then(recordInfo => {
         lock.release();
         return recordInfo;
+    })
+    .catch(err => {
+        lock && lock.release(`_lockAndWrite: error`);
+        throw err;
     });
 }
 
@@ -3055,36 +3603,43 @@ function _writeNode(storage, path, value, lock, currentRecordInfo = undefined) {
             });
         }
         else {
-            const data = serialized.reduce((binary, kvp) => {
-                // For binary key/value layout, see _write function
-                let bytes = [];
-                if (!isArray) {
-                    if (kvp.key.length > 128) { throw `Key ${kvp.key} is too long to store. Max length=128`; }
-                    let keyIndex = storage.KIT.getOrAdd(kvp.key); // Gets an caching index for this key
-
-                    // key_info:
-                    if (keyIndex >= 0) {
-                        // Cached key name
-                        bytes[0] = 128;                       // key_indexed = 1
-                        bytes[0] |= (keyIndex >> 8) & 127;    // key_nr (first 7 bits)
-                        bytes[1] = keyIndex & 255;            // key_nr (last 8 bits)
-                    }
-                    else {
-                        // Inline key name
-                        bytes[0] = kvp.key.length - 1;        // key_length
-                        // key_name:
-                        for (let i = 0; i < kvp.key.length; i++) {
-                            let charCode = kvp.key.charCodeAt(i);
-                            if (charCode > 255) { throw `Invalid character in key ${kvp.key} at char ${i+1}`; }
-                            bytes.push(charCode);
+            // Get the caching indexes of all keys first, a failure to add a new key to the KIT fails the write
+            const keyIndexes = isArray ? [] : serialized.map(kvp => {
+                if (kvp.key.length > 128) { throw `Key ${kvp.key} is too long to store. Max length=128`; }
+                return storage.KIT.getOrAdd(kvp.key);
+            });
+            return Promise.all(keyIndexes)
+            .then(keyIndexes => {
+                const data = serialized.reduce((binary, kvp, i) => {
+                    // For binary key/value layout, see _write function
+                    let bytes = [];
+                    if (!isArray) {
+                        const keyIndex = keyIndexes[i];
+
+                        // key_info:
+                        if (keyIndex >= 0) {
+                            // Cached key name
+                            bytes[0] = 128;                       // key_indexed = 1
+                            bytes[0] |= (keyIndex >> 8) & 127;    // key_nr (first 7 bits)
+                            bytes[1] = keyIndex & 255;            // key_nr (last 8 bits)
+                        }
+                        else {
+                            // Inline key name
+                            bytes[0] = kvp.key.length - 1;        // key_length
+                            // key_name:
+                            for (let i = 0; i < kvp.key.length; i++) {
+                                let charCode = kvp.key.charCodeAt(i);
+                                if (charCode > 255) { throw `Invalid character in key ${kvp.key} at char ${i+1}`; }
+                                bytes.push(charCode);
+                            }
                         }
                     }
-                }
-                const binaryValue = _getValueBytes(kvp);
-                binaryValue.forEach(val => bytes.push(val));//bytes.push(...binaryValue);
-                return concatTypedArrays(binary, new Uint8Array(bytes));
-            }, new Uint8Array());
-            return { keyTree: false, data };
+                    const binaryValue = _getValueBytes(kvp);
+                    binaryValue.forEach(val => bytes.push(val));//bytes.push(...binaryValue);
+                    return concatTypedArrays(binary, new Uint8Array(bytes));
+                }, new Uint8Array());
+                return { keyTree: false, data };
+            });
         }
     })
     .then(result => {
@@ -3126,6 +3681,7 @@ function _getValueBytes(kvp) {
     else if (kvp.type === VALUE_TYPES.STRING && kvp.binary && kvp.binary.length === 0) { tinyValue = 0; }
     else if (kvp.type === VALUE_TYPES.ARRAY && kvp.ref.length === 0) { tinyValue = 0; }
     else if (kvp.type === VALUE_TYPES.OBJECT && Object.keys(kvp.ref).length === 0) { tinyValue = 0; }
+    else if (kvp.type === VALUE_TYPES.BINARY && kvp.bytes && kvp.bytes.byteLength === 0) { tinyValue = 0; }
     if (tinyValue >= 0) {
         // Tiny value
         bytes[index] |= tinyValue;
@@ -3151,12 +3707,12 @@ function _getValueBytes(kvp) {
     else {
         // Inline value
         let data = kvp.bytes || kvp.binary;
-        index = bytes.length;
-        bytes[index] = 128; // 10000000 --> inline value
-        bytes[index] |= data.length - 1; // inline_length
         if (data instanceof ArrayBuffer) {
             data = new Uint8Array(data);
         }
+        index = bytes.length;
+        bytes[index] = 128; // 10000000 --> inline value
+        bytes[index] |= data.length - 1; // inline_length
         data.forEach(val => bytes.push(val)); //bytes.push(...data);
         
         // End
@@ -3292,9 +3848,10 @@ function _serializeValue (storage, path, keyOrIndex, val, parentTid) {
  * @param {boolean} hasKeyTree 
  * @param {(length: number) => Promise<Uint8Array|Number[]>} reader
  * @param {RecordInfo} currentRecordInfo
+ * @param {(requiredRecords: number) => Promise<StorageAddressRange[]>} [allocate] optional function to allocate new records with, storage.FST.allocate is used by default
  * @returns {Promise<RecordInfo>}
  */
-function _write(storage, path, type, length, hasKeyTree, reader, currentRecordInfo = undefined) {
+function _write(storage, path, type, length, hasKeyTree, reader, currentRecordInfo = undefined, allocate = undefined) {
     // Record layout:
     // record           := record_header, record_data
     // record_header    := record_info, value_type, chunk_table, last_record_len
@@ -3400,7 +3957,7 @@ function _write(storage, path, type, length, hasKeyTree, reader, currentRecordIn
     let allocationPromise = 
         useExistingAllocation
         ? Promise.resolve(currentRecordInfo.allocation.ranges)
-        : storage.FST.allocate(requiredRecords);
+        : allocate ? allocate(requiredRecords) : storage.FST.allocate(requiredRecords);
 
     return allocationPromise
     .then(ranges => {
@@ -3561,6 +4118,61 @@ class InternalNodeReference {
 }
 
 
+/**
+ * Copies files in chunks, flushing each target file to disk before resolving
+ * @param {Array<{ source: string, target: string }>} files
+ * @param {(progress: { file: string, bytesCopied: number, totalBytes: number }) => void} [progress] 
+ * @returns {Promise<{ files: string[], bytes: number }>}
+ */
+function _copyFiles(files, progress) {
+    const CHUNK_SIZE = 1024 * 1024;
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    let totalBytes = 0, bytesCopied = 0;
+    const reportProgress = (file) => {
+        typeof progress === 'function' && progress({ file, bytesCopied, totalBytes });
+    };
+    const copyFile = (file) => {
+        let sourceFd, targetFd;
+        const copyChunk = (index) => {
+            return pfs.read(sourceFd, buffer, 0, CHUNK_SIZE, index)
+            .then(({ bytesRead }) => {
+                if (bytesRead === 0) { return; }
+                return pfs.write(targetFd, buffer, 0, bytesRead, index)
+                .then(() => {
+                    bytesCopied += bytesRead;
+                    reportProgress(file.target);
+                    return copyChunk(index + bytesRead);
+                });
+            });
+        };
+        return pfs.open(file.source, pfs.flags.read)
+        .then(fd => {
+            sourceFd = fd;
+            return pfs.open(file.target, pfs.flags.write);
+        })
+        .then(fd => {
+            targetFd = fd;
+            return copyChunk(0);
+        })
+        .then(() => pfs.fsync(targetFd))
+        .then(() => {
+            return Promise.all([pfs.close(sourceFd), pfs.close(targetFd)]);
+        }, err => {
+            sourceFd && pfs.close(sourceFd);
+            targetFd && pfs.close(targetFd);
+            throw err;
+        });
+    };
+    return Promise.all(files.map(file => pfs.stat(file.source)))
+    .then(stats => {
+        totalBytes = stats.reduce((total, stat) => total + stat.size, 0);
+        return files.reduce((promise, file) => promise.then(() => copyFile(file)), Promise.resolve());
+    })
+    .then(() => {
+        return { files: files.map(file => file.target), bytes: bytesCopied };
+    });
+}
+
 module.exports = {
     AceBaseStorage,
     AceBaseStorageSettings
@@ -166,6 +166,11 @@ class CustomStorageSettings extends StorageSettings {
      * @param {boolean} [settings.locking=true] Whether default node locking should be used. Set to false if your storage backend disallows multiple simultanious write transactions (eg IndexedDB). Set to true if your storage backend does not support transactions (eg LocalStorage) or allows multiple simultanious write transactions (eg AceBase binary).
      * @param {() => Promise<any>} settings.ready Function that returns a Promise that resolves once your data store backend is ready for use
      * @param {(target: { path: string, write: boolean }, nodeLocker: NodeLocker) => Promise<CustomStorageTransaction>} settings.getTransaction Function that starts a transaction for read/write operations on a specific path and/or child paths
+     * @param {object} [settings.indexData] Functions to store binary index data in your data store backend with. Enables indexes if no file system is available (eg in browsers), or if the indexStorage setting is 'database'
+     * @param {(key: string) => Promise<Uint8Array|null>} settings.indexData.get Function that gets the data stored with given key, must return null if it doesn't exist
+     * @param {(key: string, data: Uint8Array) => Promise<any>} settings.indexData.set Function that inserts or updates the data stored with given key
+     * @param {(key: string) => Promise<any>} settings.indexData.remove Function that removes the data stored with given key
+     * @param {(prefix: string) => Promise<string[]>} settings.indexData.keys Function that gets all stored keys that start with given prefix
      */
     constructor(settings) {
         super(settings);
@@ -176,7 +181,11 @@ class CustomStorageSettings extends StorageSettings {
         if (typeof settings.getTransaction !== 'function') {
             throw new Error(`getTransaction must be a function`);
         }
+        if (settings.indexData && ['get','set','remove','keys'].some(name => typeof settings.indexData[name] !== 'function')) {
+            throw new Error(`indexData must have get, set, remove and keys functions`);
+        }
         this.name = settings.name;
+        this.indexData = settings.indexData || null;
         // this.info = `${this.name || 'CustomStorage'} realtime database`;
         this.locking = settings.locking !== false;
         this.ready = settings.ready;
@@ -348,6 +357,26 @@ class CustomStorage extends Storage {
         this.emit('ready');
     }
 
+    get canStoreIndexData() {
+        return !!this.settings.indexData;
+    }
+
+    async _getIndexData(key) {
+        return this._customImplementation.indexData.get(key);
+    }
+
+    async _setIndexData(key, data) {
+        await this._customImplementation.indexData.set(key, data);
+    }
+
+    async _removeIndexData(keys) {
+        await Promise.all(keys.map(key => this._customImplementation.indexData.remove(key)));
+    }
+
+    async _getIndexDataKeys(prefix) {
+        return this._customImplementation.indexData.keys(prefix);
+    }
+
     /**
      * 
      * @param {string} path 
@@ -0,0 +1,561 @@
+const { SimpleEventEmitter } = require('acebase-core');
+
+const BLOCK_SIZE = 8192;
+
+const fsError = (code, message) => {
+    const err = new Error(`${code}: ${message}`);
+    err.code = code;
+    return err;
+};
+
+/**
+ * Write stream with the subset of fs.WriteStream functionality used by indexes: write, end and
+ * the "open", "drain", "finish" and "error" events
+ */
+class StorageWriteStream extends SimpleEventEmitter {
+    /**
+     * @param {StorageFileSystem} fileSystem
+     * @param {string|null} path file to open, or null if options.fd is passed
+     * @param {object} [options]
+     * @param {string} [options.flags='w']
+     * @param {number} [options.fd] already opened file descriptor to write to, at its current position
+     * @param {boolean} [options.autoClose=true] whether to close the file once the stream ended. Not done for passed file descriptors
+     */
+    constructor(fileSystem, path, options = {}) {
+        super();
+        this.bytesWritten = 0;
+        this._fs = fileSystem;
+        this._pending = 0;
+        this._needDrain = false;
+        this._ended = false;
+        this._finished = false;
+        this._endCallbacks = [];
+        this._autoClose = typeof options.fd !== 'number' && options.autoClose !== false;
+        this._fd = typeof options.fd === 'number'
+            ? Promise.resolve(options.fd)
+            : fileSystem.open(path, options.flags || fileSystem.flags.write);
+        this._fd.then(fd => {
+            this.emit('open', fd);
+        }, err => {
+            this.emit('error', err);
+        });
+    }
+
+    /**
+     * @param {Uint8Array|Buffer} data
+     * @param {(err?: Error) => void} [callback]
+     * @returns {boolean} whether it's ok to continue writing. If false, wait for the "drain" event
+     */
+    write(data, callback) {
+        if (this._ended) { throw new Error(`Cannot write to a stream that has ended`); }
+        this._pending++;
+        this._fd
+        .then(fd => this._fs.write(fd, data, 0, data.byteLength))
+        .then(() => {
+            this.bytesWritten += data.byteLength;
+            callback && callback();
+        }, err => {
+            callback && callback(err);
+            this.emit('error', err);
+        })
+        .then(() => {
+            this._pending--;
+            if (this._pending > 0) { return; }
+            if (this._needDrain) {
+                this._needDrain = false;
+                this.emit('drain');
+            }
+            if (this._ended) { this._finish(); }
+        });
+        const ok = this._pending < StorageWriteStream.highWaterMark;
+        if (!ok) { this._needDrain = true; }
+        return ok;
+    }
+
+    /**
+     * @param {() => void} [callback] called once all data has been written
+     */
+    end(callback) {
+        this._ended = true;
+        callback && this._endCallbacks.push(callback);
+        if (this._pending === 0) { this._finish(); }
+    }
+
+    _finish() {
+        if (this._finished) { return; } // end might have been called by a "drain" event listener
+        this._finished = true;
+        const callbacks = this._endCallbacks.splice(0);
+        this._fd
+        .then(fd => this._autoClose && this._fs.close(fd))
+        .then(() => {
+            callbacks.forEach(callback => callback());
+            this.emit('finish');
+        }, err => {
+            this.emit('error', err);
+        });
+    }
+}
+StorageWriteStream.highWaterMark = 16; // max pending writes
+
+/**
+ * File system that stores files in blocks of binary data with the active storage backend, so indexes can be used
+ * with storage backends that are able to store index data themselves (see Storage.canStoreIndexData), eg when no
+ * file system is available. It implements the subset of promise-fs functionality that is used by indexes.
+ * Changes to a file are kept in memory until its last file descriptor is closed
+ */
+class StorageFileSystem {
+    /**
+     * @param {import('./storage').Storage} storage
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.root = `${storage.settings.path}/${storage.name}.acebase`;
+        /** @type {Map<string, StorageFile>} opened files */
+        this._files = new Map();
+        /** @type {Map<number, { file: StorageFile, position: number, append: boolean }>} */
+        this._fds = new Map();
+        this._fdNr = 0;
+        this._queue = Promise.resolve(); // file operations that are not done on open files are executed one at a time
+    }
+
+    get hasFileSystem() { return true; }
+
+    get flags() {
+        return {
+            append: 'a',
+            appendAndCreate: 'ax',
+            readAndAppend: 'a+',
+            readAndAppendAndCreate: 'ax+',
+            read: 'r',
+            readAndWrite: 'r+',
+            write: 'w',
+            writeAndCreate: 'wx',
+            readAndWriteAndCreateOrOverwrite: 'w+',
+            readAndWriteAndCreate: 'wx+'
+        };
+    }
+
+    /**
+     * Gets the key a file is stored with, relative to the database directory
+     * @param {string} path
+     */
+    _key(path) {
+        return path.startsWith(`${this.root}/`) ? path.slice(this.root.length + 1) : path;
+    }
+
+    _enqueue(action) {
+        const promise = this._queue.then(action);
+        this._queue = promise.catch(() => {}); // Next operations must run if this one fails
+        return promise;
+    }
+
+    /**
+     * Gets an opened file or loads its info
+     * @param {string} path
+     * @returns {Promise<StorageFile|null>}
+     */
+    _getFile(path) {
+        if (this._files.has(path)) { return Promise.resolve(this._files.get(path)); }
+        return this.storage._getIndexData(`file:${this._key(path)}`)
+        .then(data => {
+            if (data === null) { return null; }
+            const info = JSON.parse(Buffer.from(data).toString('utf8'));
+            return new StorageFile(this, path, info.size);
+        });
+    }
+
+    _getFd(fd) {
+        const entry = this._fds.get(fd);
+        if (!entry) { throw fsError('EBADF', `bad file descriptor ${fd}`); }
+        return entry;
+    }
+
+    /**
+     * @param {string} path
+     * @param {string} [flags='r']
+     * @returns {Promise<number>} file descriptor
+     */
+    open(path, flags = 'r') {
+        return this._enqueue(() => {
+            return this._getFile(path)
+            .then(file => {
+                if (file && flags.includes('x')) { throw fsError('EEXIST', `file already exists, open "${path}"`); }
+                if (!file && flags.startsWith('r')) { throw fsError('ENOENT', `no such file, open "${path}"`); }
+                if (!file) {
+                    file = new StorageFile(this, path, 0);
+                    file.changed = true; // Store it once closed, even if nothing was written
+                }
+                this._files.set(path, file);
+                file.refs++;
+                const fd = ++this._fdNr;
+                this._fds.set(fd, { file, position: 0, append: flags.startsWith('a') });
+                return flags.startsWith('w')
+                    ? file.enqueue(() => file.truncate(0)).then(() => fd)
+                    : fd;
+            });
+        });
+    }
+
+    /**
+     * Closes a file descriptor. Changes to the file are stored if it was the last one opened for the file
+     * @param {number} fd
+     */
+    close(fd) {
+        return this._enqueue(() => {
+            const { file } = this._getFd(fd);
+            this._fds.delete(fd);
+            return this._release(file);
+        });
+    }
+
+    _release(file) {
+        file.refs--;
+        if (file.refs > 0) { return Promise.resolve(); }
+        if (this._files.get(file.path) === file) { this._files.delete(file.path); }
+        return file.removed ? Promise.resolve() : file.enqueue(() => file.flush());
+    }
+
+    /**
+     * Executes an action on a file that might not be opened
+     * @param {string} path
+     * @param {(file: StorageFile) => any} action
+     */
+    _withFile(path, action) {
+        return this._enqueue(() => {
+            return this._getFile(path)
+            .then(file => {
+                if (!file) { throw fsError('ENOENT', `no such file "${path}"`); }
+                this._files.set(path, file);
+                file.refs++;
+                return file.enqueue(() => action(file))
+                .then(result => {
+                    return this._release(file).then(() => result);
+                }, err => {
+                    return this._release(file).then(() => { throw err; });
+                });
+            });
+        });
+    }
+
+    /**
+     * @param {number} fd
+     * @param {Uint8Array|Buffer} buffer
+     * @param {number} [offset=0]
+     * @param {number} [length]
+     * @param {number} [position] position in the file to read from, reads from the current position if not set
+     * @returns {Promise<{ bytesRead: number, buffer: Buffer }>}
+     */
+    read(fd, buffer, offset = 0, length = buffer.byteLength - offset, position = null) {
+        return Promise.resolve()
+        .then(() => {
+            const entry = this._getFd(fd);
+            return entry.file.enqueue(() => {
+                const from = typeof position === 'number' ? position : entry.position;
+                return entry.file.read(buffer, offset, length, from)
+                .then(bytesRead => {
+                    if (typeof position !== 'number') { entry.position += bytesRead; }
+                    return { bytesRead, buffer };
+                });
+            });
+        });
+    }
+
+    /**
+     * @param {number} fd
+     * @param {Uint8Array|Buffer} buffer
+     * @param {number} [offset=0]
+     * @param {number} [length]
+     * @param {number} [position] position in the file to write to, writes to the current position if not set
+     * @returns {Promise<{ bytesWritten: number, buffer: Buffer }>}
+     */
+    write(fd, buffer, offset = 0, length = buffer.byteLength - offset, position = null) {
+        return Promise.resolve()
+        .then(() => {
+            const entry = this._getFd(fd);
+            return entry.file.enqueue(() => {
+                const to = entry.append ? entry.file.size : typeof position === 'number' ? position : entry.position;
+                return entry.file.write(buffer, offset, length, to)
+                .then(() => {
+                    if (typeof position !== 'number' || entry.append) { entry.position = to + length; }
+                    return { bytesWritten: length, buffer };
+                });
+            });
+        });
+    }
+
+    /**
+     * @param {string} path
+     * @param {number} [len=0]
+     */
+    truncate(path, len = 0) {
+        return this._withFile(path, file => file.truncate(len));
+    }
+
+    /**
+     * @param {string} path
+     * @returns {Promise<{ size: number }>}
+     */
+    stat(path) {
+        return this._enqueue(() => this._getFile(path))
+        .then(file => {
+            if (!file) { throw fsError('ENOENT', `no such file, stat "${path}"`); }
+            return { size: file.size };
+        });
+    }
+
+    /**
+     * @param {string} path
+     * @returns {Promise<boolean>}
+     */
+    exists(path) {
+        return this._enqueue(() => this._getFile(path))
+        .then(file => file !== null);
+    }
+
+    /**
+     * Removes a file. File descriptors that are still open for it can continue to be used, its changes won't be stored
+     * @param {string} path
+     */
+    rm(path) {
+        return this._enqueue(() => {
+            return this._getFile(path)
+            .then(file => {
+                if (!file) { throw fsError('ENOENT', `no such file, unlink "${path}"`); }
+                if (this._files.get(path) === file) {
+                    file.removed = true;
+                    this._files.delete(path);
+                }
+                return this._removeStored(path, file.storedSize);
+            });
+        });
+    }
+
+    _removeStored(path, size) {
+        const key = this._key(path);
+        const keys = [`file:${key}`];
+        for (let nr = 0; nr * BLOCK_SIZE < size; nr++) {
+            keys.push(`block:${key}:${nr}`);
+        }
+        return this.storage._removeIndexData(keys);
+    }
+
+    /**
+     * Renames a file, overwriting the target file if it exists
+     * @param {string} oldPath
+     * @param {string} newPath
+     */
+    rename(oldPath, newPath) {
+        return this._enqueue(() => {
+            let file, target;
+            return Promise.all([this._getFile(oldPath), this._getFile(newPath)])
+            .then(files => {
+                [file, target] = files;
+                if (!file) { throw fsError('ENOENT', `no such file, rename "${oldPath}" -> "${newPath}"`); }
+                if (!target) { return; }
+                if (this._files.get(newPath) === target) {
+                    target.removed = true;
+                    this._files.delete(newPath);
+                }
+                return this._removeStored(newPath, target.storedSize);
+            })
+            .then(() => {
+                // Copy all stored blocks, then remove the old ones
+                const oldKey = this._key(oldPath), newKey = this._key(newPath);
+                const copyBlock = nr => {
+                    if (nr * BLOCK_SIZE >= file.storedSize) { return; }
+                    return this.storage._getIndexData(`block:${oldKey}:${nr}`)
+                    .then(data => data !== null && this.storage._setIndexData(`block:${newKey}:${nr}`, data))
+                    .then(() => copyBlock(nr + 1));
+                };
+                return copyBlock(0)
+                .then(() => this.storage._setIndexData(`file:${newKey}`, StorageFile.info(file.storedSize)))
+                .then(() => this._removeStored(oldPath, file.storedSize));
+            })
+            .then(() => {
+                if (this._files.get(oldPath) === file) {
+                    // Opened file descriptors now write to the new file
+                    this._files.delete(oldPath);
+                    this._files.set(newPath, file);
+                }
+                file.path = newPath;
+            });
+        });
+    }
+
+    /**
+     * Lists the files in a directory
+     * @param {string} path
+     * @returns {Promise<string[]>}
+     */
+    readdir(path) {
+        const prefix = `file:${this._key(`${path}/`)}`;
+        return this._enqueue(() => this.storage._getIndexDataKeys(prefix))
+        .then(keys => {
+            const names = keys.map(key => key.slice(prefix.length));
+            this._files.forEach(file => {
+                file.path.startsWith(`${path}/`) && names.push(file.path.slice(path.length + 1));
+            });
+            return names.filter((name, i) => !name.includes('/') && names.indexOf(name) === i);
+        });
+    }
+
+    /**
+     * Directories are not stored, does nothing
+     */
+    mkdir(path) {
+        return Promise.resolve();
+    }
+
+    /**
+     * @param {string|null} path
+     * @param {object} [options]
+     * @param {string} [options.flags='w']
+     * @param {number} [options.fd]
+     * @param {boolean} [options.autoClose=true]
+     * @returns {StorageWriteStream}
+     */
+    createWriteStream(path, options) {
+        return new StorageWriteStream(this, path, options);
+    }
+}
+
+/**
+ * File stored in blocks, loaded on demand
+ */
+class StorageFile {
+    /**
+     * @param {StorageFileSystem} fileSystem
+     * @param {string} path
+     * @param {number} size
+     */
+    constructor(fileSystem, path, size) {
+        this.fs = fileSystem;
+        this.path = path;
+        this.size = size;
+        this.storedSize = size;
+        this.refs = 0;
+        this.changed = false;
+        this.removed = false;
+        /** @type {Map<number, Buffer>} */
+        this.blocks = new Map();
+        /** @type {Set<number>} */
+        this.dirty = new Set();
+        this._queue = Promise.resolve();
+    }
+
+    static info(size) {
+        return Buffer.from(JSON.stringify({ size }), 'utf8');
+    }
+
+    /**
+     * Reads and writes to a file are executed one at a time
+     * @param {() => any} action
+     */
+    enqueue(action) {
+        const promise = this._queue.then(action);
+        this._queue = promise.catch(() => {});
+        return promise;
+    }
+
+    _getBlock(nr) {
+        if (this.blocks.has(nr)) { return Promise.resolve(this.blocks.get(nr)); }
+        const load = nr * BLOCK_SIZE < this.storedSize
+            ? this.fs.storage._getIndexData(`block:${this.fs._key(this.path)}:${nr}`)
+            : Promise.resolve(null);
+        return load.then(data => {
+            const block = Buffer.alloc(BLOCK_SIZE);
+            data && block.set(data.subarray(0, BLOCK_SIZE));
+            this.blocks.set(nr, block);
+            return block;
+        });
+    }
+
+    /**
+     * @returns {Promise<number>} bytes read
+     */
+    read(buffer, offset, length, position) {
+        const bytesRead = Math.max(0, Math.min(length, this.size - position));
+        const next = (done) => {
+            if (done === bytesRead) { return done; }
+            const nr = Math.floor((position + done) / BLOCK_SIZE);
+            const start = (position + done) % BLOCK_SIZE;
+            const n = Math.min(BLOCK_SIZE - start, bytesRead - done);
+            return this._getBlock(nr)
+            .then(block => {
+                buffer.set(block.subarray(start, start + n), offset + done);
+                return next(done + n);
+            });
+        };
+        return Promise.resolve(next(0));
+    }
+
+    write(buffer, offset, length, position) {
+        const data = buffer.subarray(offset, offset + length);
+        const next = (done) => {
+            if (done === length) {
+                this.size = Math.max(this.size, position + length);
+                this.changed = true;
+                return;
+            }
+            const nr = Math.floor((position + done) / BLOCK_SIZE);
+            const start = (position + done) % BLOCK_SIZE;
+            const n = Math.min(BLOCK_SIZE - start, length - done);
+            return this._getBlock(nr)
+            .then(block => {
+                block.set(data.subarray(done, done + n), start);
+                this.dirty.add(nr);
+                return next(done + n);
+            });
+        };
+        return Promise.resolve(next(0));
+    }
+
+    truncate(len) {
+        this.blocks.forEach((block, nr) => {
+            if (nr * BLOCK_SIZE >= len) {
+                this.blocks.delete(nr);
+                this.dirty.delete(nr);
+            }
+        });
+        this.size = len;
+        this.changed = true;
+        if (len % BLOCK_SIZE === 0) { return Promise.resolve(); }
+        // Clear the truncated data of the last block, so it reads as zeroes if the file grows again
+        const nr = Math.floor(len / BLOCK_SIZE);
+        return this._getBlock(nr)
+        .then(block => {
+            block.fill(0, len % BLOCK_SIZE);
+            this.dirty.add(nr);
+        });
+    }
+
+    /**
+     * Stores changed blocks and the file size, removes blocks that were truncated
+     */
+    flush() {
+        if (!this.changed) { return Promise.resolve(); }
+        const storage = this.fs.storage;
+        const key = this.fs._key(this.path);
+        const blocks = Array.from(this.dirty).filter(nr => nr * BLOCK_SIZE < this.size);
+        const obsolete = [];
+        for (let nr = Math.ceil(this.size / BLOCK_SIZE); nr * BLOCK_SIZE < this.storedSize; nr++) {
+            obsolete.push(`block:${key}:${nr}`);
+        }
+        const next = i => {
+            if (i === blocks.length) { return Promise.resolve(); }
+            const nr = blocks[i];
+            return storage._setIndexData(`block:${key}:${nr}`, this.blocks.get(nr))
+            .then(() => next(i + 1));
+        };
+        return next(0)
+        .then(() => obsolete.length > 0 && storage._removeIndexData(obsolete))
+        .then(() => storage._setIndexData(`file:${key}`, StorageFile.info(this.size)))
+        .then(() => {
+            this.storedSize = this.size;
+            this.dirty.clear();
+            this.changed = false;
+        });
+    }
+}
+
+module.exports = { StorageFileSystem };
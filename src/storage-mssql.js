@@ -350,6 +350,12 @@ class MSSQLStorage extends Storage {
                     revision: ID.generate()
                 }]
             },
+            indexdata: {
+                create: `CREATE TABLE indexdata (
+                    [key] NVARCHAR(450) COLLATE Latin1_General_BIN2 NOT NULL PRIMARY KEY,   -- index file name and block number, case sensitive
+                    data VARBINARY(MAX) NOT NULL
+                )`
+            },
             logs: {
                 create: `CREATE TABLE logs (
                     id INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
@@ -418,6 +424,33 @@ class MSSQLStorage extends Storage {
         });
     }
 
+    get canStoreIndexData() {
+        return true;
+    }
+
+    _getIndexData(key) {
+        return this._getOne(`SELECT data FROM indexdata WHERE [key] = @key`, { key })
+        .then(row => row ? row.data : null);
+    }
+
+    _setIndexData(key, data) {
+        return this._exec(`UPDATE indexdata SET data = @data WHERE [key] = @key;
+            IF @@ROWCOUNT = 0 INSERT INTO indexdata ([key], data) VALUES (@key, @data)`, { key, data: Buffer.from(data) });
+    }
+
+    _removeIndexData(keys) {
+        // Remove in batches, the number of request parameters is limited
+        const batch = keys.slice(0, 500);
+        const params = batch.reduce((params, key, i) => { params['key' + i] = key; return params; }, {});
+        return this._exec(`DELETE FROM indexdata WHERE [key] IN (${batch.map((key, i) => '@key' + i).join(',')})`, params)
+        .then(() => keys.length > batch.length && this._removeIndexData(keys.slice(batch.length)));
+    }
+
+    _getIndexDataKeys(prefix) {
+        return this._get(`SELECT [key] FROM indexdata WHERE LEFT([key], @length) = @prefix`, { length: prefix.length, prefix })
+        .then(rows => rows.map(row => row.key));
+    }
+
     _getTypeFromStoredValue(val) {
         let type;
         if (typeof val === 'string') {
@@ -289,6 +289,12 @@ class SQLiteStorage extends Storage {
             //         // load created indexes
             //     }
             // },
+            indexdata: {
+                create: `CREATE TABLE indexdata (
+                    key TEXT PRIMARY KEY,   -- index file name and block number
+                    data BLOB NOT NULL
+                ) WITHOUT ROWID`
+            },
             logs: {
                 create: `CREATE TABLE logs (
                     action TEXT NOT NULL, 
@@ -353,6 +359,32 @@ class SQLiteStorage extends Storage {
         });
     }
 
+    get canStoreIndexData() {
+        return true;
+    }
+
+    _getIndexData(key) {
+        return this._getOne(`SELECT data FROM indexdata WHERE key = $key`, { $key: key })
+        .then(row => row ? row.data : null);
+    }
+
+    _setIndexData(key, data) {
+        return this._exec(`INSERT OR REPLACE INTO indexdata (key, data) VALUES ($key, $data)`, { $key: key, $data: Buffer.from(data) });
+    }
+
+    _removeIndexData(keys) {
+        // Remove in batches, the number of statement parameters is limited
+        const batch = keys.slice(0, 500);
+        const params = batch.reduce((params, key, i) => { params['$key' + i] = key; return params; }, {});
+        return this._exec(`DELETE FROM indexdata WHERE key IN (${batch.map((key, i) => '$key' + i).join(',')})`, params)
+        .then(() => keys.length > batch.length && this._removeIndexData(keys.slice(batch.length)));
+    }
+
+    _getIndexDataKeys(prefix) {
+        return this._get(`SELECT key FROM indexdata WHERE substr(key, 1, $length) = $prefix`, { $length: prefix.length, $prefix: prefix })
+        .then(rows => rows.map(row => row.key));
+    }
+
     _getTypeFromStoredValue(val) {
         let type;
         if (typeof val === 'string') {
@@ -7,6 +7,123 @@ const { cloneObject, compareValues, getChildValues, encodeString, defer } = Util
 class NodeNotFoundError extends Error {}
 class NodeRevisionError extends Error {}
 
+/**
+ * Base64 encoding of binary values for (type safe) exports and imports, works in browsers too
+ */
+const base64 = {
+    /**
+     * @param {ArrayBuffer|Uint8Array} val
+     * @returns {string}
+     */
+    encode(val) {
+        const bytes = val instanceof Uint8Array ? val : new Uint8Array(val);
+        if (typeof Buffer !== 'undefined') {
+            return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+        }
+        let str = '';
+        for (let i = 0; i < bytes.length; i++) { str += String.fromCharCode(bytes[i]); }
+        return btoa(str);
+    },
+    /**
+     * @param {string} str
+     * @returns {ArrayBuffer}
+     */
+    decode(str) {
+        if (typeof Buffer !== 'undefined') {
+            const buffer = Buffer.from(str, 'base64');
+            return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        }
+        const bin = atob(str);
+        const bytes = new Uint8Array(bin.length);
+        for (let i = 0; i < bin.length; i++) { bytes[i] = bin.charCodeAt(i); }
+        return bytes.buffer;
+    }
+};
+
+/**
+ * Restores a value tagged by a type safe export, eg { ".type": "date", "value": "2020-08-01T10:00:00.000Z" }
+ * @param {any} obj
+ * @returns {any} returns the restored Date, ArrayBuffer or PathReference, or the given value if it is not tagged
+ */
+function getTypedValue(obj) {
+    if (typeof obj !== 'object' || obj === null || obj instanceof Array) {
+        return obj;
+    }
+    const keys = Object.keys(obj);
+    if (keys.length !== 2 || !('.type' in obj) || !('value' in obj)) {
+        return obj;
+    }
+    switch (obj['.type']) {
+        case 'date': return new Date(obj.value);
+        case 'binary': return base64.decode(obj.value);
+        case 'reference': return new PathReference(obj.value);
+        default: return obj;
+    }
+}
+
+/**
+ * Gets the old and new values of the records of an index that are affected by a change of the value at given path
+ * @param {DataIndex} index
+ * @param {string} path path of the changed value, the index path or one of its ancestors
+ * @param {any} oldValue
+ * @param {any} newValue
+ * @returns {Array<{ path: string, oldValue: any, newValue: any }>}
+ */
+function getIndexRecordChanges(index, path, oldValue, newValue) {
+    if (oldValue === null && newValue === null) {
+        return [];
+    }
+    let pathKeys = PathInfo.getPathKeys(path);
+    let indexPathKeys = PathInfo.getPathKeys(index.path + '/*');
+    let trailKeys = indexPathKeys.slice(pathKeys.length);
+    if (trailKeys.length === 0) {
+        console.assert(pathKeys.length === indexPathKeys.length, 'check logic');
+        return [{ path, oldValue, newValue }];
+    }
+
+    let results = [];
+    let trailPath = '';
+    while (trailKeys.length > 0) {
+        let subKey = trailKeys.shift();
+        if (subKey === '*') {
+            // Recursion needed
+            let allKeys = oldValue === null ? [] : Object.keys(oldValue);
+            newValue !== null && Object.keys(newValue).forEach(key => {
+                if (allKeys.indexOf(key) < 0) {
+                    allKeys.push(key);
+                }
+            });
+            allKeys.forEach(key => {
+                let childPath = PathInfo.getChildPath(trailPath, key);
+                let childValues = getChildValues(key, oldValue, newValue);
+                let subTrailPath = PathInfo.getChildPath(path, childPath);
+                let childResults = getIndexRecordChanges(index, subTrailPath, childValues.oldValue, childValues.newValue);
+                results = results.concat(childResults);
+            });
+            break;
+        }
+        else {
+            let values = getChildValues(subKey, oldValue, newValue);
+            oldValue = values.oldValue;
+            newValue = values.newValue;
+            if (oldValue === null && newValue === null) {
+                break;
+            }
+            trailPath = PathInfo.getChildPath(trailPath, subKey);
+        }
+    }
+    return results;
+}
+
+/**
+ * Checks if a query filter is a group of filters: { op: 'and'|'or', compare: [filters and/or groups] }
+ * @param {{ key?: string, op: string, compare: any }} filter
+ * @returns {boolean}
+ */
+function isFilterGroup(filter) {
+    return (filter.op === 'and' || filter.op === 'or') && filter.compare instanceof Array;
+}
+
 class ClusterSettings {
 
     /**
@@ -122,6 +239,7 @@ class StorageSettings {
      * @param {ClusterSettings} [settings.cluster] cluster settings
      * @param {string} [settings.path="."] Target path to store database files in, default is '.'
      * @param {string} [settings.info="realtime database"] optional info to be written to the console output underneith the logo
+     * @param {'file'|'database'} [settings.indexStorage] where to store indexes: 'file' stores them in .idx files in the database directory, 'database' in the database itself if the storage backend is able to. Default is 'file' if a file system is available
      */
     constructor(settings) {
         settings = settings || {};
@@ -134,6 +252,8 @@ class StorageSettings {
         /** @type {string} */
         this.logLevel = settings.logLevel || 'log';
         this.info = settings.info || 'realtime database';
+        /** @type {'file'|'database'} */
+        this.indexStorage = settings.indexStorage;
     }
 }
 
@@ -158,54 +278,112 @@ class Storage extends SimpleEventEmitter {
         this.cluster = new ClusterManager(settings.cluster);
 
         // Setup indexing functionality
-        const { DataIndex, ArrayIndex, FullTextIndex, GeoIndex } = require('./data-index'); // Indexing might not be available: the browser dist bundle doesn't include it because fs is not available: browserify --i ./src/data-index.js
+        const { DataIndex, CompositeIndex, ComputedIndex, ArrayIndex, FullTextIndex, GeoIndex } = require('./data-index'); // Indexing might not be available: the browser dist bundle doesn't include it because fs is not available: browserify --i ./src/data-index.js
 
         /** @type {DataIndex[]} */ 
         const _indexes = [];
+        /** @type {import('./storage-fs').StorageFileSystem|typeof import('./promise-fs')|null} */
+        let _fileSystem;
         const storage = this;
         this.indexes = {
             /**
-             * Tests if (the default storage implementation of) indexes are supported in the environment. 
-             * They are currently only supported when running in Node.js because they use the fs filesystem. 
-             * TODO: Implement storage specific indexes (eg in SQLite, MySQL, MSSQL, in-memory)
+             * Tests if indexes are supported in the environment. They are if the fs filesystem is available (Node.js), 
+             * or if the storage backend is able to store index data itself
              */
             get supported() {
+                return typeof DataIndex === 'function' && this.fileSystem !== null;
+            },
+
+            /**
+             * File system index files are stored in: the storage backend itself if it can store index data and the 
+             * indexStorage setting is 'database' or there is no other file system, the fs filesystem otherwise
+             */
+            get fileSystem() {
+                if (typeof _fileSystem !== 'undefined') { return _fileSystem; }
                 const pfs = require('./promise-fs');
-                return pfs && pfs.hasFileSystem;
+                const hasFileSystem = pfs && pfs.hasFileSystem;
+                if (storage.canStoreIndexData && (storage.settings.indexStorage === 'database' || !hasFileSystem)) {
+                    const { StorageFileSystem } = require('./storage-fs');
+                    _fileSystem = new StorageFileSystem(storage);
+                }
+                else {
+                    if (storage.settings.indexStorage === 'database') {
+                        storage.debug.warn(`${storage.constructor.name} is not able to store indexes in the database, using index files instead`);
+                    }
+                    _fileSystem = hasFileSystem ? pfs : null;
+                }
+                return _fileSystem;
             },
 
             /**
              * Creates an index on specified path and key(s)
              * @param {string} path location of objects to be indexed. Eg: "users" to index all children of the "users" node; or "chats/*\/members" to index all members of all chats
-             * @param {string} key for now - one key to index. Once our B+tree implementation supports nested trees, we can allow multiple fields
+             * @param {string|string[]} key key to index, or an array of keys to create a composite index on. Eg: ['customer', 'date']
              * @param {object} [options]
              * @param {boolean} [options.rebuild=false]
-             * @param {string} [options.type] special index to create: 'array', 'fulltext' or 'geo'
+             * @param {string} [options.type] special index to create: 'array', 'fulltext', 'geo' or 'computed'. Indexes on multiple keys are 'composite'
              * @param {string[]} [options.include] keys to include in index
+             * @param {boolean} [options.caseSensitive=false] if strings in the index should be indexed case-sensitive
+             * @param {string} [options.textLocale="en"] locale to use when comparing case insensitive string values
+             * @param {boolean} [options.unique=false] if indexed values must be unique. Writes that would create a duplicate value are rejected with a UniqueConstraintError
+             * @param {Array<{ key: string, op: string, compare: any }>} [options.filter] only index records matching these filters (a partial index). Eg: [{ key: 'status', op: '!=', compare: 'done' }]
+             * @param {(value: object) => any} [options.compute] function that computes the value to index for each record, for 'computed' indexes. The key is the name of the virtual key to query the computed values with
              * @param {object} [options.config] additional index-specific configuration settings 
              * @returns {Promise<DataIndex>}
              */
             create(path, key, options = { rebuild: false, type: undefined, include: undefined }) { //, refresh = false) {
                 path = path.replace(/\/\*$/, ""); // Remove optional trailing "/*"
                 const rebuild = options && options.rebuild === true;
-                const indexType = (options && options.type) || 'normal';
+                const keys = key instanceof Array ? key : [key];
+                const indexType = keys.length > 1 ? 'composite' : (options && options.type) || 'normal';
+                if (keys.length > 1 && options && options.type && options.type !== 'composite') {
+                    return Promise.reject(new Error(`Cannot create ${options.type} index on multiple keys`));
+                }
+                if (keys.length === 1) { key = keys[0]; }
+                const unique = options && options.unique === true;
+                if (indexType === 'computed' && typeof options.compute !== 'function') {
+                    return Promise.reject(new Error(`Computed index on "/${path}/*/${key}" requires a compute function`));
+                }
+                if (unique && !['normal','composite','computed'].includes(indexType)) {
+                    return Promise.reject(new Error(`Cannot create unique ${indexType} index`));
+                }
+                const filter = (options && options.filter) || [];
+                if (filter.length > 0 && !['normal','composite','computed'].includes(indexType)) {
+                    return Promise.reject(new Error(`Cannot create filtered ${indexType} index`));
+                }
                 let includeKeys = (options && options.include) || [];
                 if (typeof includeKeys === 'string') { includeKeys = [includeKeys]; }
                 const existingIndex = _indexes.find(index => 
-                    index.path === path && index.key === key && index.type === indexType
+                    index.path === path && index.type === indexType
+                    && index.keys.length === keys.length && index.keys.every((key, i) => keys[i] === key)
                     && index.includeKeys.length === includeKeys.length
                     && index.includeKeys.every((key, index) => includeKeys[index] === key)
+                    && compareValues(index.filter, filter) === 'identical'
                 );
+                if (existingIndex && existingIndex.unique !== unique && rebuild !== true) {
+                    return Promise.reject(new Error(`Index on "/${path}/*/${existingIndex.key}" already exists ${existingIndex.unique ? 'with' : 'without'} unique constraint, use the rebuild option to change it`));
+                }
+                if (existingIndex && indexType === 'computed' && existingIndex.setCompute(options.compute) && rebuild !== true) {
+                    // The compute function changed, or records were updated while it was missing
+                    storage.debug.warn(`Computed index ${existingIndex.description} is outdated, rebuilding it`);
+                    return existingIndex.build().then(() => existingIndex);
+                }
                 if (existingIndex && rebuild !== true) {
-                    storage.debug.log(`Index on "/${path}/*/${key}" already exists`.colorize(ColorStyle.inverse));
+                    storage.debug.log(`Index on "/${path}/*/${existingIndex.key}" already exists`.colorize(ColorStyle.inverse));
                     return Promise.resolve(existingIndex);
                 }
+                if (existingIndex) {
+                    existingIndex.unique = unique;
+                }
+                const indexOptions = { include: options.include, caseSensitive: options.caseSensitive, textLocale: options.textLocale, unique, filter, compute: options.compute, config: options.config };
                 const index = existingIndex || (() => {
                     switch (indexType) {
-                        case 'array': return new ArrayIndex(storage, path, key, { include: options.include, config: options.config });
-                        case 'fulltext': return new FullTextIndex(storage, path, key, { include: options.include, config: options.config });
-                        case 'geo': return new GeoIndex(storage, path, key, { include: options.include, config: options.config });
-                        default: return new DataIndex(storage, path, key, { include: options.include, config: options.config });
+                        case 'composite': return new CompositeIndex(storage, path, keys, indexOptions);
+                        case 'computed': return new ComputedIndex(storage, path, key, indexOptions);
+                        case 'array': return new ArrayIndex(storage, path, key, indexOptions);
+                        case 'fulltext': return new FullTextIndex(storage, path, key, indexOptions);
+                        case 'geo': return new GeoIndex(storage, path, key, indexOptions);
+                        default: return new DataIndex(storage, path, key, indexOptions);
                     }
                 })();
                 if (!existingIndex) {
@@ -217,7 +395,11 @@ class Storage extends SimpleEventEmitter {
                 })
                 .catch(err => {
                     storage.debug.error(`Index build on "/${path}/*/${key}" failed: ${err.message} (code: ${err.code})`.colorize(ColorStyle.red));
-                    if (!existingIndex) {
+                    if (existingIndex && err.code === 'unique-constraint') {
+                        // The rebuilt index file was removed because existing data violates the unique constraint
+                        _indexes.splice(_indexes.indexOf(index), 1);
+                    }
+                    else if (!existingIndex) {
                         // Only remove index if we added it. Build may have failed because someone tried creating the index more than once, or rebuilding it while it was building...
                         _indexes.splice(_indexes.indexOf(index), 1);
                     }
@@ -254,8 +436,9 @@ class Storage extends SimpleEventEmitter {
                 return _indexes.filter(index => {
                     const indexKeys = PathInfo.getPathKeys(index.path + '/*');
                     // check if index is on a parent node of given path:
-                    if (options.parentPaths && indexKeys.every((key, i) => { return key === '*' || pathKeys[i] === key; }) && [index.key].concat(...index.includeKeys).includes(pathKeys[indexKeys.length])) {
+                    if (options.parentPaths && indexKeys.every((key, i) => { return key === '*' || pathKeys[i] === key; }) && (index.type === 'computed' ? pathKeys.length > indexKeys.length : index.keys.concat(index.includeKeys, index.filterKeys).includes(pathKeys[indexKeys.length]))) {
                         // eg: path = 'restaurants/1/location/lat', index is on 'restaurants(/*)', key 'location'
+                        // computed values can depend on any child: path = 'restaurants/1/name', computed index on 'restaurants(/*)'
                         return true;
                     }
                     else if (indexKeys.length < pathKeys.length) {
@@ -284,14 +467,69 @@ class Storage extends SimpleEventEmitter {
                 return _indexes.slice();
             },
 
+            /**
+             * Deletes the index(es) on specified path and key(s), and their files
+             * @param {string} path location of the indexed objects
+             * @param {string|string[]} key indexed key, or array of keys of a composite index
+             * @returns {Promise<DataIndex[]>} the deleted indexes
+             */
+            delete(path, key) {
+                path = path.replace(/\/\*$/, ""); // Remove optional trailing "/*"
+                const keys = key instanceof Array ? key : [key];
+                const indexes = _indexes.filter(index => 
+                    index.path === path
+                    && index.keys.length === keys.length && index.keys.every((key, i) => keys[i] === key)
+                );
+                if (indexes.length === 0) {
+                    return Promise.reject(new Error(`Index on "/${path}/*/${keys.join(',')}" does not exist`));
+                }
+                // Remove them first, so writes don't update them while they are being deleted
+                indexes.forEach(index => _indexes.splice(_indexes.indexOf(index), 1));
+                return Promise.all(indexes.map(index => index.delete()))
+                .then(() => {
+                    indexes.forEach(index => storage.debug.log(`Index ${index.description} was deleted`.colorize(ColorStyle.inverse)));
+                    return indexes;
+                });
+            },
+
+            /**
+             * Gets statistics of all indexes: their number of entries, file size, tree depth, fill factor and last build time
+             * @returns {Promise<Array<{ index: string, path: string, key: string, type: string, state: string, entries: number, values: number, fileSize: number, depth: number, fillFactor: number, lastBuild: Date|null }>>}
+             */
+            stats() {
+                return Promise.all(_indexes.map(index => index.stats()));
+            },
+
+            /**
+             * Verifies indexes by comparing their entries with the actual data, one index at a time
+             * @param {object} [options]
+             * @param {string} [options.path] only verify indexes on this path
+             * @param {boolean} [options.repair=false] whether to rebuild indexes that drifted from the data
+             * @returns {Promise<Array<{ index: string, ok: boolean, entries: number, missing: number, unexpected: number, paths: string[], repaired: boolean }>>}
+             */
+            verify(options = { path: undefined, repair: false }) {
+                const path = options && typeof options.path === 'string' ? options.path.replace(/\/\*$/, "") : null;
+                const indexes = _indexes.filter(index => path === null || index.path === path);
+                const results = [];
+                const next = i => {
+                    if (i === indexes.length) { return results; }
+                    return indexes[i].verify({ repair: options && options.repair === true })
+                    .then(result => {
+                        results.push(result);
+                        return next(i + 1);
+                    });
+                };
+                return Promise.resolve(next(0));
+            },
+
             /**
              * Discovers and populates all created indexes
              */
             load() {
                 _indexes.splice(0);
-                const pfs = require('./promise-fs');
-                if (!pfs || !pfs.readdir) { 
-                    // If pfs (fs) is not available, don't try using it
+                const pfs = this.fileSystem;
+                if (!pfs) { 
+                    // No file system available to load index files from
                     return Promise.resolve();
                 }
                 return pfs.readdir(`${storage.settings.path}/${storage.name}.acebase`)
@@ -541,6 +779,52 @@ class Storage extends SimpleEventEmitter {
         }
     }
 
+    /**
+     * Whether the storage backend is able to store index data itself, instead of in index files. Storage classes 
+     * that are able to override this and implement _getIndexData, _setIndexData, _removeIndexData and _getIndexDataKeys
+     * @type {boolean}
+     */
+    get canStoreIndexData() {
+        return false;
+    }
+
+    /**
+     * Gets binary index data stored with a key
+     * @param {string} key
+     * @returns {Promise<Uint8Array|null>} resolves with null if no data is stored with the key
+     */
+    _getIndexData(key) {
+        throw new Error(`This method must be implemented by subclass`);
+    }
+
+    /**
+     * Stores binary index data with a key, overwriting existing data
+     * @param {string} key
+     * @param {Uint8Array} data
+     * @returns {Promise<void>}
+     */
+    _setIndexData(key, data) {
+        throw new Error(`This method must be implemented by subclass`);
+    }
+
+    /**
+     * Removes stored index data
+     * @param {string[]} keys
+     * @returns {Promise<void>}
+     */
+    _removeIndexData(keys) {
+        throw new Error(`This method must be implemented by subclass`);
+    }
+
+    /**
+     * Gets the keys of stored index data that start with a prefix
+     * @param {string} prefix
+     * @returns {Promise<string[]>}
+     */
+    _getIndexDataKeys(prefix) {
+        throw new Error(`This method must be implemented by subclass`);
+    }
+
     /**
      * Creates or updates a node in its own record. DOES NOT CHECK if path exists in parent node, or if parent paths exist! Calling code needs to do this
      * @param {string} path 
@@ -601,6 +885,71 @@ class Storage extends SimpleEventEmitter {
             return this._writeNode(path, value, options);            
         }
 
+        let newTopEventData = null;
+        const getNewTopEventData = () => {
+            // Build data for old/new comparison
+            let newData, modifiedData;
+            if (path === topEventPath) {
+                if (options.merge) {
+                    if (topEventData === null) {
+                        newData = value instanceof Array ? [] : {};
+                    }
+                    else {
+                        // Create shallow copy of previous object value
+                        newData = topEventData instanceof Array ? [] : {};
+                        Object.keys(topEventData).forEach(key => {
+                            newData[key] = topEventData[key];
+                        });
+                    }
+                }
+                else {
+                    newData = value;
+                }
+                modifiedData = newData;
+            }
+            else {
+                // topEventPath is on a higher path, so we have to adjust the value deeper down
+                const trailPath = path.slice(topEventPath.length).replace(/^\//, '');
+                const trailKeys = PathInfo.getPathKeys(trailPath);
+                // Create shallow copy of the original object (let unchanged properties reference existing objects)
+                if (topEventData === null) {
+                    // the node didn't exist prior to the update (or was not loaded)
+                    newData = typeof trailKeys[0] === 'number' ? [] : {};
+                }
+                else {
+                    newData = topEventData instanceof Array ? [] : {};
+                    Object.keys(topEventData).forEach(key => {
+                        newData[key] = topEventData[key];
+                    });
+                }
+                modifiedData = newData;
+                while (trailKeys.length > 0) {
+                    let childKey = trailKeys.shift();
+                    // Create shallow copy of object at target
+                    if (!options.merge && trailKeys.length === 0) {
+                        modifiedData[childKey] = value;
+                    }
+                    else {
+                        const original = modifiedData[childKey];
+                        const shallowCopy = typeof childKey === 'number' ? [] : {};
+                        Object.keys(original).forEach(key => {
+                            shallowCopy[key] = original[key];
+                        })
+                        modifiedData[childKey] = shallowCopy;
+                    }
+                    modifiedData = modifiedData[childKey];
+                }
+            }
+
+            if (options.merge) {
+                // Update target value with updates
+                Object.keys(value).forEach(key => {
+                    modifiedData[key] = value[key];
+                });
+            }
+            return newData;
+        };
+
         // FIXED: indexes on higher path not being updated. 
         // Previously, updates on an indexed property did not update the index
         // example: 
@@ -620,6 +969,8 @@ class Storage extends SimpleEventEmitter {
             return writeNode();
         }
         let keysFilter = [];
+        // Computed indexes need the entire value of updated records
+        const loadRecords = indexes.some(index => index.type === 'computed');
         if (indexes.length > 0) {
             indexes.sort((a,b) => {
                 if (typeof a._pathKeys === 'undefined') { a._pathKeys = PathInfo.getPathKeys(a.path); }
@@ -640,8 +991,8 @@ class Storage extends SimpleEventEmitter {
                 // - indexed keys on that path,
                 // - any additional child keys for all value event subscriptions in that path (they can never be different though?)
                 topEventPath = topIndexPath;
-                indexes.filter(index => index.path === topIndex.path).forEach(index => {
-                    let keys = [index.key].concat(index.includeKeys);
+                !loadRecords && indexes.filter(index => index.path === topIndex.path).forEach(index => {
+                    let keys = index.keys.concat(index.includeKeys, index.filterKeys);
                     keys.forEach(key => !keysFilter.includes(key) && keysFilter.push(key));
                 });
                 // following will never add any keys to the filter, right?!!
@@ -654,10 +1005,18 @@ class Storage extends SimpleEventEmitter {
             }
         }
 
-        if (!hasValueSubscribers && options.merge === true && keysFilter.length === 0) {
+        if (!hasValueSubscribers && options.merge === true && keysFilter.length === 0 && !loadRecords) {
             // only load properties being updated
             keysFilter = Object.keys(value);
-            if (topEventPath !== path) {
+            if (topEventPath === path) {
+                // Make sure the other keys of indexes on this path are also loaded, composite and included key values
+                // are stored together in the index, filter key values determine if the record is indexed at all
+                indexes.filter(index => PathInfo.fillVariables(`${index.path}/*`, path) === path).forEach(index => {
+                    const keys = index.keys.concat(index.includeKeys, index.filterKeys).filter(key => key !== '{key}');
+                    keys.forEach(key => !keysFilter.includes(key) && keysFilter.push(key));
+                });
+            }
+            else {
                 let trailPath = path.slice(topEventPath.length);
                 keysFilter = keysFilter.map(key => `${trailPath}/${key}`);
             }
@@ -690,71 +1049,21 @@ class Storage extends SimpleEventEmitter {
         .then(currentValue => {
             topEventData = currentValue;
 
+            // Check unique index constraints before writing, so the data never conflicts with the index
+            const uniqueIndexes = indexes.filter(index => index.unique);
+            if (uniqueIndexes.length === 0) { return; }
+            newTopEventData = getNewTopEventData();
+            return Promise.all(uniqueIndexes.map(index => {
+                return index.checkUniqueConstraint(getIndexRecordChanges(index, topEventPath, topEventData, newTopEventData));
+            }));
+        })
+        .then(() => {
             // Now proceed with node updating
             return writeNode();
         })
         .then(result => {
-
-            // Build data for old/new comparison
-
-            let newTopEventData, modifiedData;
-            if (path === topEventPath) {
-                if (options.merge) {
-                    if (topEventData === null) {
-                        newTopEventData = value instanceof Array ? [] : {};
-                    }
-                    else {
-                        // Create shallow copy of previous object value
-                        newTopEventData = topEventData instanceof Array ? [] : {};
-                        Object.keys(topEventData).forEach(key => {
-                            newTopEventData[key] = topEventData[key];
-                        });
-                    }
-                }
-                else {
-                    newTopEventData = value;
-                }
-                modifiedData = newTopEventData;
-            }
-            else {
-                // topEventPath is on a higher path, so we have to adjust the value deeper down
-                const trailPath = path.slice(topEventPath.length).replace(/^\//, '');
-                const trailKeys = PathInfo.getPathKeys(trailPath);
-                // Create shallow copy of the original object (let unchanged properties reference existing objects)
-                if (topEventData === null) {
-                    // the node didn't exist prior to the update (or was not loaded)
-                    newTopEventData = typeof trailKeys[0] === 'number' ? [] : {};
-                }
-                else {
-                    newTopEventData = topEventData instanceof Array ? [] : {};
-                    Object.keys(topEventData).forEach(key => {
-                        newTopEventData[key] = topEventData[key];
-                    });
-                }
-                modifiedData = newTopEventData;
-                while (trailKeys.length > 0) {
-                    let childKey = trailKeys.shift();
-                    // Create shallow copy of object at target
-                    if (!options.merge && trailKeys.length === 0) {
-                        modifiedData[childKey] = value;
-                    }
-                    else {
-                        const original = modifiedData[childKey];
-                        const shallowCopy = typeof childKey === 'number' ? [] : {};
-                        Object.keys(original).forEach(key => {
-                            shallowCopy[key] = original[key];
-                        })
-                        modifiedData[childKey] = shallowCopy;
-                    }
-                    modifiedData = modifiedData[childKey];
-                }
-            }
-
-            if (options.merge) {
-                // Update target value with updates
-                Object.keys(value).forEach(key => {
-                    modifiedData[key] = value[key];
-                });
+            if (newTopEventData === null) {
+                newTopEventData = getNewTopEventData();
             }
 
             // console.assert(topEventData !== newTopEventData, 'shallow copy must have been made!');
@@ -806,52 +1115,7 @@ class Storage extends SimpleEventEmitter {
                     indexUpdates.push(p);
                     return; // next index
                 }
-                const getAllIndexUpdates = (path, oldValue, newValue) => {
-                    if (oldValue === null && newValue === null) {
-                        return [];
-                    }
-                    let pathKeys = PathInfo.getPathKeys(path);
-                    let indexPathKeys = PathInfo.getPathKeys(index.path + '/*');
-                    let trailKeys = indexPathKeys.slice(pathKeys.length);
-                    if (trailKeys.length === 0) {
-                        console.assert(pathKeys.length === indexPathKeys.length, 'check logic');
-                        return [{ path, oldValue, newValue }];
-                    }
-
-                    let results = [];
-                    let trailPath = '';
-                    while (trailKeys.length > 0) {
-                        let subKey = trailKeys.shift();
-                        if (subKey === '*') {
-                            // Recursion needed
-                            let allKeys = oldValue === null ? [] : Object.keys(oldValue);
-                            newValue !== null && Object.keys(newValue).forEach(key => {
-                                if (allKeys.indexOf(key) < 0) {
-                                    allKeys.push(key);
-                                }
-                            });
-                            allKeys.forEach(key => {
-                                let childPath = PathInfo.getChildPath(trailPath, key);
-                                let childValues = getChildValues(key, oldValue, newValue);
-                                let subTrailPath = PathInfo.getChildPath(path, childPath);
-                                let childResults = getAllIndexUpdates(subTrailPath, childValues.oldValue, childValues.newValue);
-                                results = results.concat(childResults);
-                            });
-                            break;
-                        }
-                        else {
-                            let values = getChildValues(subKey, oldValue, newValue);
-                            oldValue = values.oldValue;
-                            newValue = values.newValue;
-                            if (oldValue === null && newValue === null) {
-                                break;
-                            }
-                            trailPath = PathInfo.getChildPath(trailPath, subKey);
-                        }
-                    }
-                    return results;
-                };
-                let results = getAllIndexUpdates(topEventPath, oldValue, newValue);
+                let results = getIndexRecordChanges(index, topEventPath, oldValue, newValue);
                 results.forEach(result => {
                     const p = index.handleRecordUpdate(result.path, result.oldValue, result.newValue);
                     indexUpdates.push(p);
@@ -1248,7 +1512,7 @@ class Storage extends SimpleEventEmitter {
     /**
      * Checks if a node's value matches the passed criteria
      * @param {string} path
-     * @param {Array<{ key: string, op: string, compare: string }>} criteria criteria to test
+     * @param {Array<{ key: string, op: string, compare: string }>} criteria criteria to test. Can contain filter groups: { op: 'or', compare: [...criteria] } matches if any of the criteria match, { op: 'and', compare: [...criteria] } if all do
      * @param {object} [options] optional options used by implementation for recursive calls
      * @param {string} [options.tid] optional transaction id for node locking purposes
      * @returns {Promise<boolean>} returns a promise that resolves with a boolean indicating if it matched the criteria
@@ -1446,10 +1710,42 @@ class Storage extends SimpleEventEmitter {
             return { isMatch, promises };        
         }; // checkChild
 
-        return checkNode(path, criteria);
+        /**
+         * Checks criteria that can contain filter groups. A node matches if it matches all filters and groups, 
+         * an 'or' group matches if any of its filters (or nested groups) match, an 'and' group if all of them do
+         * @param {string} path 
+         * @param {Array<{ key: string, op: string, compare: any }>} criteria 
+         */
+        const checkCriteria = (path, criteria) => {
+            const filters = criteria.filter(cr => !isFilterGroup(cr));
+            const groups = criteria.filter(cr => isFilterGroup(cr));
+            const checkGroup = (i) => {
+                if (i === groups.length) { return true; }
+                const group = groups[i];
+                let promise;
+                if (group.op === 'and') {
+                    promise = checkCriteria(path, group.compare);
+                }
+                else {
+                    const checkBranch = (j) => {
+                        if (j === group.compare.length) { return false; }
+                        return checkCriteria(path, [group.compare[j]])
+                        .then(isMatch => isMatch || checkBranch(j + 1));
+                    };
+                    promise = Promise.resolve(checkBranch(0));
+                }
+                return promise.then(isMatch => isMatch && checkGroup(i + 1));
+            };
+            return checkNode(path, filters)
+            .then(isMatch => isMatch && checkGroup(0));
+        };
+
+        return checkCriteria(path, criteria);
     }
 
     test(val, op, compare) {
+        if (op === "exists") { return typeof val !== 'undefined' && val !== null; }
+        if (op === "!exists") { return typeof val === 'undefined' || val === null; }
         if (op === "<") { return val < compare; }
         if (op === "<=") { return val <= compare; }
         if (op === "==") { return val === compare; }
@@ -1493,20 +1789,25 @@ class Storage extends SimpleEventEmitter {
      * @param {Storage} storage
      * @param {string} path
      * @param {{ write(str: string) => void|Promise<void>}} stream stream object that has a write method that (optionally) returns a promise the export needs to wait for before continuing
+     * @param {object} [options]
+     * @param {'json'|'ndjson'} [options.format='json'] 'json' exports the node's value as a single json document, 'ndjson' exports each child of the node as a json line: {"key":"child","value":...}
+     * @param {boolean} [options.type_safe=false] whether to tag dates, binary values and path references so they can be imported with their original type. Eg a date is exported as {".type":"date","value":"2020-08-01T10:00:00.000Z"}
      * @returns {Promise<void>} returns a promise that resolves once all data is exported
      */
-    exportNode(path, stream, options = { format: 'json' }) {
-        if (options && options.format !== 'json') {
-            throw new Error(`Only json output is currently supported`);
+    exportNode(path, stream, options = { format: 'json', type_safe: false }) {
+        const format = (options && options.format) || 'json';
+        if (!['json', 'ndjson'].includes(format)) {
+            throw new Error(`Only json and ndjson output are currently supported`);
         }
+        const typeSafe = options && options.type_safe === true;
+        const lines = format === 'ndjson';
 
         const stringifyValue = (type, val) => {
-            const escape = str => str.replace(/\\/i, "\\\\").replace(/"/g, '\\"');
             if (type === VALUE_TYPES.DATETIME) {
-                val = `"${val.toISOString()}"`;
+                val = typeSafe ? `{".type":"date","value":"${val.toISOString()}"}` : `"${val.toISOString()}"`;
             }
             else if (type === VALUE_TYPES.STRING) {
-                val = `"${escape(val)}"`;
+                val = JSON.stringify(val);
             }
             else if (type === VALUE_TYPES.ARRAY) {
                 val = `[]`;
@@ -1515,30 +1816,41 @@ class Storage extends SimpleEventEmitter {
                 val = `{}`;
             }
             else if (type === VALUE_TYPES.BINARY) {
-                val = `"${escape(ascii85.encode(val))}"`; // TODO: use base64 instead, no escaping needed
+                val = typeSafe ? `{".type":"binary","value":"${base64.encode(val)}"}` : JSON.stringify(ascii85.encode(val));
             }
             else if (type === VALUE_TYPES.REFERENCE) {
-                val = `"${val.path}"`;
+                val = typeSafe ? `{".type":"reference","value":${JSON.stringify(val.path)}}` : JSON.stringify(val.path);
             }
             return val;
         };
 
         const queue = [];
         let outputCount = 0;
-        let objStart = '', objEnd = '';
+        let objStart = '', objEnd = '', isArray = false;
         const buffer = {
             output: '',
             enable: false,
             promise: null
         }
+        const getKey = childInfo => {
+            // Array entries are exported without their index
+            return isArray ? '' : `${JSON.stringify(childInfo.key)}:`;
+        };
+        const getLineStart = childInfo => {
+            return `{"key":${JSON.stringify(isArray ? childInfo.index : childInfo.key)},"value":`;
+        };
 
         return this.getNodeInfo(path)
         .then(nodeInfo => {
             if (!nodeInfo.exists) {
-                stream.write('null');
+                !lines && stream.write('null');
+                return;
+            }
+            else if (nodeInfo.type === VALUE_TYPES.OBJECT) { objStart = lines ? '' : '{'; objEnd = lines ? '' : '}'; }
+            else if (nodeInfo.type === VALUE_TYPES.ARRAY) { objStart = lines ? '' : '['; objEnd = lines ? '' : ']'; isArray = true; }
+            else if (lines) {
+                throw new Error(`Cannot export value of node "/${path}" as ndjson, only objects and arrays can be exported line by line`);
             }
-            else if (nodeInfo.type === VALUE_TYPES.OBJECT) { objStart = '{'; objEnd = '}'; }
-            else if (nodeInfo.type === VALUE_TYPES.ARRAY) { objStart = '{'; objEnd = '}'; } // TODO: export as arrays, and guarantee the right order!!!
             else {
                 // Node has no children, get and export its value
                 return this.getNodeValue(path)
@@ -1558,15 +1870,15 @@ class Storage extends SimpleEventEmitter {
                 return this.getChildren(path)
                 .next(childInfo => {
                     // if child is stored in the parent record, we can output it right now. 
-                    // If a child needs value fetching, queue it for output
-                    if (childInfo.address) {
+                    // If a child needs value fetching, queue it for output.
+                    // Array entries are all queued, so they can be exported in the right order
+                    if (childInfo.address || isArray) {
                         queue.push(childInfo);
                     }
                     else {
                         const val = stringifyValue(childInfo.type, childInfo.value);
                         const comma = outputCount > 0 ? ',' : '';
-                        const key = typeof childInfo.index === 'number' ? `"${childInfo.index}"` : `"${childInfo.key}"`;
-                        const output = `${comma}${key}:${val}`;
+                        const output = lines ? `${getLineStart(childInfo)}${val}}\n` : `${comma}${getKey(childInfo)}${val}`;
                         outputCount++;
                         if (buffer.enable) {
                             // Output must be buffered. Doing this will probably not cost a lot of memory because these 
@@ -1604,6 +1916,9 @@ class Storage extends SimpleEventEmitter {
             return buffer.promise; // Wait for any buffered output to be flushed before continuing
         })
         .then(() => {
+            if (isArray) {
+                queue.sort((a, b) => a.index - b.index);
+            }
             // process queueu
             const next = () => {
                 if (queue.length === 0) { 
@@ -1612,15 +1927,25 @@ class Storage extends SimpleEventEmitter {
                 }
                 const childInfo = queue.shift();
 
-                const comma = outputCount > 0 ? ',' : '';
-                const key = typeof childInfo.index === 'number' ? `"${childInfo.index}"` : `"${childInfo.key}"`;
-                let p = stream.write(`${comma}${key}:`);
+                const comma = outputCount > 0 && !lines ? ',' : '';
+                const key = lines ? getLineStart(childInfo) : getKey(childInfo);
+                const lineEnd = lines ? '}\n' : '';
                 outputCount++;
+                if (!childInfo.address) {
+                    // Inline array entry
+                    const p = stream.write(`${comma}${key}${stringifyValue(childInfo.type, childInfo.value)}${lineEnd}`);
+                    return Promise.resolve(p).then(next);
+                }
+                let p = comma || key ? stream.write(`${comma}${key}`) : null;
                 if (!(p instanceof Promise)) {
                     p = Promise.resolve(p);
                 }
                 return p.then(() => {
-                    return this.exportNode(childInfo.address.path, stream);
+                    // Child values are exported as a single json document
+                    return this.exportNode(childInfo.address.path, stream, { format: 'json', type_safe: typeSafe });
+                })
+                .then(() => {
+                    return lineEnd && stream.write(lineEnd);
                 })
                 .then(() => {
                     return next();
@@ -1635,11 +1960,350 @@ class Storage extends SimpleEventEmitter {
         });
     }
 
+    /**
+     * Import a specific path's data from a stream. The JSON is parsed incrementally and written in batches,
+     * so large exports can be imported without loading them into memory entirely. NOTE: arrays are always
+     * kept in memory until they have been parsed completely, they are written at once.
+     * @param {string} path
+     * @param {((length: number) => string|ArrayBufferView|Promise<string|ArrayBufferView>)|{ read(length: number): string|ArrayBufferView|Promise<string|ArrayBufferView> }} read function (or stream object with a read method) that returns (a promise that resolves with) the next chunk of data, or null or an empty string once all data has been read
+     * @param {object} [options]
+     * @param {'json'|'ndjson'} [options.format='json'] 'json' for a single json document, 'ndjson' for json lines with the node's children created by an ndjson export: {"key":"child","value":...}
+     * @param {'set'|'update'} [options.method='set'] whether to overwrite the current value of the node ('set'), or to merge the imported children with its current children ('update')
+     * @param {boolean} [options.suppress_events=false] whether to suppress the execution of event subscriptions
+     * @param {boolean} [options.type_safe=false] whether to restore the original types of dates, binary values and path references tagged by a type safe export
+     * @param {number} [options.batchSize=1000] maximum number of children to write at once
+     * @returns {Promise<void>} returns a promise that resolves once all data is imported
+     */
+    importNode(path, read, options = { format: 'json', method: 'set', suppress_events: false, type_safe: false, batchSize: 1000 }) {
+        options = options || {};
+        const format = options.format || 'json';
+        if (!['json', 'ndjson'].includes(format)) {
+            return Promise.reject(new Error(`Only json and ndjson input are currently supported`));
+        }
+        const method = options.method || 'set';
+        if (!['set', 'update'].includes(method)) {
+            return Promise.reject(new Error(`Invalid import method "${method}"`));
+        }
+        const reader = typeof read === 'function' ? read : read.read.bind(read);
+        const writeOptions = { suppress_events: options.suppress_events === true, context: options.context };
+        const typeSafe = options.type_safe === true;
+        const batchSize = options.batchSize || 1000;
+        const MAX_BATCH_BYTES = 1024 * 1024; // Also write a batch when it's getting large, nested objects are kept in memory until their parent is written
+        const READ_LENGTH = 65536;
+        const decoder = typeof TextDecoder !== 'undefined' ? new TextDecoder() : null;
+        let done = false;
+
+        /**
+         * Reads the next chunk of data
+         * @returns {Promise<string>}
+         */
+        const readChunk = () => {
+            return Promise.resolve(reader(READ_LENGTH))
+            .then(chunk => {
+                if (chunk === null || typeof chunk === 'undefined' || chunk.length === 0) {
+                    done = true;
+                    return decoder ? decoder.decode() : '';
+                }
+                else if (typeof chunk === 'string') {
+                    return chunk;
+                }
+                return decoder ? decoder.decode(chunk, { stream: true }) : Utils.decodeString(chunk);
+            });
+        };
+
+        if (format === 'ndjson') {
+            // Each line contains a child of the node: {"key":"child","value":...}
+            let text = '', pos = 0, lineNr = 0;
+            let batch = null, isArray = false, written = false, count = 0, size = 0;
+
+            const writeBatch = () => {
+                const value = batch;
+                const first = !written;
+                batch = {};
+                count = 0;
+                size = 0;
+                written = true;
+                if (first && method === 'set') {
+                    return this.setNode(path, value, writeOptions);
+                }
+                if (Object.keys(value).length > 0) {
+                    return this.updateNode(path, value, writeOptions);
+                }
+                return Promise.resolve();
+            };
+
+            const addLine = (line) => {
+                let child;
+                try {
+                    child = JSON.parse(line, typeSafe ? (key, value) => getTypedValue(value) : undefined);
+                }
+                catch (err) {
+                    throw new Error(`Invalid JSON on line ${lineNr}: ${err.message}`);
+                }
+                if (typeof child !== 'object' || child === null || !('key' in child) || !('value' in child)) {
+                    throw new Error(`Invalid data on line ${lineNr}: expected {"key":...,"value":...}`);
+                }
+                if (batch === null) {
+                    // Array entries are exported with numeric keys. Arrays are written at once when all lines have been read
+                    isArray = typeof child.key === 'number';
+                    batch = isArray ? [] : {};
+                }
+                batch[child.key] = child.value;
+                count++;
+                size += line.length;
+                if (!isArray && (count >= batchSize || size >= MAX_BATCH_BYTES)) {
+                    return writeBatch();
+                }
+            };
+
+            const process = () => {
+                // Handle all complete lines in the buffer, wait for any writes before continuing
+                let end;
+                while ((end = text.indexOf('\n', pos)) >= 0 || (done && pos < text.length)) {
+                    if (end < 0) { end = text.length; }
+                    const line = text.slice(pos, end).trim();
+                    pos = end + 1;
+                    lineNr++;
+                    if (line.length === 0) { continue; }
+                    const p = addLine(line);
+                    if (p instanceof Promise) {
+                        return p.then(process);
+                    }
+                }
+                if (done) {
+                    if (isArray) {
+                        return this.setNode(path, batch, writeOptions);
+                    }
+                    if (batch === null) {
+                        batch = {};
+                    }
+                    if (!written || count > 0) {
+                        return writeBatch();
+                    }
+                    return;
+                }
+                // Remove processed lines and read the next chunk
+                text = text.slice(pos);
+                pos = 0;
+                return readChunk()
+                .then(str => {
+                    text += str;
+                    return process();
+                });
+            };
+
+            return Promise.resolve().then(process);
+        }
+
+        const NUMBER = /^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+        let text = '', pos = 0, offset = 0, rootDone = false;
+        /** @type {Array<{ path: string, type: 'object'|'array', value: object|any[], key: string, expect: string, count: number, size: number, writable: boolean, written: boolean }>} */
+        const stack = [];
+
+        const syntaxError = (message) => {
+            return new Error(`Invalid JSON at position ${offset + pos}: ${message}`);
+        };
+
+        /**
+         * Gets the next token from the buffered text
+         * @returns {{ type: string, value?: any, length: number }} returns the token, or undefined if more data must be read first
+         */
+        const nextToken = () => {
+            while (pos < text.length && ' \t\r\n'.includes(text[pos])) { pos++; }
+            if (pos >= text.length) { return; }
+            const c = text[pos];
+            if ('{}[]:,'.includes(c)) {
+                pos++;
+                return { type: c, length: 1 };
+            }
+            if (c === '"') {
+                let i = pos + 1;
+                while (i < text.length && text[i] !== '"') { i += text[i] === '\\' ? 2 : 1; }
+                if (i >= text.length) {
+                    if (done) { throw syntaxError(`unterminated string`); }
+                    return;
+                }
+                const str = text.slice(pos, i + 1);
+                pos = i + 1;
+                return { type: 'value', value: JSON.parse(str), length: str.length };
+            }
+            const literal = ['true', 'false', 'null'].find(literal => literal[0] === c);
+            if (literal) {
+                const str = text.slice(pos, pos + literal.length);
+                if (str === literal) {
+                    pos += literal.length;
+                    return { type: 'value', value: JSON.parse(literal), length: literal.length };
+                }
+                if (!done && literal.startsWith(str)) { return; }
+                throw syntaxError(`unexpected "${str}"`);
+            }
+            let end = pos;
+            while (end < text.length && '0123456789+-.eE'.includes(text[end])) { end++; }
+            if (end === pos) {
+                throw syntaxError(`unexpected character "${c}"`);
+            }
+            if (!done && end === text.length) {
+                return; // Number might continue in the next chunk
+            }
+            const str = text.slice(pos, end);
+            if (!NUMBER.test(str)) {
+                throw syntaxError(`invalid number "${str}"`);
+            }
+            pos = end;
+            return { type: 'value', value: parseFloat(str), length: str.length };
+        };
+
+        /**
+         * Writes the children parsed so far. The first write of a nested object overwrites its current
+         * value, following writes add the children parsed since. Parent objects are written first.
+         */
+        const flush = (index) => {
+            const frame = stack[index];
+            const p = index > 0 && !stack[index - 1].written ? flush(index - 1) : Promise.resolve();
+            const value = frame.value;
+            const first = !frame.written;
+            frame.value = {};
+            frame.count = 0;
+            frame.size = 0;
+            frame.written = true;
+            return p.then(() => {
+                if (first && (index > 0 || method === 'set')) {
+                    return this.setNode(frame.path, value, writeOptions);
+                }
+                if (Object.keys(value).length > 0) {
+                    return this.updateNode(frame.path, value, writeOptions);
+                }
+            });
+        };
+
+        const addValue = (value, size) => {
+            if (stack.length === 0) {
+                // Done parsing the entire value
+                rootDone = true;
+                const isObject = typeof value === 'object' && value !== null && !(value instanceof Array);
+                return method === 'update' && isObject
+                    ? this.updateNode(path, value, writeOptions)
+                    : this.setNode(path, value, writeOptions);
+            }
+            const frame = stack[stack.length - 1];
+            if (frame.type === 'object') { frame.value[frame.key] = value; }
+            else { frame.value.push(value); }
+            frame.expect = 'comma_or_end';
+            frame.count++;
+            frame.size += size;
+            const typed = typeSafe && frame.type === 'object' && '.type' in frame.value;
+            if (frame.writable && !typed && (frame.count >= batchSize || frame.size >= MAX_BATCH_BYTES)) {
+                return flush(stack.length - 1);
+            }
+        };
+
+        const open = (type) => {
+            const parent = stack[stack.length - 1];
+            const frame = {
+                path: parent ? PathInfo.getChildPath(parent.path, parent.type === 'object' ? parent.key : parent.value.length) : path,
+                type,
+                value: type === 'object' ? {} : [],
+                key: null,
+                expect: type === 'object' ? 'key_or_end' : 'value_or_end',
+                count: 0,
+                size: 0,
+                writable: type === 'object' && (!parent || parent.writable),
+                written: false
+            };
+            stack.push(frame);
+        };
+
+        const close = () => {
+            const frame = stack[stack.length - 1];
+            if (frame.written) {
+                // Write remaining children, the parent does not need to include this child
+                const p = flush(stack.length - 1);
+                stack.pop();
+                if (stack.length === 0) { rootDone = true; }
+                else { stack[stack.length - 1].expect = 'comma_or_end'; }
+                return p;
+            }
+            stack.pop();
+            const value = typeSafe && frame.type === 'object' ? getTypedValue(frame.value) : frame.value;
+            return addValue(value, frame.size);
+        };
+
+        /**
+         * Processes a token
+         * @returns {Promise<any>|void} returns a promise if data is being written
+         */
+        const handle = (token) => {
+            if (rootDone) {
+                throw syntaxError(`unexpected data after the end of the value`);
+            }
+            const frame = stack[stack.length - 1];
+            const expect = frame ? frame.expect : 'value';
+            if (token.type === '}' || token.type === ']') {
+                const type = token.type === '}' ? 'object' : 'array';
+                if (!frame || frame.type !== type || !['key_or_end', 'value_or_end', 'comma_or_end'].includes(expect)) {
+                    throw syntaxError(`unexpected "${token.type}"`);
+                }
+                return close();
+            }
+            if (token.type === ',') {
+                if (expect !== 'comma_or_end') { throw syntaxError(`unexpected ","`); }
+                frame.expect = frame.type === 'object' ? 'key' : 'value';
+                return;
+            }
+            if (token.type === ':') {
+                if (expect !== 'colon') { throw syntaxError(`unexpected ":"`); }
+                frame.expect = 'value';
+                return;
+            }
+            if (expect === 'key' || expect === 'key_or_end') {
+                if (typeof token.value !== 'string') { throw syntaxError(`expected a property name`); }
+                frame.key = token.value;
+                frame.expect = 'colon';
+                return;
+            }
+            if (expect !== 'value' && expect !== 'value_or_end') {
+                throw syntaxError(`unexpected "${token.type === 'value' ? JSON.stringify(token.value) : token.type}"`);
+            }
+            if (token.type === '{' || token.type === '[') {
+                return open(token.type === '{' ? 'object' : 'array');
+            }
+            return addValue(token.value, token.length);
+        };
+
+        const process = () => {
+            // Handle all complete tokens in the buffer, wait for any writes before continuing
+            let token;
+            while ((token = nextToken())) {
+                const p = handle(token);
+                if (p instanceof Promise) {
+                    return p.then(process);
+                }
+            }
+            if (done) {
+                if (!rootDone) { throw syntaxError(`unexpected end of input`); }
+                return;
+            }
+            // Remove processed text and read the next chunk
+            offset += pos;
+            text = text.slice(pos);
+            pos = 0;
+            return readChunk()
+            .then(str => {
+                text += str;
+                return process();
+            });
+        };
+
+        return Promise.resolve().then(process);
+    }
+
 }
 
 module.exports = {
+    isFilterGroup,
     Storage,
     StorageSettings,
     NodeNotFoundError,
-    NodeRevisionError
+    NodeRevisionError,
+    base64
 };
\ No newline at end of file
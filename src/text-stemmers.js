@@ -0,0 +1,622 @@
+/**
+ * Snowball style stemmers for the locales TextInfo supports. Stemmers reduce words to their stem, so different
+ * forms of a word can be matched, eg: "walking", "walked" and "walks" are all reduced to "walk".
+ * Based on the algorithms of the Snowball project (https://snowballstem.org/algorithms/), adapted to work with
+ * lowercase words without diacritics because TextInfo converts texts to ASCII before they are processed.
+ */
+
+/**
+ * Gets the start of the region after the first non-vowel following a vowel, searching from given index.
+ * Used to determine the R1 and R2 regions of a word
+ * @param {string} word
+ * @param {string} vowels
+ * @param {number} start
+ * @returns {number} start index of the region, or the word length if there is no such region
+ */
+function regionAfter(word, vowels, start) {
+    for (let i = start + 1; i < word.length; i++) {
+        if (!vowels.includes(word[i]) && vowels.includes(word[i - 1])) { return i + 1; }
+    }
+    return word.length;
+}
+
+/**
+ * Finds the longest of given suffixes a word ends with
+ * @param {string} word
+ * @param {string[]} suffixes
+ * @returns {string|undefined}
+ */
+function findSuffix(word, suffixes) {
+    let found;
+    suffixes.forEach(suffix => {
+        if (word.endsWith(suffix) && (typeof found === 'undefined' || suffix.length > found.length)) { found = suffix; }
+    });
+    return found;
+}
+
+/**
+ * Creates a helper that checks if a suffix of the word is in a region
+ * @param {() => string} getWord callback that returns the current word
+ * @param {() => number} getStart callback that returns the start of the region
+ */
+function regionCheck(getWord, getStart) {
+    return suffix => getWord().length - suffix.length >= getStart();
+}
+
+const EN_VOWELS = 'aeiouy';
+const EN_EXCEPTIONS = {
+    skis: 'ski', skies: 'sky', dying: 'die', lying: 'lie', tying: 'tie', idly: 'idl', gently: 'gentl', ugly: 'ugli', early: 'earli', only: 'onli', singly: 'singl',
+    sky: 'sky', news: 'news', howe: 'howe', atlas: 'atlas', cosmos: 'cosmos', bias: 'bias', andes: 'andes'
+};
+const EN_STEP1A_EXCEPTIONS = ['inning', 'outing', 'canning', 'herring', 'earring', 'proceed', 'exceed', 'succeed'];
+const EN_STEP2 = {
+    tional: 'tion', enci: 'ence', anci: 'ance', abli: 'able', entli: 'ent', izer: 'ize', ization: 'ize', ational: 'ate', ation: 'ate', ator: 'ate',
+    alism: 'al', aliti: 'al', alli: 'al', fulness: 'ful', ousli: 'ous', ousness: 'ous', iveness: 'ive', iviti: 'ive', biliti: 'ble', bli: 'ble',
+    ogi: 'og', fulli: 'ful', lessli: 'less', li: ''
+};
+const EN_STEP3 = { tional: 'tion', ational: 'ate', alize: 'al', icate: 'ic', iciti: 'ic', ical: 'ic', ful: '', ness: '', ative: '' };
+const EN_STEP4 = ['al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize', 'ion'];
+
+/**
+ * English (Porter2) stemmer
+ * @param {string} word lowercase word
+ * @returns {string}
+ */
+function english(word) {
+    if (word.length <= 2) { return word; }
+    if (EN_EXCEPTIONS.hasOwnProperty(word)) { return EN_EXCEPTIONS[word]; }
+
+    // y's that are used as consonants are marked as Y
+    word = word.replace(/^y/, 'Y').replace(/([aeiouy])y/g, '$1Y');
+    const isVowel = ch => EN_VOWELS.includes(ch);
+    const prefix = /^(gener|commun|arsen)/.exec(word);
+    const r1 = prefix ? prefix[0].length : regionAfter(word, EN_VOWELS, 0);
+    const r2 = regionAfter(word, EN_VOWELS, r1);
+    const inR1 = regionCheck(() => word, () => r1);
+    const inR2 = regionCheck(() => word, () => r2);
+    const endsWithShortSyllable = word => {
+        const n = word.length;
+        if (n === 2) { return isVowel(word[0]) && !isVowel(word[1]); }
+        return n > 2 && !isVowel(word[n - 3]) && isVowel(word[n - 2]) && !isVowel(word[n - 1]) && !'wxY'.includes(word[n - 1]);
+    };
+    const isShort = word => endsWithShortSyllable(word) && r1 >= word.length;
+
+    // Step 1a: plurals
+    if (word.endsWith('sses')) {
+        word = word.slice(0, -2);
+    }
+    else if (word.endsWith('ied') || word.endsWith('ies')) {
+        word = word.slice(0, -3) + (word.length > 4 ? 'i' : 'ie');
+    }
+    else if (word.endsWith('s') && !word.endsWith('us') && !word.endsWith('ss')) {
+        if (/[aeiouy]/.test(word.slice(0, -2))) { word = word.slice(0, -1); }
+    }
+    if (EN_STEP1A_EXCEPTIONS.includes(word)) { return word; }
+
+    // Step 1b: past tenses and gerunds
+    let suffix = findSuffix(word, ['eedly', 'ingly', 'edly', 'eed', 'ing', 'ed']);
+    if (suffix === 'eed' || suffix === 'eedly') {
+        if (inR1(suffix)) { word = word.slice(0, -suffix.length) + 'ee'; }
+    }
+    else if (suffix) {
+        const stem = word.slice(0, -suffix.length);
+        if (/[aeiouy]/.test(stem)) {
+            word = stem;
+            if (/(at|bl|iz)$/.test(word)) { word += 'e'; }
+            else if (/(bb|dd|ff|gg|mm|nn|pp|rr|tt)$/.test(word)) { word = word.slice(0, -1); }
+            else if (isShort(word)) { word += 'e'; }
+        }
+    }
+
+    // Step 1c
+    if (/[yY]$/.test(word) && word.length > 2 && !isVowel(word[word.length - 2])) {
+        word = word.slice(0, -1) + 'i';
+    }
+
+    // Step 2
+    suffix = findSuffix(word, Object.keys(EN_STEP2));
+    if (suffix && inR1(suffix)) {
+        const preceding = word[word.length - suffix.length - 1];
+        if ((suffix !== 'ogi' || preceding === 'l') && (suffix !== 'li' || 'cdeghkmnrt'.includes(preceding))) {
+            word = word.slice(0, -suffix.length) + EN_STEP2[suffix];
+        }
+    }
+
+    // Step 3
+    suffix = findSuffix(word, Object.keys(EN_STEP3));
+    if (suffix && inR1(suffix) && (suffix !== 'ative' || inR2(suffix))) {
+        word = word.slice(0, -suffix.length) + EN_STEP3[suffix];
+    }
+
+    // Step 4
+    suffix = findSuffix(word, EN_STEP4);
+    if (suffix && inR2(suffix) && (suffix !== 'ion' || 'st'.includes(word[word.length - 4]))) {
+        word = word.slice(0, -suffix.length);
+    }
+
+    // Step 5
+    if (word.endsWith('e') && (inR2('e') || (inR1('e') && !endsWithShortSyllable(word.slice(0, -1))))) {
+        word = word.slice(0, -1);
+    }
+    else if (word.endsWith('ll') && inR2('l')) {
+        word = word.slice(0, -1);
+    }
+    return word.replace(/Y/g, 'y');
+}
+
+const NL_VOWELS = 'aeiouy';
+
+/**
+ * Dutch stemmer
+ * @param {string} word lowercase word
+ * @returns {string}
+ */
+function dutch(word) {
+    // y's that are used as consonants and i's between vowels are marked as Y and I
+    word = word.replace(/^y/, 'Y').replace(/([aeiouy])y/g, '$1Y').replace(/([aeiouy])i(?=[aeiouy])/g, '$1I');
+    const isVowel = ch => NL_VOWELS.includes(ch);
+    let r1 = regionAfter(word, NL_VOWELS, 0);
+    const r2 = word.length < 3 ? word.length : regionAfter(word, NL_VOWELS, r1);
+    r1 = word.length < 3 ? word.length : Math.max(r1, 3); // At least 3 letters must precede R1
+    const inR1 = regionCheck(() => word, () => r1);
+    const inR2 = regionCheck(() => word, () => r2);
+    const undouble = word => /(kk|dd|tt)$/.test(word) ? word.slice(0, -1) : word;
+    const isValidEnEnding = stem => stem.length > 0 && !isVowel(stem[stem.length - 1]) && !stem.endsWith('gem');
+    const removeEnEnding = suffix => {
+        const stem = word.slice(0, -suffix.length);
+        if (inR1(suffix) && isValidEnEnding(stem)) {
+            word = undouble(stem);
+            return true;
+        }
+        return false;
+    };
+
+    // Step 1
+    let suffix = findSuffix(word, ['heden', 'ene', 'en', 'se', 's']);
+    if (suffix === 'heden') {
+        if (inR1(suffix)) { word = word.slice(0, -5) + 'heid'; }
+    }
+    else if (suffix === 'en' || suffix === 'ene') {
+        removeEnEnding(suffix);
+    }
+    else if (suffix && inR1(suffix)) {
+        const preceding = word[word.length - suffix.length - 1];
+        if (preceding && !isVowel(preceding) && preceding !== 'j') { word = word.slice(0, -suffix.length); }
+    }
+
+    // Step 2
+    let eFound = false;
+    const removeE = () => {
+        if (word.endsWith('e') && inR1('e') && word.length > 1 && !isVowel(word[word.length - 2])) {
+            word = undouble(word.slice(0, -1));
+            eFound = true;
+        }
+    };
+    removeE();
+
+    // Step 3a
+    if (word.endsWith('heid') && inR2('heid') && word[word.length - 5] !== 'c') {
+        word = word.slice(0, -4);
+        word.endsWith('en') && removeEnEnding('en');
+    }
+
+    // Step 3b: derivational suffixes
+    suffix = findSuffix(word, ['end', 'ing', 'ig', 'lijk', 'baar', 'bar']);
+    if (suffix && inR2(suffix)) {
+        if (suffix === 'end' || suffix === 'ing') {
+            word = word.slice(0, -3);
+            if (word.endsWith('ig') && inR2('ig') && word[word.length - 3] !== 'e') { word = word.slice(0, -2); }
+            else { word = undouble(word); }
+        }
+        else if (suffix === 'ig') {
+            if (word[word.length - 3] !== 'e') { word = word.slice(0, -2); }
+        }
+        else if (suffix === 'lijk') {
+            word = word.slice(0, -4);
+            removeE();
+        }
+        else if (suffix === 'baar' || eFound) {
+            word = word.slice(0, -suffix.length);
+        }
+    }
+
+    // Step 4: undouble vowel, eg "maan" -> "man"
+    if (/[^aeiouy](aa|ee|oo|uu)[^aeiouyI]$/.test(word)) {
+        word = word.slice(0, -2) + word.slice(-1);
+    }
+    return word.replace(/I/g, 'i').replace(/Y/g, 'y');
+}
+
+const DE_VOWELS = 'aeiouy';
+
+/**
+ * German stemmer
+ * @param {string} word lowercase word
+ * @returns {string}
+ */
+function german(word) {
+    // u's and y's between vowels are marked as U and Y
+    word = word.replace(/([aeiouy])u(?=[aeiouy])/g, '$1U').replace(/([aeiouy])y(?=[aeiouy])/g, '$1Y');
+    let r1 = regionAfter(word, DE_VOWELS, 0);
+    const r2 = word.length < 3 ? word.length : regionAfter(word, DE_VOWELS, r1);
+    r1 = word.length < 3 ? word.length : Math.max(r1, 3); // At least 3 letters must precede R1
+    const inR1 = regionCheck(() => word, () => r1);
+    const inR2 = regionCheck(() => word, () => r2);
+    const preceding = suffix => word[word.length - suffix.length - 1];
+
+    // Step 1
+    let suffix = findSuffix(word, ['ern', 'em', 'er', 'en', 'es', 'e', 's']);
+    if (suffix && inR1(suffix)) {
+        if (suffix === 's') {
+            if ('bdfghklmnrt'.includes(preceding(suffix))) { word = word.slice(0, -1); }
+        }
+        else {
+            word = word.slice(0, -suffix.length);
+            if (['e', 'en', 'es'].includes(suffix) && word.endsWith('niss')) { word = word.slice(0, -1); }
+        }
+    }
+
+    // Step 2
+    suffix = findSuffix(word, ['est', 'en', 'er', 'st']);
+    if (suffix && inR1(suffix)) {
+        if (suffix !== 'st') {
+            word = word.slice(0, -suffix.length);
+        }
+        else if ('bdfghklmnt'.includes(preceding(suffix)) && word.length - 3 >= 3) {
+            word = word.slice(0, -2);
+        }
+    }
+
+    // Step 3: derivational suffixes
+    suffix = findSuffix(word, ['heit', 'lich', 'keit', 'isch', 'end', 'ung', 'ig', 'ik']);
+    if (suffix && inR2(suffix)) {
+        if (suffix === 'end' || suffix === 'ung') {
+            word = word.slice(0, -3);
+            if (word.endsWith('ig') && inR2('ig') && preceding('ig') !== 'e') { word = word.slice(0, -2); }
+        }
+        else if (suffix === 'ig' || suffix === 'ik' || suffix === 'isch') {
+            if (preceding(suffix) !== 'e') { word = word.slice(0, -suffix.length); }
+        }
+        else if (suffix === 'lich' || suffix === 'heit') {
+            word = word.slice(0, -4);
+            if ((word.endsWith('er') || word.endsWith('en')) && inR1('er')) { word = word.slice(0, -2); }
+        }
+        else if (suffix === 'keit') {
+            word = word.slice(0, -4);
+            const next = findSuffix(word, ['lich', 'ig']);
+            if (next && inR2(next)) { word = word.slice(0, -next.length); }
+        }
+    }
+    return word.replace(/U/g, 'u').replace(/Y/g, 'y');
+}
+
+const FR_VOWELS = 'aeiouy';
+const FR_STEP1 = {
+    delete: ['ance', 'iqUe', 'isme', 'able', 'iste', 'eux', 'ances', 'iqUes', 'ismes', 'ables', 'istes'],
+    ator: ['atrice', 'ateur', 'ation', 'atrices', 'ateurs', 'ations'],
+    log: ['logie', 'logies'],
+    u: ['usion', 'ution', 'usions', 'utions'],
+    ent: ['ence', 'ences'],
+    ement: ['ement', 'ements'],
+    ite: ['ite', 'ites'],
+    ive: ['if', 'ive', 'ifs', 'ives'],
+    other: ['eaux', 'aux', 'euse', 'euses', 'issement', 'issements', 'amment', 'emment', 'ment', 'ments']
+};
+const FR_STEP2A = [
+    'issaIent', 'issantes', 'iraIent', 'issante', 'issants', 'issions', 'irions', 'issais', 'issait', 'issant', 'issent', 'issiez', 'issons',
+    'irais', 'irait', 'irent', 'iriez', 'irons', 'iront', 'isses', 'issez', 'ira', 'irai', 'iras', 'irez', 'isse', 'imes', 'ites', 'ir', 'is', 'it'
+];
+const FR_STEP2B_E = ['ee', 'ees', 'er', 'erai', 'eraIent', 'erais', 'erait', 'eras', 'erez', 'eriez', 'erions', 'erons', 'eront', 'erent', 'ez', 'iez'];
+const FR_STEP2B_A = ['ames', 'at', 'ates', 'a', 'ai', 'aIent', 'ais', 'ait', 'ant', 'ante', 'antes', 'ants', 'as', 'asse', 'assent', 'asses', 'assiez', 'assions'];
+
+/**
+ * French stemmer
+ * @param {string} word lowercase word
+ * @returns {string}
+ */
+function french(word) {
+    // u's and i's between vowels, y's next to vowels and u's after q are marked as U, I and Y
+    word = word
+        .replace(/([aeiouy])([ui])(?=[aeiouy])/g, (m, vowel, ch) => vowel + ch.toUpperCase())
+        .replace(/([aeiouy])y/g, '$1Y')
+        .replace(/y(?=[aeiouy])/g, 'Y')
+        .replace(/qu/g, 'qU');
+    const isVowel = ch => FR_VOWELS.includes(ch);
+    let rv = word.length;
+    if (/^(par|col|tap)/.test(word) || (word.length > 1 && isVowel(word[0]) && isVowel(word[1]))) {
+        rv = Math.min(3, word.length);
+    }
+    else {
+        for (let i = 1; i < word.length; i++) {
+            if (isVowel(word[i])) { rv = i + 1; break; }
+        }
+    }
+    const r1 = regionAfter(word, FR_VOWELS, 0);
+    const r2 = regionAfter(word, FR_VOWELS, r1);
+    const inRV = regionCheck(() => word, () => rv);
+    const inR1 = regionCheck(() => word, () => r1);
+    const inR2 = regionCheck(() => word, () => r2);
+    const remove = suffix => { word = word.slice(0, -suffix.length); };
+    const replace = (suffix, replacement) => { word = word.slice(0, -suffix.length) + replacement; };
+
+    // Step 1: standard suffixes
+    const original = word;
+    let mentFound = false;
+    const suffix = findSuffix(word, [].concat(...Object.values(FR_STEP1)));
+    if (FR_STEP1.delete.includes(suffix)) {
+        inR2(suffix) && remove(suffix);
+    }
+    else if (FR_STEP1.ator.includes(suffix)) {
+        if (inR2(suffix)) {
+            remove(suffix);
+            if (word.endsWith('ic')) { inR2('ic') ? remove('ic') : replace('ic', 'iqU'); }
+        }
+    }
+    else if (FR_STEP1.log.includes(suffix)) {
+        inR2(suffix) && replace(suffix, 'log');
+    }
+    else if (FR_STEP1.u.includes(suffix)) {
+        inR2(suffix) && replace(suffix, 'u');
+    }
+    else if (FR_STEP1.ent.includes(suffix)) {
+        inR2(suffix) && replace(suffix, 'ent');
+    }
+    else if (FR_STEP1.ement.includes(suffix)) {
+        if (inRV(suffix)) {
+            remove(suffix);
+            if (word.endsWith('iv')) {
+                if (inR2('iv')) {
+                    remove('iv');
+                    word.endsWith('at') && inR2('at') && remove('at');
+                }
+            }
+            else if (word.endsWith('eus')) {
+                inR2('eus') ? remove('eus') : inR1('eus') && replace('eus', 'eux');
+            }
+            else if (word.endsWith('abl') || word.endsWith('iqU')) {
+                inR2('abl') && remove('abl');
+            }
+            else if (word.endsWith('ier') || word.endsWith('Ier')) {
+                inRV('ier') && replace('ier', 'i');
+            }
+        }
+    }
+    else if (FR_STEP1.ite.includes(suffix)) {
+        if (inR2(suffix)) {
+            remove(suffix);
+            if (word.endsWith('abil')) { inR2('abil') ? remove('abil') : replace('abil', 'abl'); }
+            else if (word.endsWith('ic')) { inR2('ic') ? remove('ic') : replace('ic', 'iqU'); }
+            else if (word.endsWith('iv')) { inR2('iv') && remove('iv'); }
+        }
+    }
+    else if (FR_STEP1.ive.includes(suffix)) {
+        if (inR2(suffix)) {
+            remove(suffix);
+            if (word.endsWith('at') && inR2('at')) {
+                remove('at');
+                if (word.endsWith('ic')) { inR2('ic') ? remove('ic') : replace('ic', 'iqU'); }
+            }
+        }
+    }
+    else if (suffix === 'eaux') {
+        replace(suffix, 'eau');
+    }
+    else if (suffix === 'aux') {
+        inR1(suffix) && replace(suffix, 'al');
+    }
+    else if (suffix === 'euse' || suffix === 'euses') {
+        inR2(suffix) ? remove(suffix) : inR1(suffix) && replace(suffix, 'eux');
+    }
+    else if (suffix === 'issement' || suffix === 'issements') {
+        inR1(suffix) && !isVowel(word[word.length - suffix.length - 1]) && remove(suffix);
+    }
+    else if (suffix === 'amment' || suffix === 'emment') {
+        if (inRV(suffix)) {
+            replace(suffix, suffix === 'amment' ? 'ant' : 'ent');
+            mentFound = true;
+        }
+    }
+    else if (suffix === 'ment' || suffix === 'ments') {
+        if (inRV(suffix) && word.length - suffix.length - 1 >= rv && isVowel(word[word.length - suffix.length - 1])) {
+            remove(suffix);
+            mentFound = true;
+        }
+    }
+    const step1Removed = word !== original;
+
+    // Step 2: verb suffixes
+    let step2Removed = false;
+    if (!step1Removed || mentFound) {
+        const before = word;
+        const suffixA = findSuffix(word, FR_STEP2A);
+        if (suffixA && inRV(suffixA) && word.length - suffixA.length - 1 >= rv && !isVowel(word[word.length - suffixA.length - 1])) {
+            remove(suffixA);
+        }
+        else {
+            const suffixB = findSuffix(word, ['ions'].concat(FR_STEP2B_E, FR_STEP2B_A));
+            if (suffixB === 'ions') {
+                inR2(suffixB) && inRV(suffixB) && remove(suffixB);
+            }
+            else if (FR_STEP2B_E.includes(suffixB)) {
+                inRV(suffixB) && remove(suffixB);
+            }
+            else if (suffixB && inRV(suffixB)) {
+                remove(suffixB);
+                word.endsWith('e') && inRV('e') && remove('e');
+            }
+        }
+        step2Removed = word !== before;
+    }
+
+    if (step1Removed || step2Removed) {
+        // Step 3
+        word = word.replace(/Y$/, 'i');
+    }
+    else {
+        // Step 4: residual suffixes
+        if (word.endsWith('s') && !'aious'.includes(word[word.length - 2])) {
+            remove('s');
+        }
+        const suffix = findSuffix(word, ['ion', 'ier', 'iere', 'Ier', 'Iere', 'e']);
+        if (suffix && inRV(suffix)) {
+            if (suffix === 'ion') {
+                inR2(suffix) && 'st'.includes(word[word.length - 4]) && remove(suffix);
+            }
+            else if (suffix === 'e') {
+                remove(suffix);
+            }
+            else {
+                replace(suffix, 'i');
+            }
+        }
+    }
+
+    // Step 5: undouble
+    if (/(enn|onn|ett|ell|eill)$/.test(word)) {
+        word = word.slice(0, -1);
+    }
+    return word.replace(/I/g, 'i').replace(/U/g, 'u').replace(/Y/g, 'y');
+}
+
+const ES_VOWELS = 'aeiou';
+const ES_STEP1 = {
+    delete: ['anza', 'anzas', 'ico', 'ica', 'icos', 'icas', 'ismo', 'ismos', 'able', 'ables', 'ible', 'ibles', 'ista', 'istas', 'oso', 'osa', 'osos', 'osas', 'amiento', 'amientos', 'imiento', 'imientos'],
+    ic: ['adora', 'ador', 'acion', 'adoras', 'adores', 'aciones', 'ante', 'antes', 'ancia', 'ancias'],
+    log: ['logia', 'logias'],
+    u: ['ucion', 'uciones'],
+    ente: ['encia', 'encias'],
+    other: ['amente', 'mente', 'idad', 'idades', 'iva', 'ivo', 'ivas', 'ivos']
+};
+const ES_STEP2A = ['yeron', 'yendo', 'yamos', 'yais', 'yan', 'yen', 'yas', 'yes', 'ya', 'ye', 'yo'];
+const ES_STEP2B_GU = ['en', 'es', 'eis', 'emos'];
+const ES_STEP2B = [
+    'arian', 'arias', 'aran', 'aras', 'ariais', 'aria', 'areis', 'ariamos', 'aremos', 'ara', 'are', 'erian', 'erias', 'eran', 'eras', 'eriais', 'eria', 'ereis',
+    'eriamos', 'eremos', 'era', 'ere', 'irian', 'irias', 'iran', 'iras', 'iriais', 'iria', 'ireis', 'iriamos', 'iremos', 'ira', 'ire', 'aba', 'ada', 'ida', 'ia',
+    'iera', 'ad', 'ed', 'id', 'ase', 'iese', 'aste', 'iste', 'an', 'aban', 'ian', 'ieran', 'asen', 'iesen', 'aron', 'ieron', 'ado', 'ido', 'ando', 'iendo',
+    'io', 'ar', 'er', 'ir', 'as', 'abas', 'adas', 'idas', 'ias', 'ieras', 'ases', 'ieses', 'is', 'ais', 'abais', 'iais', 'arais', 'ierais', 'aseis', 'ieseis',
+    'asteis', 'isteis', 'ados', 'idos', 'amos', 'abamos', 'iamos', 'imos', 'aramos', 'ieramos', 'iesemos', 'asemos'
+];
+
+/**
+ * Spanish stemmer
+ * @param {string} word lowercase word
+ * @returns {string}
+ */
+function spanish(word) {
+    const isVowel = ch => ES_VOWELS.includes(ch);
+    let rv = word.length;
+    if (word.length > 1) {
+        if (!isVowel(word[1])) {
+            for (let i = 2; i < word.length; i++) {
+                if (isVowel(word[i])) { rv = i + 1; break; }
+            }
+        }
+        else if (isVowel(word[0])) {
+            for (let i = 2; i < word.length; i++) {
+                if (!isVowel(word[i])) { rv = i + 1; break; }
+            }
+        }
+        else {
+            rv = Math.min(3, word.length);
+        }
+    }
+    const r1 = regionAfter(word, ES_VOWELS, 0);
+    const r2 = regionAfter(word, ES_VOWELS, r1);
+    const inRV = regionCheck(() => word, () => rv);
+    const inR1 = regionCheck(() => word, () => r1);
+    const inR2 = regionCheck(() => word, () => r2);
+    const remove = suffix => { word = word.slice(0, -suffix.length); };
+    const removeIfInR2 = suffix => { word.endsWith(suffix) && inR2(suffix) && remove(suffix); };
+
+    // Step 0: attached pronouns
+    let suffix = findSuffix(word, ['selas', 'selos', 'sela', 'selo', 'las', 'les', 'los', 'nos', 'me', 'se', 'la', 'le', 'lo']);
+    if (suffix && inRV(suffix)) {
+        const stem = word.slice(0, -suffix.length);
+        const ending = findSuffix(stem, ['iendo', 'ando', 'ar', 'er', 'ir', 'yendo']);
+        if (ending && stem.length - ending.length >= rv && (ending !== 'yendo' || stem[stem.length - 6] === 'u')) {
+            word = stem;
+        }
+    }
+
+    // Step 1: standard suffixes
+    const original = word;
+    suffix = findSuffix(word, [].concat(...Object.values(ES_STEP1)));
+    if (suffix && ES_STEP1.delete.includes(suffix)) {
+        removeIfInR2(suffix);
+    }
+    else if (suffix && ES_STEP1.ic.includes(suffix)) {
+        if (inR2(suffix)) {
+            remove(suffix);
+            removeIfInR2('ic');
+        }
+    }
+    else if (suffix && ES_STEP1.log.includes(suffix)) {
+        inR2(suffix) && (word = word.slice(0, -suffix.length) + 'log');
+    }
+    else if (suffix && ES_STEP1.u.includes(suffix)) {
+        inR2(suffix) && (word = word.slice(0, -suffix.length) + 'u');
+    }
+    else if (suffix && ES_STEP1.ente.includes(suffix)) {
+        inR2(suffix) && (word = word.slice(0, -suffix.length) + 'ente');
+    }
+    else if (suffix === 'amente') {
+        if (inR1(suffix)) {
+            remove(suffix);
+            if (word.endsWith('iv') && inR2('iv')) {
+                remove('iv');
+                removeIfInR2('at');
+            }
+            else {
+                const next = findSuffix(word, ['os', 'ic', 'ad']);
+                next && removeIfInR2(next);
+            }
+        }
+    }
+    else if (suffix === 'mente') {
+        if (inR2(suffix)) {
+            remove(suffix);
+            const next = findSuffix(word, ['ante', 'able', 'ible']);
+            next && removeIfInR2(next);
+        }
+    }
+    else if (suffix === 'idad' || suffix === 'idades') {
+        if (inR2(suffix)) {
+            remove(suffix);
+            const next = findSuffix(word, ['abil', 'ic', 'iv']);
+            next && removeIfInR2(next);
+        }
+    }
+    else if (suffix) {
+        // iva, ivo, ivas, ivos
+        if (inR2(suffix)) {
+            remove(suffix);
+            removeIfInR2('at');
+        }
+    }
+
+    if (word === original) {
+        // Step 2a: verb suffixes beginning with y
+        suffix = findSuffix(word, ES_STEP2A);
+        if (suffix && inRV(suffix) && word[word.length - suffix.length - 1] === 'u') {
+            remove(suffix);
+        }
+        else {
+            // Step 2b: other verb suffixes
+            suffix = findSuffix(word, ES_STEP2B_GU.concat(ES_STEP2B));
+            if (suffix && inRV(suffix)) {
+                remove(suffix);
+                if (ES_STEP2B_GU.includes(suffix) && word.endsWith('gu')) { word = word.slice(0, -1); }
+            }
+        }
+    }
+
+    // Step 3: residual suffixes
+    suffix = findSuffix(word, ['os', 'a', 'o', 'i', 'e']);
+    if (suffix && inRV(suffix)) {
+        remove(suffix);
+        if (suffix === 'e' && word.endsWith('gu') && inRV('u')) { word = word.slice(0, -1); }
+    }
+    return word;
+}
+
+module.exports = { english, dutch, german, french, spanish };
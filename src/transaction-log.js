@@ -0,0 +1,336 @@
+const pfs = require('./promise-fs');
+
+const ENTRY_TYPE = {
+    UNDO: 1,
+    COMMIT: 2
+};
+const UNDO_HEADER_LENGTH = 17;  // type (1 byte), tx id (4 bytes), file index (8 bytes), data length (4 bytes)
+const COMMIT_LENGTH = 5;        // type (1 byte), tx id (4 bytes)
+const CHECKSUM_LENGTH = 4;
+
+/**
+ * Calculates an Adler-32 checksum, used to detect log entries that were not completely written
+ * @param {Buffer} bytes
+ * @param {number} start
+ * @param {number} end
+ */
+function checksum(bytes, start, end) {
+    let a = 1, b = 0;
+    for (let i = start; i < end; i++) {
+        a = (a + bytes[i]) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Write-ahead (undo) log for an AceBase binary database file. Before any bytes in the database file
+ * are overwritten, their current contents are appended to the log and flushed to disk. When a transaction
+ * completes, the database file is flushed and the transaction is marked as committed. If the process
+ * crashes or the power fails halfway through a transaction, all its writes are undone the next time the
+ * database is opened, so the file is always restored to a consistent state.
+ */
+class TransactionLog {
+    /**
+     * @param {import('./storage-acebase').AceBaseStorage} storage
+     * @param {string} filename full path of the log file
+     */
+    constructor(storage, filename) {
+        this.storage = storage;
+        this.filename = filename;
+        this.fd = null;
+        this.dataFd = null;
+        this.size = 0;
+
+        this._lastTxId = 0;
+        /** @type {{ id: number, tids: Map<string|number, number>, failed: boolean }} */
+        this._transaction = null;
+        /** @type {Map<number, Array<{ index: number, fileIndex: number, length: number }>>} */
+        this._uncommitted = new Map();
+        this._pending = [];
+        this._processing = false;
+    }
+
+    /**
+     * Opens (or creates) the log file and rolls back any transactions that did not commit before
+     * the database was closed
+     * @param {number} dataFd file descriptor of the opened database file
+     * @returns {Promise<number>} returns a promise that resolves with the number of transactions that were rolled back
+     */
+    open(dataFd) {
+        this.dataFd = dataFd;
+        return pfs.exists(this.filename)
+        .then(exists => {
+            return pfs.open(this.filename, exists ? pfs.flags.readAndWrite : pfs.flags.readAndWriteAndCreate);
+        })
+        .then(fd => {
+            this.fd = fd;
+            return this._recover();
+        });
+    }
+
+    /**
+     * Starts a transaction, or joins the running one. All data written until the transaction ends
+     * becomes part of it. Because the NodeLocker only grants 1 write lock at a time, calls with
+     * different tids should not overlap.
+     * @param {string|number} tid
+     */
+    begin(tid) {
+        if (!this._transaction) {
+            this._transaction = { id: ++this._lastTxId, tids: new Map(), failed: false };
+        }
+        const tids = this._transaction.tids;
+        tids.set(tid, (tids.get(tid) || 0) + 1);
+    }
+
+    /**
+     * Ends a transaction started with begin. Once all nested calls for the running transaction have ended,
+     * it is committed, or rolled back if any of them failed.
+     * @param {string|number} tid
+     * @param {boolean} success
+     * @returns {Promise<boolean>} returns a promise that resolves with a boolean indicating whether the transaction was rolled back
+     */
+    end(tid, success) {
+        const transaction = this._transaction;
+        if (!transaction || !transaction.tids.has(tid)) {
+            return Promise.resolve(false);
+        }
+        if (!success) {
+            transaction.failed = true;
+        }
+        const count = transaction.tids.get(tid) - 1;
+        if (count > 0) {
+            transaction.tids.set(tid, count);
+        }
+        else {
+            transaction.tids.delete(tid);
+        }
+        if (transaction.tids.size > 0) {
+            return Promise.resolve(false);
+        }
+        this._transaction = null;
+        return this._enqueue({ type: transaction.failed ? 'rollback' : 'commit', txId: transaction.id })
+        .then(() => transaction.failed);
+    }
+
+    /**
+     * Writes data to the database file after logging the data it overwrites. Writes outside a running
+     * transaction are committed immediately.
+     * @param {number} fileIndex
+     * @param {Buffer} buffer
+     * @param {number} offset
+     * @param {number} length
+     * @returns {Promise<number>} returns a promise that resolves with the number of bytes written
+     */
+    write(fileIndex, buffer, offset, length) {
+        if (this._transaction) {
+            return this._enqueue({ type: 'write', txId: this._transaction.id, fileIndex, buffer, offset, length });
+        }
+        const txId = ++this._lastTxId;
+        const promise = this._enqueue({ type: 'write', txId, fileIndex, buffer, offset, length });
+        const commit = this._enqueue({ type: 'commit', txId });
+        // Resolve once committed, so the write is not rolled back if the process exits right after
+        return Promise.all([promise, commit])
+        .then(([bytesWritten]) => bytesWritten);
+    }
+
+    _enqueue(item) {
+        return new Promise((resolve, reject) => {
+            item.resolve = resolve;
+            item.reject = reject;
+            this._pending.push(item);
+            this._process();
+        });
+    }
+
+    _process() {
+        if (this._processing || this._pending.length === 0) {
+            return;
+        }
+        this._processing = true;
+        const items = this._pending.splice(0);
+        let i = 0;
+        const next = () => {
+            if (i >= items.length) {
+                return Promise.resolve();
+            }
+            if (items[i].type === 'write') {
+                // Log all consecutive writes in 1 go
+                const batch = [];
+                while (i < items.length && items[i].type === 'write') {
+                    batch.push(items[i++]);
+                }
+                return this._writeBatch(batch).then(next);
+            }
+            const item = items[i++];
+            const promise = item.type === 'commit'
+                ? this._complete(item.txId)
+                : this._undo(this._uncommitted.get(item.txId) || []).then(() => this._complete(item.txId));
+            return promise
+            .then(() => item.resolve(), err => item.reject(err))
+            .then(next);
+        };
+        next()
+        .then(() => {
+            this._processing = false;
+            this._process(); // Process items that were queued in the meantime
+        });
+    }
+
+    _writeBatch(batch) {
+        // Read the data that is about to be overwritten
+        return Promise.all(batch.map(item => {
+            item.before = Buffer.alloc(item.length);
+            return pfs.read(this.dataFd, item.before, 0, item.length, item.fileIndex);
+        }))
+        .then(() => {
+            // Append undo entries to the log
+            const logIndex = this.size;
+            let index = logIndex;
+            const buffers = batch.map(item => {
+                const entry = Buffer.alloc(UNDO_HEADER_LENGTH + item.length + CHECKSUM_LENGTH);
+                entry.writeUInt8(ENTRY_TYPE.UNDO, 0);
+                entry.writeUInt32BE(item.txId, 1);
+                entry.writeUInt32BE(Math.floor(item.fileIndex / 4294967296), 5);
+                entry.writeUInt32BE(item.fileIndex % 4294967296, 9);
+                entry.writeUInt32BE(item.length, 13);
+                item.before.copy(entry, UNDO_HEADER_LENGTH);
+                entry.writeUInt32BE(checksum(entry, 0, UNDO_HEADER_LENGTH + item.length), UNDO_HEADER_LENGTH + item.length);
+
+                if (!this._uncommitted.has(item.txId)) {
+                    this._uncommitted.set(item.txId, []);
+                }
+                this._uncommitted.get(item.txId).push({ index: index + UNDO_HEADER_LENGTH, fileIndex: item.fileIndex, length: item.length });
+                index += entry.length;
+                return entry;
+            });
+            const data = Buffer.concat(buffers);
+            this.size += data.length;
+            return pfs.write(this.fd, data, 0, data.length, logIndex);
+        })
+        .then(() => {
+            // Make sure the log is on disk before the database file is touched
+            return pfs.fsync(this.fd);
+        })
+        .then(() => {
+            // Perform the writes in the requested order
+            return batch.reduce((promise, item) => {
+                return promise
+                .then(() => pfs.write(this.dataFd, item.buffer, item.offset, item.length, item.fileIndex))
+                .then(result => item.resolve(result.bytesWritten), err => item.reject(err));
+            }, Promise.resolve());
+        })
+        .catch(err => {
+            this.storage.debug.error(`Error writing to transaction log: `, err);
+            batch.forEach(item => item.reject(err));
+        });
+    }
+
+    /**
+     * Marks a transaction as completed, after flushing the database file to disk. If there are
+     * no other uncommitted transactions left, the log is cleared.
+     * @param {number} txId
+     */
+    _complete(txId) {
+        if (!this._uncommitted.has(txId)) {
+            return Promise.resolve(); // Nothing was written
+        }
+        this._uncommitted.delete(txId);
+        return pfs.fsync(this.dataFd)
+        .then(() => {
+            if (this._uncommitted.size === 0) {
+                return this._clear();
+            }
+            const entry = Buffer.alloc(COMMIT_LENGTH + CHECKSUM_LENGTH);
+            entry.writeUInt8(ENTRY_TYPE.COMMIT, 0);
+            entry.writeUInt32BE(txId, 1);
+            entry.writeUInt32BE(checksum(entry, 0, COMMIT_LENGTH), COMMIT_LENGTH);
+            const logIndex = this.size;
+            this.size += entry.length;
+            return pfs.write(this.fd, entry, 0, entry.length, logIndex)
+            .then(() => pfs.fsync(this.fd));
+        });
+    }
+
+    _clear() {
+        this.size = 0;
+        return pfs.ftruncate(this.fd, 0)
+        .then(() => pfs.fsync(this.fd));
+    }
+
+    /**
+     * Restores the logged data of given entries in reverse order
+     * @param {Array<{ index: number, fileIndex: number, length: number }>} entries
+     */
+    _undo(entries) {
+        return entries.reduceRight((promise, entry) => {
+            return promise
+            .then(() => {
+                const data = Buffer.alloc(entry.length);
+                return pfs.read(this.fd, data, 0, data.length, entry.index)
+                .then(() => pfs.write(this.dataFd, data, 0, data.length, entry.fileIndex));
+            });
+        }, Promise.resolve());
+    }
+
+    _recover() {
+        const entries = [];
+        const committed = new Set();
+        let logSize;
+        const readEntry = (index) => {
+            const header = Buffer.alloc(UNDO_HEADER_LENGTH);
+            return pfs.read(this.fd, header, 0, header.length, index)
+            .then(({ bytesRead }) => {
+                if (bytesRead < COMMIT_LENGTH + CHECKSUM_LENGTH) {
+                    return; // End of log
+                }
+                const type = header.readUInt8(0);
+                const txId = header.readUInt32BE(1);
+                if (type === ENTRY_TYPE.COMMIT) {
+                    if (checksum(header, 0, COMMIT_LENGTH) !== header.readUInt32BE(COMMIT_LENGTH)) {
+                        return; // Incomplete entry
+                    }
+                    committed.add(txId);
+                    return readEntry(index + COMMIT_LENGTH + CHECKSUM_LENGTH);
+                }
+                if (type !== ENTRY_TYPE.UNDO || bytesRead < UNDO_HEADER_LENGTH) {
+                    return; // Incomplete entry
+                }
+                const fileIndex = header.readUInt32BE(5) * 4294967296 + header.readUInt32BE(9);
+                const length = header.readUInt32BE(13);
+                const entryLength = UNDO_HEADER_LENGTH + length + CHECKSUM_LENGTH;
+                if (index + entryLength > logSize) {
+                    return; // Incomplete entry
+                }
+                const entry = Buffer.alloc(entryLength);
+                return pfs.read(this.fd, entry, 0, entry.length, index)
+                .then(() => {
+                    if (checksum(entry, 0, entryLength - CHECKSUM_LENGTH) !== entry.readUInt32BE(entryLength - CHECKSUM_LENGTH)) {
+                        return; // Incomplete entry
+                    }
+                    entries.push({ txId, index: index + UNDO_HEADER_LENGTH, fileIndex, length });
+                    return readEntry(index + entryLength);
+                });
+            });
+        };
+        return pfs.stat(this.filename)
+        .then(stats => {
+            logSize = stats.size;
+            return readEntry(0);
+        })
+        .then(() => {
+            const rollback = entries.filter(entry => !committed.has(entry.txId));
+            const transactions = rollback.reduce((txIds, entry) => txIds.add(entry.txId), new Set()).size;
+            if (transactions === 0) {
+                return logSize > 0 ? this._clear().then(() => 0) : 0;
+            }
+            this.storage.debug.warn(`Rolling back ${transactions} incomplete transaction(s) found in the transaction log`);
+            return this._undo(rollback)
+            .then(() => pfs.fsync(this.dataFd))
+            .then(() => this._clear())
+            .then(() => transactions);
+        });
+    }
+}
+
+module.exports = { TransactionLog };